@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// rae - assesses a template and its function code on local files, without deploying to AWS
+//
+//   rae assess --template template.yaml [--code ./app] [--config challenge.json]
+//              [--format text|json|junit] [--output report.xml] [--threshold 80]
+//
+// Exits 0 when the score reaches the passing score, 1 below it and 2 when the assessment cannot run
+const fs = require('fs');
+const path = require('path');
+const challengeConfig = require('../src/utils/challenge-config');
+const offlineAssessment = require('../src/utils/offline-assessment');
+const packageExtractor = require('../src/utils/package-extractor');
+const reportFormatter = require('../src/utils/report-formatter');
+
+const USAGE = `Usage: rae assess --template <file> [options]
+
+Options:
+  --template <file>    CloudFormation template to assess (JSON or YAML)
+  --code <dir>         Function code; the template's Handler paths are relative to it
+  --config <file>      Challenge config (JSON or YAML); defaults to the built-in challenge
+  --format <format>    text (default), json or junit
+  --output <file>      Write the report to a file instead of standard output
+  --threshold <score>  Passing score, overriding the challenge config's
+`;
+
+const FORMATS = {
+  text: reportFormatter.formatText,
+  json: report => `${JSON.stringify(report, null, 2)}\n`,
+  junit: reportFormatter.formatJUnit
+};
+
+const OPTIONS = ['template', 'code', 'config', 'format', 'output', 'threshold'];
+
+/**
+ * Runs the CLI with the given arguments and returns the exit code
+ */
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  let options;
+  try {
+    options = parseArguments(argv);
+  } catch (error) {
+    io.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    io.stdout.write(USAGE);
+    return 0;
+  }
+
+  try {
+    const config = await challengeConfig.loadChallengeConfig(options.config);
+    if (options.threshold !== undefined) {
+      config.passingScore = options.threshold;
+    }
+
+    const report = await offlineAssessment.assessTemplate({
+      templateBody: fs.readFileSync(path.resolve(options.template), 'utf8'),
+      packageBuffer: options.code ? packageExtractor.packDirectory(path.resolve(options.code)) : null,
+      config
+    });
+
+    const output = FORMATS[options.format](report);
+    if (options.output) {
+      fs.writeFileSync(path.resolve(options.output), output);
+      io.stderr.write(`Score ${report.score}/100, ${report.passed ? 'passed' : 'failed'}; report written to ${options.output}\n`);
+    } else {
+      io.stdout.write(output);
+    }
+
+    return report.passed ? 0 : 1;
+  } catch (error) {
+    io.stderr.write(`rae: ${error.message}\n`);
+    return 2;
+  }
+}
+
+/**
+ * Parses `assess --name value` arguments, also accepting --name=value
+ */
+function parseArguments(argv) {
+  const [command, ...rest] = argv;
+  if (!command || command === '--help' || command === '-h') {
+    return { help: true };
+  }
+  if (command !== 'assess') {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  const options = { format: 'text' };
+  for (let index = 0; index < rest.length; index++) {
+    const [flag, inlineValue] = rest[index].split(/=(.*)/s);
+    const name = flag.replace(/^--/, '');
+    if (flag === '--help' || flag === '-h') {
+      return { help: true };
+    }
+    if (!flag.startsWith('--') || !OPTIONS.includes(name)) {
+      throw new Error(`Unknown option: ${rest[index]}`);
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : rest[++index];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`${flag} needs a value`);
+    }
+    options[name] = value;
+  }
+
+  if (!options.template) {
+    throw new Error('--template is required');
+  }
+  if (!FORMATS[options.format]) {
+    throw new Error(`Unsupported format: ${options.format}`);
+  }
+  if (options.threshold !== undefined) {
+    options.threshold = Number(options.threshold);
+    if (Number.isNaN(options.threshold) || options.threshold < 0 || options.threshold > 100) {
+      throw new Error('--threshold must be a score from 0 to 100');
+    }
+  }
+
+  return options;
+}
+
+if (require.main === module) {
+  // The analyzers log their progress; keep standard output for the report
+  console.log = console.error;
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  main
+};
@@ -0,0 +1,134 @@
+// reliability-assessment-api.js - Participant-facing API for requesting assessments and reading their reports
+const assessmentDispatch = require('./utils/assessment-dispatch');
+const assessmentTracker = require('./utils/assessment-tracker');
+const participantAuth = require('./utils/participant-auth');
+const reportStore = require('./utils/report-store');
+
+/**
+ * Handles the participant API; every route needs the caller's participant token
+ * POST /assessments                      body: { participantId? }, defaults to the caller
+ * GET  /assessments/{assessmentId}       status of a run, with its report once completed
+ * GET  /participants/{participantId}/latest  the participant's latest report
+ */
+exports.handler = async (event) => {
+  const route = `${event.httpMethod} ${event.resource}`;
+  console.log(`Assessment API request: ${route}`);
+
+  try {
+    const callerId = await participantAuth.authenticate(event);
+    if (!callerId) {
+      return respond(401, { error: 'A valid participant token is required' });
+    }
+
+    switch (route) {
+      case 'POST /assessments':
+        return await requestAssessment(event, callerId);
+      case 'GET /assessments/{assessmentId}':
+        return await getAssessment(event.pathParameters.assessmentId, callerId);
+      case 'GET /participants/{participantId}/latest':
+        return await getLatestReport(event.pathParameters.participantId, callerId);
+      default:
+        return respond(404, { error: `Unknown route: ${route}` });
+    }
+  } catch (error) {
+    console.error(`Error handling ${route}:`, error);
+    return respond(500, { error: error.message });
+  }
+};
+
+/**
+ * Queues an assessment of the caller, or points them at the run already pending
+ */
+async function requestAssessment(event, callerId) {
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return respond(400, { error: 'Request body must be JSON' });
+  }
+
+  const participantId = body.participantId || callerId;
+  if (participantId !== callerId) {
+    return respond(403, { error: 'Participants can only request their own assessments' });
+  }
+
+  const [result] = await assessmentDispatch.dispatchAssessments([participantId], 'participant-api');
+
+  switch (result.status) {
+    case 'queued':
+    case 'coalesced':
+      await assessmentTracker.recordQueued({ assessmentId: result.assessmentId, participantId, source: 'participant-api' });
+      if (result.status === 'queued') {
+        await assessmentDispatch.startWorker();
+      }
+      return respond(202, {
+        assessmentId: result.assessmentId,
+        status: 'queued',
+        // A request while a run is pending joins that run rather than starting another
+        coalesced: result.status === 'coalesced'
+      }, {
+        Location: `/assessments/${result.assessmentId}`
+      });
+
+    case 'throttled':
+      return respond(429, {
+        error: `You were assessed recently; retry in ${result.retryAfterSeconds} seconds`
+      }, {
+        'Retry-After': String(result.retryAfterSeconds)
+      });
+
+    default:
+      return respond(503, { error: `Could not queue the assessment: ${result.error}` });
+  }
+}
+
+/**
+ * Returns a run's status, with the full report once it has one
+ * Runs of other participants are reported as missing, so their IDs cannot be probed
+ */
+async function getAssessment(assessmentId, callerId) {
+  const assessment = await assessmentTracker.getAssessment(assessmentId);
+  if (!assessment || assessment.participantId !== callerId) {
+    return respond(404, { error: `No assessment ${assessmentId}` });
+  }
+
+  const report = assessment.reportKey ? await reportStore.getReport(assessment.reportKey) : null;
+  return respond(200, {
+    ...assessment,
+    report: report && participantReport(report)
+  });
+}
+
+async function getLatestReport(participantId, callerId) {
+  if (participantId !== callerId) {
+    return respond(403, { error: 'Participants can only read their own reports' });
+  }
+
+  const report = await reportStore.getLatestReport(participantId);
+  if (!report) {
+    return respond(404, { error: `No assessment of ${participantId} yet` });
+  }
+  return respond(200, participantReport(report));
+}
+
+/**
+ * The report as participants see it: suspicions are for organizers to review,
+ * and would show a participant which gaming attempts were detected, so only their number is kept
+ */
+function participantReport({ suspicions, ...report }) {
+  return {
+    ...report,
+    suspicionCount: (suspicions || []).length
+  };
+}
+
+function respond(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  };
+}
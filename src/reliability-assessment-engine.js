@@ -1,14 +1,34 @@
 const AWS = require('aws-sdk');
 const stackAnalyzer = require('./utils/stack-analyzer');
+const codeAnalyzer = require('./utils/code-analyzer');
+const metricsAnalyzer = require('./utils/metrics-analyzer');
+const checkRegistry = require('./utils/check-registry');
+const challengeConfig = require('./utils/challenge-config');
+const feedbackGenerator = require('./utils/feedback-generator');
+const reportStore = require('./utils/report-store');
+const assessmentHistory = require('./utils/assessment-history');
+const flagManager = require('./utils/flag-manager');
+const suspicionDetector = require('./utils/suspicion-detector');
+const faultInjection = require('./utils/fault-injection');
+const trafficProbe = require('./utils/traffic-probe');
+const assessmentThrottle = require('./utils/assessment-throttle');
+const stackResolver = require('./utils/stack-resolver');
+const participantSession = require('./utils/participant-session');
+const assessmentTracker = require('./utils/assessment-tracker');
+const offlineAssessment = require('./utils/offline-assessment');
 
 // Initialize AWS SDK clients
 const dynamoDB = new AWS.DynamoDB.DocumentClient();
-const s3 = new AWS.S3();
 
 /**
  * Main handler for the assessment engine
+ * { dryRun: true, template, codeBundle? } assesses an undeployed template instead (see runDryRun)
  */
 exports.handler = async (event) => {
+  if (event.dryRun) {
+    return runDryRun(event);
+  }
+  
   console.log('Assessment event received:', JSON.stringify(event));
   
   // Extract participant ID from event
@@ -16,87 +36,315 @@ exports.handler = async (event) => {
   if (!participantId) {
     throw new Error('Missing participantId');
   }
+  const eventId = event.eventId || process.env.EVENT_ID || null;
+  
+  // Runs queued through assessment-dispatch.js carry an ID participants can poll
+  const assessmentId = event.assessmentId || null;
+  const trackStatus = (status, details) => assessmentId
+    ? assessmentTracker.updateStatus(assessmentId, participantId, status, details)
+    : Promise.resolve();
+  // Ends the pending run, so later triggers in the cooldown are throttled instead of coalesced
+  // A run that throws stays pending: the worker retries it and releases the claim if it gives up
+  const completeRun = () => assessmentThrottle.completeAssessment(participantId, event.claimedAt);
   
   try {
-    // 1. Analyze the participant's CloudFormation stack
-    const stackName = `ctf-unreliable-app-${participantId}-dev`;
-    const stackAnalysis = await stackAnalyzer.analyzeStack(stackName);
+    await trackStatus('running');
+    const config = await challengeConfig.getChallengeConfig();
     
-    // 2. Calculate reliability score (simplified)
-    const reliabilityScore = calculateScore(stackAnalysis);
+    // Participants registered with their own account are read through the role they granted
+    const target = await participantSession.getParticipantTarget(participantId);
+    let session = null;
+    if (target) {
+      try {
+        session = await participantSession.assumeParticipantRole(target, { challengeId: config.challengeId });
+      } catch (error) {
+        if (!participantSession.isAccessDenied(error)) {
+          throw error;
+        }
+        const deniedReport = await reportRoleAccessDenied(participantId, config, target, error);
+        await trackStatus('access-denied', { reportKey: deniedReport.reportKey });
+        await completeRun();
+        return deniedReport;
+      }
+    }
     
-    // 3. Update the score in DynamoDB
-    await updateReliabilityScore(participantId, reliabilityScore);
+    // 1-2. Discover and analyze the participant's stacks, code, metrics and live behavior
+    const {
+      stackVersion,
+      stackResources,
+      stackAnalysis,
+      codeAnalyses,
+      metricsAnalysis,
+      probeResult,
+      faultInjectionResult
+    } = await participantSession.runWithSession(session, () => analyzeParticipant(participantId, config));
     
-    // 4. Check if participant has passed the challenge
-    const passed = reliabilityScore >= 80;
-    if (passed) {
-      await revealFlag(participantId);
-    }
+    // 3. Evaluate the challenge's checks and calculate the weighted reliability score
+    const { score: reliabilityScore, categories, checks } = checkRegistry.calculateScore(config, {
+      participantId,
+      stackResources,
+      stackAnalysis,
+      codeAnalyses,
+      metricsAnalysis,
+      faultInjection: faultInjectionResult,
+      probe: probeResult
+    });
     
-    return {
+    // 4. Build the remediation report and update the score in DynamoDB
+    // Suspicious evidence is already discounted in the score; the report lists it for organizers to review
+    const report = feedbackGenerator.generateFeedback({
       participantId,
+      config,
       score: reliabilityScore,
-      passed,
-      timestamp: new Date().toISOString()
+      categories,
+      checks,
+      drift: stackAnalysis.drift,
+      suspicions: suspicionDetector.collectSuspicions({ stackAnalysis, codeAnalyses }),
+      accessDenied: collectAccessDenied({ stackAnalysis, codeAnalyses, metricsAnalysis })
+    });
+    const reportKey = await reportStore.saveReport(report);
+    await updateReliabilityScore(report, { reportKey, eventId });
+    await assessmentHistory.recordAssessment(assessmentHistory.buildRecord(report, {
+      source: event.source,
+      stackVersion,
+      reportKey
+    }));
+    
+    // 5. Reveal the flag the first time the participant passes
+    let flag = { revealed: false, alreadyRevealed: false };
+    if (report.passed) {
+      flag = await flagManager.revealFlag({
+        participantId,
+        challengeId: config.challengeId,
+        eventId
+      });
+    }
+    
+    await trackStatus('completed', { reportKey, score: report.score, passed: report.passed });
+    await completeRun();
+    return {
+      ...report,
+      reportKey,
+      flagRevealed: flag.revealed || flag.alreadyRevealed
     };
   } catch (error) {
     console.error(`Error in assessment for ${participantId}:`, error);
+    await trackStatus('failed', { error: error.message });
     throw error;
   }
 };
 
 /**
- * Calculate reliability score (simplified)
+ * Assesses an inline CloudFormation template, and optionally a base64 zip of the function code, without deploying them
+ * Nothing is stored: the report is only returned, no score is written and no flag is revealed
  */
-function calculateScore(stackAnalysis) {
-  if (stackAnalysis.error) {
-    return 0;
+async function runDryRun(event) {
+  const participantId = event.participantId || null;
+  console.log(`Dry-run assessment received${participantId ? ` for ${participantId}` : ''}`);
+  
+  if (!event.template) {
+    throw new Error('A dry run needs a template');
   }
   
-  const multiRegionScore = stackAnalysis.analysis.multiRegion.score || 0;
-  const backupsScore = stackAnalysis.analysis.backups.score || 0;
+  const report = await offlineAssessment.assessTemplate({
+    templateBody: typeof event.template === 'string' ? event.template : JSON.stringify(event.template),
+    packageBuffer: event.codeBundle ? Buffer.from(event.codeBundle, 'base64') : null,
+    config: await challengeConfig.getChallengeConfig(),
+    participantId
+  });
   
-  // Simple average for this simplified version
-  return Math.round((multiRegionScore + backupsScore) / 2);
+  return {
+    ...report,
+    dryRun: true
+  };
 }
 
 /**
- * Update reliability score in DynamoDB
+ * Discovers the participant's stacks and runs every analysis against them
+ * Runs inside the participant's session, so each AWS call uses their role when they have one
  */
-async function updateReliabilityScore(participantId, score) {
-  const params = {
-    TableName: process.env.SYSTEM_METRICS_TABLE,
-    Key: {
-      metricId: 'reliability-score',
-      participantId
-    },
-    UpdateExpression: 'set score = :score, lastUpdated = :time',
-    ExpressionAttributeValues: {
-      ':score': score,
-      ':time': Date.now()
-    }
+async function analyzeParticipant(participantId, config) {
+  // 1. Discover the participant's deployed stacks and their resources
+  const stackNames = await discoverStackNames(participantId, config.stacks);
+  const stacks = await Promise.all(stackNames.map(async stackName => ({
+    stackName,
+    stackResources: await discoverStackResources(stackName)
+  })));
+  const stackResources = stacks.reduce((resources, stack) => resources.concat(stack.stackResources), []);
+  const functionNames = stackResources
+    .filter(r => r.ResourceType === 'AWS::Lambda::Function')
+    .map(r => r.PhysicalResourceId);
+  
+  // 2. Analyze the stack templates, Lambda code and CloudWatch monitoring
+  const [stackVersion, stackAnalysis, codeAnalyses, metricsAnalysis] = await Promise.all([
+    discoverStackVersion(stackNames),
+    stackAnalyzer.analyzeStacks(stacks, {
+      mode: config.inspectionMode,
+      regions: config.multiRegion.regions,
+      stackSetName: config.multiRegion.stackSetName &&
+        config.multiRegion.stackSetName.replace('{participantId}', participantId)
+    }),
+    Promise.all(functionNames.map(functionName => codeAnalyzer.analyzeCode(functionName))),
+    metricsAnalyzer.analyzeMetrics(participantId, stackResources)
+  ]);
+  
+  // The probe observes the healthy API, so it runs before any faults are injected
+  const probeResult = config.probe.enabled
+    ? await trafficProbe.runProbe({ participantId, stacks, config: config.probe })
+    : null;
+  
+  // Fault injection changes the live resources, so it only starts once the other analyses are done
+  const faultInjectionResult = config.faultInjection.enabled
+    ? await faultInjection.runFaultInjection({ participantId, stackResources, config: config.faultInjection })
+    : null;
+  
+  return {
+    stackVersion,
+    stackResources,
+    stackAnalysis,
+    codeAnalyses,
+    metricsAnalysis,
+    probeResult,
+    faultInjectionResult
+  };
+}
+
+/**
+ * Saves a report explaining that the participant's role could not be assumed
+ * Nothing could be read, so the score is left as it was and no flag is revealed
+ */
+async function reportRoleAccessDenied(participantId, config, target, error) {
+  console.error(`Cannot assume ${target.roleArn} for ${participantId}:`, error);
+  
+  const report = {
+    participantId,
+    challengeId: config.challengeId,
+    status: 'access-denied',
+    score: null,
+    passed: false,
+    accessDenied: [{
+      source: 'role',
+      resource: target.roleArn,
+      detail: `Cannot assume the assessment role: ${error.message}. ` +
+        'Check that it trusts the assessment account, expects the external ID you were given and allows sts:TagSession'
+    }],
+    timestamp: new Date().toISOString()
   };
+  const reportKey = await reportStore.saveReport(report);
   
-  return dynamoDB.update(params).promise();
+  return {
+    ...report,
+    reportKey,
+    flagRevealed: false
+  };
 }
 
 /**
- * Reveal flag when participant passes the challenge
+ * Lists the analyses that were refused by the participant's role, for the report
  */
-async function revealFlag(participantId) {
-  const flag = `CTF{${participantId}_reliability_master}`;
+function collectAccessDenied({ stackAnalysis, codeAnalyses, metricsAnalysis }) {
+  const stackErrors = stackAnalysis.errors ||
+    (stackAnalysis.error ? [{ stackName: stackAnalysis.stackName, error: stackAnalysis.error, accessDenied: stackAnalysis.accessDenied }] : []);
   
+  return [
+    ...stackErrors
+      .filter(result => result.accessDenied)
+      .map(result => ({ source: 'stack', resource: result.stackName, detail: result.error })),
+    ...codeAnalyses
+      .filter(result => result.accessDenied)
+      .map(result => ({ source: 'code', resource: result.functionName, detail: result.error })),
+    ...(metricsAnalysis.accessDenied
+      ? [{ source: 'metrics', resource: metricsAnalysis.participantId, detail: metricsAnalysis.error }]
+      : [])
+  ];
+}
+
+/**
+ * Finds the participant's stacks by tag or name pattern (see stack-resolver.js)
+ * Without any, assesses the first pattern's name so the report explains that the stack is missing
+ */
+async function discoverStackNames(participantId, stacksConfig) {
+  try {
+    const stackNames = await stackResolver.findParticipantStacks(participantId, stacksConfig);
+    if (stackNames.length > 0) {
+      return stackNames;
+    }
+  } catch (error) {
+    console.error(`Error finding stacks for ${participantId}:`, error);
+  }
+  
+  return stackResolver.candidateStackNames(participantId, stacksConfig).slice(0, 1);
+}
+
+/**
+ * Lists the stack's resources, treating a missing stack as having none
+ */
+async function discoverStackResources(stackName) {
+  try {
+    return await stackAnalyzer.getStackResources(stackName);
+  } catch (error) {
+    console.error(`Error listing resources for stack ${stackName}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Reads the latest update time of the participant's stacks, or null if none can be described
+ */
+async function discoverStackVersion(stackNames) {
+  const versions = await Promise.all(stackNames.map(async stackName => {
+    try {
+      return await stackAnalyzer.getStackVersion(stackName);
+    } catch (error) {
+      console.error(`Error describing stack ${stackName}:`, error);
+      return null;
+    }
+  }));
+  
+  // ISO timestamps sort chronologically
+  return versions.filter(Boolean).sort().pop() || null;
+}
+
+/**
+ * Update reliability score in DynamoDB
+ * scoreReachedAt only moves when the score changes, so leaderboard ties go to whoever got there first
+ */
+async function updateReliabilityScore(report, { reportKey, eventId }) {
+  const now = Date.now();
+  const assignments = 'set score = :score, passed = :passed, categories = :categories, ' +
+    'challengeId = :challengeId, eventId = :eventId, reportKey = :reportKey, lastUpdated = :time';
   const params = {
-    TableName: process.env.FLAGS_TABLE,
-    Item: {
-      challengeId: 'reliability-pillar',
-      participantId,
-      flag,
-      revealed: true,
-      timestamp: Date.now()
+    TableName: process.env.SYSTEM_METRICS_TABLE,
+    Key: {
+      metricId: 'reliability-score',
+      participantId: report.participantId
+    },
+    ExpressionAttributeValues: {
+      ':score': report.score,
+      ':passed': report.passed,
+      ':categories': report.categories,
+      ':challengeId': report.challengeId,
+      ':eventId': eventId || null,
+      ':reportKey': reportKey,
+      ':time': now
     }
   };
   
-  return dynamoDB.put(params).promise();
-}
\ No newline at end of file
+  try {
+    return await dynamoDB.update({
+      ...params,
+      UpdateExpression: `${assignments}, scoreReachedAt = :time`,
+      ConditionExpression: 'attribute_not_exists(score) OR score <> :score'
+    }).promise();
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+    
+    // Same score as before: refresh everything except the time it was reached
+    return dynamoDB.update({
+      ...params,
+      UpdateExpression: assignments
+    }).promise();
+  }
+}
@@ -1,10 +1,12 @@
 // reliability-assessment-trigger.js - Handles all trigger events for reliability assessments
 const AWS = require('aws-sdk');
+const assessmentDispatch = require('./utils/assessment-dispatch');
+const challengeConfig = require('./utils/challenge-config');
+const stackResolver = require('./utils/stack-resolver');
+const participantSession = require('./utils/participant-session');
 
 // Initialize AWS SDK clients
-const lambda = new AWS.Lambda();
 const dynamoDB = new AWS.DynamoDB.DocumentClient();
-const cloudformation = new AWS.CloudFormation();
 
 /**
  * Main handler for processing assessment trigger events
@@ -18,36 +20,77 @@ exports.handler = async (event) => {
     const source = identifyEventSource(event);
     console.log(`Identified event source: ${source}`);
 
-    // Extract participant IDs based on the event source
-    const participantIds = await extractParticipantIds(event, source);
+    // The manual route can assess anyone, so only organizers may call it; participants use the participant API
+    if (source === 'manual-api' && event.httpMethod && !isOrganizerRequest(event)) {
+      console.warn('Refusing manual trigger without an organizer identity');
+      return {
+        statusCode: 403,
+        body: JSON.stringify({ error: 'Manual triggers are for organizers; participants can use POST /assessments' })
+      };
+    }
+
+    const config = await challengeConfig.getChallengeConfig();
+
+    // Stream participant IDs page by page into the fan-out, so large events start queueing right away
+    const discovery = {};
+    const seen = new Set();
+    const results = [];
+    for await (const page of participantPages(event, source, { config, discovery })) {
+      const participantIds = page.filter(participantId => !seen.has(participantId));
+      participantIds.forEach(participantId => seen.add(participantId));
+      if (participantIds.length === 0) {
+        continue;
+      }
+
+      console.log(`Will assess ${participantIds.length} participants: ${participantIds.join(', ')}`);
+
+      // Claim a run for each participant and queue the claimed ones for the workers
+      results.push(...await assessmentDispatch.dispatchAssessments(participantIds, source));
+    }
     
-    if (!participantIds || participantIds.length === 0) {
+    if (results.length === 0) {
       console.log('No participants to assess');
       return {
         statusCode: 200,
         body: JSON.stringify({
-          message: 'No participants to assess'
+          message: 'No participants to assess',
+          ...(discovery.mismatch ? { discovery } : {})
         })
       };
     }
 
-    console.log(`Will assess ${participantIds.length} participants: ${participantIds.join(', ')}`);
+    // Log summary of queued assessments
+    const queued = results.filter(r => r.status === 'queued').length;
+    const failed = results.filter(r => r.status === 'failed').length;
+    const skipped = results.length - queued - failed;
 
-    // Invoke assessment Lambda for each participant
-    const results = await Promise.all(
-      participantIds.map(participantId => triggerAssessment(participantId, source))
-    );
+    if (queued > 0) {
+      await assessmentDispatch.startWorker();
+    }
 
-    // Log summary of triggered assessments
-    const successful = results.filter(r => r.status === 'triggered').length;
-    const failed = results.filter(r => r.status === 'failed').length;
+    // A throttled API caller is told when to try again
+    const throttled = results.find(r => r.status === 'throttled');
+    if (source === 'manual-api' && throttled) {
+      return {
+        statusCode: 429,
+        headers: {
+          'Retry-After': String(throttled.retryAfterSeconds)
+        },
+        body: JSON.stringify({
+          message: `Assessment for ${throttled.participantId} was run recently; retry in ${throttled.retryAfterSeconds} seconds`,
+          source,
+          results
+        })
+      };
+    }
 
     return {
       statusCode: 200,
       body: JSON.stringify({
-        message: `Triggered ${successful} assessments (${failed} failed)`,
+        message: `Queued ${queued} assessments (${failed} failed, ${skipped} skipped)`,
         source,
-        results
+        results,
+        ...(discovery.mismatch ? { discovery } : {})
       })
     };
   } catch (error) {
@@ -63,15 +106,13 @@ exports.handler = async (event) => {
   }
 };
 
+// Sources a direct invocation may name; EventBridge events carry their own source, such as aws.events
+const TRIGGER_SOURCES = ['scheduled-event', 'resource-change', 'manual-api'];
+
 /**
  * Identifies the source of the trigger event
  */
 function identifyEventSource(event) {
-  // Check if it's a direct source specification
-  if (event.source) {
-    return event.source;
-  }
-
   // Check if it's a scheduled CloudWatch Event
   if (event['detail-type'] === 'Scheduled Event') {
     return 'scheduled-event';
@@ -82,6 +123,11 @@ function identifyEventSource(event) {
     return 'resource-change';
   }
 
+  // Check if it's a direct invocation naming one of the trigger's sources
+  if (TRIGGER_SOURCES.includes(event.source)) {
+    return event.source;
+  }
+
   // Check if it's an API Gateway event
   if (event.httpMethod && event.path) {
     return 'manual-api';
@@ -91,31 +137,56 @@ function identifyEventSource(event) {
   return 'unknown';
 }
 
+/**
+ * Checks that an API Gateway request was signed by an organizer
+ * The route uses AWS_IAM authorization, so API Gateway fills in the caller's ARN; ORGANIZER_PRINCIPAL_ARNS
+ * optionally narrows the callers to a comma-separated list of IAM users or roles (covering their role sessions)
+ */
+function isOrganizerRequest(event) {
+  const identity = (event.requestContext && event.requestContext.identity) || {};
+  if (!identity.userArn) {
+    return false;
+  }
+
+  const organizers = (process.env.ORGANIZER_PRINCIPAL_ARNS || '')
+    .split(',')
+    .map(arn => arn.trim())
+    .filter(Boolean);
+  if (organizers.length === 0) {
+    return true;
+  }
+
+  // Role sessions are signed as arn:aws:sts::<account>:assumed-role/<role>/<session>
+  const callerArn = identity.userArn.replace(/^arn:aws:sts::(\d+):assumed-role\/([^/]+)\/.*$/, 'arn:aws:iam::$1:role/$2');
+  return organizers.includes(callerArn);
+}
+
+/**
+ * Yields pages of participant IDs to assess
+ * Scheduled events page through all active participants; other sources name a single participant
+ */
+async function* participantPages(event, source, { config, discovery }) {
+  if (source === 'scheduled-event') {
+    yield* streamActiveParticipants(config.stacks, discovery);
+    return;
+  }
+
+  yield await extractParticipantIds(event, source, config.stacks);
+}
+
 /**
  * Extracts participant IDs from the event based on its source
  */
-async function extractParticipantIds(event, source) {
+async function extractParticipantIds(event, source, stacksConfig) {
   switch (source) {
-    case 'scheduled-event':
-      // For scheduled events, get all active participants
-      return getActiveParticipants();
-
-    case 'resource-change':
-      // For CloudFormation events, extract participant ID from stack name
+    case 'resource-change': {
+      // For CloudFormation events, resolve the participant from the stack's tag or name
       const stackId = event.detail?.stackId;
       if (!stackId) return [];
 
-      const stackName = stackId.split('/')[1];
-      if (!stackName || !stackName.startsWith('ctf-unreliable-app-')) {
-        return [];
-      }
-
-      // Extract participant ID from stack name
-      const participantId = stackName
-        .replace('ctf-unreliable-app-', '')
-        .split('-')[0];
-      
-      return [participantId];
+      const participantId = await resolveChangedParticipant(event.account, stackId, stacksConfig);
+      return participantId ? [participantId] : [];
+    }
 
     case 'manual-api':
       // For API Gateway events, extract participant ID from path parameter
@@ -134,130 +205,125 @@ async function extractParticipantIds(event, source) {
 }
 
 /**
- * Gets all active participants from the challenges table
+ * Resolves the participant owning a changed stack
+ * Stacks in an account registered to participants are read through their role, and only resolve to one of them,
+ * so a stack named after someone else cannot trigger their assessment
  */
-async function getActiveParticipants() {
-  console.log('Getting active participants');
-  
-  try {
-    // Query the challenges table for active participants
-    const params = {
-      TableName: process.env.CHALLENGES_TABLE,
-      IndexName: 'StatusIndex', // GSI on status field
-      KeyConditionExpression: '#status = :status',
-      ExpressionAttributeNames: {
-        '#status': 'status'
-      },
-      ExpressionAttributeValues: {
-        ':status': 'ACTIVE'
-      },
-      ProjectionExpression: 'participantId'
-    };
-    
-    const result = await dynamoDB.query(params).promise();
-    
-    // Extract unique participant IDs
-    const participantIds = [...new Set(
-      result.Items.map(item => item.participantId)
-    )];
-    
-    console.log(`Found ${participantIds.length} active participants`);
-    return participantIds;
-  } catch (error) {
-    console.error('Error getting active participants:', error);
-    
-    // Fallback to scanning the stack list
-    return getParticipantsFromStacks();
+async function resolveChangedParticipant(accountId, stackId, stacksConfig) {
+  const registered = accountId ? await participantSession.findParticipantsByAccount(accountId) : [];
+  if (registered.length === 0) {
+    return stackResolver.resolveParticipantId(stackId, stacksConfig);
+  }
+
+  // Participants sharing an account can all read its stacks, so any of their roles will do
+  const session = await participantSession.assumeParticipantRole(registered[0]);
+  const participantId = await participantSession.runWithSession(session, () =>
+    stackResolver.resolveParticipantId(stackId, stacksConfig)
+  );
+  if (!registered.some(target => target.participantId === participantId)) {
+    console.warn(`Ignoring change to ${stackId}: ${participantId} is not registered for account ${accountId}`);
+    return null;
   }
+  return participantId;
 }
 
 /**
- * Fallback method to get participants by scanning CloudFormation stacks
+ * Yields pages of active participants from the challenges table, following LastEvaluatedKey
+ * Falls back to the stack list if the table cannot be queried
+ * Afterwards compares the table with the stack list and records both counts in discovery when they disagree
  */
-async function getParticipantsFromStacks() {
-  console.log('Falling back to getting participants from CloudFormation stacks');
+async function* streamActiveParticipants(stacksConfig, discovery) {
+  console.log('Getting active participants');
   
+  const tableIds = new Set();
+  // Participants in their own accounts have no stacks here to compare with
+  const remoteIds = new Set();
   try {
-    const stacks = await cloudformation.listStacks({
-      StackStatusFilter: [
-        'CREATE_COMPLETE',
-        'UPDATE_COMPLETE',
-        'UPDATE_ROLLBACK_COMPLETE'
-      ]
-    }).promise();
-    
-    const participantIds = stacks.StackSummaries
-      .filter(stack => stack.StackName.startsWith('ctf-unreliable-app-'))
-      .map(stack => stack.StackName.replace('ctf-unreliable-app-', '').split('-')[0]);
-    
-    return [...new Set(participantIds)]; // Return unique IDs
+    let ExclusiveStartKey;
+    do {
+      // Query the challenges table for active participants
+      const params = {
+        TableName: process.env.CHALLENGES_TABLE,
+        IndexName: 'StatusIndex', // GSI on status field
+        KeyConditionExpression: '#status = :status',
+        ExpressionAttributeNames: {
+          '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+          ':status': 'ACTIVE'
+        },
+        ProjectionExpression: 'participantId, roleArn',
+        ExclusiveStartKey
+      };
+      
+      const result = await dynamoDB.query(params).promise();
+      
+      // Extract unique participant IDs
+      const page = [...new Set(result.Items.map(item => item.participantId))]
+        .filter(participantId => !tableIds.has(participantId));
+      page.forEach(participantId => tableIds.add(participantId));
+      result.Items.filter(item => item.roleArn).forEach(item => remoteIds.add(item.participantId));
+      yield page;
+      
+      ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
   } catch (error) {
-    console.error('Error getting participants from stacks:', error);
-    return [];
+    console.error('Error getting active participants:', error);
+    
+    // Fallback to scanning the stack list; the caller skips participants it has already seen
+    try {
+      yield* listStackParticipants(stacksConfig);
+    } catch (stackError) {
+      console.error('Error getting participants from stacks:', stackError);
+    }
+    return;
   }
+  
+  console.log(`Found ${tableIds.size} active participants`);
+  Object.assign(discovery, await compareWithStacks(tableIds, stacksConfig, remoteIds));
 }
 
 /**
- * Triggers the main assessment engine for a specific participant
+ * Yields pages of participant IDs from the participants' stacks (see stack-resolver.js)
  */
-async function triggerAssessment(participantId, source) {
-  console.log(`Triggering assessment for participant ${participantId} from source ${source}`);
+async function* listStackParticipants(stacksConfig) {
+  console.log('Getting participants from CloudFormation stacks');
   
-  try {
-    const params = {
-      FunctionName: process.env.ASSESSMENT_ENGINE_FUNCTION,
-      InvocationType: 'Event', // Asynchronous invocation
-      Payload: JSON.stringify({
-        participantId,
-        source,
-        timestamp: new Date().toISOString()
-      })
-    };
-    
-    const result = await lambda.invoke(params).promise();
-    
-    return {
-      participantId,
-      source,
-      status: 'triggered',
-      requestId: result.ResponseMetadata?.RequestId
-    };
-  } catch (error) {
-    console.error(`Error triggering assessment for ${participantId}:`, error);
-    
-    return {
-      participantId,
-      source,
-      status: 'failed',
-      error: error.message
-    };
+  for await (const page of stackResolver.listParticipantStacks(stacksConfig)) {
+    yield [...new Set(page.map(stack => stack.participantId))]; // Unique IDs within the page
   }
 }
 
 /**
- * Updates the last assessment timestamp for a participant
- * This helps prevent too-frequent assessments of the same participant
+ * Counts the participants with a deployed stack and compares them with the active participants in the table
+ * Returns { mismatch, table, stacks, onlyInTable, onlyInStacks } or {} when the stacks cannot be listed
+ * remoteIds are participants deployed in their own accounts, which are never missing from this account's stacks
  */
-async function updateLastAssessmentTime(participantId) {
+async function compareWithStacks(tableIds, stacksConfig, remoteIds = new Set()) {
+  const stackIds = new Set();
   try {
-    const params = {
-      TableName: process.env.SYSTEM_METRICS_TABLE,
-      Key: {
-        metricId: 'last-assessment',
-        participantId
-      },
-      UpdateExpression: 'set #timestamp = :time',
-      ExpressionAttributeNames: {
-        '#timestamp': 'timestamp'
-      },
-      ExpressionAttributeValues: {
-        ':time': Date.now()
-      }
-    };
-    
-    await dynamoDB.update(params).promise();
+    for await (const page of listStackParticipants(stacksConfig)) {
+      page.forEach(participantId => stackIds.add(participantId));
+    }
   } catch (error) {
-    console.error(`Error updating last assessment time for ${participantId}:`, error);
-    // Non-critical error, continue anyway
+    console.error('Error getting participants from stacks:', error);
+    return {};
+  }
+  
+  const onlyInTable = [...tableIds]
+    .filter(participantId => !stackIds.has(participantId) && !remoteIds.has(participantId));
+  const onlyInStacks = [...stackIds].filter(participantId => !tableIds.has(participantId));
+  const mismatch = onlyInTable.length > 0 || onlyInStacks.length > 0;
+  if (mismatch) {
+    console.warn(`Participant sources disagree: ${tableIds.size} active in the table, ${stackIds.size} with stacks ` +
+      `(only in table: ${onlyInTable.join(', ') || 'none'}; only in stacks: ${onlyInStacks.join(', ') || 'none'})`);
   }
-}
\ No newline at end of file
+  
+  return {
+    mismatch,
+    table: tableIds.size,
+    stacks: stackIds.size,
+    onlyInTable,
+    onlyInStacks
+  };
+}
@@ -0,0 +1,119 @@
+// reliability-assessment-worker.js - Drains the assessment queue and invokes the engine for each job
+const AWS = require('aws-sdk');
+const assessmentQueue = require('./utils/assessment-queue');
+const assessmentDispatch = require('./utils/assessment-dispatch');
+const assessmentThrottle = require('./utils/assessment-throttle');
+const assessmentTracker = require('./utils/assessment-tracker');
+
+// Timeout configured on the engine function; the worker waits for each run to finish
+const ENGINE_TIMEOUT_MS = (Number(process.env.ASSESSMENT_ENGINE_TIMEOUT_SECONDS) || 300) * 1000;
+
+// Stop pulling jobs when less than a full engine run and this much more is left of the invocation
+const STOP_MARGIN_MS = 30000;
+
+// Initialize AWS SDK clients
+// Waits as long as the engine can run; the queue retries failed invokes, so the SDK does not
+const lambda = new AWS.Lambda({
+  httpOptions: { timeout: ENGINE_TIMEOUT_MS + STOP_MARGIN_MS },
+  maxRetries: 0
+});
+
+/**
+ * Main handler for the assessment worker
+ * Runs on a schedule and when the trigger queues new jobs
+ * { action: 'replay', participantIds? } sends dead-lettered jobs back to the queue
+ */
+exports.handler = async (event, context) => {
+  console.log('Assessment worker received event:', JSON.stringify(event));
+
+  const queue = assessmentQueue.createSqsQueue();
+  const deadLetters = assessmentQueue.createDynamoDeadLetterStore();
+
+  if (event && event.action === 'replay') {
+    const result = await assessmentQueue.replayDeadLetters({
+      queue,
+      deadLetters,
+      claim: claimReplay,
+      release: job => assessmentThrottle.releaseAssessment(job.participantId, job.claimedAt),
+      participantIds: event.participantIds || null
+    });
+    console.log(`Replayed ${result.replayed.length} dead-lettered assessments (${result.skipped.length} skipped)`);
+    return result;
+  }
+
+  const summary = await assessmentQueue.drainQueue({
+    queue,
+    deadLetters,
+    processJob: invokeEngine,
+    onDeadLetter,
+    concurrency: Number(process.env.ASSESSMENT_WORKER_CONCURRENCY) || undefined,
+    maxAttempts: Number(process.env.ASSESSMENT_MAX_ATTEMPTS) || undefined,
+    shouldStop: () => Boolean(context && context.getRemainingTimeInMillis() < ENGINE_TIMEOUT_MS + STOP_MARGIN_MS)
+  });
+
+  console.log(`Assessment worker finished: ${JSON.stringify(summary)}`);
+  return summary;
+};
+
+/**
+ * Claims a new run for a replayed job, so a replay cannot run next to a pending run or inside the cooldown
+ * Returns the job's new { claimedAt, assessmentId }, or null when the claim is refused
+ */
+async function claimReplay(job) {
+  const claim = await assessmentThrottle.claimAssessment(job.participantId, job.source);
+  if (!claim.claimed) {
+    console.log(`Not replaying assessment for ${job.participantId}: ${claim.reason}, retry in ${claim.retryAfterSeconds}s`);
+    return null;
+  }
+
+  return {
+    claimedAt: claim.claimedAt,
+    assessmentId: assessmentDispatch.assessmentIdFor(job.participantId, claim.claimedAt)
+  };
+}
+
+/**
+ * Gives up on a job the engine could not run
+ * The claim is released, so the participant can be assessed again straight away
+ */
+async function onDeadLetter(entry) {
+  await assessmentThrottle.releaseAssessment(entry.participantId, entry.claimedAt);
+  if (entry.assessmentId) {
+    await assessmentTracker.updateStatus(entry.assessmentId, entry.participantId, 'failed', { error: entry.error });
+  }
+}
+
+/**
+ * Invokes the assessment engine for one job and waits for the run to finish
+ * Invoke errors such as throttling and errors the engine throws reject, so the job is retried;
+ * with at most ASSESSMENT_WORKER_CONCURRENCY jobs in progress, that many engine runs are in flight
+ */
+async function invokeEngine(job) {
+  const response = await lambda.invoke({
+    FunctionName: process.env.ASSESSMENT_ENGINE_FUNCTION,
+    InvocationType: 'RequestResponse',
+    Payload: JSON.stringify({
+      assessmentId: job.assessmentId,
+      participantId: job.participantId,
+      claimedAt: job.claimedAt,
+      source: job.source,
+      timestamp: new Date().toISOString()
+    })
+  }).promise();
+
+  if (response.FunctionError) {
+    throw new Error(`Engine failed: ${engineErrorMessage(response.Payload)}`);
+  }
+}
+
+/**
+ * Reads the error message from the payload of a failed engine invocation
+ */
+function engineErrorMessage(payload) {
+  try {
+    const error = JSON.parse(payload.toString());
+    return error.errorMessage || error.errorType || 'Unknown error';
+  } catch (parseError) {
+    return payload ? payload.toString() : 'Unknown error';
+  }
+}
@@ -0,0 +1,60 @@
+// reliability-flag-verifier.js - API handler that checks submitted flags
+const challengeConfig = require('./utils/challenge-config');
+const flagManager = require('./utils/flag-manager');
+
+/**
+ * Handles POST /flags/verify
+ * Body: { participantId, flag }
+ * The flag is checked for the event it was revealed in
+ */
+exports.handler = async (event) => {
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({
+        error: 'Request body must be JSON'
+      })
+    };
+  }
+
+  // Never log the submitted flag itself
+  console.log(`Flag submission received for participant ${body.participantId}`);
+
+  if (!body.participantId || !body.flag) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({
+        error: 'participantId and flag are required'
+      })
+    };
+  }
+
+  try {
+    const config = await challengeConfig.getChallengeConfig();
+    const result = await flagManager.verifyFlag({
+      participantId: body.participantId,
+      challengeId: config.challengeId,
+      flag: body.flag,
+      sourceIp: event.requestContext && event.requestContext.identity
+        ? event.requestContext.identity.sourceIp
+        : null
+    });
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify(result)
+    };
+  } catch (error) {
+    console.error(`Error verifying flag for ${body.participantId}:`, error);
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: error.message
+      })
+    };
+  }
+};
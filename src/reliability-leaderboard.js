@@ -0,0 +1,69 @@
+// reliability-leaderboard.js - API handler for the participant leaderboard and organizer exports
+const leaderboard = require('./utils/leaderboard');
+
+/**
+ * Handles GET /leaderboard
+ * Query parameters: eventId, challengeId, limit, format (json | csv)
+ */
+exports.handler = async (event) => {
+  console.log('Leaderboard request received:', JSON.stringify(event));
+
+  const query = event.queryStringParameters || {};
+  const format = (query.format || 'json').toLowerCase();
+
+  if (!['json', 'csv'].includes(format)) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({
+        error: `Unsupported format: ${format}`
+      })
+    };
+  }
+
+  const limit = query.limit ? parseInt(query.limit, 10) : undefined;
+  if (limit !== undefined && !(limit > 0)) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({
+        error: `Invalid limit: ${query.limit}`
+      })
+    };
+  }
+
+  try {
+    const board = await leaderboard.getLeaderboard({
+      eventId: query.eventId,
+      challengeId: query.challengeId,
+      limit
+    });
+
+    if (format === 'csv') {
+      const fileName = `leaderboard-${query.eventId || 'all'}.csv`;
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/csv',
+          'Content-Disposition': `attachment; filename="${fileName}"`
+        },
+        body: leaderboard.toCSV(board)
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(board)
+    };
+  } catch (error) {
+    console.error('Error building leaderboard:', error);
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,149 @@
+// Claims assessment runs and queues them for the workers; shared by the trigger and the participant API
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const assessmentThrottle = require('./assessment-throttle');
+const assessmentQueue = require('./assessment-queue');
+
+const lambda = new AWS.Lambda();
+
+// Claims in flight at once, so a large event does not burst the system metrics table
+const CLAIM_CONCURRENCY = 10;
+
+/**
+ * Claims a run for each participant and queues the claimed ones
+ * Returns one result per participant with status 'queued', 'coalesced', 'throttled' or 'failed';
+ * queued and coalesced results carry the assessmentId of the run that will assess the participant
+ */
+async function dispatchAssessments(participantIds, source) {
+  const claims = await assessmentQueue.mapWithConcurrency(
+    participantIds,
+    CLAIM_CONCURRENCY,
+    participantId => claimAssessment(participantId, source)
+  );
+  return enqueueAssessments(claims);
+}
+
+/**
+ * Identifies a run by its participant and claim time, so a coalesced trigger can name the pending run
+ */
+function assessmentIdFor(participantId, claimedAt) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([participantId, claimedAt]))
+    .digest('hex')
+    .substring(0, 32);
+}
+
+/**
+ * Claims an assessment run for a participant
+ * Participants still inside their cooldown are skipped: coalesced into a pending run, or throttled
+ */
+async function claimAssessment(participantId, source) {
+  try {
+    const claim = await assessmentThrottle.claimAssessment(participantId, source);
+
+    if (!claim.claimed) {
+      console.log(`Skipping assessment for ${participantId}: ${claim.reason}, retry in ${claim.retryAfterSeconds}s`);
+
+      if (claim.reason === 'pending') {
+        return {
+          participantId,
+          source,
+          status: 'coalesced',
+          assessmentId: assessmentIdFor(participantId, claim.claimedAt),
+          retryAfterSeconds: claim.retryAfterSeconds
+        };
+      }
+      return {
+        participantId,
+        source,
+        status: 'throttled',
+        retryAfterSeconds: claim.retryAfterSeconds
+      };
+    }
+
+    return {
+      participantId,
+      source,
+      status: 'claimed',
+      claimedAt: claim.claimedAt
+    };
+  } catch (error) {
+    console.error(`Error claiming assessment for ${participantId}:`, error);
+
+    return {
+      participantId,
+      source,
+      status: 'failed',
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Sends a job for every claimed participant to the assessment queue
+ * Claims whose job could not be queued are released, so the next trigger is not refused
+ */
+async function enqueueAssessments(claims) {
+  const jobs = claims
+    .filter(claim => claim.status === 'claimed')
+    .map(({ participantId, source, claimedAt }) => ({
+      assessmentId: assessmentIdFor(participantId, claimedAt),
+      participantId,
+      source,
+      claimedAt,
+      enqueuedAt: Date.now()
+    }));
+
+  if (jobs.length === 0) {
+    return claims;
+  }
+
+  let failedJobs;
+  try {
+    failedJobs = (await assessmentQueue.createSqsQueue().send(jobs)).failed;
+  } catch (error) {
+    console.error('Error queueing assessments:', error);
+    failedJobs = jobs.map(job => ({ job, error: error.message }));
+  }
+
+  const errors = new Map(failedJobs.map(({ job, error }) => [job.participantId, error]));
+  return Promise.all(claims.map(async claim => {
+    if (claim.status !== 'claimed') {
+      return claim;
+    }
+
+    const { claimedAt, ...result } = claim;
+    if (errors.has(claim.participantId)) {
+      await assessmentThrottle.releaseAssessment(claim.participantId, claimedAt);
+      return { ...result, status: 'failed', error: errors.get(claim.participantId) };
+    }
+    return { ...result, status: 'queued', assessmentId: assessmentIdFor(claim.participantId, claimedAt) };
+  }));
+}
+
+/**
+ * Starts a worker to drain the queue now instead of on its next scheduled run
+ * Non-critical: the jobs stay queued if the worker cannot be started
+ */
+async function startWorker() {
+  if (!process.env.ASSESSMENT_WORKER_FUNCTION) {
+    return;
+  }
+
+  try {
+    await lambda.invoke({
+      FunctionName: process.env.ASSESSMENT_WORKER_FUNCTION,
+      InvocationType: 'Event',
+      Payload: JSON.stringify({ source: 'assessment-trigger' })
+    }).promise();
+  } catch (error) {
+    console.error('Error starting assessment worker:', error);
+  }
+}
+
+module.exports = {
+  dispatchAssessments,
+  assessmentIdFor,
+  startWorker
+};
@@ -0,0 +1,213 @@
+// Immutable per-participant assessment history with diffing and time-to-pass
+const AWS = require('aws-sdk');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+/**
+ * Stores an assessment record keyed by participantId and assessedAt
+ * Records are never overwritten; a second write for the same key fails
+ */
+async function recordAssessment(record) {
+  const params = {
+    TableName: process.env.ASSESSMENT_HISTORY_TABLE,
+    Item: record,
+    ConditionExpression: 'attribute_not_exists(assessedAt)'
+  };
+
+  await dynamoDB.put(params).promise();
+  return record;
+}
+
+/**
+ * Builds the history record for an assessment report
+ */
+function buildRecord(report, { source, stackVersion, reportKey }) {
+  return {
+    participantId: report.participantId,
+    assessedAt: report.timestamp,
+    challengeId: report.challengeId,
+    score: report.score,
+    passed: report.passed,
+    categories: report.categories,
+    checks: report.checks.map(check => ({
+      id: check.id,
+      category: check.category,
+      passed: check.passed,
+      score: check.score,
+      pointsEarned: check.pointsEarned,
+      pointsPossible: check.pointsPossible
+    })),
+    suspicionCount: (report.suspicions || []).length,
+    source: source || 'unknown',
+    stackVersion: stackVersion || null,
+    reportKey: reportKey || null
+  };
+}
+
+/**
+ * Lists a participant's assessments, oldest first
+ * options.from and options.to bound assessedAt (ISO timestamps, inclusive)
+ */
+async function listHistory(participantId, options = {}) {
+  const names = { '#participantId': 'participantId' };
+  const values = { ':participantId': participantId };
+  let keyCondition = '#participantId = :participantId';
+
+  if (options.from || options.to) {
+    names['#assessedAt'] = 'assessedAt';
+    values[':from'] = options.from || '0';
+    values[':to'] = options.to || '9999';
+    keyCondition += ' AND #assessedAt BETWEEN :from AND :to';
+  }
+
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamoDB.query({
+      TableName: process.env.ASSESSMENT_HISTORY_TABLE,
+      KeyConditionExpression: keyCondition,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ScanIndexForward: true,
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey && !(options.limit && items.length >= options.limit));
+
+  return options.limit ? items.slice(0, options.limit) : items;
+}
+
+/**
+ * Fetches a single assessment record
+ */
+async function getAssessment(participantId, assessedAt) {
+  const result = await dynamoDB.get({
+    TableName: process.env.ASSESSMENT_HISTORY_TABLE,
+    Key: { participantId, assessedAt }
+  }).promise();
+
+  return result.Item || null;
+}
+
+/**
+ * Compares two assessment records and summarizes what changed per check
+ */
+function diffAssessments(previous, current) {
+  const previousChecks = new Map(previous.checks.map(check => [check.id, check]));
+  const currentChecks = new Map(current.checks.map(check => [check.id, check]));
+  const ids = [...new Set([...previousChecks.keys(), ...currentChecks.keys()])];
+
+  const checks = ids.map(id => {
+    const before = previousChecks.get(id);
+    const after = currentChecks.get(id);
+
+    let change;
+    if (!before) {
+      change = 'added';
+    } else if (!after) {
+      change = 'removed';
+    } else if (after.score > before.score) {
+      change = 'improved';
+    } else if (after.score < before.score) {
+      change = 'regressed';
+    } else {
+      change = 'unchanged';
+    }
+
+    return {
+      id,
+      from: before ? before.score : null,
+      to: after ? after.score : null,
+      change
+    };
+  });
+
+  const categories = {};
+  for (const category of new Set([
+    ...Object.keys(previous.categories || {}),
+    ...Object.keys(current.categories || {})
+  ])) {
+    const before = previous.categories && previous.categories[category];
+    const after = current.categories && current.categories[category];
+    categories[category] = {
+      from: before ? before.score : null,
+      to: after ? after.score : null
+    };
+  }
+
+  return {
+    from: previous.assessedAt,
+    to: current.assessedAt,
+    scoreChange: current.score - previous.score,
+    categories,
+    checks,
+    summary: checks
+      .filter(check => check.change !== 'unchanged')
+      .map(describeChange)
+  };
+}
+
+function describeChange(check) {
+  switch (check.change) {
+    case 'added':
+      return `${check.id} added at ${check.to}`;
+    case 'removed':
+      return `${check.id} removed (was ${check.from})`;
+    case 'regressed':
+      return `${check.id} regressed ${check.from} → ${check.to}`;
+    default:
+      return `${check.id} went ${check.from} → ${check.to}`;
+  }
+}
+
+/**
+ * Measures how long a participant took from their first assessment to their first pass
+ * history must be ordered oldest first, as returned by listHistory
+ */
+function computeTimeToPass(history) {
+  if (history.length === 0) {
+    return null;
+  }
+
+  const first = history[0];
+  const passIndex = history.findIndex(record => record.passed);
+
+  if (passIndex === -1) {
+    return {
+      passed: false,
+      firstAssessedAt: first.assessedAt,
+      passedAt: null,
+      durationMs: null,
+      attempts: history.length
+    };
+  }
+
+  const pass = history[passIndex];
+  return {
+    passed: true,
+    firstAssessedAt: first.assessedAt,
+    passedAt: pass.assessedAt,
+    durationMs: Date.parse(pass.assessedAt) - Date.parse(first.assessedAt),
+    attempts: passIndex + 1
+  };
+}
+
+/**
+ * Fetches a participant's history and computes their time-to-pass
+ */
+async function getTimeToPass(participantId) {
+  return computeTimeToPass(await listHistory(participantId));
+}
+
+module.exports = {
+  recordAssessment,
+  buildRecord,
+  listHistory,
+  getAssessment,
+  diffAssessments,
+  computeTimeToPass,
+  getTimeToPass
+};
@@ -0,0 +1,322 @@
+// Assessment job queue: the trigger enqueues jobs, workers drain them with bounded concurrency
+// Jobs that keep failing go to a dead-letter store that organizers can replay
+const AWS = require('aws-sdk');
+
+const sqs = new AWS.SQS();
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+// SQS accepts at most 10 messages per batch
+const SQS_BATCH_SIZE = 10;
+
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_SECONDS = 5;
+const BACKOFF_MAX_SECONDS = 300;
+
+/**
+ * Queue backed by SQS; a message becomes visible again after retry(), with its receive count as attempts
+ * Interface shared with createLocalQueue: send(jobs), receive(max), ack(message), retry(message, delaySeconds)
+ */
+function createSqsQueue(queueUrl = process.env.ASSESSMENT_QUEUE_URL) {
+  if (!queueUrl) {
+    throw new Error('ASSESSMENT_QUEUE_URL is not configured');
+  }
+
+  return {
+    async send(jobs) {
+      const failed = [];
+      for (let i = 0; i < jobs.length; i += SQS_BATCH_SIZE) {
+        const batch = jobs.slice(i, i + SQS_BATCH_SIZE);
+        const response = await sqs.sendMessageBatch({
+          QueueUrl: queueUrl,
+          Entries: batch.map((job, index) => ({
+            Id: String(index),
+            MessageBody: JSON.stringify(job)
+          }))
+        }).promise();
+
+        for (const entry of response.Failed || []) {
+          failed.push({ job: batch[Number(entry.Id)], error: entry.Message || entry.Code });
+        }
+      }
+      return { failed };
+    },
+
+    async receive(maxMessages) {
+      const response = await sqs.receiveMessage({
+        QueueUrl: queueUrl,
+        MaxNumberOfMessages: Math.min(maxMessages, SQS_BATCH_SIZE),
+        AttributeNames: ['ApproximateReceiveCount'],
+        // Short polls can miss messages on a sparse queue
+        WaitTimeSeconds: 1
+      }).promise();
+
+      return (response.Messages || []).map(message => ({
+        id: message.MessageId,
+        receiptHandle: message.ReceiptHandle,
+        job: JSON.parse(message.Body),
+        attempts: Number(message.Attributes.ApproximateReceiveCount)
+      }));
+    },
+
+    async ack(message) {
+      await sqs.deleteMessage({
+        QueueUrl: queueUrl,
+        ReceiptHandle: message.receiptHandle
+      }).promise();
+    },
+
+    async retry(message, delaySeconds) {
+      await sqs.changeMessageVisibility({
+        QueueUrl: queueUrl,
+        ReceiptHandle: message.receiptHandle,
+        VisibilityTimeout: delaySeconds
+      }).promise();
+    }
+  };
+}
+
+/**
+ * In-memory queue for tests and local runs
+ * options.now supplies the clock, so tests can move past retry delays without waiting
+ */
+function createLocalQueue({ now = Date.now } = {}) {
+  let nextId = 1;
+  const messages = [];
+
+  return {
+    messages,
+
+    async send(jobs) {
+      for (const job of jobs) {
+        messages.push({ id: String(nextId++), job, attempts: 0, visibleAt: now(), inFlight: false });
+      }
+      return { failed: [] };
+    },
+
+    async receive(maxMessages) {
+      const visible = messages
+        .filter(message => !message.inFlight && message.visibleAt <= now())
+        .slice(0, maxMessages);
+
+      for (const message of visible) {
+        message.inFlight = true;
+        message.attempts++;
+      }
+      return visible.map(({ id, job, attempts }) => ({ id, job, attempts }));
+    },
+
+    async ack(message) {
+      // splice(-1, 1) would drop the last message instead of doing nothing
+      const index = messages.findIndex(queued => queued.id === message.id);
+      if (index !== -1) {
+        messages.splice(index, 1);
+      }
+    },
+
+    async retry(message, delaySeconds) {
+      const queued = messages.find(candidate => candidate.id === message.id);
+      queued.inFlight = false;
+      queued.visibleAt = now() + delaySeconds * 1000;
+    }
+  };
+}
+
+/**
+ * Dead-letter store backed by the ASSESSMENT_DEAD_LETTER_TABLE DynamoDB table
+ * (partition key participantId, sort key failedAt)
+ * Interface shared with createLocalDeadLetterStore: put(entry), list(), remove(entry)
+ */
+function createDynamoDeadLetterStore(tableName = process.env.ASSESSMENT_DEAD_LETTER_TABLE) {
+  if (!tableName) {
+    throw new Error('ASSESSMENT_DEAD_LETTER_TABLE is not configured');
+  }
+
+  return {
+    async put(entry) {
+      await dynamoDB.put({
+        TableName: tableName,
+        Item: entry
+      }).promise();
+    },
+
+    async list() {
+      const entries = [];
+      let ExclusiveStartKey;
+      do {
+        const response = await dynamoDB.scan({
+          TableName: tableName,
+          ExclusiveStartKey
+        }).promise();
+        entries.push(...response.Items);
+        ExclusiveStartKey = response.LastEvaluatedKey;
+      } while (ExclusiveStartKey);
+      return entries;
+    },
+
+    async remove(entry) {
+      await dynamoDB.delete({
+        TableName: tableName,
+        Key: {
+          participantId: entry.participantId,
+          failedAt: entry.failedAt
+        }
+      }).promise();
+    }
+  };
+}
+
+/**
+ * In-memory dead-letter store for tests and local runs
+ */
+function createLocalDeadLetterStore() {
+  const entries = [];
+
+  return {
+    entries,
+
+    async put(entry) {
+      entries.push(entry);
+    },
+
+    async list() {
+      return [...entries];
+    },
+
+    async remove(entry) {
+      entries.splice(entries.indexOf(entry), 1);
+    }
+  };
+}
+
+/**
+ * Pulls jobs from the queue with at most `concurrency` in progress and runs processJob on each
+ * Failed jobs are retried with exponential backoff; after maxAttempts they go to the dead-letter store
+ * and onDeadLetter runs, e.g. to release the participant's assessment claim
+ * Returns when the queue has no visible messages or shouldStop() says time is running out
+ */
+async function drainQueue({
+  queue,
+  deadLetters,
+  processJob,
+  onDeadLetter = async () => {},
+  concurrency = DEFAULT_CONCURRENCY,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  shouldStop = () => false
+}) {
+  const summary = { completed: 0, retried: 0, deadLettered: 0 };
+
+  const worker = async () => {
+    while (!shouldStop()) {
+      const [message] = await queue.receive(1);
+      if (!message) {
+        return;
+      }
+
+      try {
+        await processJob(message.job);
+        await queue.ack(message);
+        summary.completed++;
+      } catch (error) {
+        if (message.attempts < maxAttempts) {
+          console.warn(`Assessment job for ${message.job.participantId} failed (attempt ${message.attempts}), retrying:`, error.message);
+          await queue.retry(message, backoffSeconds(message.attempts));
+          summary.retried++;
+          continue;
+        }
+
+        console.error(`Assessment job for ${message.job.participantId} failed ${message.attempts} times, dead-lettering:`, error);
+        const entry = {
+          ...message.job,
+          attempts: message.attempts,
+          error: error.message,
+          failedAt: Date.now()
+        };
+        await deadLetters.put(entry);
+        await queue.ack(message);
+        await onDeadLetter(entry);
+        summary.deadLettered++;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  return summary;
+}
+
+/**
+ * Sends dead-lettered jobs back to the queue, all of them or only those of the given participants
+ * Each job is claimed again first, as the trigger does: claim(job) returns the { claimedAt, assessmentId }
+ * of the new run, or null when the participant has a run pending or is in its cooldown.
+ * Refused jobs stay dead-lettered for a later replay; release(job) gives back the claim of a job that could not be queued
+ */
+async function replayDeadLetters({ queue, deadLetters, claim, release = async () => {}, participantIds = null }) {
+  const entries = (await deadLetters.list())
+    .filter(entry => !participantIds || participantIds.includes(entry.participantId));
+
+  const replayed = [];
+  const skipped = [];
+  for (const entry of entries) {
+    const { attempts, error, failedAt, ...job } = entry;
+
+    let claimed;
+    try {
+      claimed = await claim(job);
+    } catch (claimError) {
+      console.error(`Error claiming replayed assessment for ${entry.participantId}:`, claimError);
+      continue;
+    }
+    if (!claimed) {
+      skipped.push(entry.participantId);
+      continue;
+    }
+
+    const replay = { ...job, ...claimed, enqueuedAt: Date.now(), replayedFrom: failedAt };
+    const { failed } = await queue.send([replay]);
+    if (failed.length > 0) {
+      console.error(`Error replaying assessment job for ${entry.participantId}:`, failed[0].error);
+      await release(replay);
+      continue;
+    }
+    await deadLetters.remove(entry);
+    replayed.push(entry.participantId);
+  }
+
+  return { replayed, skipped };
+}
+
+/**
+ * Exponential backoff: 5, 10, 20, ... seconds, capped at 5 minutes
+ */
+function backoffSeconds(attempts) {
+  return Math.min(BACKOFF_MAX_SECONDS, BACKOFF_BASE_SECONDS * 2 ** (attempts - 1));
+}
+
+/**
+ * Runs fn over items with at most `limit` calls in progress, keeping the order of the results
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  createSqsQueue,
+  createLocalQueue,
+  createDynamoDeadLetterStore,
+  createLocalDeadLetterStore,
+  drainQueue,
+  replayDeadLetters,
+  backoffSeconds,
+  mapWithConcurrency
+};
@@ -0,0 +1,169 @@
+// Per-participant cooldown shared by the trigger, which claims assessment runs, and the engine, which completes them
+const AWS = require('aws-sdk');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+const DEFAULT_COOLDOWN_SECONDS = 300;
+
+// Longer than an engine run with its retries can take, so only crashed runs stay pending this long
+const DEFAULT_STALE_SECONDS = 3600;
+
+/**
+ * Minimum time between two assessment runs of one participant, from ASSESSMENT_COOLDOWN_SECONDS
+ */
+function getCooldownSeconds() {
+  const configured = Number(process.env.ASSESSMENT_COOLDOWN_SECONDS);
+  return process.env.ASSESSMENT_COOLDOWN_SECONDS !== undefined && configured >= 0
+    ? configured
+    : DEFAULT_COOLDOWN_SECONDS;
+}
+
+/**
+ * Time after which a run that never completed no longer blocks new claims, from ASSESSMENT_STALE_SECONDS
+ * Never shorter than the cooldown
+ */
+function getStaleSeconds() {
+  const configured = Number(process.env.ASSESSMENT_STALE_SECONDS);
+  const staleSeconds = process.env.ASSESSMENT_STALE_SECONDS !== undefined && configured > 0
+    ? configured
+    : DEFAULT_STALE_SECONDS;
+  return Math.max(staleSeconds, getCooldownSeconds());
+}
+
+/**
+ * Claims the next assessment run for a participant
+ * The conditional write lets only one trigger win while the previous run is pending or inside the cooldown,
+ * however many stack changes, schedules and API calls arrive at once
+ * A pending run that has not completed within the stale time is assumed to have crashed and can be claimed over
+ * Returns { claimed: true, claimedAt } or { claimed: false, reason: 'pending' | 'cooldown', retryAfterSeconds }
+ * A refused claim is 'pending' when the previous run has not completed yet and the trigger is coalesced into it;
+ * it then also carries the claimedAt of that run
+ */
+async function claimAssessment(participantId, source, now = Date.now()) {
+  const cooldownMs = getCooldownSeconds() * 1000;
+  const staleMs = getStaleSeconds() * 1000;
+
+  try {
+    await dynamoDB.update({
+      TableName: process.env.SYSTEM_METRICS_TABLE,
+      Key: {
+        metricId: 'last-assessment',
+        participantId
+      },
+      UpdateExpression: 'set #timestamp = :time, #source = :source, #status = :pending remove completedAt',
+      ConditionExpression: 'attribute_not_exists(#timestamp) OR ' +
+        '(#status <> :pending AND #timestamp <= :cutoff) OR #timestamp <= :staleCutoff',
+      ExpressionAttributeNames: {
+        '#timestamp': 'timestamp',
+        '#source': 'source',
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':time': now,
+        ':source': source,
+        ':pending': 'pending',
+        ':cutoff': now - cooldownMs,
+        ':staleCutoff': now - staleMs
+      }
+    }).promise();
+
+    return { claimed: true, claimedAt: now };
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+
+  const previous = await getLastAssessment(participantId);
+  const lastRun = previous && previous.timestamp !== undefined ? previous.timestamp : now;
+
+  if (previous && previous.status === 'pending') {
+    // A run outlasting the cooldown can be retried once it completes; until then, check back after another cooldown
+    const pendingUntil = lastRun + cooldownMs > now ? lastRun + cooldownMs : now + cooldownMs;
+    return { claimed: false, reason: 'pending', claimedAt: lastRun, retryAfterSeconds: Math.max(1, Math.ceil((pendingUntil - now) / 1000)) };
+  }
+  return { claimed: false, reason: 'cooldown', retryAfterSeconds: Math.max(1, Math.ceil((lastRun + cooldownMs - now) / 1000)) };
+}
+
+/**
+ * Gives a claim back when the engine could not be invoked, so the next trigger is not refused
+ * Only removes the claim it made, in case another trigger has claimed a newer run since
+ */
+async function releaseAssessment(participantId, claimedAt) {
+  try {
+    await dynamoDB.delete({
+      TableName: process.env.SYSTEM_METRICS_TABLE,
+      Key: {
+        metricId: 'last-assessment',
+        participantId
+      },
+      ConditionExpression: '#timestamp = :time',
+      ExpressionAttributeNames: { '#timestamp': 'timestamp' },
+      ExpressionAttributeValues: { ':time': claimedAt }
+    }).promise();
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      console.error(`Error releasing assessment claim for ${participantId}:`, error);
+    }
+  }
+}
+
+/**
+ * Marks the participant's run as completed; triggers during the rest of the cooldown are throttled
+ * rather than coalesced into it
+ * Only completes the run claimed at claimedAt, so a run that finishes late leaves a newer claim pending
+ */
+async function completeAssessment(participantId, claimedAt) {
+  if (claimedAt === undefined || claimedAt === null) {
+    // Direct invocations hold no claim
+    return;
+  }
+
+  try {
+    await dynamoDB.update({
+      TableName: process.env.SYSTEM_METRICS_TABLE,
+      Key: {
+        metricId: 'last-assessment',
+        participantId
+      },
+      UpdateExpression: 'set #status = :completed, completedAt = :time',
+      ConditionExpression: '#timestamp = :claimedAt',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        '#timestamp': 'timestamp'
+      },
+      ExpressionAttributeValues: {
+        ':completed': 'completed',
+        ':time': Date.now(),
+        ':claimedAt': claimedAt
+      }
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      console.log(`Assessment claim for ${participantId} was superseded by a newer run`);
+      return;
+    }
+    // Non-critical: a claim left pending becomes stale and can be claimed over
+    console.error(`Error completing assessment claim for ${participantId}:`, error);
+  }
+}
+
+async function getLastAssessment(participantId) {
+  const result = await dynamoDB.get({
+    TableName: process.env.SYSTEM_METRICS_TABLE,
+    Key: {
+      metricId: 'last-assessment',
+      participantId
+    }
+  }).promise();
+
+  return result.Item || null;
+}
+
+module.exports = {
+  claimAssessment,
+  releaseAssessment,
+  completeAssessment,
+  getCooldownSeconds,
+  getStaleSeconds
+};
@@ -0,0 +1,70 @@
+// Tracks the status of each assessment run, so participants can poll the run their request started
+const AWS = require('aws-sdk');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+/**
+ * Records a requested run as queued, unless the engine has already picked it up
+ */
+async function recordQueued({ assessmentId, participantId, source }) {
+  const now = new Date().toISOString();
+
+  await dynamoDB.update({
+    TableName: process.env.ASSESSMENTS_TABLE,
+    Key: { assessmentId },
+    UpdateExpression: 'set participantId = :participantId, #source = if_not_exists(#source, :source), ' +
+      '#status = if_not_exists(#status, :queued), requestedAt = if_not_exists(requestedAt, :time), updatedAt = :time',
+    ExpressionAttributeNames: {
+      '#source': 'source',
+      '#status': 'status'
+    },
+    ExpressionAttributeValues: {
+      ':participantId': participantId,
+      ':source': source,
+      ':queued': 'queued',
+      ':time': now
+    }
+  }).promise();
+}
+
+/**
+ * Updates the status of a run: 'running', 'completed', 'access-denied' or 'failed'
+ * details are stored alongside, e.g. { reportKey, score, passed } or { error }
+ * Non-critical: a run is assessed and scored whether or not its status can be recorded
+ */
+async function updateStatus(assessmentId, participantId, status, details = {}) {
+  const now = new Date().toISOString();
+  const values = { participantId, status, updatedAt: now, ...details };
+  const names = Object.keys(values);
+
+  try {
+    await dynamoDB.update({
+      TableName: process.env.ASSESSMENTS_TABLE,
+      Key: { assessmentId },
+      UpdateExpression: `set requestedAt = if_not_exists(requestedAt, :updatedAt), ${
+        names.map(name => `#${name} = :${name}`).join(', ')}`,
+      ExpressionAttributeNames: Object.fromEntries(names.map(name => [`#${name}`, name])),
+      ExpressionAttributeValues: Object.fromEntries(names.map(name => [`:${name}`, values[name]]))
+    }).promise();
+  } catch (error) {
+    console.error(`Error recording status ${status} for assessment ${assessmentId}:`, error);
+  }
+}
+
+/**
+ * Fetches a run by its ID, or null if there is none
+ */
+async function getAssessment(assessmentId) {
+  const result = await dynamoDB.get({
+    TableName: process.env.ASSESSMENTS_TABLE,
+    Key: { assessmentId }
+  }).promise();
+
+  return result.Item || null;
+}
+
+module.exports = {
+  recordQueued,
+  updateStatus,
+  getAssessment
+};
@@ -0,0 +1,366 @@
+// Built-in reliability checks backed by the stack, code and metrics analyzers
+
+/**
+ * Reads a check result from the stack analysis
+ */
+function fromStack(check) {
+  return context => analysisResult(context.stackAnalysis, check);
+}
+
+/**
+ * Reads a check result from the metrics analysis
+ * Dry runs of undeployed templates have no metrics, so the checks do not apply
+ */
+function fromMetrics(check) {
+  return context => {
+    if (context.metricsAnalysis === null) {
+      return notApplicable('CloudWatch is only read for deployed stacks');
+    }
+    return analysisResult(context.metricsAnalysis, check);
+  };
+}
+
+/**
+ * Reads a check result from the fault-injection stage, which only runs for challenges that enable it
+ */
+function fromFaultInjection(check) {
+  return context => {
+    if (!context.faultInjection) {
+      return notApplicable(context.dryRun
+        ? 'Fault injection only runs against deployed stacks'
+        : 'Fault injection is not enabled for this challenge');
+    }
+    return analysisResult(context.faultInjection, check);
+  };
+}
+
+/**
+ * Reads a check result from the traffic probe, which only runs for challenges that enable it
+ * A probe that could not reach the API fails its checks with the reason as evidence
+ */
+function fromProbe(check) {
+  return context => {
+    if (!context.probe) {
+      return notApplicable(context.dryRun
+        ? 'The traffic probe only runs against deployed stacks'
+        : 'The traffic probe is not enabled for this challenge');
+    }
+    if (context.probe.error) {
+      return { implemented: false, score: 0, evidence: [{ logicalId: null, detail: context.probe.error }] };
+    }
+    return analysisResult(context.probe, check);
+  };
+}
+
+/**
+ * Averages a code pattern across every analyzed Lambda function
+ * Dry runs without a code bundle have no code to analyze, so the checks do not apply
+ */
+function fromCode(pattern) {
+  return context => {
+    if (context.codeAnalyses === null) {
+      return notApplicable('No code bundle was provided for this dry run');
+    }
+    const codeAnalyses = context.codeAnalyses || [];
+    if (codeAnalyses.length === 0) {
+      return { implemented: false, score: 0, evidence: [] };
+    }
+
+    const evidence = [];
+    let total = 0;
+    let implementedEverywhere = true;
+
+    for (const result of codeAnalyses) {
+      const patternResult = !result.error && result.patterns[pattern];
+      const logicalId = findLogicalId(context.stackResources, result.functionName);
+
+      if (!patternResult) {
+        implementedEverywhere = false;
+        evidence.push({
+          logicalId,
+          detail: `${result.functionName}: ${result.error ? errorDetail(result) : 'not analyzed'}`
+        });
+        continue;
+      }
+
+      total += patternResult.score || 0;
+      implementedEverywhere = implementedEverywhere && patternResult.implemented;
+      evidence.push({
+        logicalId,
+        detail: `${result.functionName}: ${patternResult.implemented ? 'implemented' : 'missing'}`
+      });
+
+      // Code patterns may point at the file and line where they were found
+      for (const finding of patternResult.evidence || []) {
+        evidence.push({ logicalId, ...finding });
+      }
+    }
+
+    return {
+      implemented: implementedEverywhere,
+      score: total / codeAnalyses.length,
+      evidence
+    };
+  };
+}
+
+function analysisResult(result, check) {
+  // A misconfigured participant role fails the check with the refused call as evidence
+  if (result && result.accessDenied) {
+    return { implemented: false, score: 0, evidence: [{ logicalId: null, detail: errorDetail(result) }] };
+  }
+  if (!result || result.error || !result.analysis[check]) {
+    return { implemented: false, score: 0, evidence: [] };
+  }
+
+  return result.analysis[check];
+}
+
+function notApplicable(detail) {
+  return { applicable: false, implemented: false, score: 0, evidence: [{ logicalId: null, detail }] };
+}
+
+// Access-denied errors are named as such, so participants know to fix their role rather than their stack
+function errorDetail(result) {
+  return result.accessDenied ? `Access denied: ${result.error}` : result.error;
+}
+
+function findLogicalId(stackResources, physicalId) {
+  const resource = (stackResources || []).find(r => r.PhysicalResourceId === physicalId);
+  return resource ? resource.LogicalResourceId : null;
+}
+
+module.exports = [
+  {
+    id: 'multi-region',
+    category: 'infrastructure',
+    description: 'The workload and its data survive the loss of a region',
+    remediation: 'Deploy the stack to a second region, replicate tables and buckets across regions, and route traffic with Route 53 failover or latency records backed by health checks',
+    wellArchitected: 'REL 10',
+    evaluate: fromStack('multiRegion')
+  },
+  {
+    id: 'dynamodb-backups',
+    category: 'infrastructure',
+    description: 'DynamoDB tables have point-in-time recovery enabled',
+    remediation: 'Set PointInTimeRecoverySpecification.PointInTimeRecoveryEnabled to true on every table',
+    wellArchitected: 'REL 9',
+    evaluate: fromStack('backups')
+  },
+  {
+    id: 'dynamodb-global-tables',
+    category: 'infrastructure',
+    description: 'DynamoDB tables are replicated to other regions as global tables',
+    remediation: 'Declare tables as AWS::DynamoDB::GlobalTable with replicas in at least two regions',
+    wellArchitected: 'REL 10',
+    evaluate: fromStack('globalTables')
+  },
+  {
+    id: 'rds-multi-az',
+    category: 'infrastructure',
+    description: 'RDS databases can fail over to another Availability Zone',
+    remediation: 'Set MultiAZ to true, or run at least two instances in each Aurora cluster',
+    wellArchitected: 'REL 10',
+    evaluate: fromStack('rdsMultiAZ')
+  },
+  {
+    id: 'rds-backups',
+    category: 'infrastructure',
+    description: 'RDS databases keep automated backups for at least a week',
+    remediation: 'Set BackupRetentionPeriod to 7 days or more',
+    wellArchitected: 'REL 9',
+    evaluate: fromStack('rdsBackups')
+  },
+  {
+    id: 's3-data-protection',
+    category: 'infrastructure',
+    description: 'S3 buckets keep object versions and replicate them',
+    remediation: 'Enable VersioningConfiguration and add a ReplicationConfiguration to another bucket',
+    wellArchitected: 'REL 9',
+    evaluate: fromStack('s3DataProtection')
+  },
+  {
+    id: 'retention-policies',
+    category: 'infrastructure',
+    description: 'Stateful resources survive stack deletion and replacement',
+    remediation: 'Set DeletionPolicy and UpdateReplacePolicy to Retain (or Snapshot) on tables, databases, buckets and file systems',
+    wellArchitected: 'REL 9',
+    evaluate: fromStack('retentionPolicies')
+  },
+  {
+    id: 'backup-plans',
+    category: 'infrastructure',
+    description: 'An AWS Backup plan covers the stateful resources',
+    remediation: 'Add an AWS::Backup::BackupPlan with rules and an AWS::Backup::BackupSelection for the stack\'s data stores',
+    wellArchitected: 'REL 9',
+    evaluate: fromStack('backupPlans')
+  },
+  {
+    id: 'error-handling',
+    category: 'errorHandling',
+    description: 'Lambda handlers catch, log and report errors',
+    remediation: 'Wrap handler logic in try/catch, log the error and return a 4xx/5xx response',
+    wellArchitected: 'REL 5',
+    evaluate: fromCode('errorHandling')
+  },
+  {
+    id: 'retry-logic',
+    category: 'errorHandling',
+    description: 'Calls to dependencies are retried with backoff',
+    remediation: 'Retry failed calls with exponential backoff and jitter, or configure SDK retries',
+    wellArchitected: 'REL 5',
+    evaluate: fromCode('retryLogic')
+  },
+  {
+    id: 'circuit-breaker',
+    category: 'errorHandling',
+    description: 'Failing dependencies are isolated with a circuit breaker',
+    remediation: 'Wrap calls to downstream services in a circuit breaker',
+    wellArchitected: 'REL 5',
+    evaluate: fromCode('circuitBreaker')
+  },
+  {
+    id: 'idempotency',
+    category: 'errorHandling',
+    description: 'Writes are idempotent so retries are safe',
+    remediation: 'Use an idempotency key and conditional writes such as attribute_not_exists',
+    wellArchitected: 'REL 4',
+    evaluate: fromCode('idempotency')
+  },
+  {
+    id: 'sqs-dead-letter-queues',
+    category: 'errorHandling',
+    description: 'SQS queues move messages that keep failing to a dead-letter queue',
+    remediation: 'Add a RedrivePolicy with deadLetterTargetArn and maxReceiveCount to every queue',
+    wellArchitected: 'REL 11',
+    evaluate: fromStack('deadLetterQueues')
+  },
+  {
+    id: 'lambda-failure-destinations',
+    category: 'errorHandling',
+    description: 'Failed asynchronous Lambda invocations are kept for reprocessing',
+    remediation: 'Set DeadLetterConfig or an AWS::Lambda::EventInvokeConfig with an OnFailure destination',
+    wellArchitected: 'REL 5',
+    evaluate: fromStack('lambdaFailureDestinations')
+  },
+  {
+    id: 'lambda-timeouts',
+    category: 'errorHandling',
+    description: 'Lambda functions set timeouts that fit their work and event source',
+    remediation: 'Set Timeout explicitly, below the maximum and below the visibility timeout of source queues',
+    wellArchitected: 'REL 5',
+    evaluate: fromStack('lambdaTimeouts')
+  },
+  {
+    id: 'async-processing',
+    category: 'performance',
+    description: 'Work is decoupled through queues, topics or event buses',
+    remediation: 'Hand long-running or bursty work to SQS, SNS or EventBridge',
+    wellArchitected: 'REL 4',
+    evaluate: fromCode('asyncProcessing')
+  },
+  {
+    id: 'dynamodb-capacity',
+    category: 'performance',
+    description: 'DynamoDB capacity follows demand',
+    remediation: 'Use BillingMode PAY_PER_REQUEST or Application Auto Scaling for read and write capacity',
+    wellArchitected: 'REL 7',
+    evaluate: fromStack('dynamoDBCapacity')
+  },
+  {
+    id: 'lambda-concurrency',
+    category: 'performance',
+    description: 'Lambda functions reserve concurrency',
+    remediation: 'Set ReservedConcurrentExecutions above 0 so one function cannot exhaust the account quota',
+    wellArchitected: 'REL 1',
+    evaluate: fromStack('lambdaConcurrency')
+  },
+  {
+    id: 'api-throttling',
+    category: 'performance',
+    description: 'API Gateway throttles incoming requests',
+    remediation: 'Set ThrottlingRateLimit and ThrottlingBurstLimit on the stage or attach a usage plan with limits',
+    wellArchitected: 'REL 4',
+    evaluate: fromStack('apiThrottling')
+  },
+  {
+    id: 'fault-tolerance',
+    category: 'faultInjection',
+    description: 'Requests keep succeeding while faults are injected into the stack',
+    remediation: 'Absorb dependency failures with queues, retries, fallbacks and capacity in more than one Availability Zone',
+    wellArchitected: 'REL 11',
+    evaluate: fromFaultInjection('faultTolerance')
+  },
+  {
+    id: 'fault-recovery',
+    category: 'faultInjection',
+    description: 'The workload recovers quickly once an injected fault is removed',
+    remediation: 'Let retries, redrives and health checks bring the workload back without manual steps',
+    wellArchitected: 'REL 11',
+    evaluate: fromFaultInjection('faultRecovery')
+  },
+  {
+    id: 'observed-availability',
+    category: 'observedBehavior',
+    description: 'The deployed API answers synthetic requests without server errors or throttling',
+    remediation: 'Fix the 5xx responses and raise throttling limits so normal traffic succeeds',
+    wellArchitected: 'REL 11',
+    evaluate: fromProbe('availability')
+  },
+  {
+    id: 'observed-latency',
+    category: 'observedBehavior',
+    description: 'The deployed API answers within the latency target at p95',
+    remediation: 'Trim cold starts and slow dependencies, or raise memory and provisioned concurrency',
+    wellArchitected: 'REL 7',
+    evaluate: fromProbe('latency')
+  },
+  {
+    id: 'observed-idempotency',
+    category: 'observedBehavior',
+    description: 'Repeated POSTs with the same idempotency key return the original result',
+    remediation: 'Store results by idempotency key and replay them for duplicate requests',
+    wellArchitected: 'REL 4',
+    evaluate: fromProbe('idempotency')
+  },
+  {
+    id: 'health-check-route',
+    category: 'observedBehavior',
+    description: 'The deployed API exposes a health check route that reports healthy',
+    remediation: 'Add a GET /health route that checks the function and its dependencies',
+    wellArchitected: 'REL 11',
+    evaluate: fromProbe('healthCheck')
+  },
+  {
+    id: 'cloudwatch-alarms',
+    category: 'monitoring',
+    description: 'CloudWatch alarms with actions cover the stack resources',
+    remediation: 'Create alarms on Lambda errors, throttles and queue depth that notify an SNS topic',
+    wellArchitected: 'REL 6',
+    evaluate: fromMetrics('alarms')
+  },
+  {
+    id: 'cloudwatch-dashboards',
+    category: 'monitoring',
+    description: 'A CloudWatch dashboard shows the health of the application',
+    remediation: 'Add an AWS::CloudWatch::Dashboard for the key application metrics',
+    wellArchitected: 'REL 6',
+    evaluate: fromMetrics('dashboards')
+  },
+  {
+    id: 'log-retention',
+    category: 'monitoring',
+    description: 'Lambda log groups have a retention period',
+    remediation: 'Declare an AWS::Logs::LogGroup with RetentionInDays for each function',
+    wellArchitected: 'REL 6',
+    evaluate: fromMetrics('logRetention')
+  },
+  {
+    id: 'lambda-health',
+    category: 'monitoring',
+    description: 'Lambda functions run with low error and throttle rates',
+    remediation: 'Investigate failing invocations and raise concurrency limits where functions are throttled',
+    wellArchitected: 'REL 6',
+    evaluate: fromMetrics('lambdaHealth')
+  }
+];
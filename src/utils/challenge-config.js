@@ -0,0 +1,223 @@
+// Loads the per-challenge configuration that selects and weights the reliability checks
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const checkRegistry = require('./check-registry');
+const chaosRunner = require('./chaos-runner');
+const defaultConfig = require('../config/default-challenge.json');
+
+const s3 = new AWS.S3();
+
+const INSPECTION_MODES = ['template', 'live', 'both'];
+
+const PROBE_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Config named by CHALLENGE_CONFIG, loaded once per container
+let challengeConfigPromise = null;
+
+/**
+ * Loads a challenge config from an s3://bucket/key URL or a local JSON/YAML file
+ * Falls back to the default config when no location is given
+ */
+async function loadChallengeConfig(location) {
+  if (!location) {
+    return normalizeChallengeConfig(defaultConfig);
+  }
+
+  let body;
+  if (location.startsWith('s3://')) {
+    const [bucket, ...key] = location.replace('s3://', '').split('/');
+    const response = await s3.getObject({
+      Bucket: bucket,
+      Key: key.join('/')
+    }).promise();
+    body = response.Body.toString('utf8');
+  } else {
+    body = fs.readFileSync(path.resolve(location), 'utf8');
+  }
+
+  return parseChallengeConfig(body);
+}
+
+/**
+ * Loads the challenge config named by CHALLENGE_CONFIG (s3:// URL or file path)
+ */
+function getChallengeConfig() {
+  if (!challengeConfigPromise) {
+    challengeConfigPromise = loadChallengeConfig(process.env.CHALLENGE_CONFIG)
+      .catch(error => {
+        // Retry on the next invocation rather than caching the failure
+        challengeConfigPromise = null;
+        throw error;
+      });
+  }
+
+  return challengeConfigPromise;
+}
+
+/**
+ * Parses a JSON or YAML challenge config
+ */
+function parseChallengeConfig(body) {
+  // JSON is a subset of YAML, so one parser covers both formats
+  const raw = yaml.load(body);
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Challenge config must be a JSON or YAML object');
+  }
+
+  return normalizeChallengeConfig(raw);
+}
+
+/**
+ * Fills in defaults and validates the checks, weights and threshold of a config
+ */
+function normalizeChallengeConfig(raw) {
+  const config = {
+    challengeId: raw.challengeId || defaultConfig.challengeId,
+    name: raw.name || raw.challengeId || defaultConfig.name,
+    passingScore: raw.passingScore === undefined ? defaultConfig.passingScore : Number(raw.passingScore),
+    inspectionMode: raw.inspectionMode || defaultConfig.inspectionMode,
+    stacks: normalizeStacks(raw.stacks || {}),
+    categoryWeights: { ...defaultConfig.categoryWeights, ...(raw.categoryWeights || {}) },
+    checks: (raw.checks || defaultConfig.checks).map(entry =>
+      typeof entry === 'string' ? { id: entry } : { ...entry }
+    ),
+    multiRegion: {
+      regions: [],
+      stackSetName: null,
+      ...(defaultConfig.multiRegion || {}),
+      ...(raw.multiRegion || {})
+    },
+    faultInjection: normalizeFaultInjection(raw.faultInjection || {}),
+    probe: normalizeProbe(raw.probe || {})
+  };
+
+  if (Number.isNaN(config.passingScore) || config.passingScore < 0 || config.passingScore > 100) {
+    throw new Error(`Invalid passingScore: ${raw.passingScore}`);
+  }
+  if (!INSPECTION_MODES.includes(config.inspectionMode)) {
+    throw new Error(`Invalid inspectionMode: ${config.inspectionMode}`);
+  }
+  if (!Array.isArray(config.multiRegion.regions) ||
+      config.multiRegion.regions.some(region => typeof region !== 'string')) {
+    throw new Error('multiRegion.regions must be a list of region names');
+  }
+  if (config.checks.length === 0) {
+    throw new Error('Challenge config must select at least one check');
+  }
+
+  for (const entry of config.checks) {
+    // Throws for unknown check IDs
+    const check = checkRegistry.getCheck(entry.id);
+
+    if (entry.weight !== undefined && !(Number(entry.weight) >= 0)) {
+      throw new Error(`Invalid weight for check ${entry.id}: ${entry.weight}`);
+    }
+    if (entry.weight !== undefined) {
+      entry.weight = Number(entry.weight);
+    }
+    if (config.categoryWeights[check.category] === undefined) {
+      throw new Error(`No weight configured for category ${check.category} of check ${entry.id}`);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Fills in the stack naming defaults and validates the name patterns
+ */
+function normalizeStacks(raw) {
+  const stacks = { ...defaultConfig.stacks, ...raw };
+
+  if (!Array.isArray(stacks.namePatterns) || !Array.isArray(stacks.stages)) {
+    throw new Error('stacks.namePatterns and stacks.stages must be lists');
+  }
+  if (stacks.namePatterns.length === 0 && !stacks.participantTag) {
+    throw new Error('stacks needs a participantTag or at least one name pattern');
+  }
+  for (const pattern of stacks.namePatterns) {
+    if (!pattern.includes('{participantId}')) {
+      throw new Error(`Stack name pattern must contain {participantId}: ${pattern}`);
+    }
+    if (pattern.includes('{stage}') && stacks.stages.length === 0) {
+      throw new Error(`Stack name pattern uses {stage} but no stages are configured: ${pattern}`);
+    }
+  }
+
+  return stacks;
+}
+
+/**
+ * Fills in the fault-injection defaults and validates the experiments of an enabled stage
+ */
+function normalizeFaultInjection(raw) {
+  const defaults = defaultConfig.faultInjection;
+  const faultInjection = {
+    ...defaults,
+    ...raw,
+    enabled: raw.enabled === true,
+    experiments: raw.experiments || defaults.experiments,
+    traffic: { ...defaults.traffic, ...(raw.traffic || {}) }
+  };
+
+  if (!faultInjection.enabled) {
+    return faultInjection;
+  }
+
+  if (faultInjection.experiments.length === 0) {
+    throw new Error('faultInjection.experiments must list at least one experiment');
+  }
+  for (const experiment of faultInjection.experiments) {
+    if (!chaosRunner.EXPERIMENTS[experiment.type]) {
+      throw new Error(`Unknown fault injection experiment: ${experiment.type}`);
+    }
+    if (experiment.type === 'dynamodb-errors' && !experiment.proxyUrl) {
+      throw new Error('The dynamodb-errors experiment needs a proxyUrl');
+    }
+  }
+  if (!faultInjection.traffic.url) {
+    throw new Error('faultInjection.traffic.url is required to send synthetic traffic');
+  }
+  if (!(faultInjection.recoveryTimeoutSeconds >= faultInjection.recoveryTargetSeconds)) {
+    throw new Error('faultInjection.recoveryTimeoutSeconds must not be less than recoveryTargetSeconds');
+  }
+
+  return faultInjection;
+}
+
+/**
+ * Fills in the traffic probe defaults and validates its request script
+ */
+function normalizeProbe(raw) {
+  const probe = {
+    ...defaultConfig.probe,
+    ...raw,
+    enabled: raw.enabled === true
+  };
+
+  probe.script.forEach((step, index) => {
+    if (typeof step.path !== 'string' || !step.path.startsWith('/')) {
+      throw new Error(`probe.script[${index}].path must start with /`);
+    }
+    if (step.method && !PROBE_METHODS.includes(step.method.toUpperCase())) {
+      throw new Error(`Invalid method for probe.script[${index}]: ${step.method}`);
+    }
+    if (step.repeat !== undefined && !(Number.isInteger(step.repeat) && step.repeat > 0)) {
+      throw new Error(`probe.script[${index}].repeat must be a positive integer`);
+    }
+  });
+  if (!Array.isArray(probe.healthPaths)) {
+    throw new Error('probe.healthPaths must be a list of paths');
+  }
+
+  return probe;
+}
+
+module.exports = {
+  getChallengeConfig,
+  loadChallengeConfig,
+  parseChallengeConfig,
+  normalizeChallengeConfig
+};
@@ -0,0 +1,335 @@
+// Experiment runners for the fault-injection stage: one that acts on AWS, one that simulates a workload locally
+const participantSession = require('./participant-session');
+const axios = require('axios');
+
+// Clients for the assessed participant's account
+const lambda = () => participantSession.getClient('Lambda');
+const ec2 = () => participantSession.getClient('EC2');
+
+// Experiments a runner can inject, with the stack resources each one targets
+const EXPERIMENTS = {
+  'lambda-throttle': {
+    resourceType: 'AWS::Lambda::Function',
+    description: 'Lambda throttled to zero reserved concurrency'
+  },
+  'dynamodb-errors': {
+    resourceType: 'AWS::Lambda::Function',
+    description: 'DynamoDB calls routed through an error-injecting proxy'
+  },
+  'az-outage': {
+    resourceType: 'AWS::EC2::Subnet',
+    description: 'Subnets in one Availability Zone cut off from their routes'
+  }
+};
+
+// Environment variable the AWS SDKs read a DynamoDB endpoint override from
+const DEFAULT_ENDPOINT_VARIABLE = 'AWS_ENDPOINT_URL_DYNAMODB';
+
+// Tag on the route tables the az-outage experiment creates, so a subnet left on one is recognized
+const ISOLATED_TABLE_TAG = 'rae:fault-injection';
+
+/**
+ * Creates a runner that injects faults into the participant's AWS resources and sends HTTP traffic
+ * A runner implements:
+ * - inject(experiment, targets, record) -> state, where targets are stack resources of the experiment's type;
+ *   record(state) is awaited before each change, so the state survives a run that dies before reverting.
+ *   An inject that fails partway throws an error whose partialState reverts what it already changed.
+ *   A target that already looks faulted is refused, so a fault left in place is never recorded as the baseline
+ * - revert(experiment, state) undoes inject; it can run again on a state that is already reverted
+ * - sendRequest(traffic) -> { ok, statusCode, latencyMs }
+ * - wait(ms) and now() so simulators can run on a virtual clock
+ */
+function createAwsRunner() {
+  return {
+    inject: (experiment, targets, record = async () => {}) => INJECTORS[experiment.type].inject(experiment, targets, record),
+    revert: (experiment, state) => INJECTORS[experiment.type].revert(experiment, state),
+    sendRequest,
+    wait: ms => new Promise(resolve => setTimeout(resolve, ms)),
+    now: () => Date.now()
+  };
+}
+
+const INJECTORS = {
+  'lambda-throttle': {
+    async inject(experiment, targets, record) {
+      const state = [];
+      try {
+        for (const target of targets) {
+          const functionName = target.PhysicalResourceId;
+          const current = await lambda().getFunctionConcurrency({ FunctionName: functionName }).promise();
+          if (current.ReservedConcurrentExecutions === 0) {
+            throw new Error(`${functionName} is already throttled to zero concurrency, possibly by an experiment that was not reverted`);
+          }
+          // Recorded before the change, so a failed put is still reverted
+          state.push({ functionName, previous: current.ReservedConcurrentExecutions });
+          await record(state);
+          await lambda().putFunctionConcurrency({
+            FunctionName: functionName,
+            ReservedConcurrentExecutions: 0
+          }).promise();
+        }
+      } catch (error) {
+        throw withPartialState(error, state);
+      }
+      return state;
+    },
+
+    async revert(experiment, state) {
+      for (const { functionName, previous } of state) {
+        if (previous === undefined || previous === null) {
+          await lambda().deleteFunctionConcurrency({ FunctionName: functionName }).promise();
+        } else {
+          await lambda().putFunctionConcurrency({
+            FunctionName: functionName,
+            ReservedConcurrentExecutions: previous
+          }).promise();
+        }
+      }
+    }
+  },
+
+  'dynamodb-errors': {
+    // Points the function's DynamoDB endpoint at the proxy, which fails a share of the calls it forwards
+    async inject(experiment, targets, record) {
+      const variable = experiment.endpointVariable || DEFAULT_ENDPOINT_VARIABLE;
+      const state = [];
+      try {
+        for (const target of targets) {
+          const functionName = target.PhysicalResourceId;
+          const variables = await getEnvironment(functionName);
+          if (variables[variable] === experiment.proxyUrl) {
+            throw new Error(`${functionName} already sends ${variable} to the fault proxy, possibly from an experiment that was not reverted`);
+          }
+
+          state.push({ functionName, variable, previous: variable in variables ? variables[variable] : null });
+          await record(state);
+          await setEnvironmentVariable(functionName, variable, experiment.proxyUrl);
+        }
+      } catch (error) {
+        throw withPartialState(error, state);
+      }
+      return state;
+    },
+
+    // Restores only the injected variable, keeping any other change made while the fault was active
+    async revert(experiment, state) {
+      for (const { functionName, variable, previous } of state) {
+        await setEnvironmentVariable(functionName, variable, previous);
+      }
+    }
+  },
+
+  'az-outage': {
+    // Moves the subnets of one AZ to an empty route table, leaving only the VPC-local route
+    async inject(experiment, targets, record) {
+      const { Subnets: subnets } = await ec2().describeSubnets({
+        SubnetIds: targets.map(target => target.PhysicalResourceId)
+      }).promise();
+      if (subnets.length === 0) {
+        throw new Error('None of the stack subnets could be described');
+      }
+
+      const availabilityZone = experiment.availabilityZone || subnets[0].AvailabilityZone;
+      const isolatedTables = {};
+      const state = { availabilityZone, associations: [], isolatedTableIds: [] };
+
+      try {
+        for (const subnet of subnets.filter(candidate => candidate.AvailabilityZone === availabilityZone)) {
+          const { routeTable, association } = await findSubnetRouteTable(subnet.SubnetId);
+          if (routeTable && (routeTable.Tags || []).some(tag => tag.Key === ISOLATED_TABLE_TAG)) {
+            throw new Error(`${subnet.SubnetId} is already cut off by an isolated route table, possibly from an experiment that was not reverted`);
+          }
+
+          if (!isolatedTables[subnet.VpcId]) {
+            const { RouteTable } = await ec2().createRouteTable({
+              VpcId: subnet.VpcId,
+              TagSpecifications: [{ ResourceType: 'route-table', Tags: [{ Key: ISOLATED_TABLE_TAG, Value: experiment.type }] }]
+            }).promise();
+            isolatedTables[subnet.VpcId] = RouteTable.RouteTableId;
+            state.isolatedTableIds.push(RouteTable.RouteTableId);
+          }
+          const isolatedTableId = isolatedTables[subnet.VpcId];
+
+          // Subnets without an explicit association use the VPC's main route table
+          state.associations.push({ subnetId: subnet.SubnetId, routeTableId: association ? routeTable.RouteTableId : null });
+          await record(state);
+          if (association) {
+            await ec2().replaceRouteTableAssociation({
+              AssociationId: association.RouteTableAssociationId,
+              RouteTableId: isolatedTableId
+            }).promise();
+          } else {
+            await ec2().associateRouteTable({
+              SubnetId: subnet.SubnetId,
+              RouteTableId: isolatedTableId
+            }).promise();
+          }
+        }
+      } catch (error) {
+        throw withPartialState(error, state);
+      }
+
+      return state;
+    },
+
+    // Looks the associations up again, as a recorded state may come from a run that died before it learned their IDs
+    async revert(experiment, state) {
+      for (const { subnetId, routeTableId } of state.associations) {
+        const { routeTable, association } = await findSubnetRouteTable(subnetId);
+        if (!association || !state.isolatedTableIds.includes(routeTable.RouteTableId)) {
+          continue;
+        }
+        if (routeTableId) {
+          await ec2().replaceRouteTableAssociation({ AssociationId: association.RouteTableAssociationId, RouteTableId: routeTableId }).promise();
+        } else {
+          await ec2().disassociateRouteTable({ AssociationId: association.RouteTableAssociationId }).promise();
+        }
+      }
+      for (const routeTableId of state.isolatedTableIds) {
+        try {
+          await ec2().deleteRouteTable({ RouteTableId: routeTableId }).promise();
+        } catch (error) {
+          if (error.code !== 'InvalidRouteTableID.NotFound') {
+            throw error;
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Attaches the changes an inject made before it failed, so the caller can revert them
+ */
+function withPartialState(error, state) {
+  error.partialState = state;
+  return error;
+}
+
+/**
+ * Finds the route table explicitly associated with a subnet; both are undefined for a subnet on the main route table
+ */
+async function findSubnetRouteTable(subnetId) {
+  const { RouteTables } = await ec2().describeRouteTables({
+    Filters: [{ Name: 'association.subnet-id', Values: [subnetId] }]
+  }).promise();
+  const routeTable = RouteTables[0];
+  const association = routeTable && routeTable.Associations.find(candidate => candidate.SubnetId === subnetId);
+  return { routeTable: association ? routeTable : undefined, association };
+}
+
+async function getEnvironment(functionName) {
+  const configuration = await lambda().getFunctionConfiguration({ FunctionName: functionName }).promise();
+  return (configuration.Environment && configuration.Environment.Variables) || {};
+}
+
+/**
+ * Sets one environment variable of a function, or removes it when value is null, leaving the others as they are now
+ */
+async function setEnvironmentVariable(functionName, name, value) {
+  const variables = { ...await getEnvironment(functionName) };
+  if (value === null) {
+    delete variables[name];
+  } else {
+    variables[name] = value;
+  }
+
+  await lambda().updateFunctionConfiguration({
+    FunctionName: functionName,
+    Environment: { Variables: variables }
+  }).promise();
+  await lambda().waitFor('functionUpdated', { FunctionName: functionName }).promise();
+}
+
+/**
+ * Sends one synthetic request; any 2xx or 3xx response counts as a success
+ */
+async function sendRequest(traffic) {
+  const started = Date.now();
+  try {
+    const response = await axios({
+      method: traffic.method,
+      url: traffic.url,
+      data: traffic.body,
+      timeout: traffic.timeoutMs,
+      validateStatus: () => true
+    });
+    return {
+      ok: response.status >= 200 && response.status < 400,
+      statusCode: response.status,
+      latencyMs: Date.now() - started
+    };
+  } catch (error) {
+    return { ok: false, statusCode: null, latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+/**
+ * Creates a runner that simulates a workload in memory, for tests and offline runs
+ * options.faults maps an experiment type to how the workload behaves under it:
+ * { errorRate } while the fault is active and { recoveryRequests } that still fail after it is reverted
+ * Time is virtual: wait() advances the clock without sleeping
+ */
+function createLocalSimulator(options = {}) {
+  const faults = options.faults || {};
+  const latencyMs = options.latencyMs || 20;
+  const active = new Set();
+  const events = [];
+  let clock = 0;
+  let phaseRequests = 0;
+  let phaseFailures = 0;
+  let recoveryFailures = 0;
+
+  const startPhase = () => {
+    phaseRequests = 0;
+    phaseFailures = 0;
+  };
+
+  return {
+    events,
+
+    async inject(experiment, targets) {
+      active.add(experiment.type);
+      startPhase();
+      events.push({ action: 'inject', type: experiment.type, targets: targets.map(target => target.LogicalResourceId) });
+      return { targets };
+    },
+
+    async revert(experiment) {
+      active.delete(experiment.type);
+      startPhase();
+      recoveryFailures = (faults[experiment.type] || {}).recoveryRequests || 0;
+      events.push({ action: 'revert', type: experiment.type });
+    },
+
+    async sendRequest() {
+      clock += latencyMs;
+      const errorRate = Math.max(options.baselineErrorRate || 0, ...[...active].map(type => (faults[type] || {}).errorRate || 0));
+
+      // Spread failures evenly so a phase fails exactly errorRate of its requests
+      phaseRequests++;
+      let ok = Math.floor(phaseRequests * errorRate) === phaseFailures;
+      if (!ok) {
+        phaseFailures++;
+      }
+      if (active.size === 0 && recoveryFailures > 0) {
+        recoveryFailures--;
+        ok = false;
+      }
+
+      return { ok, statusCode: ok ? 200 : 503, latencyMs };
+    },
+
+    async wait(ms) {
+      clock += ms;
+    },
+
+    now: () => clock
+  };
+}
+
+module.exports = {
+  EXPERIMENTS,
+  createAwsRunner,
+  createLocalSimulator
+};
@@ -0,0 +1,132 @@
+// Registry of reliability checks that challenges can select and weight through configuration
+const builtinChecks = require('./builtin-checks');
+
+const checks = new Map();
+
+/**
+ * Registers a check definition
+ * A check declares { id, category, weight, description, remediation, wellArchitected, evaluate }
+ * wellArchitected names the Reliability Pillar question it relates to, e.g. 'REL 9',
+ * and evaluate(context) returns { implemented, score, evidence, applicable }
+ * A result with applicable: false (nothing to check) carries no weight in the score
+ */
+function registerCheck(definition) {
+  const { id, category, evaluate } = definition;
+
+  if (!id || !category || typeof evaluate !== 'function') {
+    throw new Error('A check needs an id, a category and an evaluate function');
+  }
+  if (checks.has(id)) {
+    throw new Error(`Check ${id} is already registered`);
+  }
+
+  checks.set(id, {
+    weight: 1,
+    description: '',
+    remediation: '',
+    wellArchitected: null,
+    ...definition
+  });
+}
+
+/**
+ * Returns the definition of a registered check
+ */
+function getCheck(id) {
+  const check = checks.get(id);
+  if (!check) {
+    throw new Error(`Unknown check: ${id}`);
+  }
+  return check;
+}
+
+/**
+ * Lists all registered checks
+ */
+function listChecks() {
+  return [...checks.values()];
+}
+
+/**
+ * Evaluates the checks selected by a challenge config against the analyzer results
+ * Returns one result per check with its category and effective weight
+ */
+function evaluateChecks(config, context) {
+  return config.checks.map(({ id, weight }) => {
+    const check = getCheck(id);
+    let result;
+
+    try {
+      result = check.evaluate(context) || {};
+    } catch (error) {
+      console.error(`Error evaluating check ${id}:`, error);
+      result = { implemented: false, score: 0, error: error.message };
+    }
+
+    const applicable = result.applicable !== false;
+
+    return {
+      id,
+      category: check.category,
+      weight: !applicable ? 0 : weight === undefined ? check.weight : weight,
+      applicable,
+      implemented: !!result.implemented,
+      score: Math.round(result.score || 0),
+      evidence: result.evidence || [],
+      ...(result.error ? { error: result.error } : {})
+    };
+  });
+}
+
+/**
+ * Calculates the weighted reliability score and per-category breakdown
+ * Checks are weighted within their category; categories without selected checks are left out
+ */
+function calculateScore(config, context) {
+  const checks = evaluateChecks(config, context);
+  const totals = {};
+
+  for (const check of checks) {
+    const total = totals[check.category] || { points: 0, weight: 0 };
+    total.points += check.score * check.weight;
+    total.weight += check.weight;
+    totals[check.category] = total;
+  }
+
+  const categories = {};
+  let weightedScore = 0;
+  let totalWeight = 0;
+
+  for (const [category, total] of Object.entries(totals)) {
+    // Categories whose checks all found nothing to check do not count
+    if (total.weight === 0) {
+      continue;
+    }
+
+    const categoryWeight = config.categoryWeights[category];
+    const categoryScore = total.weight > 0 ? Math.round(total.points / total.weight) : 0;
+
+    categories[category] = {
+      weight: categoryWeight,
+      score: categoryScore
+    };
+    weightedScore += categoryScore * categoryWeight;
+    totalWeight += categoryWeight;
+  }
+
+  return {
+    score: totalWeight > 0 ? Math.round(weightedScore / totalWeight) : 0,
+    categories,
+    checks
+  };
+}
+
+builtinChecks.forEach(registerCheck);
+
+module.exports = {
+  registerCheck,
+  getCheck,
+  listChecks,
+  evaluateChecks,
+  calculateScore
+};
@@ -1,44 +1,73 @@
-const AWS = require('aws-sdk');
-const axios = require('axios');
+const participantSession = require('./participant-session');
+const javascriptAnalyzer = require('./javascript-analyzer');
+const pythonAnalyzer = require('./python-analyzer');
+const javaAnalyzer = require('./java-analyzer');
+const goAnalyzer = require('./go-analyzer');
+const packageExtractor = require('./package-extractor');
+const suspicionDetector = require('./suspicion-detector');
 
-// Initialize AWS client
-const lambda = new AWS.Lambda();
+// Client for the assessed participant's account
+const lambda = () => participantSession.getClient('Lambda');
+
+// Language analyzers by Lambda runtime; custom runtimes are assumed to be Go
+const RUNTIME_ANALYZERS = [
+  { runtime: /^nodejs/, language: 'javascript', analyzer: javascriptAnalyzer },
+  { runtime: /^python/, language: 'python', analyzer: pythonAnalyzer },
+  { runtime: /^java/, language: 'java', analyzer: javaAnalyzer },
+  { runtime: /^(go|provided)/, language: 'go', analyzer: goAnalyzer }
+];
 
 /**
  * Analyzes Lambda code for reliability patterns
+ * options.packageBuffer analyzes a deployment package that is not deployed, e.g. in a dry run,
+ * with options.configuration ({ Runtime, Handler }) in place of the function's configuration
  */
-async function analyzeCode(functionName) {
+async function analyzeCode(functionName, options = {}) {
   try {
     console.log(`Analyzing code for Lambda function ${functionName}`);
     
-    // Get the function code
-    const codeResponse = await lambda.getFunction({
-      FunctionName: functionName
-    }).promise();
+    const { configuration, packageBuffer } = options.packageBuffer
+      ? { configuration: options.configuration || {}, packageBuffer: options.packageBuffer }
+      : await downloadFunction(functionName);
+    const { language, analyzer } = getRuntimeAnalyzer(configuration.Runtime);
     
-    // Download code from the signed URL
-    let codeContent = null;
-    if (codeResponse.Code && codeResponse.Code.Location) {
-      const response = await axios.get(codeResponse.Code.Location);
-      codeContent = response.data;
-    }
+    // Pull the handler and its local imports out of the deployment package
+    const { files, skipped } = packageExtractor.extractSourceFiles(packageBuffer, configuration.Handler, language);
     
-    if (!codeContent) {
-      throw new Error('Could not retrieve function code');
+    if (files.length === 0) {
+      throw new Error(`No ${language} source files found in deployment package`);
     }
     
-    // Convert to string if not already
-    const codeString = typeof codeContent === 'string' 
-      ? codeContent 
-      : JSON.stringify(codeContent);
+    // Find reliability patterns in each file, and comments that claim patterns the file does not have
+    const findings = [];
+    const suspicions = [];
+    const analyzedFiles = files.map(file => {
+      try {
+        const fileFindings = analyzer.findPatterns(file.content, file.path);
+        findings.push(...fileFindings);
+        const suspicious = fileFindings
+          .filter(finding => finding.suspicion)
+          .map(finding => ({
+            type: finding.suspicion.type,
+            file: finding.file,
+            line: finding.line,
+            detail: `${finding.detail}: ${finding.suspicion.detail}`
+          }));
+        const comments = analyzer.findComments(file.content, file.path);
+        suspicions.push(...suspicious, ...suspicionDetector.findKeywordComments(comments, fileFindings, file.path));
+        return { path: file.path, findings: fileFindings.length };
+      } catch (error) {
+        console.error(`Error parsing ${file.path} in ${functionName}:`, error);
+        return { path: file.path, findings: 0, error: error.message };
+      }
+    });
     
-    // Analyze code for reliability patterns
     const patterns = {
-      errorHandling: checkErrorHandling(codeString),
-      retryLogic: checkRetryLogic(codeString),
-      circuitBreaker: checkCircuitBreaker(codeString),
-      idempotency: checkIdempotency(codeString),
-      asyncProcessing: checkAsyncProcessing(codeString)
+      errorHandling: discountSuspicious(checkErrorHandling, findings),
+      retryLogic: discountSuspicious(checkRetryLogic, findings),
+      circuitBreaker: discountSuspicious(checkCircuitBreaker, findings),
+      idempotency: discountSuspicious(checkIdempotency, findings),
+      asyncProcessing: discountSuspicious(checkAsyncProcessing, findings)
     };
     
     // Calculate overall code reliability score
@@ -46,7 +75,12 @@ async function analyzeCode(functionName) {
     
     return {
       functionName,
+      runtime: configuration.Runtime || null,
+      language,
+      files: analyzedFiles,
+      skipped,
       patterns,
+      suspicions,
       score
     };
   } catch (error) {
@@ -54,93 +88,167 @@ async function analyzeCode(functionName) {
     return {
       functionName,
       error: error.message,
+      ...(participantSession.isAccessDenied(error) ? { accessDenied: true } : {}),
       score: 0
     };
   }
 }
 
+/**
+ * Fetches a deployed function's configuration and deployment package
+ */
+async function downloadFunction(functionName) {
+  const codeResponse = await lambda().getFunction({
+    FunctionName: functionName
+  }).promise();
+  
+  if (!codeResponse.Code || !codeResponse.Code.Location) {
+    throw new Error('Could not retrieve function code');
+  }
+  
+  return {
+    configuration: codeResponse.Configuration || {},
+    packageBuffer: await packageExtractor.downloadPackage(codeResponse.Code.Location)
+  };
+}
+
+/**
+ * Picks the language analyzer for a Lambda runtime such as nodejs20.x or python3.12
+ * Functions without a runtime setting are analyzed as JavaScript
+ */
+function getRuntimeAnalyzer(runtime) {
+  if (!runtime) {
+    return RUNTIME_ANALYZERS[0];
+  }
+
+  const match = RUNTIME_ANALYZERS.find(entry => entry.runtime.test(runtime));
+  if (!match) {
+    throw new Error(`Unsupported runtime: ${runtime}`);
+  }
+
+  return match;
+}
+
 /**
  * Checks for error handling patterns in code
  */
-function checkErrorHandling(codeString) {
-  const hasTryCatch = codeString.includes('try') && codeString.includes('catch');
-  const hasErrorLogging = codeString.includes('console.error') || 
-                          codeString.includes('logger.error');
-  const hasErrorResponse = codeString.includes('statusCode: 500') || 
-                           codeString.includes('statusCode: 400');
+function checkErrorHandling(findings) {
+  const hasSdkTryCatch = hasFinding(findings, 'errorHandling', 'try-catch-sdk');
+  const hasTryCatch = hasSdkTryCatch || hasFinding(findings, 'errorHandling', 'try-catch');
+  const hasErrorLogging = hasFinding(findings, 'errorHandling', 'error-logging');
+  const hasErrorResponse = hasFinding(findings, 'errorHandling', 'error-response');
   
   return {
     implemented: hasTryCatch,
-    score: (hasTryCatch ? 40 : 0) + 
+    score: (hasSdkTryCatch ? 40 : hasTryCatch ? 20 : 0) + 
            (hasErrorLogging ? 30 : 0) + 
-           (hasErrorResponse ? 30 : 0)
+           (hasErrorResponse ? 30 : 0),
+    evidence: patternEvidence(findings, 'errorHandling')
   };
 }
 
 /**
  * Checks for retry logic in code
+ * SDK retry settings and retry libraries come with backoff built in
  */
-function checkRetryLogic(codeString) {
-  const hasRetry = codeString.includes('retry') || 
-                   codeString.includes('attempt') && codeString.includes('maxAttempts');
-  const hasBackoff = codeString.includes('backoff') || 
-                     codeString.includes('setTimeout') && codeString.includes('Math.pow');
+function checkRetryLogic(findings) {
+  const hasRetryLoop = hasFinding(findings, 'retryLogic', 'retry-loop');
+  const hasManagedRetry = hasFinding(findings, 'retryLogic', 'sdk-retry-config') ||
+                          hasFinding(findings, 'retryLogic', 'retry-library');
+  const hasRetry = hasRetryLoop || hasManagedRetry;
+  const hasBackoff = hasManagedRetry || 
+                     (hasRetryLoop && hasFinding(findings, 'retryLogic', 'backoff'));
   
   return {
     implemented: hasRetry,
     score: (hasRetry ? 60 : 0) + 
-           (hasBackoff ? 40 : 0)
+           (hasBackoff ? 40 : 0),
+    evidence: hasRetry ? patternEvidence(findings, 'retryLogic') : []
   };
 }
 
 /**
  * Checks for circuit breaker pattern in code
  */
-function checkCircuitBreaker(codeString) {
-  const hasCircuitBreaker = codeString.includes('circuitBreaker') || 
-                           (codeString.includes('circuit') && codeString.includes('breaker'));
+function checkCircuitBreaker(findings) {
+  const hasCircuitBreaker = hasFinding(findings, 'circuitBreaker', 'circuit-breaker-usage') || 
+                           hasFinding(findings, 'circuitBreaker', 'custom-circuit-breaker');
+  const hasLibraryOnly = !hasCircuitBreaker && 
+                         hasFinding(findings, 'circuitBreaker', 'circuit-breaker-library');
   
   return {
     implemented: hasCircuitBreaker,
-    score: hasCircuitBreaker ? 100 : 0
+    score: hasCircuitBreaker ? 100 : hasLibraryOnly ? 50 : 0,
+    evidence: patternEvidence(findings, 'circuitBreaker')
   };
 }
 
 /**
  * Checks for idempotency implementation in code
  */
-function checkIdempotency(codeString) {
-  const hasIdempotencyToken = codeString.includes('idempotency') || 
-                              codeString.includes('requestId');
-  const hasConditionalWrite = codeString.includes('ConditionalExpression') || 
-                             codeString.includes('attribute_not_exists');
+function checkIdempotency(findings) {
+  const hasLibrary = hasFinding(findings, 'idempotency', 'idempotency-library');
+  const hasIdempotencyToken = hasFinding(findings, 'idempotency', 'idempotency-key');
+  const hasConditionalWrite = hasFinding(findings, 'idempotency', 'conditional-write');
   
   return {
-    implemented: hasIdempotencyToken || hasConditionalWrite,
-    score: (hasIdempotencyToken ? 50 : 0) + 
-           (hasConditionalWrite ? 50 : 0)
+    implemented: hasLibrary || hasIdempotencyToken || hasConditionalWrite,
+    score: hasLibrary ? 100 : 
+           (hasIdempotencyToken ? 50 : 0) + 
+           (hasConditionalWrite ? 50 : 0),
+    evidence: patternEvidence(findings, 'idempotency')
   };
 }
 
 /**
  * Checks for asynchronous processing patterns in code
  */
-function checkAsyncProcessing(codeString) {
-  const hasSQS = codeString.includes('SQS') || 
-                 codeString.includes('sendMessage');
-  const hasSNS = codeString.includes('SNS') || 
-                 codeString.includes('publish');
-  const hasEventBridge = codeString.includes('EventBridge') || 
-                         codeString.includes('putEvents');
+function checkAsyncProcessing(findings) {
+  const hasSQS = hasFinding(findings, 'asyncProcessing', 'sqs');
+  const hasSNS = hasFinding(findings, 'asyncProcessing', 'sns');
+  const hasEventBridge = hasFinding(findings, 'asyncProcessing', 'eventbridge');
   
   return {
     implemented: hasSQS || hasSNS || hasEventBridge,
     score: (hasSQS ? 40 : 0) + 
            (hasSNS ? 30 : 0) + 
-           (hasEventBridge ? 30 : 0)
+           (hasEventBridge ? 30 : 0),
+    evidence: patternEvidence(findings, 'asyncProcessing')
+  };
+}
+
+/**
+ * Runs a pattern check so that findings in dead code or keyword-only matches earn only part of
+ * the points they add; the pattern only counts as implemented on the strength of trusted findings
+ */
+function discountSuspicious(check, findings) {
+  const result = check(findings);
+  const trusted = findings.filter(finding => !finding.suspicion);
+  if (trusted.length === findings.length) {
+    return result;
+  }
+
+  const trustedResult = check(trusted);
+  return {
+    ...result,
+    implemented: trustedResult.implemented,
+    score: trustedResult.score + (result.score - trustedResult.score) * suspicionDetector.SUSPICIOUS_WEIGHT
   };
 }
 
+function hasFinding(findings, pattern, kind) {
+  return findings.some(finding => finding.pattern === pattern && finding.kind === kind);
+}
+
+/**
+ * Lists where a pattern was found as { file, line, detail }, with the suspicion of suspicious findings
+ */
+function patternEvidence(findings, pattern) {
+  return findings
+    .filter(finding => finding.pattern === pattern)
+    .map(({ file, line, detail, suspicion }) => ({ file, line, detail, ...(suspicion ? { suspicion } : {}) }));
+}
+
 /**
  * Calculates overall code reliability score
  */
@@ -165,6 +273,7 @@ function calculateCodeScore(patterns) {
 
 module.exports = {
   analyzeCode,
+  getRuntimeAnalyzer,
   checkErrorHandling,
   checkRetryLogic,
   checkCircuitBreaker,
@@ -0,0 +1,320 @@
+// Optional assessment stage that injects faults into the participant's stack and measures how it copes
+const AWS = require('aws-sdk');
+const chaosRunner = require('./chaos-runner');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+// Consecutive successful requests after a revert that count as recovered
+const RECOVERY_STREAK = 3;
+
+// SYSTEM_METRICS_TABLE item holding a participant's fault until it is reverted
+const PENDING_FAULT_METRIC_ID = 'pending-fault';
+
+/**
+ * Runs the challenge's experiments one after another against the participant's stack
+ * Each experiment sends traffic before, during and after the fault and always reverts the fault
+ * The journal records each fault before it is injected; a fault an earlier run left in place is reverted first,
+ * and while one cannot be reverted no experiment runs
+ * options.runner replaces the AWS runner, e.g. with chaosRunner.createLocalSimulator() in tests;
+ * options.journal replaces the DynamoDB journal, which a custom runner without one keeps in memory
+ * Returns { experiments, analysis: { faultTolerance, faultRecovery } }
+ */
+async function runFaultInjection({ participantId, stackResources, config, runner, journal }) {
+  const activeRunner = runner || chaosRunner.createAwsRunner();
+  const activeJournal = journal || (runner ? createLocalFaultJournal() : createDynamoFaultJournal(participantId));
+  const traffic = {
+    ...config.traffic,
+    url: config.traffic.url && config.traffic.url.replace('{participantId}', participantId)
+  };
+  const experiments = [];
+
+  let blocked = await revertLeftoverFault(activeRunner, activeJournal);
+  for (const experiment of config.experiments) {
+    const targets = findTargets(experiment, stackResources || []);
+    if (blocked) {
+      experiments.push({
+        ...describeExperiment(experiment, targets),
+        status: 'error',
+        error: `An earlier fault is still in place: ${blocked}`
+      });
+      continue;
+    }
+
+    const result = await runExperiment(experiment, { runner: activeRunner, journal: activeJournal, traffic, config, targets });
+    experiments.push(result);
+    blocked = result.revertError || null;
+  }
+
+  return {
+    experiments,
+    analysis: scoreExperiments(experiments, config)
+  };
+}
+
+/**
+ * Reverts the fault recorded by a run that ended before reverting it, e.g. when the engine timed out
+ * Returns null once nothing is left in place, or the error that kept the fault from being reverted
+ */
+async function revertLeftoverFault(runner, journal) {
+  const leftover = await journal.load();
+  if (!leftover) {
+    return null;
+  }
+
+  console.warn(`Reverting ${leftover.experiment.type} left in place by an earlier run`);
+  try {
+    await runner.revert(leftover.experiment, leftover.state);
+    await journal.clear();
+    return null;
+  } catch (error) {
+    console.error(`Error reverting leftover experiment ${leftover.experiment.type}:`, error);
+    return error.message;
+  }
+}
+
+function describeExperiment(experiment, targets) {
+  return {
+    type: experiment.type,
+    description: chaosRunner.EXPERIMENTS[experiment.type].description,
+    targets: targets.map(target => target.LogicalResourceId)
+  };
+}
+
+/**
+ * Runs one experiment: baseline traffic, inject, traffic under the fault, revert, then wait for recovery
+ */
+async function runExperiment(experiment, { runner, journal, traffic, config, targets }) {
+  const result = describeExperiment(experiment, targets);
+
+  if (targets.length === 0) {
+    return { ...result, status: 'skipped', detail: `No ${chaosRunner.EXPERIMENTS[experiment.type].resourceType} resources to target` };
+  }
+
+  let state;
+  try {
+    result.baseline = summarize(await sendTraffic(runner, traffic));
+    state = await runner.inject(experiment, targets, recorded => journal.save(experiment, recorded));
+  } catch (error) {
+    console.error(`Error starting experiment ${experiment.type}:`, error);
+    // An inject that failed partway leaves some targets faulted
+    if (error.partialState) {
+      await revertFault(runner, journal, experiment, error.partialState, result);
+    }
+    return { ...result, status: 'error', error: error.message };
+  }
+
+  try {
+    result.during = summarize(await sendTraffic(runner, traffic));
+  } finally {
+    await revertFault(runner, journal, experiment, state, result);
+  }
+
+  result.recovery = await measureRecovery(runner, traffic, config.recoveryTimeoutSeconds);
+  return { ...result, status: 'completed' };
+}
+
+/**
+ * Reverts an injected fault, recording a failed revert on the result
+ * The journal keeps a fault that could not be reverted, so the next run tries again
+ */
+async function revertFault(runner, journal, experiment, state, result) {
+  try {
+    await runner.revert(experiment, state);
+    await journal.clear();
+  } catch (error) {
+    // The stack may still be degraded, which organizers need to know about
+    console.error(`Error reverting experiment ${experiment.type}:`, error);
+    result.revertError = error.message;
+  }
+}
+
+/**
+ * Journal backed by the participant's pending-fault item in SYSTEM_METRICS_TABLE
+ * Interface shared with createLocalFaultJournal: load() -> { experiment, state } or null, save(experiment, state), clear()
+ */
+function createDynamoFaultJournal(participantId, tableName = process.env.SYSTEM_METRICS_TABLE) {
+  if (!tableName) {
+    throw new Error('SYSTEM_METRICS_TABLE is not configured');
+  }
+  const key = { metricId: PENDING_FAULT_METRIC_ID, participantId };
+
+  return {
+    async load() {
+      const { Item } = await dynamoDB.get({ TableName: tableName, Key: key }).promise();
+      return Item ? { experiment: Item.experiment, state: Item.state } : null;
+    },
+
+    async save(experiment, state) {
+      await dynamoDB.put({
+        TableName: tableName,
+        Item: { ...key, experiment, state, recordedAt: Date.now() }
+      }).promise();
+    },
+
+    async clear() {
+      await dynamoDB.delete({ TableName: tableName, Key: key }).promise();
+    }
+  };
+}
+
+/**
+ * In-memory journal for tests and local runs; saves a copy, as the injector keeps adding to its state
+ */
+function createLocalFaultJournal(pending = null) {
+  let record = pending;
+
+  return {
+    async load() {
+      return record;
+    },
+
+    async save(experiment, state) {
+      record = JSON.parse(JSON.stringify({ experiment, state }));
+    },
+
+    async clear() {
+      record = null;
+    }
+  };
+}
+
+/**
+ * Sends the configured number of requests, one every intervalMs
+ */
+async function sendTraffic(runner, traffic) {
+  const results = [];
+  for (let i = 0; i < traffic.requests; i++) {
+    results.push(await runner.sendRequest(traffic));
+    await runner.wait(traffic.intervalMs);
+  }
+  return results;
+}
+
+/**
+ * Sends requests until RECOVERY_STREAK succeed in a row or the timeout passes
+ * recoverySeconds runs from the revert to the first request of the successful streak
+ */
+async function measureRecovery(runner, traffic, timeoutSeconds) {
+  const started = runner.now();
+  let streak = 0;
+  let streakStarted = null;
+
+  while (runner.now() - started < timeoutSeconds * 1000) {
+    const requestStarted = runner.now();
+    const response = await runner.sendRequest(traffic);
+
+    if (response.ok) {
+      streakStarted = streak === 0 ? requestStarted : streakStarted;
+      streak++;
+      if (streak >= RECOVERY_STREAK) {
+        return { recovered: true, recoverySeconds: (streakStarted - started) / 1000 };
+      }
+    } else {
+      streak = 0;
+    }
+
+    await runner.wait(traffic.intervalMs);
+  }
+
+  return { recovered: false, recoverySeconds: null };
+}
+
+function summarize(responses) {
+  const errors = responses.filter(response => !response.ok).length;
+  return {
+    requests: responses.length,
+    errors,
+    errorRate: responses.length > 0 ? errors / responses.length : 0
+  };
+}
+
+/**
+ * Picks the stack resources an experiment acts on: its target logical ID, or every resource of its type
+ */
+function findTargets(experiment, stackResources) {
+  const { resourceType } = chaosRunner.EXPERIMENTS[experiment.type];
+  return stackResources.filter(resource =>
+    resource.ResourceType === resourceType &&
+    (!experiment.target || resource.LogicalResourceId === experiment.target)
+  );
+}
+
+/**
+ * Turns experiment results into check results
+ * - faultTolerance: share of requests that still succeed under each fault
+ * - faultRecovery: full marks for recovering within recoveryTargetSeconds, falling to 0 at the timeout
+ */
+function scoreExperiments(experiments, config) {
+  const ran = experiments.filter(experiment => experiment.status !== 'skipped');
+  if (ran.length === 0) {
+    const evidence = experiments.map(experiment => ({ logicalId: null, detail: `${experiment.type}: ${experiment.detail}` }));
+    const notApplicable = { applicable: false, implemented: false, score: 0, evidence };
+    return { faultTolerance: notApplicable, faultRecovery: notApplicable };
+  }
+
+  const tolerance = ran.map(experiment => {
+    if (experiment.status === 'error') {
+      return { experiment, score: 0, passed: false, detail: `${experiment.type}: could not run (${experiment.error})` };
+    }
+    const { during, baseline } = experiment;
+    return {
+      experiment,
+      score: 100 * (1 - during.errorRate),
+      passed: during.errorRate <= config.maxErrorRate,
+      detail: `${experiment.type}: ${percent(during.errorRate)} of ${during.requests} requests failed under the fault ` +
+        `(${percent(baseline.errorRate)} before)`
+    };
+  });
+
+  const recovery = ran.map(experiment => {
+    if (experiment.status === 'error') {
+      return { experiment, score: 0, passed: false, detail: `${experiment.type}: could not run (${experiment.error})` };
+    }
+    const { recovered, recoverySeconds } = experiment.recovery;
+    const revertNote = experiment.revertError ? `; revert failed: ${experiment.revertError}` : '';
+    if (!recovered) {
+      return {
+        experiment,
+        score: 0,
+        passed: false,
+        detail: `${experiment.type}: not recovered within ${config.recoveryTimeoutSeconds} seconds${revertNote}`
+      };
+    }
+
+    const overTarget = Math.max(0, recoverySeconds - config.recoveryTargetSeconds);
+    const window = config.recoveryTimeoutSeconds - config.recoveryTargetSeconds;
+    return {
+      experiment,
+      score: window > 0 ? 100 * Math.max(0, 1 - overTarget / window) : (overTarget === 0 ? 100 : 0),
+      passed: recoverySeconds <= config.recoveryTargetSeconds,
+      detail: `${experiment.type}: recovered ${recoverySeconds} seconds after the fault was removed${revertNote}`
+    };
+  });
+
+  return {
+    faultTolerance: combine(tolerance),
+    faultRecovery: combine(recovery)
+  };
+}
+
+function combine(results) {
+  return {
+    implemented: results.every(result => result.passed),
+    score: results.reduce((sum, result) => sum + result.score, 0) / results.length,
+    evidence: results.map(({ experiment, detail }) => ({
+      logicalId: experiment.targets.length === 1 ? experiment.targets[0] : null,
+      detail
+    }))
+  };
+}
+
+function percent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+module.exports = {
+  runFaultInjection,
+  scoreExperiments,
+  createDynamoFaultJournal,
+  createLocalFaultJournal
+};
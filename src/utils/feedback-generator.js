@@ -0,0 +1,110 @@
+// Turns evaluated checks into a participant-facing remediation report
+const checkRegistry = require('./check-registry');
+
+// Well-Architected Reliability Pillar questions referenced by the checks
+const RELIABILITY_QUESTIONS = {
+  'REL 1': 'How do you manage service quotas and constraints?',
+  'REL 2': 'How do you plan your network topology?',
+  'REL 3': 'How do you design your workload service architecture?',
+  'REL 4': 'How do you design interactions in a distributed system to prevent failures?',
+  'REL 5': 'How do you design interactions in a distributed system to mitigate or withstand failures?',
+  'REL 6': 'How do you monitor workload resources?',
+  'REL 7': 'How do you design your workload to adapt to changes in demand?',
+  'REL 8': 'How do you implement change?',
+  'REL 9': 'How do you back up data?',
+  'REL 10': 'How do you use fault isolation to protect your workload?',
+  'REL 11': 'How do you design your workload to withstand component failures?',
+  'REL 12': 'How do you test reliability?',
+  'REL 13': 'How do you plan for disaster recovery (DR)?'
+};
+
+/**
+ * Builds the assessment report for a participant
+ * checks are the results of checkRegistry.evaluateChecks; points add up to 100 across all checks
+ * suspicions list evidence that looks placed to game the checks, for organizer review; they never block the flag
+ * accessDenied lists analyses the participant's role refused, as { source, resource, detail }
+ */
+function generateFeedback({ participantId, config, score, categories, checks, drift, suspicions, accessDenied, timestamp }) {
+  const pointsPossible = calculatePointsPossible(checks, config);
+
+  const checkFeedback = checks.map((result, index) => {
+    const check = checkRegistry.getCheck(result.id);
+    const possible = pointsPossible[index];
+
+    return {
+      id: result.id,
+      category: result.category,
+      description: check.description,
+      applicable: result.applicable !== false,
+      passed: result.implemented,
+      score: result.score,
+      pointsEarned: round(possible * result.score / 100),
+      pointsPossible: round(possible),
+      evidence: result.evidence,
+      remediation: result.implemented || result.applicable === false ? null : {
+        suggestion: check.remediation,
+        wellArchitected: check.wellArchitected ? {
+          question: check.wellArchitected,
+          title: RELIABILITY_QUESTIONS[check.wellArchitected] || null
+        } : null
+      },
+      ...(result.error ? { error: result.error } : {})
+    };
+  });
+
+  return {
+    participantId,
+    challengeId: config.challengeId,
+    score,
+    passingScore: config.passingScore,
+    passed: score >= config.passingScore,
+    categories,
+    checks: checkFeedback,
+    improvements: checkFeedback
+      .filter(check => check.passed)
+      .map(check => `✅ ${check.description}`),
+    suggestions: checkFeedback
+      .filter(check => !check.passed && check.applicable)
+      .sort((a, b) => (b.pointsPossible - b.pointsEarned) - (a.pointsPossible - a.pointsEarned))
+      .map(check => `❌ ${check.description}: ${check.remediation.suggestion}` +
+        (check.remediation.wellArchitected ? ` (${check.remediation.wellArchitected.question})` : '')),
+    drift: drift || [],
+    suspicions: suspicions || [],
+    accessDenied: accessDenied || [],
+    timestamp: timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Distributes 100 points over the checks the same way the engine weights the score
+ */
+function calculatePointsPossible(checks, config) {
+  const categoryCheckWeights = {};
+  for (const check of checks) {
+    categoryCheckWeights[check.category] = (categoryCheckWeights[check.category] || 0) + check.weight;
+  }
+
+  // Categories with no applicable checks drop out, as they do from the engine's score
+  const totalCategoryWeight = Object.keys(categoryCheckWeights)
+    .filter(category => categoryCheckWeights[category] > 0)
+    .reduce((sum, category) => sum + config.categoryWeights[category], 0);
+
+  return checks.map(check => {
+    const categoryWeight = categoryCheckWeights[check.category];
+    if (totalCategoryWeight === 0 || categoryWeight === 0) {
+      return 0;
+    }
+
+    const categoryShare = config.categoryWeights[check.category] / totalCategoryWeight;
+    return 100 * categoryShare * (check.weight / categoryWeight);
+  });
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = {
+  generateFeedback,
+  RELIABILITY_QUESTIONS
+};
@@ -0,0 +1,166 @@
+// Issues and verifies per-participant flags derived from a server-side secret
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const secretsManager = new AWS.SecretsManager();
+
+// Flag secret, fetched once per container
+let flagSecretPromise = null;
+
+/**
+ * Fetches the HMAC secret named by FLAG_SECRET_ID from Secrets Manager
+ */
+function getFlagSecret() {
+  if (!process.env.FLAG_SECRET_ID) {
+    return Promise.reject(new Error('FLAG_SECRET_ID is not configured'));
+  }
+
+  if (!flagSecretPromise) {
+    flagSecretPromise = secretsManager.getSecretValue({
+      SecretId: process.env.FLAG_SECRET_ID
+    }).promise()
+      .then(response => response.SecretString)
+      .catch(error => {
+        flagSecretPromise = null;
+        throw error;
+      });
+  }
+
+  return flagSecretPromise;
+}
+
+/**
+ * Derives the flag for a participant, challenge and event
+ * Without the secret the flag cannot be guessed from the participant ID
+ */
+function generateFlag(secret, { participantId, challengeId, eventId }) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(JSON.stringify([challengeId, eventId || '', participantId]))
+    .digest('hex');
+
+  return `CTF{${digest.substring(0, 32)}}`;
+}
+
+/**
+ * Compares two flags in constant time
+ */
+function flagsMatch(expected, submitted) {
+  const expectedBuffer = Buffer.from(String(expected));
+  const submittedBuffer = Buffer.from(String(submitted || '').trim());
+
+  return expectedBuffer.length === submittedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, submittedBuffer);
+}
+
+/**
+ * Reveals the flag once per event; later passing assessments in the same event leave the original reveal untouched
+ * The table keeps one flag per challenge and participant, so passing in a new event replaces the earlier event's flag
+ */
+async function revealFlag({ participantId, challengeId, eventId }) {
+  const secret = await getFlagSecret();
+  const flag = generateFlag(secret, { participantId, challengeId, eventId });
+
+  try {
+    await dynamoDB.put({
+      TableName: process.env.FLAGS_TABLE,
+      Item: {
+        challengeId,
+        participantId,
+        eventId: eventId || null,
+        flag,
+        revealed: true,
+        timestamp: Date.now()
+      },
+      ...revealCondition(eventId)
+    }).promise();
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+
+    await recordAudit({ participantId, challengeId, eventId, action: 'reveal', result: 'already-revealed' });
+    return { revealed: false, alreadyRevealed: true };
+  }
+
+  await recordAudit({ participantId, challengeId, eventId, action: 'reveal', result: 'revealed' });
+  return { revealed: true, alreadyRevealed: false };
+}
+
+/**
+ * Allows the put when nothing was revealed yet, or only in another event
+ */
+function revealCondition(eventId) {
+  if (!eventId) {
+    return { ConditionExpression: 'attribute_not_exists(participantId)' };
+  }
+
+  return {
+    ConditionExpression: 'attribute_not_exists(participantId) OR eventId <> :eventId',
+    ExpressionAttributeValues: { ':eventId': eventId }
+  };
+}
+
+/**
+ * Checks a submitted flag against the one derived for the submitting participant
+ * A flag only counts once it has been revealed to that participant, and only for the event it was revealed in
+ */
+async function verifyFlag({ participantId, challengeId, flag, sourceIp }) {
+  const record = await dynamoDB.get({
+    TableName: process.env.FLAGS_TABLE,
+    Key: { challengeId, participantId }
+  }).promise();
+  const eventId = record.Item ? record.Item.eventId : null;
+
+  let result;
+  if (!record.Item || !record.Item.revealed) {
+    result = 'not-revealed';
+  } else {
+    const secret = await getFlagSecret();
+    const expected = generateFlag(secret, { participantId, challengeId, eventId });
+    result = flagsMatch(expected, flag) ? 'correct' : 'incorrect';
+  }
+
+  await recordAudit({ participantId, challengeId, eventId, action: 'submit', result, sourceIp });
+
+  return {
+    participantId,
+    challengeId,
+    correct: result === 'correct',
+    result
+  };
+}
+
+/**
+ * Appends a reveal or submission attempt to the audit trail
+ * Audit failures are logged but never block a reveal or verification
+ */
+async function recordAudit({ participantId, challengeId, eventId, action, result, sourceIp }) {
+  const timestamp = new Date().toISOString();
+
+  try {
+    await dynamoDB.put({
+      TableName: process.env.FLAG_AUDIT_TABLE,
+      Item: {
+        participantId,
+        auditId: `${timestamp}#${crypto.randomBytes(4).toString('hex')}`,
+        challengeId,
+        eventId: eventId || null,
+        action,
+        result,
+        sourceIp: sourceIp || null,
+        timestamp
+      }
+    }).promise();
+  } catch (error) {
+    console.error(`Error recording flag audit for ${participantId}:`, error);
+  }
+}
+
+module.exports = {
+  generateFlag,
+  flagsMatch,
+  revealFlag,
+  verifyFlag
+};
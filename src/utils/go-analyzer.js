@@ -0,0 +1,209 @@
+// Finds reliability patterns in Go source, ignoring comments and string contents
+const scanner = require('./source-scanner');
+
+const RETRY_LIBRARIES = [
+  'github.com/cenkalti/backoff',
+  'github.com/avast/retry-go',
+  'github.com/hashicorp/go-retryablehttp',
+  'github.com/sethvargo/go-retry'
+];
+const CIRCUIT_BREAKER_LIBRARIES = [
+  'github.com/sony/gobreaker',
+  'github.com/afex/hystrix-go',
+  'github.com/rubyist/circuitbreaker',
+  'github.com/eapache/go-resiliency/breaker',
+  'github.com/mercari/go-circuitbreaker'
+];
+
+const ERROR_LOG_CALL = /\b(log|logger|slog)\.(Print\w*|Fatal\w*|Panic\w*|Error\w*|Warn\w*)\(|\bfmt\.Fprint\w*\(\s*os\.Stderr/;
+const ERROR_STATUS = /\bStatusCode:\s*(?:(\d{3})\b|http\.(Status\w*(?:Error|Unavailable|BadRequest|NotFound|Unauthorized|Forbidden|Conflict|TooManyRequests)\b))/;
+
+// aws-sdk-go v1 and v2 settings that turn on SDK-managed retries
+const SDK_RETRY_SETTINGS = /\bretry\.(AddWithMaxAttempts|NewStandard|NewAdaptiveMode)\(|\bconfig\.(WithRetryer|WithRetryMode)\(|\bconfig\.WithRetryMaxAttempts\(\s*(\d+)?|\bMaxRetries:\s*(?:aws\.Int\()?(\d+)?|\.WithMaxRetries\(\s*(\d+)?/;
+
+/**
+ * Scans a Go file and returns findings in the same shape as the JavaScript analyzer
+ * Go has no exceptions, so `if err != nil` checks stand in for try/catch
+ */
+function findPatterns(source, fileName = 'main.go') {
+  const scan = scanner.scanSource(source, 'go');
+  const { findings, add } = scanner.createFindings(fileName, scan);
+  const { bare, code } = scan;
+  const imports = collectImports(code);
+  const clients = collectSdkClients(bare, imports);
+  const body = imports.block
+    ? bare.substring(0, imports.block.start) + bare.substring(imports.block.start, imports.block.end).replace(/[^\n]/g, ' ') + bare.substring(imports.block.end)
+    : bare;
+  const hasSdkCall = text => clients.size > 0 &&
+    new RegExp(`\\b(${[...clients.keys()].join('|')})\\.\\w+\\(`).test(text);
+
+  for (const { moduleName, index } of imports.modules) {
+    if (matchesLibrary(moduleName, RETRY_LIBRARIES)) {
+      add('retryLogic', 'retry-library', index, `Uses retry library ${moduleName}`);
+    }
+    if (matchesLibrary(moduleName, CIRCUIT_BREAKER_LIBRARIES)) {
+      add('circuitBreaker', 'circuit-breaker-library', index, `Imports circuit breaker library ${moduleName}`);
+    }
+  }
+
+  for (const match of scanner.matchAll(/\bif\s+([^{\n]*;\s*)?err\s*!=\s*nil\s*\{/, bare)) {
+    // The call being checked is in the if statement or in the statement that last assigned err
+    if (hasSdkCall(bare.substring(lastErrAssignment(bare, match.index), match.index + match[0].length))) {
+      add('errorHandling', 'try-catch-sdk', match.index, 'err != nil check after AWS SDK call');
+    } else {
+      add('errorHandling', 'try-catch', match.index, 'err != nil check');
+    }
+
+    const block = scanner.braceBlock(bare, match.index + match[0].length - 1);
+    const logCall = ERROR_LOG_CALL.exec(bare.substring(block.start, block.end));
+    if (logCall) {
+      add('errorHandling', 'error-logging', block.start + logCall.index, `Logs errors with ${logCall[0].replace(/\(.*$/s, '')}`);
+    }
+  }
+
+  for (const match of scanner.matchAll(ERROR_STATUS, bare)) {
+    if (match[2] || Number(match[1]) >= 400) {
+      add('errorHandling', 'error-response', match.index, `Returns error response with status ${match[1] || match[2]}`);
+    }
+  }
+
+  for (const match of scanner.matchAll(/\bfor\b[^{\n]*\{/, bare)) {
+    const block = scanner.braceBlock(bare, match.index + match[0].length - 1);
+    const loop = bare.substring(block.start, block.end);
+    if (/\btime\.Sleep\(/.test(loop) && (/\berr\b/.test(loop) || hasSdkCall(loop))) {
+      add('retryLogic', 'retry-loop', match.index, 'Loop retries with a delay between attempts');
+    }
+  }
+
+  for (const match of scanner.matchAll(/<<|\bmath\.Pow\(/, bare)) {
+    add('retryLogic', 'backoff', match.index, `Exponential delay using ${match[0] === '<<' ? '<<' : 'math.Pow'}`);
+  }
+
+  for (const match of scanner.matchAll(SDK_RETRY_SETTINGS, bare)) {
+    const disabled = (match[3] !== undefined && Number(match[3]) === 1) ||
+      (match[4] !== undefined && Number(match[4]) === 0) ||
+      (match[5] !== undefined && Number(match[5]) === 0);
+    if (!disabled) {
+      add('retryLogic', 'sdk-retry-config', match.index, `SDK client configured with ${match[0].replace(/^\./, '').replace(/[:(].*$/s, '')}`);
+    }
+  }
+
+  for (const [binding, moduleName] of imports.bindings) {
+    if (!matchesLibrary(moduleName, CIRCUIT_BREAKER_LIBRARIES)) {
+      continue;
+    }
+    const usage = new RegExp(`\\b${binding}\\.\\w+`).exec(body);
+    if (usage) {
+      add('circuitBreaker', 'circuit-breaker-usage', usage.index, `Creates circuit breaker with ${moduleName}`);
+    }
+  }
+
+  const customBreaker = scanner.findCustomCircuitBreaker(scan);
+  if (customBreaker !== null) {
+    add('circuitBreaker', 'custom-circuit-breaker', customBreaker, 'Custom circuit breaker with OPEN and HALF_OPEN states');
+  }
+
+  for (const match of scanner.matchAll(/(\[|\.Get\()\s*"([^"\n]*idempoten[^"\n]*)"/i, code)) {
+    add('idempotency', 'idempotency-key', match.index, `Reads idempotency key ${match[2]}`);
+  }
+
+  for (const match of scanner.matchAll(/\.(\w*[Ii]dempoten\w*)/, body)) {
+    add('idempotency', 'idempotency-key', match.index, `Reads idempotency key ${match[1]}`);
+  }
+
+  for (const match of scanner.matchAll(/\b(ClientToken|ClientRequestToken):/, bare)) {
+    add('idempotency', 'idempotency-key', match.index, `Passes ${match[1]} to an AWS API`);
+  }
+
+  for (const match of scanner.matchAll(/\bConditionExpression:/, bare)) {
+    add('idempotency', 'conditional-write', match.index, 'Conditional write with ConditionExpression');
+  }
+
+  // Input types name the service, which the method name alone does not
+  for (const match of scanner.matchAll(/\b(sqs\.SendMessage(?:Batch)?Input|sns\.Publish(?:Batch)?Input|(?:eventbridge|cloudwatchevents)\.PutEventsInput)\b/, bare)) {
+    const service = match[1].startsWith('sqs') ? 'sqs' : match[1].startsWith('sns') ? 'sns' : 'eventbridge';
+    add('asyncProcessing', service, match.index, `Sends work through ${service} (${match[1]})`);
+  }
+
+  return findings;
+}
+
+/**
+ * Finds the start of the line that last assigned err before `index`, looking back a bounded distance
+ */
+function lastErrAssignment(bare, index) {
+  const windowStart = Math.max(0, index - 2000);
+  let assignment = null;
+  for (const match of scanner.matchAll(/\berr\s*:?=[^=]/, bare.substring(windowStart, index))) {
+    assignment = match;
+  }
+
+  return assignment ? bare.lastIndexOf('\n', windowStart + assignment.index) + 1 : index;
+}
+
+/**
+ * Collects imported package paths and the names they bind, e.g. `gobreaker` for github.com/sony/gobreaker/v2
+ */
+function collectImports(code) {
+  const modules = [];
+  const bindings = new Map();
+  let block = null;
+
+  const addImport = (alias, moduleName, index) => {
+    modules.push({ moduleName, index });
+    const segments = moduleName.split('/');
+    const name = alias || (/^v\d+$/.test(segments[segments.length - 1]) ? segments[segments.length - 2] : segments[segments.length - 1]);
+    if (name !== '_' && name !== '.') {
+      bindings.set(name.replace(/-/g, '_'), moduleName);
+    }
+  };
+
+  const grouped = /^[ \t]*import\s*\(([^)]*)\)/m.exec(code);
+  if (grouped) {
+    block = { start: grouped.index, end: grouped.index + grouped[0].length };
+    const offset = grouped.index + grouped[0].indexOf('(') + 1;
+    for (const match of scanner.matchAll(/^[ \t]*(\w+|_|\.)?[ \t]*"([^"]+)"/m, grouped[1])) {
+      addImport(match[1], match[2], offset + match.index);
+    }
+  }
+
+  for (const match of scanner.matchAll(/^[ \t]*import[ \t]+(\w+|_|\.)?[ \t]*"([^"]+)"/m, code)) {
+    addImport(match[1], match[2], match.index);
+  }
+
+  return { modules, bindings, block };
+}
+
+/**
+ * Collects variables holding clients created from aws-sdk-go service packages
+ */
+function collectSdkClients(bare, imports) {
+  const clients = new Map();
+  const servicePackages = [...imports.bindings]
+    .filter(([, moduleName]) => moduleName.startsWith('github.com/aws/aws-sdk-go'))
+    .map(([binding]) => binding);
+
+  for (const match of scanner.matchAll(/\b(\w+)\s*:?=\s*(\w+)\.(New|NewFromConfig)\(/, bare)) {
+    if (servicePackages.includes(match[2])) {
+      clients.set(match[1], match[2]);
+    }
+  }
+
+  return clients;
+}
+
+function matchesLibrary(moduleName, libraries) {
+  return libraries.some(library => moduleName === library || moduleName.startsWith(`${library}/`));
+}
+
+/**
+ * Lists the comments in a source file as { text, line }
+ */
+function findComments(source) {
+  return scanner.findComments(source, 'go');
+}
+
+module.exports = {
+  findPatterns,
+  findComments
+};
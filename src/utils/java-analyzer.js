@@ -0,0 +1,182 @@
+// Finds reliability patterns in Java source, ignoring comments and string contents
+const scanner = require('./source-scanner');
+
+const RETRY_LIBRARIES = ['io.github.resilience4j.retry', 'dev.failsafe', 'net.jodah.failsafe', 'org.springframework.retry'];
+const CIRCUIT_BREAKER_LIBRARIES = [
+  'io.github.resilience4j.circuitbreaker',
+  'com.netflix.hystrix',
+  'dev.failsafe.CircuitBreaker',
+  'net.jodah.failsafe.CircuitBreaker'
+];
+const IDEMPOTENCY_LIBRARIES = ['software.amazon.lambda.powertools.idempotency'];
+
+const DELAY_CALL = /\b(Thread\.sleep|TimeUnit\.\w+\.sleep)\(/;
+const ERROR_LOG_CALL = /\b(logger|log|LOG|LOGGER)\.(error|warn)\(|\bSystem\.err\.print\w*\(|\.getLogger\(\)\.log\(/;
+
+// Client builder settings that turn on SDK-managed retries
+const SDK_RETRY_SETTINGS = /\bRetryPolicy\b|\bRetryMode\.\w+|\.retryStrategy\(|\.(numRetries|withMaxErrorRetry)\(\s*(\d+)?|\.maxAttempts\(\s*(\d+)?/;
+
+/**
+ * Scans a Java file and returns findings in the same shape as the JavaScript analyzer
+ */
+function findPatterns(source, fileName = 'Handler.java') {
+  const scan = scanner.scanSource(source, 'java');
+  const { findings, add } = scanner.createFindings(fileName, scan);
+  const { bare, code } = scan;
+  const imports = collectImports(bare);
+  const clients = collectSdkClients(bare);
+  const body = bare.replace(/^[ \t]*(import|package)\b[^;]*;/gm, statement => statement.replace(/[^\n]/g, ' '));
+  const hasSdkCall = text => clients.size > 0 &&
+    new RegExp(`\\b(${[...clients.keys()].join('|')})\\.\\w+\\(`).test(text);
+
+  for (const { moduleName, index } of imports.modules) {
+    if (matchesLibrary(moduleName, RETRY_LIBRARIES)) {
+      add('retryLogic', 'retry-library', index, `Uses retry library ${moduleName}`);
+    }
+    if (matchesLibrary(moduleName, CIRCUIT_BREAKER_LIBRARIES)) {
+      add('circuitBreaker', 'circuit-breaker-library', index, `Imports circuit breaker library ${moduleName}`);
+    }
+    if (matchesLibrary(moduleName, IDEMPOTENCY_LIBRARIES)) {
+      add('idempotency', 'idempotency-library', index, `Uses idempotency library ${moduleName}`);
+    }
+  }
+
+  // try-with-resources without a catch clause does not handle errors
+  for (const match of scanner.matchAll(/\btry\s*(\([^)]*\)\s*)?\{/, bare)) {
+    const block = scanner.braceBlock(bare, match.index + match[0].length - 1);
+    if (!/^\s*catch\b/.test(bare.substring(block.end))) {
+      continue;
+    }
+
+    if (hasSdkCall(bare.substring(block.start, block.end))) {
+      add('errorHandling', 'try-catch-sdk', match.index, 'try/catch around AWS SDK call');
+    } else {
+      add('errorHandling', 'try-catch', match.index, 'try/catch block');
+    }
+  }
+
+  for (const match of scanner.matchAll(/\bcatch\s*\([^)]*\)\s*\{/, bare)) {
+    const block = scanner.braceBlock(bare, match.index + match[0].length - 1);
+    const logCall = ERROR_LOG_CALL.exec(bare.substring(block.start, block.end));
+    if (logCall) {
+      add('errorHandling', 'error-logging', block.start + logCall.index, `Logs errors with ${logCall[0].replace(/^\./, '').slice(0, -1)}`);
+    }
+  }
+
+  for (const match of scanner.matchAll(/\b(setStatusCode|withStatusCode|statusCode)\(\s*(\d{3})\s*\)|"statusCode"\s*,\s*(\d{3})\b/, code)) {
+    const status = Number(match[2] || match[3]);
+    if (status >= 400) {
+      add('errorHandling', 'error-response', match.index, `Returns error response with status ${status}`);
+    }
+  }
+
+  for (const match of scanner.matchAll(/\b(for|while)\s*\(|\bdo\s*\{/, bare)) {
+    const block = scanner.braceBlock(bare, match.index);
+    const loop = bare.substring(block.start, block.end);
+    if (DELAY_CALL.test(loop) && (/\btry\b/.test(loop) || hasSdkCall(loop))) {
+      add('retryLogic', 'retry-loop', match.index, 'Loop retries with a delay between attempts');
+    }
+  }
+
+  for (const match of scanner.matchAll(/<<|\bMath\.pow\(/, bare)) {
+    add('retryLogic', 'backoff', match.index, `Exponential delay using ${match[0] === '<<' ? '<<' : 'Math.pow'}`);
+  }
+
+  for (const match of scanner.matchAll(SDK_RETRY_SETTINGS, body)) {
+    const disabled = (match[2] !== undefined && Number(match[2]) === 0) ||
+      (match[3] !== undefined && Number(match[3]) === 1);
+    if (!disabled) {
+      add('retryLogic', 'sdk-retry-config', match.index, `SDK client configured with ${match[0].replace(/^\./, '').replace(/\(.*$/, '')}`);
+    }
+  }
+
+  for (const [binding, moduleName] of imports.bindings) {
+    if (!matchesLibrary(moduleName, CIRCUIT_BREAKER_LIBRARIES)) {
+      continue;
+    }
+    const usage = new RegExp(`\\b${binding}\\b`).exec(body);
+    if (usage) {
+      add('circuitBreaker', 'circuit-breaker-usage', usage.index, `Creates circuit breaker with ${moduleName}`);
+    }
+  }
+
+  const customBreaker = scanner.findCustomCircuitBreaker(scan);
+  if (customBreaker !== null) {
+    add('circuitBreaker', 'custom-circuit-breaker', customBreaker, 'Custom circuit breaker with OPEN and HALF_OPEN states');
+  }
+
+  for (const match of scanner.matchAll(/\.get\w*\(\s*"([^"\n]*idempoten[^"\n]*)"/i, code)) {
+    add('idempotency', 'idempotency-key', match.index, `Reads idempotency key ${match[1]}`);
+  }
+
+  for (const match of scanner.matchAll(/\.(\w*[Ii]dempoten\w*)\(/, body)) {
+    add('idempotency', 'idempotency-key', match.index, `Reads idempotency key ${match[1]}`);
+  }
+
+  for (const match of scanner.matchAll(/\.(clientToken|clientRequestToken|withClientToken|withClientRequestToken)\(/, bare)) {
+    add('idempotency', 'idempotency-key', match.index, `Passes ${match[1]} to an AWS API`);
+  }
+
+  for (const match of scanner.matchAll(/\.(conditionExpression|withConditionExpression)\(/, bare)) {
+    add('idempotency', 'conditional-write', match.index, 'Conditional write with ConditionExpression');
+  }
+
+  for (const match of scanner.matchAll(/\b(\w+)\.(sendMessage(?:Batch)?|publish(?:Batch)?|putEvents)\(/, bare)) {
+    const [, receiver, method] = match;
+    const service = method.startsWith('sendMessage') ? 'sqs' : method === 'putEvents' ? 'eventbridge' : 'sns';
+
+    if (service !== 'sns' || /sns/i.test(clients.get(receiver) || receiver)) {
+      add('asyncProcessing', service, match.index, `Sends work through ${service} (${method})`);
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Collects import statements and the simple class names they bind
+ */
+function collectImports(bare) {
+  const modules = [];
+  const bindings = new Map();
+
+  for (const match of scanner.matchAll(/^[ \t]*import\s+(static\s+)?([\w.]+(\.\*)?)\s*;/m, bare)) {
+    const moduleName = match[2];
+    modules.push({ moduleName, index: match.index });
+
+    if (!moduleName.endsWith('.*')) {
+      bindings.set(moduleName.split('.').pop(), moduleName);
+    }
+  }
+
+  return { modules, bindings };
+}
+
+/**
+ * Maps variables declared with an AWS SDK client type to that type
+ */
+function collectSdkClients(bare) {
+  const clients = new Map();
+
+  for (const match of scanner.matchAll(/\b(\w*Client|Amazon\w+)\s+(\w+)\s*[=;,)]/, bare)) {
+    clients.set(match[2], match[1]);
+  }
+
+  return clients;
+}
+
+function matchesLibrary(moduleName, libraries) {
+  return libraries.some(library => moduleName === library || moduleName.startsWith(`${library}.`));
+}
+
+/**
+ * Lists the comments in a source file as { text, line }
+ */
+function findComments(source) {
+  return scanner.findComments(source, 'java');
+}
+
+module.exports = {
+  findPatterns,
+  findComments
+};
@@ -0,0 +1,648 @@
+// Finds reliability patterns in JavaScript and TypeScript source using the syntax tree
+const babelParser = require('@babel/parser');
+
+// Node keys that never contain child nodes worth visiting
+const SKIP_KEYS = new Set([
+  'loc', 'start', 'end', 'extra', 'range',
+  'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens'
+]);
+
+const RETRY_LIBRARIES = ['async-retry', 'p-retry', 'retry', 'exponential-backoff', 'promise-retry', '@aws-sdk/util-retry'];
+const CIRCUIT_BREAKER_LIBRARIES = ['opossum', 'cockatiel', 'brakes', 'mollitia', 'circuit-breaker-js', 'circuitbreaker-lambda'];
+const IDEMPOTENCY_LIBRARIES = ['@aws-lambda-powertools/idempotency'];
+
+// Functions commonly used to wait between attempts
+const DELAY_FUNCTIONS = ['setTimeout', 'sleep', 'delay', 'wait'];
+
+// v2 client methods and v3 commands that hand work off asynchronously
+const ASYNC_CALLS = {
+  sqs: { methods: ['sendMessage', 'sendMessageBatch'], commands: ['SendMessageCommand', 'SendMessageBatchCommand'] },
+  sns: { methods: ['publish', 'publishBatch'], commands: ['PublishCommand', 'PublishBatchCommand'] },
+  eventbridge: { methods: ['putEvents'], commands: ['PutEventsCommand'] }
+};
+
+// Expressions that do nothing when used as a statement on their own
+const NO_EFFECT_EXPRESSIONS = [
+  'Identifier', 'MemberExpression', 'OptionalMemberExpression', 'BinaryExpression', 'ObjectExpression',
+  'ArrayExpression', 'TemplateLiteral', 'StringLiteral', 'NumericLiteral', 'BooleanLiteral', 'NullLiteral',
+  'NewExpression'
+];
+
+const FUNCTION_TYPES = ['FunctionExpression', 'ArrowFunctionExpression', 'ClassExpression'];
+
+/**
+ * Parses a source file and returns the reliability findings in it
+ * Each finding is { pattern, kind, file, line, detail }, plus a suspicion { type, detail }
+ * when it sits in code that never runs ('dead-code') or whose result is never used ('keyword-only')
+ */
+function findPatterns(source, fileName = 'index.js') {
+  const ast = parse(source, fileName);
+  const findings = [];
+  const suspectRegions = findSuspectRegions(ast);
+  const add = (pattern, kind, node, detail, suspicion = suspicionAt(suspectRegions, node)) => findings.push({
+    pattern,
+    kind,
+    file: fileName,
+    line: node.loc ? node.loc.start.line : null,
+    detail,
+    ...(suspicion ? { suspicion } : {})
+  });
+
+  const imports = collectImports(ast);
+  const sdkClients = collectSdkClients(ast);
+  const circuitStates = [];
+
+  for (const { moduleName, node } of imports.modules) {
+    if (RETRY_LIBRARIES.includes(moduleName)) {
+      add('retryLogic', 'retry-library', node, `Uses retry library ${moduleName}`);
+    }
+    if (CIRCUIT_BREAKER_LIBRARIES.includes(moduleName)) {
+      add('circuitBreaker', 'circuit-breaker-library', node, `Imports circuit breaker library ${moduleName}`);
+    }
+    if (IDEMPOTENCY_LIBRARIES.includes(moduleName)) {
+      add('idempotency', 'idempotency-library', node, `Uses idempotency library ${moduleName}`);
+    }
+  }
+
+  walk(ast, (node, ancestors) => {
+    switch (node.type) {
+      case 'TryStatement':
+        if (node.handler) {
+          if (containsNode(node.block, child => isSdkCall(child, sdkClients))) {
+            add('errorHandling', 'try-catch-sdk', node, 'try/catch around AWS SDK call');
+          } else {
+            add('errorHandling', 'try-catch', node, 'try/catch block');
+          }
+        }
+        break;
+
+      case 'CatchClause': {
+        const logCall = findNode(node.body, isErrorLogCall);
+        if (logCall) {
+          add('errorHandling', 'error-logging', logCall, `Logs errors with ${memberPath(logCall.callee)}`);
+        }
+        break;
+      }
+
+      case 'ForStatement':
+      case 'ForOfStatement':
+      case 'ForInStatement':
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+        if (isRetryLoop(node, sdkClients)) {
+          add('retryLogic', 'retry-loop', node, 'Loop retries with a delay between attempts');
+        }
+        break;
+
+      case 'BinaryExpression':
+        if (node.operator === '**' || node.operator === '<<') {
+          add('retryLogic', 'backoff', node, `Exponential delay using ${node.operator}`);
+        }
+        break;
+
+      case 'CallExpression':
+      case 'NewExpression':
+        inspectCall(node, { add, imports, sdkClients });
+        break;
+
+      case 'ObjectExpression':
+        inspectObject(node, add);
+        break;
+
+      case 'MemberExpression':
+      case 'OptionalMemberExpression': {
+        const property = propertyName(node);
+        if (property && /idempoten/i.test(property)) {
+          add('idempotency', 'idempotency-key', node, `Reads idempotency key ${property}`);
+        }
+        break;
+      }
+
+      case 'StringLiteral':
+        if (['OPEN', 'HALF_OPEN', 'HALF-OPEN'].includes(node.value)) {
+          circuitStates.push({ node, compared: isCompared(node, ancestors[ancestors.length - 1]) });
+        }
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  // A hand-rolled breaker needs at least the OPEN and HALF_OPEN states, and has to check which one it is in
+  const halfOpen = circuitStates.find(state => state.node.value !== 'OPEN');
+  if (halfOpen && circuitStates.some(state => state.node.value === 'OPEN')) {
+    const suspicion = circuitStates.some(state => state.compared) ? undefined : {
+      type: 'keyword-only',
+      detail: 'Circuit states are named but never compared'
+    };
+    add('circuitBreaker', 'custom-circuit-breaker', halfOpen.node, 'Custom circuit breaker with OPEN and HALF_OPEN states', suspicion);
+  }
+
+  return findings;
+}
+
+/**
+ * Lists the module names a source file requires or imports
+ */
+function findImports(source, fileName = 'index.js') {
+  const { modules } = collectImports(parse(source, fileName));
+  return [...new Set(modules.map(({ moduleName }) => moduleName))];
+}
+
+/**
+ * Lists the comments in a source file as { text, line }
+ */
+function findComments(source, fileName = 'index.js') {
+  return (parse(source, fileName).comments || []).map(comment => ({
+    text: comment.value,
+    line: comment.loc.start.line
+  }));
+}
+
+/**
+ * Parses JavaScript or TypeScript, tolerating recoverable syntax errors
+ */
+function parse(source, fileName) {
+  const plugins = [];
+  if (/\.tsx?$/.test(fileName)) {
+    plugins.push('typescript');
+  }
+  if (/\.[jt]sx$/.test(fileName)) {
+    plugins.push('jsx');
+  }
+
+  return babelParser.parse(source, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    plugins
+  });
+}
+
+/**
+ * Checks calls for SDK retry strategies, circuit breaker usage and asynchronous hand-offs
+ */
+function inspectCall(node, { add, imports, sdkClients }) {
+  const callee = node.callee;
+  const name = calleeName(callee);
+
+  if (node.type === 'NewExpression' && ['ConfiguredRetryStrategy', 'StandardRetryStrategy', 'AdaptiveRetryStrategy'].includes(name)) {
+    add('retryLogic', 'sdk-retry-config', node, `SDK retry strategy ${name}`);
+  }
+
+  // new CircuitBreaker(fn) from opossum, or circuitBreaker(policy) from cockatiel
+  const rootName = rootIdentifier(callee);
+  if (rootName && CIRCUIT_BREAKER_LIBRARIES.includes(imports.bindings.get(rootName))) {
+    add('circuitBreaker', 'circuit-breaker-usage', node, `Creates circuit breaker with ${imports.bindings.get(rootName)}`);
+  }
+
+  if (IDEMPOTENCY_LIBRARIES.includes(imports.bindings.get(rootName)) && /idempotent/i.test(name || '')) {
+    add('idempotency', 'idempotency-library', node, `Wraps handler with ${name}`);
+  }
+
+  for (const [service, calls] of Object.entries(ASYNC_CALLS)) {
+    const isCommand = node.type === 'NewExpression' && calls.commands.includes(name);
+    const isMethod = node.type === 'CallExpression' &&
+      callee.type === 'MemberExpression' &&
+      calls.methods.includes(name) &&
+      (service !== 'sns' || isSdkReceiver(callee.object, sdkClients) || /sns/i.test(rootName || ''));
+
+    if (isCommand || isMethod) {
+      add('asyncProcessing', service, node, `Sends work through ${service} (${name})`);
+    }
+  }
+}
+
+/**
+ * Checks object literals for SDK retry settings, conditional writes and error responses
+ */
+function inspectObject(node, add) {
+  for (const property of node.properties) {
+    if (property.type !== 'ObjectProperty') {
+      continue;
+    }
+
+    const key = keyName(property);
+    const value = property.value;
+
+    if ((key === 'maxRetries' && !isNumber(value, 0)) ||
+        (key === 'maxAttempts' && !isNumber(value, 1)) ||
+        key === 'retryStrategy' ||
+        key === 'retryMode') {
+      add('retryLogic', 'sdk-retry-config', property, `SDK client configured with ${key}`);
+    }
+
+    if (key === 'ConditionExpression') {
+      add('idempotency', 'conditional-write', property, 'Conditional write with ConditionExpression');
+    }
+
+    if (key === 'ClientToken' || key === 'ClientRequestToken') {
+      add('idempotency', 'idempotency-key', property, `Passes ${key} to an AWS API`);
+    }
+
+    if (key === 'statusCode' && value.type === 'NumericLiteral' && value.value >= 400) {
+      add('errorHandling', 'error-response', property, `Returns error response with status ${value.value}`);
+    }
+  }
+}
+
+/**
+ * A retry loop waits between attempts and makes a call that can fail
+ */
+function isRetryLoop(loop, sdkClients) {
+  const body = loop.body;
+  const waits = containsNode(body, node =>
+    node.type === 'CallExpression' && DELAY_FUNCTIONS.includes(calleeName(node.callee))
+  );
+  const attempts = containsNode(body, node =>
+    node.type === 'TryStatement' ||
+    node.type === 'AwaitExpression' ||
+    isSdkCall(node, sdkClients)
+  );
+
+  return waits && attempts;
+}
+
+/**
+ * Recognizes AWS SDK v2 `.promise()` calls, v3 `client.send(new XCommand())` and calls on known clients
+ */
+function isSdkCall(node, sdkClients) {
+  if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') {
+    return false;
+  }
+
+  const name = propertyName(node.callee);
+  if (name === 'promise' && node.callee.object.type === 'CallExpression') {
+    return node.callee.object.callee.type === 'MemberExpression';
+  }
+  if (name === 'send' && node.arguments[0] && node.arguments[0].type === 'NewExpression' &&
+      /Command$/.test(calleeName(node.arguments[0].callee) || '')) {
+    return true;
+  }
+
+  return isSdkReceiver(node.callee.object, sdkClients);
+}
+
+function isSdkReceiver(node, sdkClients) {
+  return node.type === 'Identifier' && sdkClients.has(node.name);
+}
+
+function isErrorLogCall(node) {
+  if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') {
+    return false;
+  }
+
+  const path = memberPath(node.callee);
+  return /^(console|logger|log|this\.logger)\.(error|warn)$/.test(path);
+}
+
+/**
+ * Finds code that never runs or whose result is never used, as { start, end, suspicion }
+ * - dead-code: statements after return/throw, branches behind constant conditions and functions nobody calls
+ * - keyword-only: values that are built and then discarded, such as an unused config object
+ */
+function findSuspectRegions(ast) {
+  const regions = [];
+  const references = countReferences(ast);
+  const isUnused = name => (references.get(name) || 0) <= 1;
+  const mark = (node, type, detail) => {
+    if (node) {
+      regions.push({ start: node.start, end: node.end, suspicion: { type, detail } });
+    }
+  };
+
+  walk(ast, (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+
+    switch (node.type) {
+      case 'BlockStatement':
+      case 'Program':
+      case 'SwitchCase': {
+        const statements = node.type === 'SwitchCase' ? node.consequent : node.body;
+        const exit = statements.findIndex(statement =>
+          ['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement'].includes(statement.type)
+        );
+        // Function declarations are hoisted, so they still run when called from above the exit
+        if (exit !== -1) {
+          statements.slice(exit + 1)
+            .filter(statement => statement.type !== 'FunctionDeclaration')
+            .forEach(statement => mark(statement, 'dead-code', `Unreachable after ${statements[exit].type.replace('Statement', '').toLowerCase()}`));
+        }
+        break;
+      }
+
+      case 'IfStatement':
+      case 'ConditionalExpression': {
+        const value = constantValue(node.test);
+        if (value === false) {
+          mark(node.consequent, 'dead-code', 'Behind a condition that is always false');
+        } else if (value === true) {
+          mark(node.alternate, 'dead-code', 'Behind a condition that is always true');
+        }
+        break;
+      }
+
+      case 'WhileStatement':
+      case 'ForStatement':
+        if (node.test && constantValue(node.test) === false) {
+          mark(node.body, 'dead-code', 'Loop condition is always false');
+        }
+        break;
+
+      case 'FunctionDeclaration':
+        if (node.id && !isExported(parent) && isUnused(node.id.name)) {
+          mark(node, 'dead-code', `Function ${node.id.name} is never called`);
+        }
+        break;
+
+      case 'VariableDeclarator': {
+        // export const name = ... puts the declaration inside an ExportNamedDeclaration
+        const exported = isExported(ancestors[ancestors.length - 2]);
+        if (node.id.type !== 'Identifier' || !node.init || exported || !isUnused(node.id.name)) {
+          break;
+        }
+        if (FUNCTION_TYPES.includes(node.init.type)) {
+          mark(node.init, 'dead-code', `Function ${node.id.name} is never called`);
+        } else if (NO_EFFECT_EXPRESSIONS.includes(node.init.type) && !isPromise(node.init)) {
+          mark(node.init, 'keyword-only', `${node.id.name} is declared but never used`);
+        }
+        break;
+      }
+
+      case 'ExpressionStatement':
+        if (FUNCTION_TYPES.includes(node.expression.type)) {
+          mark(node, 'dead-code', 'Function expression is never called');
+        } else if (NO_EFFECT_EXPRESSIONS.includes(node.expression.type) && !isPromise(node.expression)) {
+          mark(node, 'keyword-only', 'Expression result is never used');
+        }
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return regions;
+}
+
+/**
+ * Returns the suspicion of the outermost suspect region containing a node, if any
+ */
+function suspicionAt(regions, node) {
+  const region = regions.find(candidate => node.start >= candidate.start && node.end <= candidate.end);
+  return region ? region.suspicion : undefined;
+}
+
+/**
+ * Counts how often each name appears as an identifier, ignoring property names such as obj.name and { name: 1 }
+ * Declarations count once, so a name seen only once is never used
+ */
+function countReferences(ast) {
+  const counts = new Map();
+
+  walk(ast, (node, ancestors) => {
+    if (node.type !== 'Identifier') {
+      return;
+    }
+
+    const parent = ancestors[ancestors.length - 1];
+    const isPropertyName = parent && !parent.computed && (
+      (['MemberExpression', 'OptionalMemberExpression'].includes(parent.type) && parent.property === node) ||
+      (['ObjectProperty', 'ObjectMethod', 'ClassMethod', 'ClassProperty'].includes(parent.type) &&
+        parent.key === node && !parent.shorthand)
+    );
+
+    if (!isPropertyName) {
+      counts.set(node.name, (counts.get(node.name) || 0) + 1);
+    }
+  });
+
+  return counts;
+}
+
+/**
+ * Evaluates literal conditions such as false, 0 or !1; returns undefined for anything else
+ */
+function constantValue(node) {
+  switch (node.type) {
+    case 'BooleanLiteral':
+    case 'NumericLiteral':
+    case 'StringLiteral':
+      return !!node.value;
+    case 'NullLiteral':
+      return false;
+    case 'Identifier':
+      return node.name === 'undefined' ? false : undefined;
+    case 'UnaryExpression': {
+      const value = node.operator === '!' ? constantValue(node.argument) : undefined;
+      return value === undefined ? undefined : !value;
+    }
+    default:
+      return undefined;
+  }
+}
+
+function isExported(node) {
+  return !!node && ['ExportNamedDeclaration', 'ExportDefaultDeclaration'].includes(node.type);
+}
+
+// new Promise(executor) runs the executor even when the promise itself is dropped
+function isPromise(node) {
+  return node.type === 'NewExpression' && calleeName(node.callee) === 'Promise';
+}
+
+/**
+ * A circuit state literal that is compared against, e.g. `state === 'OPEN'` or `case 'HALF_OPEN':`
+ */
+function isCompared(node, parent) {
+  if (!parent) {
+    return false;
+  }
+  if (parent.type === 'BinaryExpression') {
+    return ['===', '==', '!==', '!='].includes(parent.operator);
+  }
+  return parent.type === 'SwitchCase' && parent.test === node;
+}
+
+/**
+ * Collects required and imported module names and the local bindings they create
+ */
+function collectImports(ast) {
+  const modules = [];
+  const bindings = new Map();
+
+  walk(ast, (node, ancestors) => {
+    if (node.type === 'ImportDeclaration') {
+      modules.push({ moduleName: node.source.value, node });
+      for (const specifier of node.specifiers) {
+        bindings.set(specifier.local.name, node.source.value);
+      }
+      return;
+    }
+
+    const isRequire = node.type === 'CallExpression' &&
+      node.callee.type === 'Identifier' &&
+      node.callee.name === 'require' &&
+      node.arguments[0] &&
+      node.arguments[0].type === 'StringLiteral';
+    if (!isRequire) {
+      return;
+    }
+
+    const moduleName = node.arguments[0].value;
+    modules.push({ moduleName, node });
+
+    const declarator = ancestors[ancestors.length - 1];
+    if (declarator && declarator.type === 'VariableDeclarator') {
+      if (declarator.id.type === 'Identifier') {
+        bindings.set(declarator.id.name, moduleName);
+      } else if (declarator.id.type === 'ObjectPattern') {
+        for (const property of declarator.id.properties) {
+          if (property.value && property.value.type === 'Identifier') {
+            bindings.set(property.value.name, moduleName);
+          }
+        }
+      }
+    }
+  });
+
+  return { modules, bindings };
+}
+
+/**
+ * Collects variables holding AWS SDK clients, e.g. `new AWS.SQS()` or `new DynamoDBClient({})`
+ */
+function collectSdkClients(ast) {
+  const clients = new Set();
+
+  walk(ast, node => {
+    if (node.type !== 'VariableDeclarator' || node.id.type !== 'Identifier' || !node.init) {
+      return;
+    }
+
+    const init = node.init;
+    const path = init.callee ? memberPath(init.callee) : '';
+    const isClient =
+      (init.type === 'NewExpression' && (path.startsWith('AWS.') || /Client$/.test(path))) ||
+      (init.type === 'CallExpression' && /Client\.from$/.test(path));
+
+    if (isClient) {
+      clients.add(node.id.name);
+    }
+  });
+
+  return clients;
+}
+
+/**
+ * Visits every node depth-first, passing the chain of ancestors
+ */
+function walk(root, visit) {
+  const ancestors = [];
+
+  const visitNode = node => {
+    if (!node || typeof node.type !== 'string') {
+      return;
+    }
+
+    visit(node, ancestors);
+    ancestors.push(node);
+
+    for (const key of Object.keys(node)) {
+      if (SKIP_KEYS.has(key)) {
+        continue;
+      }
+
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(visitNode);
+      } else if (child && typeof child === 'object') {
+        visitNode(child);
+      }
+    }
+
+    ancestors.pop();
+  };
+
+  visitNode(root);
+}
+
+function findNode(root, predicate) {
+  let found = null;
+  walk(root, node => {
+    if (!found && predicate(node)) {
+      found = node;
+    }
+  });
+  return found;
+}
+
+function containsNode(root, predicate) {
+  return findNode(root, predicate) !== null;
+}
+
+function calleeName(callee) {
+  if (!callee) {
+    return null;
+  }
+  if (callee.type === 'Identifier') {
+    return callee.name;
+  }
+  if (callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') {
+    return propertyName(callee);
+  }
+  return null;
+}
+
+function propertyName(member) {
+  if (member.property.type === 'Identifier' && !member.computed) {
+    return member.property.name;
+  }
+  if (member.property.type === 'StringLiteral') {
+    return member.property.value;
+  }
+  return null;
+}
+
+function rootIdentifier(node) {
+  let current = node;
+  while (current && (current.type === 'MemberExpression' || current.type === 'OptionalMemberExpression')) {
+    current = current.object;
+  }
+  return current && current.type === 'Identifier' ? current.name : null;
+}
+
+function memberPath(node) {
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+  if (node.type === 'ThisExpression') {
+    return 'this';
+  }
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    return `${memberPath(node.object)}.${propertyName(node) || '[computed]'}`;
+  }
+  return '';
+}
+
+function keyName(property) {
+  if (property.key.type === 'Identifier' && !property.computed) {
+    return property.key.name;
+  }
+  if (property.key.type === 'StringLiteral') {
+    return property.key.value;
+  }
+  return null;
+}
+
+function isNumber(node, value) {
+  return node.type === 'NumericLiteral' && node.value === value;
+}
+
+module.exports = {
+  findPatterns,
+  findImports,
+  findComments
+};
@@ -0,0 +1,129 @@
+// Ranks participants by their latest reliability score, optionally per event cohort
+const AWS = require('aws-sdk');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+/**
+ * Reads every participant's latest score written by the assessment engine
+ */
+async function getLatestScores() {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamoDB.query({
+      TableName: process.env.SYSTEM_METRICS_TABLE,
+      KeyConditionExpression: 'metricId = :metricId',
+      ExpressionAttributeValues: {
+        ':metricId': 'reliability-score'
+      },
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+}
+
+/**
+ * Orders scores highest first; equal scores go to whoever reached them first
+ * Participants with the same score reached at the same time share a rank
+ */
+function rankParticipants(scores) {
+  const reachedAt = item => item.scoreReachedAt || item.lastUpdated || 0;
+
+  const sorted = [...scores].sort((a, b) =>
+    (b.score || 0) - (a.score || 0) ||
+    reachedAt(a) - reachedAt(b) ||
+    String(a.participantId).localeCompare(String(b.participantId))
+  );
+
+  const entries = [];
+  sorted.forEach((item, index) => {
+    const previous = sorted[index - 1];
+    const tied = previous &&
+      (previous.score || 0) === (item.score || 0) &&
+      reachedAt(previous) === reachedAt(item);
+
+    entries.push({
+      rank: tied ? entries[index - 1].rank : index + 1,
+      participantId: item.participantId,
+      eventId: item.eventId || null,
+      score: item.score || 0,
+      passed: !!item.passed,
+      scoreReachedAt: toISOString(reachedAt(item)),
+      lastUpdated: toISOString(item.lastUpdated),
+      categories: item.categories || {}
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Builds the leaderboard, limited to one event cohort and/or challenge when given
+ */
+async function getLeaderboard(options = {}) {
+  const scores = (await getLatestScores()).filter(item =>
+    (!options.eventId || item.eventId === options.eventId) &&
+    (!options.challengeId || item.challengeId === options.challengeId)
+  );
+
+  const entries = rankParticipants(scores);
+
+  return {
+    eventId: options.eventId || null,
+    challengeId: options.challengeId || null,
+    generatedAt: new Date().toISOString(),
+    participants: entries.length,
+    passed: entries.filter(entry => entry.passed).length,
+    entries: options.limit ? entries.slice(0, options.limit) : entries
+  };
+}
+
+/**
+ * Exports leaderboard entries as CSV with one column per scoring category
+ */
+function toCSV(leaderboard) {
+  const categories = [...new Set(
+    leaderboard.entries.reduce((names, entry) => names.concat(Object.keys(entry.categories)), [])
+  )];
+
+  const header = ['rank', 'participantId', 'eventId', 'score', 'passed', 'scoreReachedAt', 'lastUpdated', ...categories];
+  const rows = leaderboard.entries.map(entry => [
+    entry.rank,
+    entry.participantId,
+    entry.eventId,
+    entry.score,
+    entry.passed,
+    entry.scoreReachedAt,
+    entry.lastUpdated,
+    ...categories.map(category => entry.categories[category] ? entry.categories[category].score : '')
+  ]);
+
+  return [header, ...rows]
+    .map(row => row.map(escapeCSV).join(','))
+    .join('\n') + '\n';
+}
+
+function escapeCSV(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toISOString(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+module.exports = {
+  getLatestScores,
+  rankParticipants,
+  getLeaderboard,
+  toCSV
+};
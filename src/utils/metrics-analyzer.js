@@ -1,263 +1,354 @@
-// reliability-assessment-trigger.js - Handles all trigger events for reliability assessments
-const AWS = require('aws-sdk');
+// Evaluates CloudWatch metrics, alarms, dashboards and log retention for a participant stack
+const participantSession = require('./participant-session');
 
-// Initialize AWS SDK clients
-const lambda = new AWS.Lambda();
-const dynamoDB = new AWS.DynamoDB.DocumentClient();
-const cloudformation = new AWS.CloudFormation();
+// Clients for the assessed participant's account
+const cloudWatch = () => participantSession.getClient('CloudWatch');
+const cloudWatchLogs = () => participantSession.getClient('CloudWatchLogs');
+
+// Default look-back window for Lambda health metrics
+const DEFAULT_WINDOW_MINUTES = 60;
+
+// Error rate (percent) at or below which a function is considered healthy
+const HEALTHY_ERROR_RATE = 1;
+
+// Resource types whose alarms count towards monitoring coverage
+const MONITORED_RESOURCE_TYPES = [
+  'AWS::Lambda::Function',
+  'AWS::DynamoDB::Table',
+  'AWS::SQS::Queue',
+  'AWS::ApiGateway::RestApi',
+  'AWS::ApiGatewayV2::Api'
+];
 
 /**
- * Main handler for processing assessment trigger events
- * Supports scheduled triggers, CloudFormation change events, and manual API calls
+ * Analyzes CloudWatch monitoring for the resources in a participant stack
+ * stackResources is the StackResources list returned by DescribeStackResources
  */
-exports.handler = async (event) => {
-  console.log('Assessment trigger received event:', JSON.stringify(event, null, 2));
-
+async function analyzeMetrics(participantId, stackResources, options = {}) {
   try {
-    // Extract trigger source
-    const source = identifyEventSource(event);
-    console.log(`Identified event source: ${source}`);
-
-    // Extract participant IDs based on the event source
-    const participantIds = await extractParticipantIds(event, source);
-    
-    if (!participantIds || participantIds.length === 0) {
-      console.log('No participants to assess');
-      return {
-        statusCode: 200,
-        body: JSON.stringify({
-          message: 'No participants to assess'
-        })
-      };
-    }
+    console.log(`Analyzing metrics for participant ${participantId}`);
 
-    console.log(`Will assess ${participantIds.length} participants: ${participantIds.join(', ')}`);
+    const resources = stackResources || [];
+    const windowMinutes = options.windowMinutes || DEFAULT_WINDOW_MINUTES;
+    const functions = resources.filter(r => r.ResourceType === 'AWS::Lambda::Function');
 
-    // Invoke assessment Lambda for each participant
-    const results = await Promise.all(
-      participantIds.map(participantId => triggerAssessment(participantId, source))
-    );
-
-    // Log summary of triggered assessments
-    const successful = results.filter(r => r.status === 'triggered').length;
-    const failed = results.filter(r => r.status === 'failed').length;
+    const [alarms, dashboards, logRetention, lambdaHealth] = await Promise.all([
+      checkAlarms(resources),
+      checkDashboards(resources),
+      checkLogRetention(functions),
+      checkLambdaHealth(functions, windowMinutes)
+    ]);
 
     return {
-      statusCode: 200,
-      body: JSON.stringify({
-        message: `Triggered ${successful} assessments (${failed} failed)`,
-        source,
-        results
-      })
+      participantId,
+      analysis: {
+        alarms,
+        dashboards,
+        logRetention,
+        lambdaHealth
+      }
     };
   } catch (error) {
-    console.error('Error in assessment trigger:', error);
-    
+    console.error(`Error analyzing metrics for ${participantId}:`, error);
     return {
-      statusCode: 500,
-      body: JSON.stringify({
-        error: error.message,
-        stack: error.stack
-      })
+      participantId,
+      error: error.message,
+      ...(participantSession.isAccessDenied(error) ? { accessDenied: true } : {})
     };
   }
-};
+}
 
 /**
- * Identifies the source of the trigger event
+ * Checks for CloudWatch alarms covering the participant's resources
  */
-function identifyEventSource(event) {
-  // Check if it's a direct source specification
-  if (event.source) {
-    return event.source;
-  }
+async function checkAlarms(stackResources) {
+  const monitored = stackResources.filter(r =>
+    MONITORED_RESOURCE_TYPES.includes(r.ResourceType)
+  );
+  const stackAlarmNames = stackResources
+    .filter(r => r.ResourceType === 'AWS::CloudWatch::Alarm')
+    .map(r => r.PhysicalResourceId);
 
-  // Check if it's a scheduled CloudWatch Event
-  if (event['detail-type'] === 'Scheduled Event') {
-    return 'scheduled-event';
-  }
+  const alarms = await listAlarms();
 
-  // Check if it's a CloudFormation change event
-  if (event['detail-type'] === 'CloudFormation Stack Status Change') {
-    return 'resource-change';
-  }
+  // An alarm belongs to the participant if their stack created it or it watches one of their resources
+  const relevant = alarms.filter(alarm =>
+    stackAlarmNames.includes(alarm.AlarmName) ||
+    monitored.some(r => alarmWatchesResource(alarm, r))
+  );
 
-  // Check if it's an API Gateway event
-  if (event.httpMethod && event.path) {
-    return 'manual-api';
-  }
+  const covered = monitored.filter(r =>
+    relevant.some(alarm => alarmWatchesResource(alarm, r))
+  );
+  const withActions = relevant.filter(alarm =>
+    alarm.AlarmActions && alarm.AlarmActions.length > 0
+  );
+
+  const coverage = monitored.length > 0 ? covered.length / monitored.length : 0;
+  const implemented = relevant.length > 0;
 
-  // Default to unknown
-  return 'unknown';
+  return {
+    implemented,
+    score: Math.round(
+      (implemented ? 40 : 0) +
+      coverage * 40 +
+      (withActions.length > 0 ? 20 : 0)
+    ),
+    evidence: relevant.map(alarm => ({
+      logicalId: findLogicalId(stackResources, alarm.AlarmName),
+      detail: `Alarm ${alarm.AlarmName} on ${alarm.Namespace}/${alarm.MetricName}` +
+        (alarm.AlarmActions && alarm.AlarmActions.length > 0 ? ' with actions' : ' without actions')
+    }))
+  };
 }
 
 /**
- * Extracts participant IDs from the event based on its source
+ * Lists all metric alarms in the account, following pagination
  */
-async function extractParticipantIds(event, source) {
-  switch (source) {
-    case 'scheduled-event':
-      // For scheduled events, get all active participants
-      return getActiveParticipants();
-
-    case 'resource-change':
-      // For CloudFormation events, extract participant ID from stack name
-      const stackId = event.detail?.stackId;
-      if (!stackId) return [];
-
-      const stackName = stackId.split('/')[1];
-      if (!stackName || !stackName.startsWith('ctf-unreliable-app-')) {
-        return [];
-      }
+async function listAlarms() {
+  const alarms = [];
+  let nextToken;
 
-      // Extract participant ID from stack name
-      const participantId = stackName
-        .replace('ctf-unreliable-app-', '')
-        .split('-')[0];
-      
-      return [participantId];
-
-    case 'manual-api':
-      // For API Gateway events, extract participant ID from path parameter
-      if (event.pathParameters && event.pathParameters.participantId) {
-        return [event.pathParameters.participantId];
-      } else if (event.participantId) {
-        // Direct invocation with participantId
-        return [event.participantId];
-      }
-      return [];
+  do {
+    const response = await cloudWatch().describeAlarms({
+      AlarmTypes: ['MetricAlarm'],
+      NextToken: nextToken
+    }).promise();
 
-    default:
-      console.log(`Unknown event source: ${source}`);
-      return [];
-  }
+    alarms.push(...(response.MetricAlarms || []));
+    nextToken = response.NextToken;
+  } while (nextToken);
+
+  return alarms;
 }
 
 /**
- * Gets all active participants from the challenges table
+ * Returns true when one of the alarm's dimensions points at the given stack resource
  */
-async function getActiveParticipants() {
-  console.log('Getting active participants');
-  
-  try {
-    // Query the challenges table for active participants
-    const params = {
-      TableName: process.env.CHALLENGES_TABLE,
-      IndexName: 'StatusIndex', // GSI on status field
-      KeyConditionExpression: '#status = :status',
-      ExpressionAttributeNames: {
-        '#status': 'status'
-      },
-      ExpressionAttributeValues: {
-        ':status': 'ACTIVE'
-      },
-      ProjectionExpression: 'participantId'
-    };
-    
-    const result = await dynamoDB.query(params).promise();
-    
-    // Extract unique participant IDs
-    const participantIds = [...new Set(
-      result.Items.map(item => item.participantId)
-    )];
-    
-    console.log(`Found ${participantIds.length} active participants`);
-    return participantIds;
-  } catch (error) {
-    console.error('Error getting active participants:', error);
-    
-    // Fallback to scanning the stack list
-    return getParticipantsFromStacks();
-  }
+function alarmWatchesResource(alarm, resource) {
+  return (alarm.Dimensions || []).some(dimension =>
+    dimension.Value === resource.PhysicalResourceId
+  );
 }
 
 /**
- * Fallback method to get participants by scanning CloudFormation stacks
+ * Checks for a CloudWatch dashboard defined in the participant's stack
+ * Dashboard names are not matched against the participant ID, which could credit a participant
+ * with the dashboards of another whose ID contains theirs
  */
-async function getParticipantsFromStacks() {
-  console.log('Falling back to getting participants from CloudFormation stacks');
-  
-  try {
-    const stacks = await cloudformation.listStacks({
-      StackStatusFilter: [
-        'CREATE_COMPLETE',
-        'UPDATE_COMPLETE',
-        'UPDATE_ROLLBACK_COMPLETE'
-      ]
+async function checkDashboards(stackResources) {
+  const stackDashboards = stackResources
+    .filter(r => r.ResourceType === 'AWS::CloudWatch::Dashboard')
+    .map(r => r.PhysicalResourceId);
+
+  const dashboards = [];
+  let nextToken;
+
+  do {
+    const response = await cloudWatch().listDashboards({
+      NextToken: nextToken
     }).promise();
-    
-    const participantIds = stacks.StackSummaries
-      .filter(stack => stack.StackName.startsWith('ctf-unreliable-app-'))
-      .map(stack => stack.StackName.replace('ctf-unreliable-app-', '').split('-')[0]);
-    
-    return [...new Set(participantIds)]; // Return unique IDs
-  } catch (error) {
-    console.error('Error getting participants from stacks:', error);
-    return [];
-  }
+
+    dashboards.push(...(response.DashboardEntries || []));
+    nextToken = response.NextToken;
+  } while (nextToken);
+
+  const owned = dashboards.filter(dashboard => stackDashboards.includes(dashboard.DashboardName));
+
+  const implemented = owned.length > 0;
+  return {
+    implemented,
+    score: implemented ? 100 : 0,
+    evidence: owned.map(dashboard => ({
+      logicalId: findLogicalId(stackResources, dashboard.DashboardName),
+      detail: `Dashboard ${dashboard.DashboardName}`
+    }))
+  };
 }
 
 /**
- * Triggers the main assessment engine for a specific participant
+ * Checks that every Lambda log group has a retention period configured
  */
-async function triggerAssessment(participantId, source) {
-  console.log(`Triggering assessment for participant ${participantId} from source ${source}`);
-  
-  try {
-    const params = {
-      FunctionName: process.env.ASSESSMENT_ENGINE_FUNCTION,
-      InvocationType: 'Event', // Asynchronous invocation
-      Payload: JSON.stringify({
-        participantId,
-        source,
-        timestamp: new Date().toISOString()
-      })
-    };
-    
-    const result = await lambda.invoke(params).promise();
-    
+async function checkLogRetention(functions) {
+  if (functions.length === 0) {
     return {
-      participantId,
-      source,
-      status: 'triggered',
-      requestId: result.ResponseMetadata?.RequestId
+      implemented: false,
+      score: 0,
+      evidence: []
     };
-  } catch (error) {
-    console.error(`Error triggering assessment for ${participantId}:`, error);
-    
+  }
+
+  const evidence = [];
+  let withRetention = 0;
+
+  for (const fn of functions) {
+    const logGroupName = `/aws/lambda/${fn.PhysicalResourceId}`;
+    const response = await cloudWatchLogs().describeLogGroups({
+      logGroupNamePrefix: logGroupName
+    }).promise();
+
+    const logGroup = (response.logGroups || []).find(g => g.logGroupName === logGroupName);
+
+    if (logGroup && logGroup.retentionInDays) {
+      withRetention++;
+      evidence.push({
+        logicalId: fn.LogicalResourceId,
+        detail: `${logGroupName} retains logs for ${logGroup.retentionInDays} days`
+      });
+    } else {
+      evidence.push({
+        logicalId: fn.LogicalResourceId,
+        detail: logGroup
+          ? `${logGroupName} never expires logs`
+          : `${logGroupName} does not exist`
+      });
+    }
+  }
+
+  return {
+    implemented: withRetention === functions.length,
+    score: Math.round((withRetention / functions.length) * 100),
+    evidence
+  };
+}
+
+/**
+ * Checks Lambda error, throttle and duration metrics over the look-back window
+ */
+async function checkLambdaHealth(functions, windowMinutes) {
+  if (functions.length === 0) {
     return {
-      participantId,
-      source,
-      status: 'failed',
-      error: error.message
+      implemented: false,
+      score: 0,
+      evidence: []
     };
   }
+
+  const endTime = new Date();
+  const startTime = new Date(endTime.getTime() - windowMinutes * 60 * 1000);
+  const metrics = await getLambdaMetrics(functions, startTime, endTime);
+
+  const evidence = [];
+  let totalScore = 0;
+  let invokedFunctions = 0;
+
+  for (const fn of functions) {
+    const stats = metrics[fn.LogicalResourceId];
+
+    if (stats.invocations === 0) {
+      evidence.push({
+        logicalId: fn.LogicalResourceId,
+        detail: `No invocations in the last ${windowMinutes} minutes`
+      });
+      continue;
+    }
+
+    invokedFunctions++;
+    const errorRate = (stats.errors / stats.invocations) * 100;
+    const throttleRate = (stats.throttles / stats.invocations) * 100;
+
+    // Healthy functions score 100, losing points as error and throttle rates grow
+    const functionScore = Math.max(
+      0,
+      100 -
+      (errorRate > HEALTHY_ERROR_RATE ? Math.min(60, errorRate * 6) : 0) -
+      (throttleRate > 0 ? Math.min(40, throttleRate * 4) : 0)
+    );
+    totalScore += functionScore;
+
+    evidence.push({
+      logicalId: fn.LogicalResourceId,
+      detail: `${stats.invocations} invocations, ${errorRate.toFixed(1)}% errors, ` +
+        `${throttleRate.toFixed(1)}% throttled, ${Math.round(stats.maxDuration)}ms max duration`
+    });
+  }
+
+  const score = invokedFunctions > 0 ? Math.round(totalScore / invokedFunctions) : 0;
+
+  return {
+    implemented: invokedFunctions > 0 && score >= 80,
+    score,
+    evidence
+  };
 }
 
 /**
- * Updates the last assessment timestamp for a participant
- * This helps prevent too-frequent assessments of the same participant
+ * Fetches invocation, error, throttle and duration totals for each function
  */
-async function updateLastAssessmentTime(participantId) {
-  try {
-    const params = {
-      TableName: process.env.SYSTEM_METRICS_TABLE,
-      Key: {
-        metricId: 'last-assessment',
-        participantId
-      },
-      UpdateExpression: 'set #timestamp = :time',
-      ExpressionAttributeNames: {
-        '#timestamp': 'timestamp'
-      },
-      ExpressionAttributeValues: {
-        ':time': Date.now()
+async function getLambdaMetrics(functions, startTime, endTime) {
+  const period = Math.max(60, Math.round((endTime - startTime) / 1000));
+  const queries = [];
+
+  functions.forEach((fn, index) => {
+    const metric = (name, stat) => ({
+      Id: `${name.toLowerCase()}${index}`,
+      MetricStat: {
+        Metric: {
+          Namespace: 'AWS/Lambda',
+          MetricName: name,
+          Dimensions: [{ Name: 'FunctionName', Value: fn.PhysicalResourceId }]
+        },
+        Period: period,
+        Stat: stat
       }
-    };
-    
-    await dynamoDB.update(params).promise();
-  } catch (error) {
-    console.error(`Error updating last assessment time for ${participantId}:`, error);
-    // Non-critical error, continue anyway
+    });
+
+    queries.push(
+      metric('Invocations', 'Sum'),
+      metric('Errors', 'Sum'),
+      metric('Throttles', 'Sum'),
+      metric('Duration', 'Maximum')
+    );
+  });
+
+  const values = {};
+  let nextToken;
+
+  // GetMetricData accepts at most 500 queries per request
+  for (let i = 0; i < queries.length; i += 500) {
+    do {
+      const response = await cloudWatch().getMetricData({
+        MetricDataQueries: queries.slice(i, i + 500),
+        StartTime: startTime,
+        EndTime: endTime,
+        NextToken: nextToken
+      }).promise();
+
+      for (const result of response.MetricDataResults || []) {
+        values[result.Id] = (values[result.Id] || []).concat(result.Values || []);
+      }
+      nextToken = response.NextToken;
+    } while (nextToken);
   }
-}
\ No newline at end of file
+
+  const sum = id => (values[id] || []).reduce((total, value) => total + value, 0);
+  const max = id => (values[id] || []).reduce((highest, value) => Math.max(highest, value), 0);
+
+  const metrics = {};
+  functions.forEach((fn, index) => {
+    metrics[fn.LogicalResourceId] = {
+      invocations: sum(`invocations${index}`),
+      errors: sum(`errors${index}`),
+      throttles: sum(`throttles${index}`),
+      maxDuration: max(`duration${index}`)
+    };
+  });
+
+  return metrics;
+}
+
+/**
+ * Maps a physical resource name back to its logical ID in the stack
+ */
+function findLogicalId(stackResources, physicalId) {
+  const resource = stackResources.find(r => r.PhysicalResourceId === physicalId);
+  return resource ? resource.LogicalResourceId : null;
+}
+
+module.exports = {
+  analyzeMetrics,
+  checkAlarms,
+  checkDashboards,
+  checkLogRetention,
+  checkLambdaHealth
+};
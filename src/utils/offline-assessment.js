@@ -0,0 +1,65 @@
+// Assesses a template and code that are not deployed; used by engine dry runs and the rae CLI
+const templateLoader = require('./template-loader');
+const stackAnalyzer = require('./stack-analyzer');
+const codeAnalyzer = require('./code-analyzer');
+const checkRegistry = require('./check-registry');
+const feedbackGenerator = require('./feedback-generator');
+const suspicionDetector = require('./suspicion-detector');
+
+/**
+ * Runs the template and code analyzers and scores the result against a challenge config
+ * templateBody is a JSON or YAML template; packageBuffer is an optional zip of the function code, from which
+ * every AWS::Lambda::Function in the template is analyzed using its Runtime and Handler
+ * Checks that need deployed resources (metrics, probe, fault injection) are not applicable,
+ * as are the code checks without a package
+ * Returns the report built by feedback-generator.js; makes no AWS calls
+ */
+async function assessTemplate({ templateBody, packageBuffer = null, config, participantId = null }) {
+  let template;
+  try {
+    template = templateLoader.loadTemplate(templateBody);
+  } catch (error) {
+    throw new Error(`Invalid template: ${error.message}`);
+  }
+
+  // The template's logical IDs stand in for the physical IDs of a deployed stack
+  const stackResources = template.resources.map(resource => ({
+    LogicalResourceId: resource.logicalId,
+    PhysicalResourceId: resource.logicalId,
+    ResourceType: resource.type
+  }));
+  const stackAnalysis = stackAnalyzer.analyzeTemplate(template);
+
+  let codeAnalyses = null;
+  if (packageBuffer) {
+    const functions = templateLoader.getResourcesByType(template, 'AWS::Lambda::Function');
+    codeAnalyses = await Promise.all(functions.map(fn => codeAnalyzer.analyzeCode(fn.logicalId, {
+      packageBuffer,
+      configuration: { Runtime: fn.properties.Runtime, Handler: fn.properties.Handler }
+    })));
+  }
+
+  const { score, categories, checks } = checkRegistry.calculateScore(config, {
+    participantId,
+    stackResources,
+    stackAnalysis,
+    codeAnalyses,
+    metricsAnalysis: null,
+    faultInjection: null,
+    probe: null,
+    dryRun: true
+  });
+
+  return feedbackGenerator.generateFeedback({
+    participantId,
+    config,
+    score,
+    categories,
+    checks,
+    suspicions: suspicionDetector.collectSuspicions({ stackAnalysis, codeAnalyses })
+  });
+}
+
+module.exports = {
+  assessTemplate
+};
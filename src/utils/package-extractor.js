@@ -0,0 +1,252 @@
+// Downloads Lambda deployment packages and extracts the source files worth analyzing
+const axios = require('axios');
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+const path = require('path');
+const javascriptAnalyzer = require('./javascript-analyzer');
+const pythonAnalyzer = require('./python-analyzer');
+
+// Limits that keep extraction inside the analyzer Lambda's memory
+const MAX_PACKAGE_BYTES = 50 * 1024 * 1024;
+const MAX_FILE_BYTES = 512 * 1024;
+const MAX_TOTAL_BYTES = 5 * 1024 * 1024;
+const MAX_FILES = 200;
+
+// Directories left out when packing a local source directory: installed dependencies and build output
+const PACKED_DIRECTORY_EXCLUDES = ['node_modules', '.git', '.serverless', '.aws-sam', '.venv', 'venv', '__pycache__'];
+
+const JAVASCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.tsx', '.jsx'];
+
+// Source files, dependency directories and handler resolution per language
+// Dependencies and vendored layer content are not the participant's code
+// Java and Go ship compiled artifacts, so every bundled source file is analyzed
+const LANGUAGES = {
+  javascript: {
+    extensions: JAVASCRIPT_EXTENSIONS,
+    skipped: /(^|\/)(node_modules|vendor|bower_components|\.serverless|\.git|nodejs|layers?)\//,
+    resolveHandler: (handler, entries) => resolveModule(handler.substring(0, handler.lastIndexOf('.')), entries),
+    findLocalImports: findJavaScriptImports
+  },
+  python: {
+    extensions: ['.py'],
+    skipped: /(^|\/)(site-packages|python|\.venv|venv|__pycache__|\.git|layers?)\//,
+    resolveHandler: (handler, entries) => resolvePythonModule(handler.substring(0, handler.lastIndexOf('.')), entries),
+    findLocalImports: findPythonImports
+  },
+  java: {
+    extensions: ['.java'],
+    skipped: /(^|\/)(src\/test|target|build|\.git)\//
+  },
+  go: {
+    extensions: ['.go'],
+    skipped: /(^|\/)(vendor|testdata|\.git)\/|_test\.go$/
+  }
+};
+
+/**
+ * Downloads a deployment package from its pre-signed URL as a buffer
+ */
+async function downloadPackage(location) {
+  const response = await axios.get(location, {
+    responseType: 'arraybuffer',
+    maxContentLength: MAX_PACKAGE_BYTES
+  });
+
+  return Buffer.from(response.data);
+}
+
+/**
+ * Zips a local source directory the way it would be deployed, so it can be analyzed like a downloaded package
+ * Handler paths in the template are resolved relative to the directory
+ */
+function packDirectory(directory) {
+  const zip = new AdmZip();
+  let totalBytes = 0;
+
+  const addDirectory = relativeDir => {
+    for (const entry of fs.readdirSync(path.join(directory, relativeDir), { withFileTypes: true })) {
+      const relativePath = path.posix.join(relativeDir, entry.name);
+      if (entry.isDirectory()) {
+        if (!PACKED_DIRECTORY_EXCLUDES.includes(entry.name)) {
+          addDirectory(relativePath);
+        }
+      } else if (entry.isFile()) {
+        const content = fs.readFileSync(path.join(directory, relativePath));
+        totalBytes += content.length;
+        if (totalBytes > MAX_PACKAGE_BYTES) {
+          throw new Error(`${directory} holds more than ${MAX_PACKAGE_BYTES / 1024 / 1024} MB of code`);
+        }
+        zip.addFile(relativePath, content);
+      }
+    }
+  };
+  addDirectory('');
+
+  return zip.toBuffer();
+}
+
+/**
+ * Extracts the handler file and every local file it imports
+ * Falls back to all source files in the package when the handler cannot be found,
+ * and for languages whose handler names a compiled class or binary
+ * Returns { files: [{ path, content }], skipped: [{ path, reason }] }
+ */
+function extractSourceFiles(zipBuffer, handler, language = 'javascript') {
+  const settings = LANGUAGES[language];
+  if (!settings) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+
+  const zip = new AdmZip(zipBuffer);
+  const zipEntries = zip.getEntries();
+  const vendored = language === 'python' ? findVendoredPythonPackages(zipEntries) : new Set();
+  const entries = new Map();
+  const skipped = [];
+
+  for (const entry of zipEntries) {
+    const entryPath = entry.entryName.replace(/\\/g, '/');
+
+    if (entry.isDirectory || !settings.extensions.includes(path.extname(entryPath))) {
+      continue;
+    }
+    if (settings.skipped.test(entryPath) || vendored.has(entryPath.split('/')[0].replace(/\.py$/, ''))) {
+      continue;
+    }
+
+    entries.set(entryPath, entry);
+  }
+
+  const handlerFile = handler && settings.resolveHandler ? settings.resolveHandler(handler, entries) : null;
+  const candidates = handlerFile ? [handlerFile] : [...entries.keys()];
+  const files = [];
+  const visited = new Set();
+  let totalBytes = 0;
+
+  while (candidates.length > 0) {
+    const filePath = candidates.shift();
+    if (visited.has(filePath)) {
+      continue;
+    }
+    visited.add(filePath);
+
+    // Check the uncompressed size from the header before inflating anything
+    const entry = entries.get(filePath);
+    const size = entry.header.size;
+
+    if (size > MAX_FILE_BYTES) {
+      skipped.push({ path: filePath, reason: `larger than ${MAX_FILE_BYTES} bytes` });
+      continue;
+    }
+    if (totalBytes + size > MAX_TOTAL_BYTES || files.length >= MAX_FILES) {
+      skipped.push({ path: filePath, reason: 'package size limit reached' });
+      continue;
+    }
+
+    const content = entry.getData().toString('utf8');
+    totalBytes += size;
+    files.push({ path: filePath, content });
+
+    // Follow the handler's local imports
+    if (handlerFile) {
+      for (const imported of settings.findLocalImports(content, filePath, entries)) {
+        candidates.push(imported);
+      }
+    }
+  }
+
+  return { files, skipped };
+}
+
+/**
+ * Resolves the relative imports of a JavaScript file to other files in the package
+ */
+function findJavaScriptImports(content, filePath, entries) {
+  let specifiers;
+  try {
+    specifiers = javascriptAnalyzer.findImports(content, filePath);
+  } catch (error) {
+    return [];
+  }
+
+  return specifiers
+    .filter(specifier => specifier.startsWith('./') || specifier.startsWith('../'))
+    .map(specifier => resolveModule(path.posix.join(path.posix.dirname(filePath), specifier), entries))
+    .filter(Boolean);
+}
+
+/**
+ * Resolves the imports of a Python file to modules in the package
+ * Relative imports start from the file's package, absolute ones from the package root
+ */
+function findPythonImports(content, filePath, entries) {
+  return pythonAnalyzer.findImports(content)
+    .map(moduleName => {
+      const dots = moduleName.match(/^\.*/)[0].length;
+      let base = '';
+      if (dots > 0) {
+        base = path.posix.dirname(filePath);
+        for (let level = 1; level < dots; level++) {
+          base = path.posix.dirname(base);
+        }
+      }
+
+      const relative = moduleName.substring(dots).split('.').filter(Boolean).join('/');
+      return resolvePythonModule(path.posix.join(base, relative), entries);
+    })
+    .filter(candidate => candidate && candidate !== filePath);
+}
+
+/**
+ * Resolves a Python module path such as "app/handlers" to a .py file or package __init__.py
+ */
+function resolvePythonModule(modulePath, entries) {
+  const normalized = path.posix.normalize(modulePath.replace(/\./g, '/')).replace(/^\.\/?/, '');
+  const candidates = [`${normalized}.py`, `${normalized}/__init__.py`];
+
+  return candidates.find(candidate => entries.has(candidate)) || null;
+}
+
+/**
+ * Lists top-level directories installed by pip, from the dist-info/egg-info metadata bundled with them
+ */
+function findVendoredPythonPackages(zipEntries) {
+  const vendored = new Set();
+
+  for (const entry of zipEntries) {
+    const metadata = /^([^/]+?)-[^/]*\.(dist-info|egg-info)\/(.*)$/.exec(entry.entryName);
+    if (!metadata) {
+      continue;
+    }
+
+    vendored.add(metadata[1].toLowerCase().replace(/-/g, '_'));
+    if (metadata[3] === 'top_level.txt' && entry.header.size <= MAX_FILE_BYTES) {
+      for (const name of entry.getData().toString('utf8').split(/\r?\n/)) {
+        if (name.trim()) {
+          vendored.add(name.trim());
+        }
+      }
+    }
+  }
+
+  return vendored;
+}
+
+/**
+ * Resolves a module path the way Node does: exact file, added extension, then index file
+ */
+function resolveModule(modulePath, entries) {
+  const normalized = path.posix.normalize(modulePath).replace(/^\.\//, '');
+  const candidates = [
+    normalized,
+    ...JAVASCRIPT_EXTENSIONS.map(extension => `${normalized}${extension}`),
+    ...JAVASCRIPT_EXTENSIONS.map(extension => `${normalized}/index${extension}`)
+  ];
+
+  return candidates.find(candidate => entries.has(candidate)) || null;
+}
+
+module.exports = {
+  downloadPackage,
+  packDirectory,
+  extractSourceFiles
+};
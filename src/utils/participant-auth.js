@@ -0,0 +1,77 @@
+// Issues and checks the bearer tokens that scope the participant API to one participant
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+
+const secretsManager = new AWS.SecretsManager();
+
+// Token secret, fetched once per container
+let tokenSecretPromise = null;
+
+/**
+ * Fetches the HMAC secret named by PARTICIPANT_TOKEN_SECRET_ID from Secrets Manager
+ */
+function getTokenSecret() {
+  if (!process.env.PARTICIPANT_TOKEN_SECRET_ID) {
+    return Promise.reject(new Error('PARTICIPANT_TOKEN_SECRET_ID is not configured'));
+  }
+
+  if (!tokenSecretPromise) {
+    tokenSecretPromise = secretsManager.getSecretValue({
+      SecretId: process.env.PARTICIPANT_TOKEN_SECRET_ID
+    }).promise()
+      .then(response => response.SecretString)
+      .catch(error => {
+        tokenSecretPromise = null;
+        throw error;
+      });
+  }
+
+  return tokenSecretPromise;
+}
+
+/**
+ * Derives a participant's API token: their ID and a signature only the secret's holder can produce
+ */
+function generateToken(secret, participantId) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(JSON.stringify(['participant-api', participantId]))
+    .digest('hex');
+
+  return `${Buffer.from(participantId).toString('base64url')}.${signature}`;
+}
+
+/**
+ * Issues the token organizers hand to a participant at registration
+ */
+async function issueToken(participantId) {
+  return generateToken(await getTokenSecret(), participantId);
+}
+
+/**
+ * Returns the participant ID a request's `Authorization: Bearer <token>` header was issued to,
+ * or null when the header is missing or the token was not issued with the current secret
+ */
+async function authenticate(event) {
+  const headers = event.headers || {};
+  const header = headers.Authorization || headers.authorization || '';
+  const match = /^Bearer\s+([A-Za-z0-9_-]+)\.([0-9a-f]{64})$/.exec(header.trim());
+  if (!match) {
+    return null;
+  }
+
+  const participantId = Buffer.from(match[1], 'base64url').toString('utf8');
+  const expected = Buffer.from(generateToken(await getTokenSecret(), participantId));
+  const submitted = Buffer.from(`${match[1]}.${match[2]}`);
+
+  // Constant-time comparison, as for flags
+  return expected.length === submitted.length && crypto.timingSafeEqual(expected, submitted)
+    ? participantId
+    : null;
+}
+
+module.exports = {
+  issueToken,
+  generateToken,
+  authenticate
+};
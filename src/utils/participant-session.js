@@ -0,0 +1,177 @@
+// Credentials for reading a participant's resources
+// Participants deployed in the organizer's account are read with the function's own credentials;
+// participants whose record names a role in their own account are read through that role
+const { AsyncLocalStorage } = require('async_hooks');
+const AWS = require('aws-sdk');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+const sts = new AWS.STS();
+
+// Error codes AWS uses when credentials lack a permission or a role refuses to be assumed
+const ACCESS_DENIED_CODES = [
+  'AccessDenied',
+  'AccessDeniedException',
+  'AuthorizationError',
+  'UnauthorizedOperation',
+  'InvalidClientTokenId'
+];
+
+// Role sessions outlast the longest Lambda run, so credentials never need refreshing mid-assessment
+const SESSION_DURATION_SECONDS = 3600;
+
+// The session of the participant being assessed, carried across awaits
+const sessionStorage = new AsyncLocalStorage();
+
+// Clients with the function's own credentials, created on first use
+const ambientClients = {};
+
+/**
+ * Returns a client for reading the current participant's resources
+ * Inside runWithSession the client uses the participant's role, otherwise the function's own credentials
+ * options.region selects another region, e.g. for regional stacks
+ */
+function getClient(serviceName, options = {}) {
+  const session = sessionStorage.getStore();
+  const clients = session ? session.clients : ambientClients;
+  const key = `${serviceName}:${options.region || ''}`;
+
+  if (!clients[key]) {
+    clients[key] = new AWS[serviceName]({
+      ...options,
+      ...(session ? { credentials: session.credentials } : {})
+    });
+  }
+  return clients[key];
+}
+
+/**
+ * Runs fn with every getClient call inside it, including those after awaits, reading the session's account
+ * A null session runs fn with the function's own credentials
+ */
+function runWithSession(session, fn) {
+  return session ? sessionStorage.run(session, fn) : fn();
+}
+
+/**
+ * Reads where a participant's resources live from their record in CHALLENGES_TABLE
+ * Returns { participantId, accountId, roleArn, externalId } or null for participants in the organizer's account
+ */
+async function getParticipantTarget(participantId) {
+  const result = await dynamoDB.query({
+    TableName: process.env.CHALLENGES_TABLE,
+    KeyConditionExpression: 'participantId = :participantId',
+    ExpressionAttributeValues: {
+      ':participantId': participantId
+    }
+  }).promise();
+
+  const record = result.Items.find(item => item.roleArn);
+  return record ? toTarget(record) : null;
+}
+
+/**
+ * Lists the participants registered for an AWS account, through the AccountIndex GSI of CHALLENGES_TABLE
+ */
+async function findParticipantsByAccount(accountId) {
+  const targets = [];
+  let ExclusiveStartKey;
+
+  do {
+    const result = await dynamoDB.query({
+      TableName: process.env.CHALLENGES_TABLE,
+      IndexName: 'AccountIndex',
+      KeyConditionExpression: 'accountId = :accountId',
+      ExpressionAttributeValues: {
+        ':accountId': accountId
+      },
+      ExclusiveStartKey
+    }).promise();
+
+    targets.push(...result.Items.filter(item => item.roleArn).map(toTarget));
+    ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (ExclusiveStartKey);
+
+  return targets;
+}
+
+/**
+ * Assumes the participant's role, so a misconfigured role fails before any analyzer runs
+ * The external ID comes from the participant record or ASSESSMENT_EXTERNAL_ID; session tags name the
+ * participant, so the role's policies can scope access to the participant's own resources
+ * Throws the AWS error when the role cannot be assumed; see isAccessDenied
+ */
+async function assumeParticipantRole(target, { challengeId } = {}) {
+  const roleAccountId = accountOfRole(target.roleArn);
+  if (target.accountId && roleAccountId !== target.accountId) {
+    const error = new Error(`Role ${target.roleArn} is not in the participant's account ${target.accountId}`);
+    error.code = 'AccessDenied';
+    throw error;
+  }
+
+  const externalId = target.externalId || process.env.ASSESSMENT_EXTERNAL_ID;
+  const response = await sts.assumeRole({
+    RoleArn: target.roleArn,
+    RoleSessionName: `assessment-${target.participantId}`.replace(/[^\w+=,.@-]/g, '-').substring(0, 64),
+    DurationSeconds: SESSION_DURATION_SECONDS,
+    ...(externalId ? { ExternalId: externalId } : {}),
+    Tags: [
+      { Key: 'ctf:participantId', Value: target.participantId },
+      ...(challengeId ? [{ Key: 'ctf:challengeId', Value: challengeId }] : [])
+    ]
+  }).promise();
+
+  return {
+    participantId: target.participantId,
+    accountId: roleAccountId,
+    roleArn: target.roleArn,
+    credentials: new AWS.Credentials(
+      response.Credentials.AccessKeyId,
+      response.Credentials.SecretAccessKey,
+      response.Credentials.SessionToken
+    ),
+    clients: {}
+  };
+}
+
+/**
+ * Opens the session for assessing a participant: their role when their record has one, otherwise null
+ */
+async function openSession(participantId, options = {}) {
+  const target = await getParticipantTarget(participantId);
+  return target ? assumeParticipantRole(target, options) : null;
+}
+
+/**
+ * True when an AWS error means the credentials were refused rather than the request being wrong
+ */
+function isAccessDenied(error) {
+  return Boolean(error) && (
+    ACCESS_DENIED_CODES.includes(error.code) ||
+    /not authorized to perform|access denied/i.test(error.message || '')
+  );
+}
+
+function toTarget(record) {
+  return {
+    participantId: record.participantId,
+    accountId: record.accountId || accountOfRole(record.roleArn),
+    roleArn: record.roleArn,
+    externalId: record.externalId || null
+  };
+}
+
+// Role ARNs look like arn:aws:iam::123456789012:role/name
+function accountOfRole(roleArn) {
+  const match = /^arn:aws[\w-]*:iam::(\d{12}):role\//.exec(roleArn || '');
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  getClient,
+  runWithSession,
+  getParticipantTarget,
+  findParticipantsByAccount,
+  assumeParticipantRole,
+  openSession,
+  isAccessDenied
+};
@@ -0,0 +1,215 @@
+// Finds reliability patterns in Python source, ignoring comments and string contents
+const scanner = require('./source-scanner');
+
+const RETRY_LIBRARIES = ['tenacity', 'backoff', 'retrying', 'retry', 'urllib3.util.retry'];
+const CIRCUIT_BREAKER_LIBRARIES = ['pybreaker', 'circuitbreaker', 'aiobreaker'];
+const IDEMPOTENCY_LIBRARIES = ['aws_lambda_powertools.utilities.idempotency'];
+
+const DELAY_CALL = /\b(time\.sleep|asyncio\.sleep|sleep)\(/;
+const ERROR_LOG_CALL = /\b(logger|logging|log|LOGGER)\.(error|exception|warning|critical)\(|\btraceback\.print_exc\(/;
+
+/**
+ * Scans a Python file and returns findings in the same shape as the JavaScript analyzer
+ */
+function findPatterns(source, fileName = 'lambda_function.py') {
+  const scan = scanner.scanSource(source, 'python');
+  const { findings, add } = scanner.createFindings(fileName, scan);
+  const { bare, code } = scan;
+  const imports = collectImports(scan);
+  const clients = collectSdkClients(bare, code);
+  const body = blankImports(bare, imports);
+  const hasSdkCall = text => clients.size > 0 &&
+    new RegExp(`\\b(${[...clients.keys()].join('|')})\\.\\w+\\(`).test(text);
+
+  for (const { moduleName, index } of imports.modules) {
+    if (matchesLibrary(moduleName, RETRY_LIBRARIES)) {
+      add('retryLogic', 'retry-library', index, `Uses retry library ${moduleName}`);
+    }
+    if (matchesLibrary(moduleName, CIRCUIT_BREAKER_LIBRARIES)) {
+      add('circuitBreaker', 'circuit-breaker-library', index, `Imports circuit breaker library ${moduleName}`);
+    }
+    if (matchesLibrary(moduleName, IDEMPOTENCY_LIBRARIES)) {
+      add('idempotency', 'idempotency-library', index, `Uses idempotency library ${moduleName}`);
+    }
+  }
+
+  // A try block only handles errors when an except clause follows it
+  for (const match of scanner.matchAll(/^[ \t]*try[ \t]*:/m, bare)) {
+    const block = scanner.indentedBlock(bare, match.index);
+    if (!/^\s*except\b/.test(bare.substring(block.end))) {
+      continue;
+    }
+
+    if (hasSdkCall(bare.substring(block.start, block.end))) {
+      add('errorHandling', 'try-catch-sdk', match.index, 'try/except around AWS SDK call');
+    } else {
+      add('errorHandling', 'try-catch', match.index, 'try/except block');
+    }
+  }
+
+  for (const match of scanner.matchAll(/^[ \t]*except\b[^\n]*:/m, bare)) {
+    const block = scanner.indentedBlock(bare, match.index);
+    const logCall = ERROR_LOG_CALL.exec(bare.substring(block.start, block.end));
+    if (logCall) {
+      add('errorHandling', 'error-logging', block.start + logCall.index, `Logs errors with ${logCall[0].slice(0, -1)}`);
+    }
+  }
+
+  for (const match of scanner.matchAll(/['"]statusCode['"]\s*:\s*(\d{3})\b/, code)) {
+    if (Number(match[1]) >= 400) {
+      add('errorHandling', 'error-response', match.index, `Returns error response with status ${match[1]}`);
+    }
+  }
+
+  for (const match of scanner.matchAll(/^[ \t]*(for|while)\b[^\n]*:[ \t]*$/m, bare)) {
+    const block = scanner.indentedBlock(bare, match.index);
+    const loop = bare.substring(block.start, block.end);
+    if (DELAY_CALL.test(loop) && (/\btry[ \t]*:/.test(loop) || /\bawait\b/.test(loop) || hasSdkCall(loop))) {
+      add('retryLogic', 'retry-loop', match.index, 'Loop retries with a delay between attempts');
+    }
+  }
+
+  // Exclude **kwargs unpacking, which has no left operand
+  for (const match of scanner.matchAll(/[\w)\]]\s*(\*\*|<<)\s*[\w(]|\bmath\.pow\(/, bare)) {
+    add('retryLogic', 'backoff', match.index, `Exponential delay using ${match[1] || 'math.pow'}`);
+  }
+
+  for (const match of scanner.matchAll(/\bretries\s*=\s*\{/, bare)) {
+    const block = scanner.braceBlock(bare, match.index);
+    if (!/['"]max_attempts['"]\s*:\s*0\b/.test(code.substring(block.start, block.end))) {
+      add('retryLogic', 'sdk-retry-config', match.index, 'SDK client configured with retries');
+    }
+  }
+
+  for (const [binding, moduleName] of imports.bindings) {
+    if (!matchesLibrary(moduleName, CIRCUIT_BREAKER_LIBRARIES)) {
+      continue;
+    }
+    const usage = new RegExp(`\\b${binding}\\b`).exec(body);
+    if (usage) {
+      add('circuitBreaker', 'circuit-breaker-usage', usage.index, `Creates circuit breaker with ${moduleName}`);
+    }
+  }
+
+  const customBreaker = scanner.findCustomCircuitBreaker(scan);
+  if (customBreaker !== null) {
+    add('circuitBreaker', 'custom-circuit-breaker', customBreaker, 'Custom circuit breaker with OPEN and HALF_OPEN states');
+  }
+
+  for (const match of scanner.matchAll(/(\[|\.get\()\s*['"]([^'"\n]*idempoten[^'"\n]*)['"]/i, code)) {
+    add('idempotency', 'idempotency-key', match.index, `Reads idempotency key ${match[2]}`);
+  }
+
+  for (const match of scanner.matchAll(/\.(\w*idempoten\w*)/i, body)) {
+    add('idempotency', 'idempotency-key', match.index, `Reads idempotency key ${match[1]}`);
+  }
+
+  for (const match of scanner.matchAll(/\b(ClientToken|ClientRequestToken)\s*=|['"](ClientToken|ClientRequestToken)['"]\s*:/, code)) {
+    add('idempotency', 'idempotency-key', match.index, `Passes ${match[1] || match[2]} to an AWS API`);
+  }
+
+  for (const match of scanner.matchAll(/\bConditionExpression\s*=|['"]ConditionExpression['"]\s*:/, code)) {
+    add('idempotency', 'conditional-write', match.index, 'Conditional write with ConditionExpression');
+  }
+
+  for (const match of scanner.matchAll(/\b(\w+)\.(send_message(?:_batch)?|publish(?:_batch)?|put_events)\(/, bare)) {
+    const [, receiver, method] = match;
+    const service = method.startsWith('send_message') ? 'sqs' : method === 'put_events' ? 'eventbridge' : 'sns';
+
+    if (service !== 'sns' || clients.get(receiver) === 'sns' || /sns/i.test(receiver)) {
+      add('asyncProcessing', service, match.index, `Sends work through ${service} (${method})`);
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Lists the modules a Python file imports, including `package.name` for `from package import name`
+ */
+function findImports(source) {
+  const names = [];
+  for (const { moduleName, importedNames } of collectImports(scanner.scanSource(source, 'python')).modules) {
+    names.push(moduleName);
+    for (const name of importedNames) {
+      names.push(moduleName.endsWith('.') ? `${moduleName}${name}` : `${moduleName}.${name}`);
+    }
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Collects `import x as y` and `from x import (a, b as c)` statements and the names they bind
+ */
+function collectImports(scan) {
+  const modules = [];
+  const bindings = new Map();
+
+  for (const match of scanner.matchAll(/^[ \t]*import[ \t]+([^\n]+)/m, scan.bare)) {
+    for (const part of match[1].split(',')) {
+      const [moduleName, alias] = part.trim().split(/\s+as\s+/);
+      if (!moduleName) {
+        continue;
+      }
+      modules.push({ moduleName, importedNames: [], index: match.index, end: match.index + match[0].length });
+      bindings.set(alias || moduleName.split('.')[0], moduleName);
+    }
+  }
+
+  for (const match of scanner.matchAll(/^[ \t]*from[ \t]+(\.*[\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n]+)/m, scan.bare)) {
+    const moduleName = match[1];
+    const importedNames = [];
+
+    for (const part of match[2].replace(/[()\\]/g, ' ').split(',')) {
+      const [name, alias] = part.trim().split(/\s+as\s+/);
+      if (!name || name === '*') {
+        continue;
+      }
+      importedNames.push(name);
+      bindings.set(alias || name, moduleName);
+    }
+
+    modules.push({ moduleName, importedNames, index: match.index, end: match.index + match[0].length });
+  }
+
+  return { modules, bindings };
+}
+
+/**
+ * Maps variables holding boto3 clients, resources and tables to their service name
+ */
+function collectSdkClients(bare, code) {
+  const clients = new Map();
+
+  for (const match of scanner.matchAll(/\b(\w+)\s*=\s*[\w.]*\.(client|resource|Table)\(/, bare)) {
+    const service = /^\s*['"](\w+)['"]/.exec(code.substring(match.index + match[0].length));
+    clients.set(match[1], service ? service[1] : match[2].toLowerCase());
+  }
+
+  return clients;
+}
+
+function blankImports(bare, imports) {
+  let body = bare;
+  for (const { index, end } of imports.modules) {
+    body = body.substring(0, index) + body.substring(index, end).replace(/[^\n]/g, ' ') + body.substring(end);
+  }
+  return body;
+}
+
+function matchesLibrary(moduleName, libraries) {
+  return libraries.some(library => moduleName === library || moduleName.startsWith(`${library}.`));
+}
+
+/**
+ * Lists the comments in a source file as { text, line }
+ */
+function findComments(source) {
+  return scanner.findComments(source, 'python');
+}
+
+module.exports = {
+  findPatterns,
+  findImports,
+  findComments
+};
@@ -0,0 +1,94 @@
+// Finds a participant's stacks in other regions, from a configured region list or a StackSet
+const participantSession = require('./participant-session');
+const templateLoader = require('./template-loader');
+
+const cloudFormation = () => participantSession.getClient('CloudFormation');
+
+/**
+ * Loads the templates of a participant's stacks outside the primary region
+ * options.regions lists regions expected to hold a stack with the same name
+ * options.stackSetName names a StackSet whose instances are the participant's regional stacks
+ * Returns [{ region, stackName, status: 'found' | 'missing' | 'error', model?, error? }]
+ */
+async function discoverRegionalStacks(stackName, options = {}) {
+  const primaryRegion = process.env.AWS_REGION;
+  const targets = new Map();
+
+  for (const region of options.regions || []) {
+    if (region !== primaryRegion) {
+      targets.set(region, stackName);
+    }
+  }
+
+  if (options.stackSetName) {
+    for (const instance of await listStackSetInstances(options.stackSetName)) {
+      if (instance.region !== primaryRegion) {
+        targets.set(instance.region, instance.stackName);
+      }
+    }
+  }
+
+  return Promise.all([...targets].map(([region, regionalStackName]) => loadRegionalStack(region, regionalStackName)));
+}
+
+/**
+ * Lists the deployed instances of a StackSet with the region and name of each stack
+ */
+async function listStackSetInstances(stackSetName) {
+  const instances = [];
+  let nextToken;
+
+  do {
+    const response = await cloudFormation().listStackInstances({
+      StackSetName: stackSetName,
+      NextToken: nextToken
+    }).promise();
+
+    for (const summary of response.Summaries || []) {
+      // Stack IDs look like arn:aws:cloudformation:region:account:stack/name/id
+      const match = /:stack\/([^/]+)\//.exec(summary.StackId || '');
+      if (match && summary.Status !== 'INOPERABLE') {
+        instances.push({ region: summary.Region, stackName: match[1] });
+      }
+    }
+
+    nextToken = response.NextToken;
+  } while (nextToken);
+
+  return instances;
+}
+
+/**
+ * Loads and normalizes the template of a stack in another region
+ */
+async function loadRegionalStack(region, stackName) {
+  try {
+    const response = await getRegionalClient(region).getTemplate({
+      StackName: stackName
+    }).promise();
+
+    return {
+      region,
+      stackName,
+      status: 'found',
+      model: templateLoader.loadTemplate(response.TemplateBody)
+    };
+  } catch (error) {
+    if (error.code === 'ValidationError' && /does not exist/.test(error.message)) {
+      return { region, stackName, status: 'missing' };
+    }
+
+    console.error(`Error loading stack ${stackName} in ${region}:`, error);
+    return { region, stackName, status: 'error', error: error.message };
+  }
+}
+
+// CloudFormation client for another region, in the same account as the primary one
+function getRegionalClient(region) {
+  return participantSession.getClient('CloudFormation', { region });
+}
+
+module.exports = {
+  discoverRegionalStacks,
+  listStackSetInstances
+};
@@ -0,0 +1,110 @@
+// Renders assessment reports for terminals and CI systems
+// Reports are the objects built by feedback-generator.js
+
+/**
+ * Renders a report as plain text: the score, each category, then each check with the evidence and
+ * remediation of those that failed
+ */
+function formatText(report) {
+  const lines = [
+    `Reliability assessment: ${report.challengeId}`,
+    `Score: ${report.score}/100 (passing score ${report.passingScore}) - ${report.passed ? 'PASSED' : 'FAILED'}`,
+    '',
+    'Categories:'
+  ];
+
+  for (const [category, { score, weight }] of Object.entries(report.categories)) {
+    lines.push(`  ${category.padEnd(20)} ${String(score).padStart(3)}  (weight ${weight})`);
+  }
+
+  lines.push('', 'Checks:');
+  for (const check of report.checks) {
+    if (!check.applicable) {
+      lines.push(`  [n/a]  ${check.id}: ${evidenceText(check.evidence[0]) || 'nothing to check'}`);
+      continue;
+    }
+
+    lines.push(`  [${check.passed ? 'pass' : 'FAIL'}] ${check.id} ${check.pointsEarned}/${check.pointsPossible} - ${check.description}`);
+    if (!check.passed) {
+      check.evidence.forEach(item => lines.push(`         ${evidenceText(item)}`));
+      lines.push(`         Fix: ${check.remediation.suggestion}`);
+    }
+  }
+
+  if (report.suspicions.length > 0) {
+    lines.push('', `Suspicious evidence (${report.suspicions.length}), discounted in the score:`);
+    report.suspicions.forEach(suspicion => lines.push(`  ${suspicion.detail}`));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders a report as JUnit XML: one test case per check, skipped when it does not apply,
+ * plus one for the overall score that fails below the passing score
+ */
+function formatJUnit(report) {
+  const cases = report.checks.map(check => {
+    const name = `classname="${escapeXml(check.category)}" name="${escapeXml(check.id)}"`;
+    if (!check.applicable) {
+      return `    <testcase ${name}>\n      <skipped message="${escapeXml(evidenceText(check.evidence[0]) || 'Not applicable')}"/>\n    </testcase>`;
+    }
+    if (check.passed) {
+      return `    <testcase ${name}/>`;
+    }
+
+    const body = [
+      ...check.evidence.map(evidenceText),
+      `Fix: ${check.remediation.suggestion}`
+    ].join('\n');
+    return `    <testcase ${name}>\n      <failure message="${escapeXml(check.description)}">${escapeXml(body)}</failure>\n    </testcase>`;
+  });
+
+  const scoreName = 'classname="score" name="reliability-score"';
+  cases.push(report.passed
+    ? `    <testcase ${scoreName}/>`
+    : `    <testcase ${scoreName}>\n      <failure message="Score ${report.score} is below the passing score ${report.passingScore}"/>\n    </testcase>`);
+
+  const tests = cases.length;
+  const failures = report.checks.filter(check => check.applicable && !check.passed).length + (report.passed ? 0 : 1);
+  const skipped = report.checks.filter(check => !check.applicable).length;
+  const counts = `tests="${tests}" failures="${failures}" skipped="${skipped}"`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="reliability-assessment" ${counts}>`,
+    `  <testsuite name="${escapeXml(report.challengeId)}" ${counts}>`,
+    '    <properties>',
+    `      <property name="score" value="${report.score}"/>`,
+    `      <property name="passingScore" value="${report.passingScore}"/>`,
+    '    </properties>',
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+function evidenceText(item) {
+  if (!item) {
+    return '';
+  }
+  const location = item.file ? ` (${item.file}${item.line ? `:${item.line}` : ''})` : '';
+  // Code evidence already starts with the function name, which is the logical ID in offline runs
+  const prefix = item.logicalId && !String(item.detail).startsWith(`${item.logicalId}: `) ? `${item.logicalId}: ` : '';
+  return `${prefix}${item.detail}${location}`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  formatText,
+  formatJUnit
+};
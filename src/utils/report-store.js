@@ -0,0 +1,59 @@
+// Persists assessment reports in S3 so participants and organizers can fetch them later
+const AWS = require('aws-sdk');
+
+const s3 = new AWS.S3();
+
+/**
+ * Stores a report as the participant's latest and as a timestamped copy
+ */
+async function saveReport(report) {
+  const body = JSON.stringify(report, null, 2);
+  const reportKey = `reports/${report.participantId}/${report.timestamp}.json`;
+
+  await Promise.all([reportKey, latestKey(report.participantId)].map(key =>
+    s3.putObject({
+      Bucket: process.env.REPORTS_BUCKET,
+      Key: key,
+      Body: body,
+      ContentType: 'application/json'
+    }).promise()
+  ));
+
+  return reportKey;
+}
+
+/**
+ * Fetches the participant's latest report, or null if they have never been assessed
+ */
+async function getLatestReport(participantId) {
+  return getReport(latestKey(participantId));
+}
+
+/**
+ * Fetches a report by its S3 key, or null if it does not exist
+ */
+async function getReport(reportKey) {
+  try {
+    const response = await s3.getObject({
+      Bucket: process.env.REPORTS_BUCKET,
+      Key: reportKey
+    }).promise();
+
+    return JSON.parse(response.Body.toString('utf8'));
+  } catch (error) {
+    if (error.code === 'NoSuchKey') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function latestKey(participantId) {
+  return `reports/${participantId}/latest.json`;
+}
+
+module.exports = {
+  saveReport,
+  getLatestReport,
+  getReport
+};
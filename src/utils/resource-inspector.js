@@ -0,0 +1,334 @@
+// Inspects deployed stack resources so template claims can be checked against live state
+const participantSession = require('./participant-session');
+
+// Clients for the assessed participant's account
+const dynamoDBService = () => participantSession.getClient('DynamoDB');
+const lambda = () => participantSession.getClient('Lambda');
+const sqs = () => participantSession.getClient('SQS');
+
+// Template properties compared against live state, per resource type
+const INSPECTED_PROPERTIES = {
+  'AWS::DynamoDB::Table': [
+    'BillingMode',
+    'PointInTimeRecoverySpecification.PointInTimeRecoveryEnabled'
+  ],
+  'AWS::Lambda::Function': [
+    'Timeout',
+    'MemorySize',
+    'ReservedConcurrentExecutions',
+    'DeadLetterConfig.TargetArn',
+    'TracingConfig.Mode'
+  ],
+  'AWS::SQS::Queue': [
+    'VisibilityTimeout',
+    'MessageRetentionPeriod',
+    'RedrivePolicy.deadLetterTargetArn',
+    'RedrivePolicy.maxReceiveCount'
+  ]
+};
+
+// Values AWS applies when a property is omitted from the template
+const PROPERTY_DEFAULTS = {
+  'AWS::DynamoDB::Table': {
+    BillingMode: 'PROVISIONED',
+    'PointInTimeRecoverySpecification.PointInTimeRecoveryEnabled': false
+  },
+  'AWS::Lambda::Function': {
+    Timeout: 3,
+    MemorySize: 128,
+    'TracingConfig.Mode': 'PassThrough'
+  },
+  'AWS::SQS::Queue': {
+    VisibilityTimeout: 30,
+    MessageRetentionPeriod: 345600
+  }
+};
+
+/**
+ * Queries the live configuration of every supported resource in the stack
+ * Returns a map of logical ID to { type, physicalId, properties | missing | error }
+ */
+async function inspectResources(stackResources) {
+  const supported = stackResources.filter(r => INSPECTED_PROPERTIES[r.ResourceType]);
+
+  const inspections = await Promise.all(supported.map(async resource => {
+    const base = {
+      type: resource.ResourceType,
+      physicalId: resource.PhysicalResourceId
+    };
+
+    try {
+      const properties = await describeResource(resource);
+      return [resource.LogicalResourceId, { ...base, properties }];
+    } catch (error) {
+      if (isNotFound(error)) {
+        return [resource.LogicalResourceId, { ...base, missing: true }];
+      }
+      console.error(`Error inspecting ${resource.LogicalResourceId}:`, error);
+      return [resource.LogicalResourceId, { ...base, error: error.message }];
+    }
+  }));
+
+  return Object.fromEntries(inspections);
+}
+
+/**
+ * Describes a single resource and expresses its live state as template properties
+ */
+async function describeResource(resource) {
+  switch (resource.ResourceType) {
+    case 'AWS::DynamoDB::Table':
+      return describeTable(resource.PhysicalResourceId);
+    case 'AWS::Lambda::Function':
+      return describeFunction(resource.PhysicalResourceId);
+    case 'AWS::SQS::Queue':
+      return describeQueue(resource.PhysicalResourceId);
+    default:
+      return {};
+  }
+}
+
+/**
+ * Reads billing mode and point-in-time recovery status of a DynamoDB table
+ */
+async function describeTable(tableName) {
+  const [table, backups] = await Promise.all([
+    dynamoDBService().describeTable({ TableName: tableName }).promise(),
+    dynamoDBService().describeContinuousBackups({ TableName: tableName }).promise()
+  ]);
+
+  const billing = table.Table.BillingModeSummary;
+  const pitr = backups.ContinuousBackupsDescription &&
+    backups.ContinuousBackupsDescription.PointInTimeRecoveryDescription;
+
+  return {
+    BillingMode: billing ? billing.BillingMode : 'PROVISIONED',
+    PointInTimeRecoverySpecification: {
+      PointInTimeRecoveryEnabled: !!pitr && pitr.PointInTimeRecoveryStatus === 'ENABLED'
+    }
+  };
+}
+
+/**
+ * Reads timeout, memory, concurrency, DLQ and tracing settings of a Lambda function
+ */
+async function describeFunction(functionName) {
+  const [config, concurrency] = await Promise.all([
+    lambda().getFunctionConfiguration({ FunctionName: functionName }).promise(),
+    lambda().getFunctionConcurrency({ FunctionName: functionName }).promise()
+  ]);
+
+  const properties = {
+    Timeout: config.Timeout,
+    MemorySize: config.MemorySize,
+    TracingConfig: {
+      Mode: config.TracingConfig ? config.TracingConfig.Mode : 'PassThrough'
+    }
+  };
+
+  if (concurrency.ReservedConcurrentExecutions !== undefined) {
+    properties.ReservedConcurrentExecutions = concurrency.ReservedConcurrentExecutions;
+  }
+  if (config.DeadLetterConfig && config.DeadLetterConfig.TargetArn) {
+    properties.DeadLetterConfig = { TargetArn: config.DeadLetterConfig.TargetArn };
+  }
+
+  return properties;
+}
+
+/**
+ * Reads visibility, retention and redrive settings of an SQS queue
+ * The physical ID of an AWS::SQS::Queue is its queue URL
+ */
+async function describeQueue(queueUrl) {
+  const response = await sqs().getQueueAttributes({
+    QueueUrl: queueUrl,
+    AttributeNames: ['VisibilityTimeout', 'MessageRetentionPeriod', 'RedrivePolicy']
+  }).promise();
+
+  const attributes = response.Attributes || {};
+  const properties = {
+    VisibilityTimeout: Number(attributes.VisibilityTimeout),
+    MessageRetentionPeriod: Number(attributes.MessageRetentionPeriod)
+  };
+
+  if (attributes.RedrivePolicy) {
+    const redrive = JSON.parse(attributes.RedrivePolicy);
+    properties.RedrivePolicy = {
+      deadLetterTargetArn: redrive.deadLetterTargetArn,
+      maxReceiveCount: Number(redrive.maxReceiveCount)
+    };
+  }
+
+  return properties;
+}
+
+/**
+ * Builds a normalized template model whose properties reflect the live resources
+ * Resources whose inspection failed keep none of the inspected template properties, so their template values
+ * earn nothing, and carry inspectionError for the checks to report
+ */
+function buildLiveModel(templateModel, inspections) {
+  const resources = templateModel.resources
+    .filter(resource => !(inspections[resource.logicalId] && inspections[resource.logicalId].missing))
+    .map(resource => {
+      const inspection = inspections[resource.logicalId];
+      if (!inspection) {
+        return resource;
+      }
+
+      const properties = { ...resource.properties };
+      if (inspection.error) {
+        for (const path of INSPECTED_PROPERTIES[resource.type] || []) {
+          deletePath(properties, path);
+        }
+        return { ...resource, properties, inspectionError: inspection.error };
+      }
+
+      for (const path of INSPECTED_PROPERTIES[resource.type] || []) {
+        const liveValue = getPath(inspection.properties, path);
+        if (liveValue === undefined) {
+          deletePath(properties, path);
+        } else {
+          setPath(properties, path, liveValue);
+        }
+      }
+
+      return { ...resource, properties };
+    });
+
+  return { ...templateModel, resources };
+}
+
+/**
+ * Lists the properties where the live resource disagrees with the template
+ * Resources that could not be inspected are listed with live: 'error', as their drift is unknown
+ */
+function detectDrift(templateModel, inspections) {
+  const drift = [];
+
+  for (const resource of templateModel.resources) {
+    const inspection = inspections[resource.logicalId];
+    if (!inspection) {
+      continue;
+    }
+
+    if (inspection.missing) {
+      drift.push({
+        logicalId: resource.logicalId,
+        property: null,
+        template: 'declared',
+        live: 'missing'
+      });
+      continue;
+    }
+
+    if (inspection.error) {
+      drift.push({
+        logicalId: resource.logicalId,
+        property: null,
+        template: 'declared',
+        live: 'error',
+        error: inspection.error
+      });
+      continue;
+    }
+
+    const defaults = PROPERTY_DEFAULTS[resource.type] || {};
+    for (const path of INSPECTED_PROPERTIES[resource.type] || []) {
+      const templateValue = withDefault(getPath(resource.properties, path), defaults[path]);
+      const liveValue = withDefault(getPath(inspection.properties, path), defaults[path]);
+
+      if (!valuesMatch(templateValue, liveValue)) {
+        drift.push({
+          logicalId: resource.logicalId,
+          property: path,
+          template: templateValue === undefined ? null : templateValue,
+          live: liveValue === undefined ? null : liveValue
+        });
+      }
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * Compares a template value with a live value
+ * Intrinsic functions cannot be resolved here, so only their presence is compared
+ */
+function valuesMatch(templateValue, liveValue) {
+  if (isIntrinsic(templateValue)) {
+    return liveValue !== undefined;
+  }
+  if (templateValue === undefined || liveValue === undefined) {
+    return templateValue === liveValue;
+  }
+
+  // Templates frequently quote numbers and booleans
+  return String(templateValue) === String(liveValue);
+}
+
+/**
+ * Returns true for { Ref: ... } and { 'Fn::...': ... } values
+ */
+function isIntrinsic(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+
+  const keys = Object.keys(value);
+  return keys.length === 1 && (keys[0] === 'Ref' || keys[0].startsWith('Fn::'));
+}
+
+function withDefault(value, defaultValue) {
+  return value === undefined ? defaultValue : value;
+}
+
+function isNotFound(error) {
+  return ['ResourceNotFoundException', 'AWS.SimpleQueueService.NonExistentQueue', 'QueueDoesNotExist']
+    .includes(error.code);
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce(
+    (value, key) => (value && typeof value === 'object' ? value[key] : undefined),
+    object
+  );
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  let target = object;
+
+  keys.slice(0, -1).forEach(key => {
+    target[key] = target[key] && typeof target[key] === 'object' ? { ...target[key] } : {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+}
+
+function deletePath(object, path) {
+  const [key, ...rest] = path.split('.');
+
+  if (rest.length === 0) {
+    delete object[key];
+    return;
+  }
+  if (!object[key] || typeof object[key] !== 'object') {
+    return;
+  }
+
+  // Copy before mutating so the template model is left untouched, and drop emptied parents
+  object[key] = { ...object[key] };
+  deletePath(object[key], rest.join('.'));
+  if (Object.keys(object[key]).length === 0) {
+    delete object[key];
+  }
+}
+
+module.exports = {
+  inspectResources,
+  buildLiveModel,
+  detectDrift
+};
@@ -0,0 +1,218 @@
+// Comment- and string-aware scanning shared by the Python, Java and Go analyzers
+
+// Comment and string syntax per language
+const SYNTAX = {
+  python: { lineComment: '#', blockComment: null, quotes: ['"', "'"], tripleQuotes: true, rawQuotes: [] },
+  java: { lineComment: '//', blockComment: ['/*', '*/'], quotes: ['"', "'"], tripleQuotes: true, rawQuotes: [] },
+  go: { lineComment: '//', blockComment: ['/*', '*/'], quotes: ['"', "'"], tripleQuotes: false, rawQuotes: ['`'] }
+};
+
+/**
+ * Splits source into the parts pattern matching needs, keeping every character offset intact
+ * - code: comments blanked out
+ * - bare: comments and string contents blanked out, so keywords only match real code
+ * - strings: string literals as { value, start, end }
+ * - comments: comments as { text, start, end }
+ */
+function scanSource(source, language) {
+  const syntax = SYNTAX[language];
+  const code = source.split('');
+  const bare = source.split('');
+  const strings = [];
+  const comments = [];
+  const blank = (target, from, to) => {
+    for (let i = from; i < to; i++) {
+      if (target[i] !== '\n') {
+        target[i] = ' ';
+      }
+    }
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    if (source.startsWith(syntax.lineComment, i)) {
+      const end = source.indexOf('\n', i) === -1 ? source.length : source.indexOf('\n', i);
+      comments.push({ text: source.substring(i + syntax.lineComment.length, end), start: i, end });
+      blank(code, i, end);
+      blank(bare, i, end);
+      i = end;
+      continue;
+    }
+
+    if (syntax.blockComment && source.startsWith(syntax.blockComment[0], i)) {
+      const close = source.indexOf(syntax.blockComment[1], i + syntax.blockComment[0].length);
+      const end = close === -1 ? source.length : close + syntax.blockComment[1].length;
+      comments.push({ text: source.substring(i + syntax.blockComment[0].length, close === -1 ? end : close), start: i, end });
+      blank(code, i, end);
+      blank(bare, i, end);
+      i = end;
+      continue;
+    }
+
+    const char = source[i];
+    if (syntax.quotes.includes(char) || syntax.rawQuotes.includes(char)) {
+      const triple = syntax.tripleQuotes && source.startsWith(char.repeat(3), i);
+      const delimiter = triple ? char.repeat(3) : char;
+      const escapes = !syntax.rawQuotes.includes(char);
+      let end = i + delimiter.length;
+
+      while (end < source.length && !source.startsWith(delimiter, end)) {
+        // Single-quoted strings end at the line; a missing quote must not swallow the file
+        if (!triple && !syntax.rawQuotes.includes(char) && source[end] === '\n') {
+          break;
+        }
+        end += escapes && source[end] === '\\' ? 2 : 1;
+      }
+
+      const contentEnd = Math.min(end, source.length);
+      strings.push({ value: source.substring(i + delimiter.length, contentEnd), start: i, end: contentEnd + delimiter.length });
+      blank(bare, i + delimiter.length, contentEnd);
+      i = contentEnd + delimiter.length;
+      continue;
+    }
+
+    i++;
+  }
+
+  const lineStarts = [0];
+  for (let index = 0; index < source.length; index++) {
+    if (source[index] === '\n') {
+      lineStarts.push(index + 1);
+    }
+  }
+
+  return {
+    code: code.join(''),
+    bare: bare.join(''),
+    strings,
+    comments,
+    lineAt: index => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (lineStarts[mid] <= index) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return low + 1;
+    }
+  };
+}
+
+/**
+ * Collects findings in the { pattern, kind, file, line, detail } shape the JavaScript analyzer uses
+ */
+function createFindings(fileName, scan) {
+  const findings = [];
+  const add = (pattern, kind, index, detail) => findings.push({
+    pattern,
+    kind,
+    file: fileName,
+    line: scan.lineAt(index),
+    detail
+  });
+
+  return { findings, add };
+}
+
+/**
+ * Lists the comments in a source file as { text, line }
+ */
+function findComments(source, language) {
+  const scan = scanSource(source, language);
+  return scan.comments.map(comment => ({ text: comment.text, line: scan.lineAt(comment.start) }));
+}
+
+/**
+ * Yields every match of a global regular expression
+ */
+function* matchAll(regex, text) {
+  const global = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`);
+  let match;
+  while ((match = global.exec(text)) !== null) {
+    yield match;
+    if (match[0].length === 0) {
+      global.lastIndex++;
+    }
+  }
+}
+
+/**
+ * Finds the brace-delimited block starting at or after `index`, as { start, end }
+ * Expects `bare` text so braces inside strings and comments are ignored
+ */
+function braceBlock(bare, index) {
+  const open = bare.indexOf('{', index);
+  if (open === -1) {
+    return null;
+  }
+
+  let depth = 0;
+  for (let i = open; i < bare.length; i++) {
+    if (bare[i] === '{') {
+      depth++;
+    } else if (bare[i] === '}') {
+      depth--;
+      if (depth === 0) {
+        return { start: open, end: i + 1 };
+      }
+    }
+  }
+
+  return { start: open, end: bare.length };
+}
+
+/**
+ * Finds the indented block under the line containing `index` (a Python `try:`, `for ...:` or `except:`)
+ */
+function indentedBlock(bare, index) {
+  const lineStart = bare.lastIndexOf('\n', index) + 1;
+  const indent = bare.substring(lineStart).match(/^[ \t]*/)[0].length;
+  const bodyStart = bare.indexOf('\n', index);
+  if (bodyStart === -1) {
+    return { start: bare.length, end: bare.length };
+  }
+
+  let end = bodyStart + 1;
+  while (end < bare.length) {
+    const lineEnd = bare.indexOf('\n', end) === -1 ? bare.length : bare.indexOf('\n', end);
+    const line = bare.substring(end, lineEnd);
+    if (line.trim() !== '' && line.match(/^[ \t]*/)[0].length <= indent) {
+      break;
+    }
+    end = lineEnd + 1;
+  }
+
+  return { start: bodyStart + 1, end: Math.min(end, bare.length) };
+}
+
+/**
+ * A hand-rolled circuit breaker has at least an open and a half-open state
+ * Matches string literals and state constants such as HALF_OPEN or StateHalfOpen
+ */
+function findCustomCircuitBreaker(scan) {
+  const halfOpen = scan.strings.find(literal => /^half[_-]?open$/i.test(literal.value)) ||
+    firstMatch(/\b(HALF_OPEN|HalfOpen|StateHalfOpen)\b/, scan.bare);
+  const open = scan.strings.some(literal => /^open$/i.test(literal.value)) ||
+    firstMatch(/\b(OPEN|StateOpen)\b/, scan.bare);
+
+  return halfOpen && open ? halfOpen.start : null;
+}
+
+function firstMatch(regex, text) {
+  const match = regex.exec(text);
+  return match ? { start: match.index } : null;
+}
+
+module.exports = {
+  scanSource,
+  createFindings,
+  findComments,
+  matchAll,
+  braceBlock,
+  indentedBlock,
+  findCustomCircuitBreaker
+};
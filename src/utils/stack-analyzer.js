@@ -1,83 +1,841 @@
 // A simplified version of the CloudFormation stack analysis functions
-const AWS = require('aws-sdk');
+const participantSession = require('./participant-session');
+const templateLoader = require('./template-loader');
+const resourceInspector = require('./resource-inspector');
+const regionDiscovery = require('./region-discovery');
+const suspicionDetector = require('./suspicion-detector');
 
-const cloudFormation = new AWS.CloudFormation();
+const cloudFormation = () => participantSession.getClient('CloudFormation');
+
+// Resources holding data that must survive stack updates and deletion
+const STATEFUL_TYPES = [
+  'AWS::DynamoDB::Table',
+  'AWS::DynamoDB::GlobalTable',
+  'AWS::RDS::DBInstance',
+  'AWS::RDS::DBCluster',
+  'AWS::S3::Bucket',
+  'AWS::EFS::FileSystem'
+];
+
+// The Serverless Framework's artifact bucket is rebuilt on every deploy and holds no application data
+const DEPLOYMENT_BUCKETS = ['ServerlessDeploymentBucket'];
+
+// Lambda's maximum timeout; functions set to it usually have no deliberate timeout at all
+const MAX_LAMBDA_TIMEOUT = 900;
 
 /**
  * Analyzes CloudFormation stack for reliability patterns
+ * options.mode selects what must pass: 'template' (default), 'live' or 'both'
+ * options.stackResources avoids listing the stack resources a second time
+ * options.regions and options.stackSetName locate the participant's stacks in other regions
  */
-async function analyzeStack(stackName) {
+async function analyzeStack(stackName, options = {}) {
+  const mode = options.mode || 'template';
+  
   try {
-    console.log(`Analyzing stack: ${stackName}`);
+    console.log(`Analyzing stack: ${stackName} (${mode} mode)`);
     
     // Get stack template
-    const templateResponse = await cloudFormation.getTemplate({
+    const templateResponse = await cloudFormation().getTemplate({
       StackName: stackName
     }).promise();
     
-    const template = JSON.parse(templateResponse.TemplateBody);
+    const template = templateLoader.loadTemplate(templateResponse.TemplateBody);
+    const regionalStacks = await regionDiscovery.discoverRegionalStacks(stackName, {
+      regions: options.regions,
+      stackSetName: options.stackSetName
+    });
+    const templateAnalysis = runChecks(template, regionalStacks);
+    const suspicions = suspicionDetector.findTemplateSuspicions(template);
+    const regions = regionalStacks.map(({ region, stackName: regionalStackName, status }) => ({
+      region,
+      stackName: regionalStackName,
+      status
+    }));
     
-    // Perform basic checks
-    const multiRegionScore = checkMultiRegionSetup(template);
-    const backupsScore = checkBackupConfigurations(template);
+    if (mode === 'template') {
+      return {
+        stackName,
+        templateFormat: template.format,
+        mode,
+        regions,
+        analysis: templateAnalysis,
+        suspicions
+      };
+    }
+    
+    // Compare the template with what is actually deployed
+    const stackResources = options.stackResources || await getStackResources(stackName);
+    const inspections = await resourceInspector.inspectResources(stackResources);
+    const liveAnalysis = runChecks(resourceInspector.buildLiveModel(template, inspections), regionalStacks);
     
     return {
       stackName,
-      analysis: {
-        multiRegion: multiRegionScore,
-        backups: backupsScore
-      }
+      templateFormat: template.format,
+      mode,
+      regions,
+      analysis: mode === 'live'
+        ? liveAnalysis
+        : combineAnalyses(templateAnalysis, liveAnalysis),
+      drift: resourceInspector.detectDrift(template, inspections),
+      suspicions
     };
   } catch (error) {
     console.error(`Error analyzing stack ${stackName}:`, error);
     return {
       stackName,
-      error: error.message
+      error: error.message,
+      ...(participantSession.isAccessDenied(error) ? { accessDenied: true } : {})
     };
   }
 }
 
 /**
- * Checks if multi-region setup is configured
+ * Analyzes a template that is not deployed, e.g. for a dry run
+ * Only the template is checked: there are no live resources, drift or regional stacks to compare with
  */
-function checkMultiRegionSetup(template) {
-  // Simplified implementation
-  const resources = template.Resources || {};
-  const hasMultiRegionConfig = Object.values(resources).some(resource => 
-    resource.Properties && resource.Properties.Region
-  );
-  
+function analyzeTemplate(template, { stackName = 'inline-template' } = {}) {
   return {
-    implemented: hasMultiRegionConfig,
-    score: hasMultiRegionConfig ? 100 : 0
+    stackName,
+    templateFormat: template.format,
+    mode: 'template',
+    regions: [],
+    analysis: runChecks(template),
+    suspicions: suspicionDetector.findTemplateSuspicions(template)
   };
 }
 
 /**
- * Checks for backup configurations
+ * Analyzes each of a participant's stacks and combines the results check by check
+ * stacks is [{ stackName, stackResources }]; a single stack gives the same result as analyzeStack
  */
-function checkBackupConfigurations(template) {
-  // Simplified implementation
-  const resources = template.Resources || {};
-  const dynamoDBTables = Object.values(resources).filter(
-    r => r.Type === 'AWS::DynamoDB::Table'
-  );
+async function analyzeStacks(stacks, options = {}) {
+  if (stacks.length === 0) {
+    return { stackName: null, stackNames: [], error: 'No stacks found for the participant' };
+  }
+
+  const results = await Promise.all(stacks.map(({ stackName, stackResources }) =>
+    analyzeStack(stackName, { ...options, stackResources })
+  ));
+
+  return results.length === 1 ? results[0] : combineStackResults(results);
+}
+
+/**
+ * Averages each check over the stacks it applies to; it is only implemented when every such stack implements it
+ * Evidence, drift and suspicions name the stack they came from, and stacks that could not be analyzed are listed under errors
+ */
+function combineStackResults(results) {
+  const stackNames = results.map(result => result.stackName);
+  const analyzed = results.filter(result => !result.error);
+  const errors = results
+    .filter(result => result.error)
+    .map(result => ({ stackName: result.stackName, error: result.error, accessDenied: result.accessDenied === true }));
+
+  if (analyzed.length === 0) {
+    return {
+      stackName: stackNames[0],
+      stackNames,
+      error: errors.map(({ stackName, error }) => `${stackName}: ${error}`).join('; '),
+      ...(errors.some(error => error.accessDenied) ? { accessDenied: true } : {})
+    };
+  }
+
+  const withStackName = (items, stackName) => (items || []).map(item => ({ ...item, stackName }));
+  const analysis = {};
+  for (const check of Object.keys(analyzed[0].analysis)) {
+    const applicable = analyzed.filter(result => result.analysis[check].applicable !== false);
+    const counted = applicable.length > 0 ? applicable : analyzed;
+
+    analysis[check] = {
+      ...(applicable.length === 0 ? { applicable: false } : {}),
+      implemented: counted.every(result => result.analysis[check].implemented),
+      score: counted.reduce((sum, result) => sum + result.analysis[check].score, 0) / counted.length,
+      evidence: analyzed.reduce((evidence, result) =>
+        evidence.concat(withStackName(result.analysis[check].evidence, result.stackName)), [])
+    };
+  }
+
+  return {
+    stackName: analyzed[0].stackName,
+    stackNames,
+    templateFormat: analyzed[0].templateFormat,
+    mode: analyzed[0].mode,
+    // Regional stacks already carry their own stack names
+    regions: analyzed.reduce((regions, result) => regions.concat(result.regions || []), []),
+    analysis,
+    ...(analyzed.some(result => result.drift)
+      ? { drift: analyzed.reduce((drift, result) => drift.concat(withStackName(result.drift, result.stackName)), []) }
+      : {}),
+    suspicions: analyzed.reduce((suspicions, result) =>
+      suspicions.concat(withStackName(result.suspicions, result.stackName)), []),
+    errors
+  };
+}
+
+/**
+ * Runs every stack check against a normalized template model
+ * regionalStacks are the participant's stacks in other regions, used by the multi-region check
+ * Resources nothing else in the stack references count for less (see suspicion-detector.js)
+ */
+function runChecks(templateModel, regionalStacks = []) {
+  const template = suspicionDetector.markSuspiciousResources(templateModel);
+
+  return {
+    multiRegion: checkMultiRegionSetup(template, regionalStacks),
+    backups: checkBackupConfigurations(template),
+    globalTables: checkGlobalTables(template),
+    dynamoDBCapacity: checkDynamoDBCapacity(template),
+    deadLetterQueues: checkDeadLetterQueues(template),
+    lambdaConcurrency: checkLambdaConcurrency(template),
+    lambdaFailureDestinations: checkLambdaFailureDestinations(template),
+    lambdaTimeouts: checkLambdaTimeouts(template),
+    apiThrottling: checkApiThrottling(template),
+    rdsMultiAZ: checkRDSMultiAZ(template),
+    rdsBackups: checkRDSBackups(template),
+    s3DataProtection: checkS3DataProtection(template),
+    retentionPolicies: checkRetentionPolicies(template),
+    backupPlans: checkBackupPlans(template)
+  };
+}
+
+/**
+ * Requires a check to pass in both the template and the live resources
+ */
+function combineAnalyses(templateAnalysis, liveAnalysis) {
+  const combined = {};
   
-  const tablesWithPITR = dynamoDBTables.filter(table => 
-    table.Properties && 
-    table.Properties.PointInTimeRecoverySpecification &&
-    table.Properties.PointInTimeRecoverySpecification.PointInTimeRecoveryEnabled === true
-  );
+  for (const [check, templateResult] of Object.entries(templateAnalysis)) {
+    const liveResult = liveAnalysis[check];
+    combined[check] = {
+      // A check only stops applying when the template has nothing for it to check
+      ...(templateResult.applicable === false ? { applicable: false } : {}),
+      implemented: templateResult.implemented && liveResult.implemented,
+      score: Math.min(templateResult.score, liveResult.score),
+      evidence: [
+        ...(templateResult.evidence || []).map(item => ({ ...item, source: 'template' })),
+        ...(liveResult.evidence || []).map(item => ({ ...item, source: 'live' }))
+      ],
+      template: templateResult,
+      live: liveResult
+    };
+  }
   
-  const implemented = tablesWithPITR.length > 0;
+  return combined;
+}
+
+/**
+ * Lists the deployed resources of a stack
+ */
+async function getStackResources(stackName) {
+  const response = await cloudFormation().describeStackResources({
+    StackName: stackName
+  }).promise();
+
+  return response.StackResources || [];
+}
+
+/**
+ * Identifies the deployed version of a stack by its last update time
+ */
+async function getStackVersion(stackName) {
+  const response = await cloudFormation().describeStacks({
+    StackName: stackName
+  }).promise();
+
+  const stack = response.Stacks[0];
+  const updated = stack.LastUpdatedTime || stack.CreationTime;
+  return updated ? new Date(updated).toISOString() : null;
+}
+
+/**
+ * Lists the outputs of a deployed stack as { key: value }
+ */
+async function getStackOutputs(stackName) {
+  const response = await cloudFormation().describeStacks({
+    StackName: stackName
+  }).promise();
+
+  return (response.Stacks[0].Outputs || []).reduce((outputs, output) => ({
+    ...outputs,
+    [output.OutputKey]: output.OutputValue
+  }), {});
+}
+
+/**
+ * Scores how much of the workload survives the loss of a region
+ * Combines where stacks are deployed, which data stores replicate across regions
+ * and whether Route 53 shifts traffic between regions on failed health checks
+ * regionalStacks come from regionDiscovery.discoverRegionalStacks
+ * Replicated stores nothing uses and records that route to nothing the stack deploys earn only part of their score
+ */
+function checkMultiRegionSetup(template, regionalStacks = []) {
+  const models = [template, ...regionalStacks.filter(stack => stack.status === 'found')
+    .map(stack => suspicionDetector.markSuspiciousResources(stack.model))];
+  const evidence = [];
+
+  // Regional footprint: a stack deployed in more than one region
+  const deployedRegions = [process.env.AWS_REGION || 'primary region',
+    ...regionalStacks.filter(stack => stack.status === 'found').map(stack => stack.region)];
+  for (const stack of regionalStacks) {
+    evidence.push({
+      logicalId: null,
+      detail: stack.status === 'found'
+        ? `Stack ${stack.stackName} deployed in ${stack.region}`
+        : `Stack ${stack.stackName} ${stack.status === 'missing' ? 'not deployed' : 'could not be read'} in ${stack.region}`
+    });
+  }
+  const footprint = {
+    weight: 30,
+    score: deployedRegions.length > 1 ? 100 : 0
+  };
+
+  // Data replication: the share of tables and buckets with copies in another region
+  const dataStores = [];
+  const addDataStore = (resource, replicated, detail) => dataStores.push({
+    logicalId: resource.logicalId,
+    score: replicated ? discounted(100, resource.suspicion) : 0,
+    detail,
+    suspicion: resource.suspicion
+  });
+  for (const model of models) {
+    for (const table of templateLoader.getResourcesByType(model, 'AWS::DynamoDB::GlobalTable')) {
+      const regions = (table.properties.Replicas || []).map(replica => replica.Region);
+      addDataStore(table, regions.length > 1, regions.length > 1
+        ? `Global table replicas in ${regions.join(', ')}`
+        : 'Global table has a single replica');
+    }
+    for (const table of templateLoader.getResourcesByType(model, 'AWS::DynamoDB::Table')) {
+      addDataStore(table, false, 'DynamoDB table exists in one region only');
+    }
+    for (const bucket of templateLoader.getResourcesByType(model, 'AWS::S3::Bucket')) {
+      if (DEPLOYMENT_BUCKETS.includes(bucket.logicalId)) {
+        continue;
+      }
+      const rules = (bucket.properties.ReplicationConfiguration || {}).Rules || [];
+      addDataStore(bucket, rules.length > 0, rules.length > 0
+        ? 'S3 bucket replicates objects to another bucket'
+        : 'S3 bucket is not replicated');
+    }
+  }
+  dataStores.forEach(store => evidence.push(toEvidence(store)));
+  const replication = {
+    weight: 40,
+    applicable: dataStores.length > 0,
+    score: dataStores.length > 0 ? averageScore(dataStores) : 0
+  };
+
+  // Traffic routing: failover or latency records, backed by health checks
+  const records = [];
+  for (const model of models) {
+    for (const record of templateLoader.getResourcesByType(model, 'AWS::Route53::RecordSet')) {
+      records.push(routingRecord(model, record.logicalId, record.properties));
+    }
+    for (const group of templateLoader.getResourcesByType(model, 'AWS::Route53::RecordSetGroup')) {
+      (group.properties.RecordSets || []).forEach(record => records.push(routingRecord(model, group.logicalId, record)));
+    }
+  }
+  const routed = records.filter(record => record.Failover || record.Region).map(record => ({
+    logicalId: record.logicalId,
+    // A record without a health check keeps sending traffic to a failed region
+    score: discounted(record.HealthCheckId ? 100 : 50, record.suspicion),
+    detail: `Route 53 ${record.Failover ? `${record.Failover} failover` : `latency (${record.Region})`} record` +
+      (record.HealthCheckId ? ' with a health check' : ' without a health check'),
+    suspicion: record.suspicion
+  }));
+  routed.forEach(record => evidence.push(toEvidence(record)));
+  const routing = {
+    weight: 30,
+    score: routed.length === 0 ? 0 : averageScore(routed)
+  };
+  if (routed.length === 0) {
+    evidence.push({ logicalId: null, detail: 'No Route 53 failover or latency records' });
+  }
+
+  const components = [footprint, replication, routing].filter(component => component.applicable !== false);
+  const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+  const score = components.reduce((sum, component) => sum + component.score * component.weight, 0) / totalWeight;
+
+  return {
+    implemented: score === 100,
+    score,
+    evidence
+  };
+}
+
+/**
+ * A Route 53 record of a model, marked suspicious when it routes to nothing the model deploys
+ */
+function routingRecord(model, logicalId, record) {
+  const target = [record.AliasTarget, record.ResourceRecords];
+  const routesToStack = model.resources.some(resource => templateLoader.referencesResource(target, resource.logicalId));
+
+  return {
+    ...record,
+    logicalId,
+    ...(routesToStack ? {} : { suspicion: { type: 'unreferenced-target', detail: 'The record routes to nothing the stack deploys' } })
+  };
+}
+
+function discounted(score, suspicion) {
+  return suspicion ? score * suspicionDetector.SUSPICIOUS_WEIGHT : score;
+}
+
+function averageScore(items) {
+  return items.reduce((sum, item) => sum + item.score, 0) / items.length;
+}
+
+function toEvidence({ logicalId, detail, suspicion }) {
+  return { logicalId, detail, ...(suspicion ? { suspicion } : {}) };
+}
+
+/**
+ * Checks that every DynamoDB table has point-in-time recovery enabled
+ */
+function checkBackupConfigurations(template) {
+  const tables = templateLoader.getResourcesByType(template, 'AWS::DynamoDB::Table');
+
+  return scoreResources(tables, 'No DynamoDB tables in the stack', table => {
+    const recovery = table.properties.PointInTimeRecoverySpecification;
+    return recovery && recovery.PointInTimeRecoveryEnabled === true
+      ? { score: 100, detail: 'Point-in-time recovery enabled' }
+      : { score: 0, detail: 'Point-in-time recovery not enabled' };
+  });
+}
+
+/**
+ * Checks that DynamoDB data is replicated to other regions with global tables
+ */
+function checkGlobalTables(template) {
+  const tables = [
+    ...templateLoader.getResourcesByType(template, 'AWS::DynamoDB::Table'),
+    ...templateLoader.getResourcesByType(template, 'AWS::DynamoDB::GlobalTable')
+  ];
+
+  return scoreResources(tables, 'No DynamoDB tables in the stack', table => {
+    if (table.type === 'AWS::DynamoDB::Table') {
+      return { score: 0, detail: 'Single-region table; use AWS::DynamoDB::GlobalTable with replicas in other regions' };
+    }
+
+    const regions = (table.properties.Replicas || []).map(replica => replica.Region);
+    return regions.length > 1
+      ? { score: 100, detail: `Global table replicated to ${regions.join(', ')}` }
+      : { score: 0, detail: 'Global table has a single replica' };
+  });
+}
+
+/**
+ * Checks that DynamoDB capacity follows demand through on-demand billing or auto scaling
+ */
+function checkDynamoDBCapacity(template) {
+  const tables = [
+    ...templateLoader.getResourcesByType(template, 'AWS::DynamoDB::Table'),
+    ...templateLoader.getResourcesByType(template, 'AWS::DynamoDB::GlobalTable')
+  ];
+  const scalableTargets = templateLoader.getResourcesByType(template, 'AWS::ApplicationAutoScaling::ScalableTarget')
+    .filter(target => target.properties.ServiceNamespace === 'dynamodb');
+
+  return scoreResources(tables, 'No DynamoDB tables in the stack', table => {
+    if (table.properties.BillingMode === 'PAY_PER_REQUEST') {
+      return { score: 100, detail: 'On-demand capacity' };
+    }
+
+    if (table.type === 'AWS::DynamoDB::GlobalTable') {
+      const settings = table.properties.WriteProvisionedThroughputSettings;
+      return settings && settings.WriteCapacityAutoScalingSettings
+        ? { score: 100, detail: 'Provisioned capacity with write auto scaling' }
+        : { score: 0, detail: 'Provisioned capacity without auto scaling' };
+    }
+
+    const dimensions = scalableTargets
+      .filter(target => templateLoader.referencesResource(target.properties.ResourceId, table.logicalId))
+      .map(target => target.properties.ScalableDimension);
+    const scalesReads = dimensions.includes('dynamodb:table:ReadCapacityUnits');
+    const scalesWrites = dimensions.includes('dynamodb:table:WriteCapacityUnits');
+
+    if (scalesReads && scalesWrites) {
+      return { score: 100, detail: 'Provisioned capacity with read and write auto scaling' };
+    }
+    if (scalesReads || scalesWrites) {
+      return { score: 50, detail: `Provisioned capacity with ${scalesReads ? 'read' : 'write'} auto scaling only` };
+    }
+    return { score: 0, detail: 'Provisioned capacity without auto scaling; use PAY_PER_REQUEST or Application Auto Scaling' };
+  });
+}
+
+/**
+ * Checks that SQS queues move poison messages to a dead-letter queue
+ * Queues that serve as another queue's dead-letter queue are not checked themselves
+ */
+function checkDeadLetterQueues(template) {
+  const queues = templateLoader.getResourcesByType(template, 'AWS::SQS::Queue');
+  // Only a queue another queue redrives to counts as a dead-letter queue; its name proves nothing
+  const isDeadLetterQueue = queue => queues.some(other => other.properties.RedrivePolicy &&
+    templateLoader.referencesResource(other.properties.RedrivePolicy.deadLetterTargetArn, queue.logicalId));
+
+  return scoreResources(queues.filter(queue => !isDeadLetterQueue(queue)), 'No SQS queues in the stack', queue => {
+    const redrive = queue.properties.RedrivePolicy;
+    if (!redrive || !redrive.deadLetterTargetArn) {
+      return { score: 0, detail: 'No RedrivePolicy; failing messages are retried until they expire' };
+    }
+
+    return redrive.maxReceiveCount
+      ? { score: 100, detail: `Moves messages to a dead-letter queue after ${redrive.maxReceiveCount} receives` }
+      : { score: 50, detail: 'RedrivePolicy has no maxReceiveCount' };
+  });
+}
+
+/**
+ * Checks that Lambda functions reserve concurrency so one function cannot exhaust the account quota
+ */
+function checkLambdaConcurrency(template) {
+  const functions = templateLoader.getResourcesByType(template, 'AWS::Lambda::Function');
+
+  return scoreResources(functions, 'No Lambda functions in the stack', fn => {
+    const reserved = fn.properties.ReservedConcurrentExecutions;
+    if (reserved === undefined) {
+      return { score: 0, detail: 'No reserved concurrency; shares the account concurrency pool' };
+    }
+    if (Number(reserved) === 0) {
+      return { score: 0, detail: 'Reserved concurrency of 0 throttles every invocation' };
+    }
+    return { score: 100, detail: `Reserved concurrency of ${formatValue(reserved)}` };
+  });
+}
+
+/**
+ * Checks that failed asynchronous invocations land in a dead-letter queue or on-failure destination
+ * Functions fed by an SQS queue with a redrive policy rely on the queue's dead-letter queue
+ */
+function checkLambdaFailureDestinations(template) {
+  const functions = templateLoader.getResourcesByType(template, 'AWS::Lambda::Function');
+  const invokeConfigs = templateLoader.getResourcesByType(template, 'AWS::Lambda::EventInvokeConfig');
+  const eventSourceMappings = templateLoader.getResourcesByType(template, 'AWS::Lambda::EventSourceMapping');
+  const queues = templateLoader.getResourcesByType(template, 'AWS::SQS::Queue');
+
+  return scoreResources(functions, 'No Lambda functions in the stack', fn => {
+    if (fn.properties.DeadLetterConfig && fn.properties.DeadLetterConfig.TargetArn) {
+      return { score: 100, detail: 'Dead-letter queue configured' };
+    }
+
+    const invokeConfig = invokeConfigs.find(config =>
+      targetsFunction(config.properties.FunctionName, fn) &&
+      hasOnFailureDestination(config.properties.DestinationConfig)
+    );
+    if (invokeConfig) {
+      return { score: 100, detail: `On-failure destination configured by ${invokeConfig.logicalId}` };
+    }
+
+    for (const mapping of eventSourceMappings.filter(m => targetsFunction(m.properties.FunctionName, fn))) {
+      if (hasOnFailureDestination(mapping.properties.DestinationConfig)) {
+        return { score: 100, detail: `On-failure destination configured on ${mapping.logicalId}` };
+      }
+
+      const queue = queues.find(q => templateLoader.referencesResource(mapping.properties.EventSourceArn, q.logicalId));
+      if (queue && queue.properties.RedrivePolicy) {
+        return { score: 100, detail: `Failed messages go to the dead-letter queue of ${queue.logicalId}` };
+      }
+    }
+
+    return { score: 0, detail: 'No dead-letter queue or on-failure destination; failed async events are dropped' };
+  });
+}
+
+/**
+ * Checks that Lambda functions set a deliberate timeout that fits their event source
+ */
+function checkLambdaTimeouts(template) {
+  const functions = templateLoader.getResourcesByType(template, 'AWS::Lambda::Function');
+  const eventSourceMappings = templateLoader.getResourcesByType(template, 'AWS::Lambda::EventSourceMapping');
+  const queues = templateLoader.getResourcesByType(template, 'AWS::SQS::Queue');
+
+  return scoreResources(functions, 'No Lambda functions in the stack', fn => {
+    const timeout = fn.properties.Timeout;
+    if (timeout === undefined) {
+      return { score: 50, detail: 'No Timeout set; relies on the 3 second default' };
+    }
+    if (Number(timeout) >= MAX_LAMBDA_TIMEOUT) {
+      return { score: 50, detail: `Timeout of ${timeout} seconds lets hung calls run for the maximum duration` };
+    }
+
+    // A queue must hide a message for at least as long as the function may take to process it
+    for (const mapping of eventSourceMappings.filter(m => targetsFunction(m.properties.FunctionName, fn))) {
+      const queue = queues.find(q => templateLoader.referencesResource(mapping.properties.EventSourceArn, q.logicalId));
+      const visibilityTimeout = queue && withDefault(queue.properties.VisibilityTimeout, 30);
+      if (queue && isLiteral(timeout) && isLiteral(visibilityTimeout) && Number(visibilityTimeout) < Number(timeout)) {
+        return {
+          score: 50,
+          detail: `Timeout of ${timeout} seconds exceeds the ${visibilityTimeout} second visibility timeout of ${queue.logicalId}`
+        };
+      }
+    }
+
+    return { score: 100, detail: `Timeout of ${formatValue(timeout)} seconds` };
+  });
+}
+
+/**
+ * Checks that REST and HTTP APIs throttle requests through stage settings or usage plans
+ */
+function checkApiThrottling(template) {
+  const apis = [
+    ...templateLoader.getResourcesByType(template, 'AWS::ApiGateway::RestApi'),
+    ...templateLoader.getResourcesByType(template, 'AWS::ApiGatewayV2::Api')
+  ];
+  const hasLimits = settings => !!settings &&
+    (settings.ThrottlingRateLimit !== undefined || settings.ThrottlingBurstLimit !== undefined ||
+     settings.RateLimit !== undefined || settings.BurstLimit !== undefined);
+  const throttledBy = (api) => {
+    for (const resource of template.resources) {
+      const properties = resource.properties;
+      switch (resource.type) {
+        case 'AWS::ApiGateway::Stage':
+          if (templateLoader.referencesResource(properties.RestApiId, api.logicalId) &&
+              (properties.MethodSettings || []).some(hasLimits)) {
+            return resource;
+          }
+          break;
+        case 'AWS::ApiGateway::Deployment': {
+          const stage = properties.StageDescription;
+          if (templateLoader.referencesResource(properties.RestApiId, api.logicalId) && stage &&
+              (hasLimits(stage) || (stage.MethodSettings || []).some(hasLimits))) {
+            return resource;
+          }
+          break;
+        }
+        case 'AWS::ApiGateway::UsagePlan':
+          if (hasLimits(properties.Throttle) &&
+              (properties.ApiStages || []).some(stage => templateLoader.referencesResource(stage.ApiId, api.logicalId))) {
+            return resource;
+          }
+          break;
+        case 'AWS::ApiGatewayV2::Stage':
+          if (templateLoader.referencesResource(properties.ApiId, api.logicalId) &&
+              (hasLimits(properties.DefaultRouteSettings) ||
+               Object.values(properties.RouteSettings || {}).some(hasLimits))) {
+            return resource;
+          }
+          break;
+        default:
+          break;
+      }
+    }
+    return null;
+  };
+
+  return scoreResources(apis, 'No API Gateway APIs in the stack', api => {
+    const source = throttledBy(api);
+    return source
+      ? { score: 100, detail: `Requests throttled by ${source.logicalId}` }
+      : { score: 0, detail: 'No throttling limits; a traffic spike reaches every backend' };
+  });
+}
+
+/**
+ * Checks that RDS databases run in more than one Availability Zone
+ * Aurora cluster members are judged through their cluster
+ */
+function checkRDSMultiAZ(template) {
+  const instances = templateLoader.getResourcesByType(template, 'AWS::RDS::DBInstance');
+  const clusters = templateLoader.getResourcesByType(template, 'AWS::RDS::DBCluster');
+  const databases = [...instances.filter(instance => !instance.properties.DBClusterIdentifier), ...clusters];
+
+  return scoreResources(databases, 'No RDS databases in the stack', database => {
+    if (database.type === 'AWS::RDS::DBInstance') {
+      return isTrue(database.properties.MultiAZ)
+        ? { score: 100, detail: 'Multi-AZ deployment with a standby instance' }
+        : { score: 0, detail: 'Single-AZ instance; set MultiAZ to true' };
+    }
+
+    if (database.properties.EngineMode === 'serverless' || database.properties.DBClusterInstanceClass) {
+      return { score: 100, detail: 'Cluster fails over across Availability Zones' };
+    }
+
+    const members = instances.filter(instance =>
+      templateLoader.referencesResource(instance.properties.DBClusterIdentifier, database.logicalId)
+    );
+    return members.length > 1
+      ? { score: 100, detail: `Cluster has ${members.length} instances to fail over between` }
+      : { score: 0, detail: `Cluster has ${members.length} instance(s); add a replica in another Availability Zone` };
+  });
+}
+
+/**
+ * Checks that RDS databases keep automated backups long enough to recover from
+ */
+function checkRDSBackups(template) {
+  const databases = [
+    ...templateLoader.getResourcesByType(template, 'AWS::RDS::DBInstance')
+      .filter(instance => !instance.properties.DBClusterIdentifier),
+    ...templateLoader.getResourcesByType(template, 'AWS::RDS::DBCluster')
+  ];
+
+  return scoreResources(databases, 'No RDS databases in the stack', database => {
+    const retention = database.properties.BackupRetentionPeriod;
+    if (retention === undefined) {
+      return { score: 50, detail: 'Relies on the default backup retention of 1 day' };
+    }
+    if (!isLiteral(retention)) {
+      return { score: 100, detail: 'Backup retention set from a parameter' };
+    }
+    if (Number(retention) === 0) {
+      return { score: 0, detail: 'Automated backups disabled (BackupRetentionPeriod: 0)' };
+    }
+    return Number(retention) >= 7
+      ? { score: 100, detail: `Backups retained for ${retention} days` }
+      : { score: 50, detail: `Backups retained for only ${retention} days; keep at least 7` };
+  });
+}
+
+/**
+ * Checks that S3 buckets keep object versions and replicate them
+ */
+function checkS3DataProtection(template) {
+  const buckets = templateLoader.getResourcesByType(template, 'AWS::S3::Bucket')
+    .filter(bucket => !DEPLOYMENT_BUCKETS.includes(bucket.logicalId));
+
+  return scoreResources(buckets, 'No application S3 buckets in the stack', bucket => {
+    const versioning = bucket.properties.VersioningConfiguration;
+    const versioned = !!versioning && versioning.Status === 'Enabled';
+    const replication = bucket.properties.ReplicationConfiguration;
+    const replicated = !!replication && (replication.Rules || []).length > 0;
+
+    return {
+      score: (versioned ? 50 : 0) + (replicated ? 50 : 0),
+      detail: `Versioning ${versioned ? 'enabled' : 'not enabled'}, replication ${replicated ? 'configured' : 'not configured'}`
+    };
+  });
+}
+
+/**
+ * Checks that stateful resources are retained when the stack deletes or replaces them
+ */
+function checkRetentionPolicies(template) {
+  const retained = policy => ['Retain', 'RetainExceptOnCreate', 'Snapshot'].includes(policy);
+
+  return scoreResources(statefulResources(template), 'No stateful resources in the stack', resource => {
+    const deletion = retained(resource.deletionPolicy);
+    const replacement = retained(resource.updateReplacePolicy);
+
+    return {
+      score: (deletion ? 50 : 0) + (replacement ? 50 : 0),
+      detail: `DeletionPolicy ${resource.deletionPolicy || 'Delete'}, UpdateReplacePolicy ${resource.updateReplacePolicy || 'Delete'}`
+    };
+  });
+}
+
+/**
+ * Checks that an AWS Backup plan with rules selects the stack's stateful resources
+ * Tag-based selections are assumed to cover every resource
+ */
+function checkBackupPlans(template) {
+  const plans = templateLoader.getResourcesByType(template, 'AWS::Backup::BackupPlan')
+    .filter(plan => plan.properties.BackupPlan && (plan.properties.BackupPlan.BackupPlanRule || []).length > 0);
+  const selections = templateLoader.getResourcesByType(template, 'AWS::Backup::BackupSelection')
+    .filter(selection => plans.some(plan => templateLoader.referencesResource(selection.properties.BackupPlanId, plan.logicalId)));
+
+  const coveredBy = resource => selections.find(selection => {
+    const rules = selection.properties.BackupSelection || {};
+    return (rules.ListOfTags || []).length > 0 ||
+      !!rules.Conditions ||
+      (rules.Resources || []).some(arn => arn === '*' || templateLoader.referencesResource(arn, resource.logicalId));
+  });
+
+  return scoreResources(statefulResources(template), 'No stateful resources in the stack', resource => {
+    if (plans.length === 0) {
+      return { score: 0, detail: 'No AWS Backup plan with backup rules' };
+    }
+
+    const selection = coveredBy(resource);
+    return selection
+      ? { score: 100, detail: `Backed up by ${selection.logicalId}` }
+      : { score: 25, detail: 'A backup plan exists but does not select this resource' };
+  });
+}
+
+/**
+ * Scores each resource with evaluate(resource) -> { score, detail } and averages the scores
+ * A check with no resources to evaluate does not apply to the stack
+ * Suspicious resources earn only part of their score and say why in their evidence,
+ * and resources whose live configuration could not be read earn nothing
+ */
+function scoreResources(resources, notApplicableDetail, evaluate) {
+  if (resources.length === 0) {
+    return {
+      applicable: false,
+      implemented: false,
+      score: 0,
+      evidence: [{ logicalId: null, detail: notApplicableDetail }]
+    };
+  }
+
+  const results = resources.map(resource => {
+    // In live mode, a resource whose configuration could not be read earns nothing
+    if (resource.inspectionError) {
+      return { logicalId: resource.logicalId, score: 0, detail: `Live configuration could not be read: ${resource.inspectionError}` };
+    }
+
+    const { score, detail } = evaluate(resource);
+    return resource.suspicion
+      ? { logicalId: resource.logicalId, score: score * suspicionDetector.SUSPICIOUS_WEIGHT, detail, suspicion: resource.suspicion }
+      : { logicalId: resource.logicalId, score, detail };
+  });
+  const total = results.reduce((sum, result) => sum + result.score, 0);
+
   return {
-    implemented,
-    score: implemented ? 100 : 0
+    implemented: results.every(result => result.score === 100),
+    score: total / results.length,
+    evidence: results.map(({ logicalId, detail, suspicion }) => ({ logicalId, detail, ...(suspicion ? { suspicion } : {}) }))
   };
 }
 
+function statefulResources(template) {
+  return template.resources.filter(resource =>
+    STATEFUL_TYPES.includes(resource.type) && !DEPLOYMENT_BUCKETS.includes(resource.logicalId)
+  );
+}
+
+/**
+ * Matches a FunctionName property by reference, literal function name or ARN
+ */
+function targetsFunction(value, fn) {
+  if (templateLoader.referencesResource(value, fn.logicalId)) {
+    return true;
+  }
+
+  const name = fn.properties.FunctionName;
+  return typeof value === 'string' && typeof name === 'string' &&
+    (value === name || value.endsWith(`:function:${name}`));
+}
+
+function hasOnFailureDestination(destinationConfig) {
+  return !!destinationConfig && !!destinationConfig.OnFailure && !!destinationConfig.OnFailure.Destination;
+}
+
+function isLiteral(value) {
+  return value === null || typeof value !== 'object';
+}
+
+function isTrue(value) {
+  return value === true || value === 'true';
+}
+
+function withDefault(value, defaultValue) {
+  return value === undefined ? defaultValue : value;
+}
+
+function formatValue(value) {
+  return isLiteral(value) ? value : 'a parameter';
+}
+
 module.exports = {
   analyzeStack,
+  analyzeStacks,
+  analyzeTemplate,
+  getStackResources,
+  getStackVersion,
+  getStackOutputs,
   checkMultiRegionSetup,
-  checkBackupConfigurations
+  checkBackupConfigurations,
+  runChecks
 };
\ No newline at end of file
@@ -0,0 +1,190 @@
+// Maps participants to their CloudFormation stacks and back, by stack tag or stack name pattern
+// Shared by the trigger, which resolves participants from stacks, and the engine, which finds a participant's stacks
+const participantSession = require('./participant-session');
+
+const cloudFormation = () => participantSession.getClient('CloudFormation');
+const taggingApi = () => participantSession.getClient('ResourceGroupsTaggingAPI');
+
+// Stack statuses listed when discovering participants
+const LIVE_STACK_STATUSES = [
+  'CREATE_COMPLETE',
+  'UPDATE_COMPLETE',
+  'UPDATE_ROLLBACK_COMPLETE'
+];
+
+/**
+ * Turns a name pattern such as ctf-unreliable-app-{participantId}-{stage} into a regular expression
+ * {stage} only matches the configured stages, so participant IDs may contain hyphens
+ */
+function compilePattern(pattern, stages) {
+  const stagePattern = stages && stages.length > 0
+    ? `(?:${stages.map(escapeRegExp).join('|')})`
+    : '[^-]+';
+  const source = pattern
+    .split(/(\{participantId\}|\{stage\})/)
+    .map(part => {
+      if (part === '{participantId}') return '(?<participantId>.+)';
+      if (part === '{stage}') return stagePattern;
+      return escapeRegExp(part);
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Reads the participant ID from a stack name with the first matching pattern, or null
+ */
+function parseStackName(stackName, stacksConfig) {
+  for (const pattern of stacksConfig.namePatterns) {
+    const match = compilePattern(pattern, stacksConfig.stages).exec(stackName || '');
+    if (match) {
+      return match.groups.participantId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists the stack names the patterns give for a participant, one per pattern and stage
+ */
+function candidateStackNames(participantId, stacksConfig) {
+  const names = [];
+  for (const pattern of stacksConfig.namePatterns) {
+    const stages = pattern.includes('{stage}') ? stacksConfig.stages : [null];
+    for (const stage of stages) {
+      names.push(pattern.replace('{participantId}', participantId).replace('{stage}', stage));
+    }
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Resolves the participant that owns a stack, given its name or ID
+ * The participant tag wins over the name; a stack that cannot be described falls back to its name
+ */
+async function resolveParticipantId(stackName, stacksConfig) {
+  if (stacksConfig.participantTag) {
+    try {
+      const response = await cloudFormation().describeStacks({
+        StackName: stackName
+      }).promise();
+
+      const tag = (response.Stacks[0].Tags || []).find(t => t.Key === stacksConfig.participantTag);
+      if (tag) {
+        return tag.Value;
+      }
+    } catch (error) {
+      console.error(`Error reading tags of stack ${stackName}:`, error);
+    }
+  }
+
+  // Stack IDs look like arn:aws:cloudformation:region:account:stack/name/id
+  const match = /:stack\/([^/]+)\//.exec(stackName);
+  return parseStackName(match ? match[1] : stackName, stacksConfig);
+}
+
+/**
+ * Finds the deployed stacks of a participant: stacks carrying its tag, then pattern names that exist
+ */
+async function findParticipantStacks(participantId, stacksConfig) {
+  const stackNames = [];
+
+  if (stacksConfig.participantTag) {
+    for await (const page of listTaggedStacks(stacksConfig.participantTag, [participantId])) {
+      stackNames.push(...page.map(stack => stack.stackName));
+    }
+  }
+
+  for (const stackName of candidateStackNames(participantId, stacksConfig)) {
+    if (!stackNames.includes(stackName) && await stackExists(stackName)) {
+      stackNames.push(stackName);
+    }
+  }
+
+  return stackNames;
+}
+
+/**
+ * Yields pages of { participantId, stackName } for every participant stack, tagged or matching a pattern
+ * A stack that is both tagged and named after a participant appears once, under its tag
+ */
+async function* listParticipantStacks(stacksConfig) {
+  const tagged = new Set();
+
+  if (stacksConfig.participantTag) {
+    for await (const page of listTaggedStacks(stacksConfig.participantTag)) {
+      page.forEach(stack => tagged.add(stack.stackName));
+      yield page;
+    }
+  }
+
+  if (stacksConfig.namePatterns.length === 0) {
+    return;
+  }
+
+  let NextToken;
+  do {
+    const response = await cloudFormation().listStacks({
+      StackStatusFilter: LIVE_STACK_STATUSES,
+      NextToken
+    }).promise();
+
+    yield response.StackSummaries
+      .filter(stack => !tagged.has(stack.StackName))
+      .map(stack => ({ participantId: parseStackName(stack.StackName, stacksConfig), stackName: stack.StackName }))
+      .filter(stack => stack.participantId);
+
+    NextToken = response.NextToken;
+  } while (NextToken);
+}
+
+/**
+ * Yields pages of stacks carrying the participant tag, optionally only with the given values
+ */
+async function* listTaggedStacks(tagKey, values) {
+  let PaginationToken;
+  do {
+    const response = await taggingApi().getResources({
+      ResourceTypeFilters: ['cloudformation:stack'],
+      TagFilters: [values ? { Key: tagKey, Values: values } : { Key: tagKey }],
+      PaginationToken
+    }).promise();
+
+    yield (response.ResourceTagMappingList || []).map(mapping => ({
+      participantId: mapping.Tags.find(tag => tag.Key === tagKey).Value,
+      stackName: /:stack\/([^/]+)\//.exec(mapping.ResourceARN)[1]
+    }));
+
+    PaginationToken = response.PaginationToken;
+  } while (PaginationToken);
+}
+
+/**
+ * True for a stack with this name that is not being deleted, whatever state its last deploy left it in
+ */
+async function stackExists(stackName) {
+  try {
+    const response = await cloudFormation().describeStacks({
+      StackName: stackName
+    }).promise();
+    return !response.Stacks[0].StackStatus.startsWith('DELETE_');
+  } catch (error) {
+    if (error.code === 'ValidationError' && /does not exist/.test(error.message)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  parseStackName,
+  candidateStackNames,
+  resolveParticipantId,
+  findParticipantStacks,
+  listParticipantStacks
+};
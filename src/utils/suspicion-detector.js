@@ -0,0 +1,185 @@
+// Flags evidence that looks placed to satisfy the checks rather than to make the workload reliable
+const templateLoader = require('./template-loader');
+
+// Share of its score that suspicious evidence still earns
+const SUSPICIOUS_WEIGHT = 0.25;
+
+// Resources that do nothing unless something else in the stack points at them
+const REFERENCED_TYPES = [
+  'AWS::SQS::Queue',
+  'AWS::SNS::Topic',
+  'AWS::DynamoDB::Table',
+  'AWS::DynamoDB::GlobalTable',
+  'AWS::RDS::DBInstance',
+  'AWS::RDS::DBCluster',
+  'AWS::S3::Bucket',
+  'AWS::EFS::FileSystem',
+  'AWS::Route53::HealthCheck',
+  'AWS::Backup::BackupPlan'
+];
+
+// Properties that give a resource a name other resources and code can use instead of a Ref
+const NAME_PROPERTIES = ['QueueName', 'TopicName', 'TableName', 'BucketName', 'DBInstanceIdentifier', 'DBClusterIdentifier'];
+
+// Names that suggest a reliability feature
+const RELIABILITY_KEYWORDS = /region|replica|failover|retr(y|ies)|backoff|circuit|idempoten|multi.?az/i;
+
+// Resource types whose properties are well known, with the real properties that match RELIABILITY_KEYWORDS
+const KNOWN_PROPERTIES = {
+  'AWS::Lambda::Function': [],
+  'AWS::Lambda::EventSourceMapping': ['MaximumRetryAttempts'],
+  'AWS::SQS::Queue': [],
+  'AWS::SNS::Topic': [],
+  'AWS::DynamoDB::Table': [],
+  'AWS::S3::Bucket': ['ReplicationConfiguration'],
+  'AWS::Logs::LogGroup': [],
+  'AWS::ApiGateway::RestApi': [],
+  'AWS::ApiGateway::Stage': []
+};
+
+// Comment keywords per code pattern, for comments that claim a pattern the code does not have
+const COMMENT_KEYWORDS = {
+  retryLogic: { keyword: /\b(retr(y|ies|ying)|backoff|jitter)\b/i, label: 'retry logic' },
+  circuitBreaker: { keyword: /circuit.?breaker|half.?open/i, label: 'circuit breaker' },
+  idempotency: { keyword: /idempoten/i, label: 'idempotency' }
+};
+
+/**
+ * Finds resources nothing references and reliability-sounding properties that have no effect
+ * Returns [{ type: 'unreferenced-resource' | 'decorative-property', logicalId, detail }]
+ */
+function findTemplateSuspicions(template) {
+  const suspicions = [];
+
+  for (const resource of template.resources) {
+    if (REFERENCED_TYPES.includes(resource.type) && !isReferenced(template, resource)) {
+      suspicions.push({
+        type: 'unreferenced-resource',
+        logicalId: resource.logicalId,
+        detail: `Nothing in the stack references this ${resource.type}`
+      });
+    }
+
+    const knownProperties = KNOWN_PROPERTIES[resource.type];
+    for (const property of Object.keys(resource.properties)) {
+      if (knownProperties && RELIABILITY_KEYWORDS.test(property) && !knownProperties.includes(property)) {
+        suspicions.push({
+          type: 'decorative-property',
+          logicalId: resource.logicalId,
+          detail: `${property} is not a property of ${resource.type} and has no effect`
+        });
+      }
+    }
+
+    for (const key of Object.keys(resource.metadata || {})) {
+      if (RELIABILITY_KEYWORDS.test(key)) {
+        suspicions.push({
+          type: 'decorative-property',
+          logicalId: resource.logicalId,
+          detail: `Metadata ${key} does not change how the resource behaves`
+        });
+      }
+    }
+  }
+
+  return suspicions;
+}
+
+/**
+ * Returns a copy of the template whose unreferenced resources carry a suspicion { type, detail }
+ * that the stack checks use to discount them
+ */
+function markSuspiciousResources(template) {
+  const unreferenced = new Map(findTemplateSuspicions(template)
+    .filter(suspicion => suspicion.type === 'unreferenced-resource')
+    .map(({ logicalId, type, detail }) => [logicalId, { type, detail }]));
+
+  return {
+    ...template,
+    resources: template.resources.map(resource => unreferenced.has(resource.logicalId)
+      ? { ...resource, suspicion: unreferenced.get(resource.logicalId) }
+      : resource)
+  };
+}
+
+/**
+ * Finds comments that name a reliability pattern the file does not otherwise contain,
+ * such as `// circuitBreaker retry backoff` pasted into a handler
+ * Returns at most one { type: 'keyword-only', file, line, detail } per pattern
+ */
+function findKeywordComments(comments, findings, fileName) {
+  const suspicions = [];
+
+  for (const [pattern, { keyword, label }] of Object.entries(COMMENT_KEYWORDS)) {
+    const implemented = findings.some(finding => finding.pattern === pattern && !finding.suspicion);
+    const comment = !implemented && comments.find(candidate => keyword.test(candidate.text));
+
+    if (comment) {
+      suspicions.push({
+        type: 'keyword-only',
+        file: fileName,
+        line: comment.line,
+        detail: `Comment mentions ${label} but the code has none`
+      });
+    }
+  }
+
+  return suspicions;
+}
+
+/**
+ * Gathers the stack and code suspicions of an assessment into one list for the report
+ */
+function collectSuspicions({ stackAnalysis, codeAnalyses }) {
+  const suspicions = [];
+
+  for (const suspicion of (stackAnalysis && stackAnalysis.suspicions) || []) {
+    suspicions.push({ source: 'template', ...suspicion });
+  }
+
+  for (const codeAnalysis of codeAnalyses || []) {
+    for (const suspicion of codeAnalysis.suspicions || []) {
+      suspicions.push({ source: 'code', functionName: codeAnalysis.functionName, ...suspicion });
+    }
+  }
+
+  return suspicions;
+}
+
+/**
+ * A resource is referenced when another resource's properties or an output point at it by Ref, GetAtt,
+ * Sub or its literal name; DependsOn only orders creation and does not count
+ */
+function isReferenced(template, resource) {
+  const names = NAME_PROPERTIES
+    .map(property => resource.properties[property])
+    .filter(name => typeof name === 'string' && name !== '');
+
+  const referencedBy = value => templateLoader.referencesResource(value, resource.logicalId) ||
+    names.some(name => mentionsName(value, name));
+
+  return template.resources.some(other => other !== resource && referencedBy(other.properties)) ||
+    referencedBy(template.outputs || {});
+}
+
+/**
+ * True when a string in value is the name itself or an ARN or path ending in it,
+ * so a queue named orders is not referenced by orders-archive
+ */
+function mentionsName(value, name) {
+  if (typeof value === 'string') {
+    return value === name || value.endsWith(`:${name}`) || value.endsWith(`/${name}`);
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).some(item => mentionsName(item, name));
+  }
+  return false;
+}
+
+module.exports = {
+  SUSPICIOUS_WEIGHT,
+  findTemplateSuspicions,
+  markSuspiciousResources,
+  findKeywordComments,
+  collectSuspicions
+};
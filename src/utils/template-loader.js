@@ -0,0 +1,150 @@
+// Loads CloudFormation templates written in JSON or YAML into a normalized model
+const yaml = require('js-yaml');
+
+// Short-form intrinsic function tags and the long-form keys they expand to
+const INTRINSIC_FUNCTIONS = {
+  Ref: 'Ref',
+  Condition: 'Condition',
+  Base64: 'Fn::Base64',
+  Cidr: 'Fn::Cidr',
+  FindInMap: 'Fn::FindInMap',
+  GetAtt: 'Fn::GetAtt',
+  GetAZs: 'Fn::GetAZs',
+  ImportValue: 'Fn::ImportValue',
+  Join: 'Fn::Join',
+  Select: 'Fn::Select',
+  Split: 'Fn::Split',
+  Sub: 'Fn::Sub',
+  Transform: 'Fn::Transform',
+  And: 'Fn::And',
+  Equals: 'Fn::Equals',
+  If: 'Fn::If',
+  Not: 'Fn::Not',
+  Or: 'Fn::Or'
+};
+
+/**
+ * Builds the YAML types for a short-form tag in every node kind it may appear as
+ */
+function intrinsicTypes(tag, key) {
+  return ['scalar', 'sequence', 'mapping'].map(kind => new yaml.Type(`!${tag}`, {
+    kind,
+    construct: data => {
+      // !GetAtt Resource.Attribute is shorthand for [Resource, Attribute]; without a dot it only names the resource
+      if (tag === 'GetAtt' && typeof data === 'string') {
+        const separator = data.indexOf('.');
+        return { [key]: separator === -1 ? [data] : [data.slice(0, separator), data.slice(separator + 1)] };
+      }
+      return { [key]: data === null ? '' : data };
+    }
+  }));
+}
+
+const CLOUDFORMATION_SCHEMA = yaml.DEFAULT_SCHEMA.extend(
+  Object.entries(INTRINSIC_FUNCTIONS)
+    .reduce((types, [tag, key]) => types.concat(intrinsicTypes(tag, key)), [])
+);
+
+/**
+ * Parses a template body in either JSON or YAML format
+ */
+function parseTemplate(templateBody) {
+  // GetTemplate returns JSON templates as an already parsed object in some SDK versions
+  if (templateBody && typeof templateBody === 'object') {
+    return { format: 'json', template: templateBody };
+  }
+
+  if (typeof templateBody !== 'string' || templateBody.trim() === '') {
+    throw new Error('Template body is empty');
+  }
+
+  const trimmed = templateBody.trim();
+  if (trimmed.startsWith('{')) {
+    return { format: 'json', template: JSON.parse(trimmed) };
+  }
+
+  const template = yaml.load(templateBody, { schema: CLOUDFORMATION_SCHEMA });
+  if (!template || typeof template !== 'object') {
+    throw new Error('Template is not a YAML or JSON object');
+  }
+
+  return { format: 'yaml', template };
+}
+
+/**
+ * Converts a parsed template into the model consumed by the analyzers
+ */
+function normalizeTemplate(template, format = 'json') {
+  const resources = Object.entries(template.Resources || {}).map(([logicalId, resource]) => ({
+    logicalId,
+    type: resource.Type,
+    properties: resource.Properties || {},
+    condition: resource.Condition || null,
+    dependsOn: [].concat(resource.DependsOn || []),
+    deletionPolicy: resource.DeletionPolicy || null,
+    updateReplacePolicy: resource.UpdateReplacePolicy || null,
+    metadata: resource.Metadata || {}
+  }));
+
+  return {
+    format,
+    transform: [].concat(template.Transform || []),
+    parameters: template.Parameters || {},
+    conditions: template.Conditions || {},
+    mappings: template.Mappings || {},
+    outputs: template.Outputs || {},
+    resources
+  };
+}
+
+/**
+ * Parses and normalizes a template body in one step
+ */
+function loadTemplate(templateBody) {
+  const { format, template } = parseTemplate(templateBody);
+  return normalizeTemplate(template, format);
+}
+
+/**
+ * Returns the resources of a normalized template with the given type
+ */
+function getResourcesByType(model, type) {
+  return model.resources.filter(resource => resource.type === type);
+}
+
+/**
+ * Returns true when a property value refers to a resource through Ref, Fn::GetAtt or Fn::Sub,
+ * at any depth (e.g. inside Fn::Join)
+ */
+function referencesResource(value, logicalId) {
+  if (Array.isArray(value)) {
+    return value.some(item => referencesResource(item, logicalId));
+  }
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+
+  if (value.Ref === logicalId) {
+    return true;
+  }
+  if (Array.isArray(value['Fn::GetAtt']) && value['Fn::GetAtt'][0] === logicalId) {
+    return true;
+  }
+
+  const sub = value['Fn::Sub'];
+  const subTemplate = Array.isArray(sub) ? sub[0] : sub;
+  if (typeof subTemplate === 'string' &&
+      (subTemplate.includes(`\${${logicalId}}`) || subTemplate.includes(`\${${logicalId}.`))) {
+    return true;
+  }
+
+  return Object.values(value).some(item => referencesResource(item, logicalId));
+}
+
+module.exports = {
+  loadTemplate,
+  parseTemplate,
+  normalizeTemplate,
+  getResourcesByType,
+  referencesResource
+};
@@ -0,0 +1,302 @@
+// Sends synthetic traffic to the participant's API and scores what it observes
+const axios = require('axios');
+const stackAnalyzer = require('./stack-analyzer');
+
+// API Gateway endpoints, with the API ID as the first group; only APIs deployed by the participant's stacks
+// are probed, so a participant cannot aim the organizer's requests at other hosts or at someone else's API
+const ENDPOINT_PATTERN = /^https:\/\/([a-z0-9]+)\.execute-api\.[a-z0-9-]+\.amazonaws\.com(\/|$)/;
+
+// Stack resources whose physical ID is the API ID in an execute-api host
+const API_RESOURCE_TYPES = ['AWS::ApiGateway::RestApi', 'AWS::ApiGatewayV2::Api'];
+
+// Output names that usually hold the API URL, such as the Serverless Framework's ServiceEndpoint,
+// preferred when a stack outputs several endpoints
+const ENDPOINT_OUTPUT_KEYS = /endpoint|api.?url|base.?url/i;
+
+// REST APIs answer unknown routes with 403 Missing Authentication Token, HTTP APIs with 404
+const MISSING_ROUTE_STATUSES = [403, 404];
+
+/**
+ * Probes the participant's API: the first health check route that exists, then the request script
+ * The API URL is config.endpoint or the first one found in the outputs of the participant's stacks
+ * stacks is [{ stackName, stackResources }]
+ * options.send replaces the HTTP client, e.g. with a stub in tests
+ * Returns { endpoint, health, steps, latency, errorRate, analysis } or { error } when there is no endpoint
+ */
+async function runProbe({ participantId, stacks, config, send = sendRequest }) {
+  try {
+    const endpoint = config.endpoint
+      ? { outputKey: null, url: trimSlash(config.endpoint.replace('{participantId}', participantId)) }
+      : await discoverEndpoint(stacks);
+
+    if (!endpoint) {
+      return { error: `No API endpoint found in the outputs of ${stacks.map(stack => stack.stackName).join(', ')}` };
+    }
+
+    const health = await probeHealth(endpoint.url, config, send);
+    const steps = [];
+    for (const step of config.script) {
+      steps.push(await runStep(endpoint.url, step, { participantId, config, send }));
+    }
+
+    const responses = [
+      ...(health ? health.responses : []),
+      ...steps.reduce((all, step) => all.concat(step.responses), [])
+    ];
+    const errors = responses.filter(isError).length;
+    const result = {
+      endpoint,
+      health: health && { path: health.path, ...summarize(health.responses) },
+      steps: steps.map(({ responses: stepResponses, ...step }) => ({ ...step, ...summarize(stepResponses) })),
+      requests: responses.length,
+      errors,
+      errorRate: responses.length > 0 ? errors / responses.length : 0,
+      latency: latencyPercentiles(responses)
+    };
+
+    return { ...result, analysis: scoreProbe(result, health, config) };
+  } catch (error) {
+    console.error(`Error probing the API of ${participantId}:`, error);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Looks for the URL of an API the participant's stacks deploy in the outputs of each stack in turn
+ */
+async function discoverEndpoint(stacks) {
+  const apiIds = stacks.reduce((ids, stack) => ids.concat(stack.stackResources
+    .filter(resource => API_RESOURCE_TYPES.includes(resource.ResourceType))
+    .map(resource => resource.PhysicalResourceId)), []);
+
+  for (const { stackName } of stacks) {
+    const endpoint = findEndpoint(await stackAnalyzer.getStackOutputs(stackName), apiIds);
+    if (endpoint) {
+      return { stackName, ...endpoint };
+    }
+  }
+  return null;
+}
+
+/**
+ * Picks the API URL from the stack outputs: an execute-api URL of one of apiIds, preferring outputs
+ * whose name suggests an endpoint
+ */
+function findEndpoint(outputs, apiIds) {
+  const entries = Object.entries(outputs || {}).filter(([, value]) => {
+    const match = typeof value === 'string' && ENDPOINT_PATTERN.exec(value);
+    return match && apiIds.includes(match[1]);
+  });
+  const match = entries.find(([key]) => ENDPOINT_OUTPUT_KEYS.test(key)) || entries[0];
+
+  return match ? { outputKey: match[0], url: trimSlash(match[1]) } : null;
+}
+
+/**
+ * Finds the first configured health check path the API serves and calls it healthRequests times
+ */
+async function probeHealth(baseUrl, config, send) {
+  for (const path of config.healthPaths) {
+    const first = await send({ method: 'GET', url: baseUrl + path, timeoutMs: config.timeoutMs });
+    if (MISSING_ROUTE_STATUSES.includes(first.statusCode)) {
+      continue;
+    }
+
+    const responses = [first];
+    for (let i = 1; i < config.healthRequests; i++) {
+      responses.push(await send({ method: 'GET', url: baseUrl + path, timeoutMs: config.timeoutMs }));
+    }
+    return { path, responses };
+  }
+
+  return null;
+}
+
+/**
+ * Sends one step of the request script `repeat` times
+ * Idempotent steps are sent at least twice with the same body and idempotency key
+ */
+async function runStep(baseUrl, step, { participantId, config, send }) {
+  const method = (step.method || 'GET').toUpperCase();
+  const repeat = step.idempotent ? Math.max(2, step.repeat || 2) : (step.repeat || 1);
+  const headers = { ...(step.headers || {}) };
+  if (step.idempotent) {
+    headers[config.idempotencyHeader] = `probe-${participantId}-${step.name}-${Date.now()}`;
+  }
+
+  const responses = [];
+  for (let i = 0; i < repeat; i++) {
+    responses.push(await send({
+      method,
+      url: baseUrl + step.path,
+      headers,
+      body: step.body,
+      timeoutMs: config.timeoutMs
+    }));
+  }
+
+  const result = { name: step.name, method, path: step.path, responses };
+  if (step.idempotent) {
+    result.idempotency = checkIdempotentResponses(responses);
+  }
+  return result;
+}
+
+/**
+ * Repeats of an idempotent request must return the first response again, or reject the duplicate with 409
+ */
+function checkIdempotentResponses(responses) {
+  const [first, ...repeats] = responses;
+  const consistent = first.statusCode >= 200 && first.statusCode < 300 && repeats.every(response =>
+    response.statusCode === 409 ||
+    (response.statusCode === first.statusCode && JSON.stringify(response.body) === JSON.stringify(first.body))
+  );
+
+  return {
+    consistent,
+    statuses: responses.map(response => response.statusCode)
+  };
+}
+
+/**
+ * Sends one HTTP request and records its status, parsed body and latency
+ */
+async function sendRequest({ method, url, headers, body, timeoutMs }) {
+  const started = Date.now();
+  try {
+    const response = await axios({
+      method,
+      url,
+      headers,
+      data: body,
+      timeout: timeoutMs,
+      // A redirect could lead away from the participant's API, so it is observed as a response instead
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+    return { statusCode: response.status, body: response.data, latencyMs: Date.now() - started };
+  } catch (error) {
+    return { statusCode: null, body: null, latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+/**
+ * Server errors, throttling and requests without a response count against availability
+ */
+function isError(response) {
+  return !response.statusCode || response.statusCode >= 500 || response.statusCode === 429;
+}
+
+function summarize(responses) {
+  return {
+    requests: responses.length,
+    errors: responses.filter(isError).length,
+    statuses: responses.map(response => response.statusCode)
+  };
+}
+
+/**
+ * Nearest-rank latency percentiles in milliseconds
+ */
+function latencyPercentiles(responses) {
+  const sorted = responses.map(response => response.latencyMs).sort((a, b) => a - b);
+  const percentile = p => sorted.length > 0
+    ? sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)]
+    : null;
+
+  return { p50: percentile(50), p90: percentile(90), p95: percentile(95), p99: percentile(99) };
+}
+
+/**
+ * Turns probe observations into check results
+ */
+function scoreProbe(result, health, config) {
+  return {
+    availability: scoreAvailability(result, config),
+    latency: scoreLatency(result, config),
+    idempotency: scoreIdempotency(result.steps),
+    healthCheck: scoreHealthCheck(health, config)
+  };
+}
+
+function scoreAvailability(result, config) {
+  if (result.requests === 0) {
+    return notApplicable('No requests sent; configure a request script or a health check route');
+  }
+
+  return {
+    implemented: result.errorRate <= config.maxErrorRate,
+    score: 100 * (1 - result.errorRate),
+    evidence: [
+      { logicalId: null, detail: `${result.errors} of ${result.requests} requests failed (5xx, 429 or no response)` },
+      ...result.steps
+        .filter(step => step.errors > 0)
+        .map(step => ({ logicalId: null, detail: `${step.method} ${step.path}: ${step.errors} of ${step.requests} failed` }))
+    ]
+  };
+}
+
+function scoreLatency(result, config) {
+  const { p50, p90, p95, p99 } = result.latency;
+  if (p95 === null) {
+    return notApplicable('No requests sent');
+  }
+
+  return {
+    implemented: p95 <= config.latencyTargetMs,
+    score: p95 <= config.latencyTargetMs ? 100 : 100 * config.latencyTargetMs / p95,
+    evidence: [{
+      logicalId: null,
+      detail: `p50 ${p50} ms, p90 ${p90} ms, p95 ${p95} ms, p99 ${p99} ms (target p95 ${config.latencyTargetMs} ms)`
+    }]
+  };
+}
+
+function scoreIdempotency(steps) {
+  const idempotentSteps = steps.filter(step => step.idempotency);
+  if (idempotentSteps.length === 0) {
+    return notApplicable('No idempotent requests in the probe script');
+  }
+
+  const consistent = idempotentSteps.filter(step => step.idempotency.consistent);
+  return {
+    implemented: consistent.length === idempotentSteps.length,
+    score: 100 * consistent.length / idempotentSteps.length,
+    evidence: idempotentSteps.map(step => ({
+      logicalId: null,
+      detail: `${step.method} ${step.path} sent ${step.requests} times with one idempotency key: ` +
+        (step.idempotency.consistent ? 'repeats returned the original response' : `statuses ${step.idempotency.statuses.join(', ')}`)
+    }))
+  };
+}
+
+function scoreHealthCheck(health, config) {
+  if (!health) {
+    return {
+      implemented: false,
+      score: 0,
+      evidence: [{ logicalId: null, detail: `No health check route at ${config.healthPaths.join(', ')}` }]
+    };
+  }
+
+  const healthy = health.responses.filter(response => response.statusCode >= 200 && response.statusCode < 300).length;
+  return {
+    implemented: healthy === health.responses.length,
+    score: 100 * healthy / health.responses.length,
+    evidence: [{ logicalId: null, detail: `GET ${health.path}: ${healthy} of ${health.responses.length} responses healthy` }]
+  };
+}
+
+function notApplicable(detail) {
+  return { applicable: false, implemented: false, score: 0, evidence: [{ logicalId: null, detail }] };
+}
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+module.exports = {
+  runProbe,
+  findEndpoint,
+  latencyPercentiles
+};
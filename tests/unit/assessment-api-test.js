@@ -0,0 +1,136 @@
+const AWS = require('aws-sdk-mock');
+
+describe('Assessment API', () => {
+  let api;
+  let participantAuth;
+  let assessmentTracker;
+  let items;
+  let queued;
+  let reports;
+
+  const request = async (httpMethod, resource, { participantId, pathParameters, body } = {}) => {
+    const headers = participantId
+      ? { Authorization: `Bearer ${await participantAuth.issueToken(participantId)}` }
+      : {};
+    const response = await api.handler({ httpMethod, resource, headers, pathParameters, body });
+    return { ...response, body: JSON.parse(response.body) };
+  };
+
+  beforeAll(() => {
+    process.env.AWS_REGION = 'us-east-1';
+    process.env.SYSTEM_METRICS_TABLE = 'system-metrics';
+    process.env.ASSESSMENTS_TABLE = 'assessments';
+    process.env.REPORTS_BUCKET = 'reports';
+    process.env.PARTICIPANT_TOKEN_SECRET_ID = 'participant-token-secret';
+    process.env.ASSESSMENT_QUEUE_URL = 'https://sqs.us-east-1.amazonaws.com/123456789012/assessments';
+
+    AWS.mock('SecretsManager', 'getSecretValue', (params, callback) => {
+      callback(null, { SecretString: 'test-secret' });
+    });
+    // Claims in the system metrics table and runs in the assessments table, kept in memory
+    AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+      const key = `${params.TableName}:${params.Key.assessmentId || params.Key.participantId}`;
+      const item = items.get(key);
+      const values = params.ExpressionAttributeValues;
+      if (params.TableName === 'system-metrics') {
+        if (item && item.timestamp > values[':cutoff']) {
+          const error = new Error('The conditional request failed');
+          error.code = 'ConditionalCheckFailedException';
+          callback(error);
+          return;
+        }
+        items.set(key, { timestamp: values[':time'], status: 'pending' });
+      } else {
+        items.set(key, {
+          assessmentId: params.Key.assessmentId,
+          participantId: values[':participantId'],
+          status: values[':status'] || (item && item.status) || values[':queued'],
+          ...(values[':reportKey'] ? { reportKey: values[':reportKey'] } : {})
+        });
+      }
+      callback(null, {});
+    });
+    AWS.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+      callback(null, { Item: items.get(`${params.TableName}:${params.Key.assessmentId || params.Key.participantId}`) });
+    });
+    AWS.mock('SQS', 'sendMessageBatch', (params, callback) => {
+      queued.push(...params.Entries.map(entry => JSON.parse(entry.MessageBody)));
+      callback(null, { Successful: [], Failed: [] });
+    });
+    AWS.mock('S3', 'getObject', (params, callback) => {
+      if (!reports[params.Key]) {
+        const error = new Error('The specified key does not exist.');
+        error.code = 'NoSuchKey';
+        callback(error);
+        return;
+      }
+      callback(null, { Body: Buffer.from(JSON.stringify(reports[params.Key])) });
+    });
+
+    participantAuth = require('../../src/utils/participant-auth');
+    assessmentTracker = require('../../src/utils/assessment-tracker');
+    api = require('../../src/reliability-assessment-api');
+  });
+
+  beforeEach(() => {
+    items = new Map();
+    queued = [];
+    reports = {};
+  });
+
+  afterAll(() => {
+    AWS.restore();
+  });
+
+  test('should reject missing or forged tokens and requests for other participants', async () => {
+    expect((await request('POST', '/assessments')).statusCode).toBe(401);
+
+    const forged = await api.handler({
+      httpMethod: 'POST',
+      resource: '/assessments',
+      headers: { authorization: `Bearer ${Buffer.from('p2').toString('base64url')}.${'0'.repeat(64)}` }
+    });
+    expect(forged.statusCode).toBe(401);
+
+    const response = await request('POST', '/assessments', { participantId: 'p1', body: JSON.stringify({ participantId: 'p2' }) });
+    expect(response.statusCode).toBe(403);
+    expect(queued).toEqual([]);
+  });
+
+  test('should queue an assessment and join later requests to the pending run', async () => {
+    const first = await request('POST', '/assessments', { participantId: 'p1' });
+
+    expect(first.statusCode).toBe(202);
+    expect(first.headers.Location).toBe(`/assessments/${first.body.assessmentId}`);
+    expect(queued).toEqual([expect.objectContaining({ participantId: 'p1', assessmentId: first.body.assessmentId })]);
+
+    const second = await request('POST', '/assessments', { participantId: 'p1' });
+    expect(second.statusCode).toBe(202);
+    expect(second.body).toEqual({ assessmentId: first.body.assessmentId, status: 'queued', coalesced: true });
+    expect(queued).toHaveLength(1);
+  });
+
+  test('should only show a run and its report to the participant it assessed', async () => {
+    const { body: { assessmentId } } = await request('POST', '/assessments', { participantId: 'p1' });
+    const pathParameters = { assessmentId };
+
+    expect((await request('GET', '/assessments/{assessmentId}', { participantId: 'p2', pathParameters })).statusCode).toBe(404);
+    expect((await request('GET', '/assessments/{assessmentId}', { participantId: 'p1', pathParameters })).body)
+      .toMatchObject({ assessmentId, participantId: 'p1', status: 'queued', report: null });
+
+    // The engine finishes the run
+    const suspicions = [{ source: 'template', type: 'unreferenced-resource', logicalId: 'DummyQueue' }];
+    reports['reports/p1/2025-01-01T00:00:00.000Z.json'] = { participantId: 'p1', score: 85, suspicions };
+    reports['reports/p1/latest.json'] = { participantId: 'p1', score: 85, suspicions };
+    await assessmentTracker.updateStatus(assessmentId, 'p1', 'completed', { reportKey: 'reports/p1/2025-01-01T00:00:00.000Z.json' });
+
+    const completed = await request('GET', '/assessments/{assessmentId}', { participantId: 'p1', pathParameters });
+    expect(completed.body).toMatchObject({ status: 'completed', report: { score: 85, suspicionCount: 1 } });
+    expect(completed.body.report.suspicions).toBeUndefined();
+
+    const latestPath = { participantId: 'p1' };
+    expect((await request('GET', '/participants/{participantId}/latest', { participantId: 'p2', pathParameters: latestPath })).statusCode).toBe(403);
+    expect((await request('GET', '/participants/{participantId}/latest', { participantId: 'p1', pathParameters: latestPath })).body)
+      .toEqual({ participantId: 'p1', score: 85, suspicionCount: 1 });
+  });
+});
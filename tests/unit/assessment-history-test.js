@@ -0,0 +1,51 @@
+const assessmentHistory = require('../../src/utils/assessment-history');
+
+const history = [
+  {
+    assessedAt: '2025-06-01T10:00:00.000Z',
+    score: 40,
+    passed: false,
+    categories: { infrastructure: { score: 0 } },
+    checks: [
+      { id: 'dynamodb-backups', score: 0 },
+      { id: 'circuit-breaker', score: 100 }
+    ]
+  },
+  {
+    assessedAt: '2025-06-01T10:45:00.000Z',
+    score: 85,
+    passed: true,
+    categories: { infrastructure: { score: 100 } },
+    checks: [
+      { id: 'dynamodb-backups', score: 100 },
+      { id: 'circuit-breaker', score: 0 },
+      { id: 'cloudwatch-alarms', score: 80 }
+    ]
+  }
+];
+
+describe('Assessment History', () => {
+  test('should summarize improvements and regressions between two assessments', () => {
+    const diff = assessmentHistory.diffAssessments(history[0], history[1]);
+
+    expect(diff.scoreChange).toBe(45);
+    expect(diff.categories.infrastructure).toEqual({ from: 0, to: 100 });
+    expect(diff.summary).toEqual([
+      'dynamodb-backups went 0 → 100',
+      'circuit-breaker regressed 100 → 0',
+      'cloudwatch-alarms added at 80'
+    ]);
+  });
+
+  test('should compute time-to-pass from the first assessment', () => {
+    expect(assessmentHistory.computeTimeToPass(history)).toEqual({
+      passed: true,
+      firstAssessedAt: '2025-06-01T10:00:00.000Z',
+      passedAt: '2025-06-01T10:45:00.000Z',
+      durationMs: 45 * 60 * 1000,
+      attempts: 2
+    });
+    expect(assessmentHistory.computeTimeToPass(history.slice(0, 1)).passed).toBe(false);
+    expect(assessmentHistory.computeTimeToPass([])).toBeNull();
+  });
+});
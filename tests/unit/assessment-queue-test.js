@@ -0,0 +1,122 @@
+const assessmentQueue = require('../../src/utils/assessment-queue');
+
+describe('Assessment Queue', () => {
+  let clock;
+  let queue;
+  let deadLetters;
+
+  beforeEach(() => {
+    clock = 0;
+    queue = assessmentQueue.createLocalQueue({ now: () => clock });
+    deadLetters = assessmentQueue.createLocalDeadLetterStore();
+  });
+
+  test('should process jobs with bounded concurrency', async () => {
+    await queue.send(['p1', 'p2', 'p3', 'p4', 'p5'].map(participantId => ({ participantId })));
+    let running = 0;
+    let maxRunning = 0;
+
+    const summary = await assessmentQueue.drainQueue({
+      queue,
+      deadLetters,
+      concurrency: 2,
+      processJob: async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setImmediate(resolve));
+        running--;
+      }
+    });
+
+    expect(summary).toEqual({ completed: 5, retried: 0, deadLettered: 0 });
+    expect(maxRunning).toBe(2);
+    expect(queue.messages).toHaveLength(0);
+  });
+
+  test('should retry with backoff and dead-letter jobs that keep failing', async () => {
+    await queue.send([{ participantId: 'flaky' }, { participantId: 'broken', claimedAt: 42 }]);
+    let flakyCalls = 0;
+    const onDeadLetter = jest.fn();
+    const drain = () => assessmentQueue.drainQueue({
+      queue,
+      deadLetters,
+      maxAttempts: 3,
+      onDeadLetter,
+      processJob: async job => {
+        if (job.participantId === 'broken' || ++flakyCalls < 2) {
+          throw new Error('TooManyRequestsException');
+        }
+      }
+    });
+
+    expect(await drain()).toEqual({ completed: 0, retried: 2, deadLettered: 0 });
+    // Both jobs wait out the first backoff before they are visible again
+    expect(await drain()).toEqual({ completed: 0, retried: 0, deadLettered: 0 });
+
+    clock += assessmentQueue.backoffSeconds(1) * 1000;
+    expect(await drain()).toEqual({ completed: 1, retried: 1, deadLettered: 0 });
+
+    clock += assessmentQueue.backoffSeconds(2) * 1000;
+    expect(await drain()).toEqual({ completed: 0, retried: 0, deadLettered: 1 });
+
+    expect(deadLetters.entries).toEqual([
+      expect.objectContaining({ participantId: 'broken', claimedAt: 42, attempts: 3, error: 'TooManyRequestsException' })
+    ]);
+    expect(onDeadLetter).toHaveBeenCalledWith(deadLetters.entries[0]);
+    expect(assessmentQueue.backoffSeconds(1)).toBe(5);
+    expect(assessmentQueue.backoffSeconds(20)).toBe(300);
+  });
+
+  test('should replay dead-lettered jobs for the selected participants under a new claim', async () => {
+    await deadLetters.put({ participantId: 'p1', source: 'scheduled-event', attempts: 5, error: 'boom', failedAt: 1 });
+    await deadLetters.put({ participantId: 'p2', source: 'manual-api', claimedAt: 42, attempts: 5, error: 'boom', failedAt: 2 });
+    const claim = jest.fn(async job => ({ claimedAt: 100, assessmentId: `run-${job.participantId}` }));
+
+    const result = await assessmentQueue.replayDeadLetters({ queue, deadLetters, claim, participantIds: ['p2'] });
+
+    expect(result).toEqual({ replayed: ['p2'], skipped: [] });
+    expect(claim).toHaveBeenCalledTimes(1);
+    expect(deadLetters.entries.map(entry => entry.participantId)).toEqual(['p1']);
+    expect(queue.messages).toEqual([
+      expect.objectContaining({
+        attempts: 0,
+        job: expect.objectContaining({ participantId: 'p2', source: 'manual-api', claimedAt: 100, assessmentId: 'run-p2', replayedFrom: 2 })
+      })
+    ]);
+    expect(queue.messages[0].job.error).toBeUndefined();
+  });
+
+  test('should keep dead letters whose claim is refused and release claims it could not queue', async () => {
+    await deadLetters.put({ participantId: 'pending', source: 'scheduled-event', attempts: 5, error: 'boom', failedAt: 1 });
+    await deadLetters.put({ participantId: 'unsent', source: 'scheduled-event', attempts: 5, error: 'boom', failedAt: 2 });
+    queue.send = async jobs => ({ failed: jobs.map(job => ({ job, error: 'Throttled' })) });
+    const release = jest.fn();
+
+    const result = await assessmentQueue.replayDeadLetters({
+      queue,
+      deadLetters,
+      claim: async job => (job.participantId === 'pending' ? null : { claimedAt: 100, assessmentId: 'run' }),
+      release
+    });
+
+    expect(result).toEqual({ replayed: [], skipped: ['pending'] });
+    expect(release).toHaveBeenCalledWith(expect.objectContaining({ participantId: 'unsent', claimedAt: 100 }));
+    expect(deadLetters.entries).toHaveLength(2);
+  });
+
+  test('should ignore acks of messages no longer in the local queue', async () => {
+    await queue.send([{ participantId: 'p1' }, { participantId: 'p2' }]);
+    const [message] = await queue.receive(1);
+
+    await queue.ack(message);
+    await queue.ack(message);
+
+    expect(queue.messages.map(queued => queued.job.participantId)).toEqual(['p2']);
+  });
+
+  test('should keep result order while limiting concurrent calls', async () => {
+    const results = await assessmentQueue.mapWithConcurrency([3, 1, 2], 2, async value => value * 10);
+
+    expect(results).toEqual([30, 10, 20]);
+  });
+});
@@ -0,0 +1,154 @@
+const AWS = require('aws-sdk-mock');
+
+describe('Assessment Throttle', () => {
+  let assessmentThrottle;
+  let trigger;
+  let claims;
+  let queued;
+
+  beforeAll(() => {
+    process.env.AWS_REGION = 'us-east-1';
+    process.env.SYSTEM_METRICS_TABLE = 'system-metrics';
+    process.env.ASSESSMENT_QUEUE_URL = 'https://sqs.us-east-1.amazonaws.com/123456789012/assessments';
+    process.env.ASSESSMENT_COOLDOWN_SECONDS = '300';
+
+    // Keeps the last-assessment items in memory and applies the claim and completion conditions
+    AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+      const item = claims.get(params.Key.participantId);
+      const values = params.ExpressionAttributeValues;
+      const claiming = values[':pending'] !== undefined;
+      const allowed = claiming
+        ? !item || (item.status !== 'pending' && item.timestamp <= values[':cutoff']) || item.timestamp <= values[':staleCutoff']
+        : item && item.timestamp === values[':claimedAt'];
+      if (!allowed) {
+        const error = new Error('The conditional request failed');
+        error.code = 'ConditionalCheckFailedException';
+        callback(error);
+        return;
+      }
+
+      claims.set(params.Key.participantId, claiming
+        ? { timestamp: values[':time'], source: values[':source'], status: 'pending' }
+        : { ...item, status: 'completed' });
+      callback(null, {});
+    });
+    AWS.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+      callback(null, { Item: claims.get(params.Key.participantId) });
+    });
+    AWS.mock('DynamoDB.DocumentClient', 'delete', (params, callback) => {
+      claims.delete(params.Key.participantId);
+      callback(null, {});
+    });
+    AWS.mock('CloudFormation', 'describeStacks', (params, callback) => {
+      callback(null, { Stacks: [{ StackName: params.StackName, Tags: [] }] });
+    });
+    AWS.mock('SQS', 'sendMessageBatch', (params, callback) => {
+      const failed = [];
+      for (const entry of params.Entries) {
+        const { participantId } = JSON.parse(entry.MessageBody);
+        if (participantId === 'broken') {
+          failed.push({ Id: entry.Id, Code: 'InternalError', Message: 'Queue unavailable' });
+        } else {
+          queued.push(participantId);
+        }
+      }
+      callback(null, { Successful: [], Failed: failed });
+    });
+
+    assessmentThrottle = require('../../src/utils/assessment-throttle');
+    trigger = require('../../src/reliability-assessment-trigger');
+  });
+
+  beforeEach(() => {
+    claims = new Map();
+    queued = [];
+  });
+
+  afterAll(() => {
+    AWS.restore();
+  });
+
+  test('should coalesce triggers into a pending run and throttle them after it completes', async () => {
+    const now = 1700000000000;
+
+    expect(await assessmentThrottle.claimAssessment('p1', 'scheduled-event', now)).toEqual({ claimed: true, claimedAt: now });
+    expect(await assessmentThrottle.claimAssessment('p1', 'resource-change', now + 10000))
+      .toEqual({ claimed: false, reason: 'pending', claimedAt: now, retryAfterSeconds: 290 });
+
+    await assessmentThrottle.completeAssessment('p1', now);
+    expect(await assessmentThrottle.claimAssessment('p1', 'manual-api', now + 60000))
+      .toEqual({ claimed: false, reason: 'cooldown', retryAfterSeconds: 240 });
+
+    // The cooldown has passed
+    expect((await assessmentThrottle.claimAssessment('p1', 'manual-api', now + 300000)).claimed).toBe(true);
+  });
+
+  test('should not claim over a run that outlasts the cooldown until it completes or goes stale', async () => {
+    const now = 1700000000000;
+    await assessmentThrottle.claimAssessment('p1', 'scheduled-event', now);
+
+    expect(await assessmentThrottle.claimAssessment('p1', 'resource-change', now + 400000))
+      .toEqual({ claimed: false, reason: 'pending', claimedAt: now, retryAfterSeconds: 300 });
+
+    // The first run crashed without completing; after the stale time a new run is claimed
+    const staleAt = now + assessmentThrottle.getStaleSeconds() * 1000;
+    expect(await assessmentThrottle.claimAssessment('p1', 'scheduled-event', staleAt)).toEqual({ claimed: true, claimedAt: staleAt });
+
+    // The old run finishing late leaves the new claim pending
+    await assessmentThrottle.completeAssessment('p1', now);
+    expect(claims.get('p1')).toMatchObject({ timestamp: staleAt, status: 'pending' });
+    await assessmentThrottle.completeAssessment('p1', staleAt);
+    expect(claims.get('p1')).toMatchObject({ timestamp: staleAt, status: 'completed' });
+  });
+
+  test('should answer a throttled manual trigger with 429 and Retry-After', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/assess/p1',
+      pathParameters: { participantId: 'p1' },
+      requestContext: { identity: { userArn: 'arn:aws:iam::123456789012:user/organizer' } }
+    };
+
+    const first = await trigger.handler(event);
+    expect(first.statusCode).toBe(200);
+    await assessmentThrottle.completeAssessment('p1', claims.get('p1').timestamp);
+
+    const second = await trigger.handler(event);
+    expect(second.statusCode).toBe(429);
+    expect(Number(second.headers['Retry-After'])).toBeGreaterThan(0);
+    expect(JSON.parse(second.body).results[0]).toMatchObject({ participantId: 'p1', status: 'throttled' });
+    expect(queued).toEqual(['p1']);
+  });
+
+  test('should refuse manual triggers that are not signed by an organizer', async () => {
+    const event = { httpMethod: 'POST', path: '/assess/p1', pathParameters: { participantId: 'p1' } };
+    process.env.ORGANIZER_PRINCIPAL_ARNS = 'arn:aws:iam::123456789012:role/organizers';
+
+    try {
+      expect((await trigger.handler(event)).statusCode).toBe(403);
+      expect((await trigger.handler({
+        ...event,
+        requestContext: { identity: { userArn: 'arn:aws:iam::123456789012:user/participant' } }
+      })).statusCode).toBe(403);
+      expect(queued).toEqual([]);
+
+      const organizer = await trigger.handler({
+        ...event,
+        requestContext: { identity: { userArn: 'arn:aws:sts::123456789012:assumed-role/organizers/alex' } }
+      });
+      expect(organizer.statusCode).toBe(200);
+      expect(queued).toEqual(['p1']);
+    } finally {
+      delete process.env.ORGANIZER_PRINCIPAL_ARNS;
+    }
+  });
+
+  test('should release the claim when the job cannot be queued', async () => {
+    const event = { source: 'resource-change', detail: { stackId: 'arn:aws:cloudformation:us-east-1:1:stack/ctf-unreliable-app-broken-dev/1' } };
+
+    const result = JSON.parse((await trigger.handler(event)).body);
+
+    expect(result.results[0]).toMatchObject({ participantId: 'broken', status: 'failed', error: 'Queue unavailable' });
+    expect(claims.has('broken')).toBe(false);
+  });
+});
@@ -1,37 +1,89 @@
 const AWS = require('aws-sdk-mock');
-const trigger = require('../../src/reliability-assessment-trigger');
 
 describe('Assessment Trigger', () => {
-  beforeEach(() => {
+  let trigger;
+  let queued;
+
+  beforeAll(() => {
+    process.env.AWS_REGION = 'us-east-1';
+    process.env.CHALLENGES_TABLE = 'challenges';
+    process.env.SYSTEM_METRICS_TABLE = 'system-metrics';
+    process.env.ASSESSMENT_QUEUE_URL = 'https://sqs.us-east-1.amazonaws.com/123456789012/assessments';
+
     // Mock AWS Lambda invoke
     AWS.mock('Lambda', 'invoke', (params, callback) => {
       callback(null, { StatusCode: 202 });
     });
-    
+
+    // Mock SQS batch sends to the assessment queue
+    AWS.mock('SQS', 'sendMessageBatch', (params, callback) => {
+      queued.push(...params.Entries.map(entry => JSON.parse(entry.MessageBody).participantId));
+      callback(null, { Successful: params.Entries.map(entry => ({ Id: entry.Id })), Failed: [] });
+    });
+
     // Mock DynamoDB query
     AWS.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
-      callback(null, { 
+      callback(null, {
         Items: [
           { participantId: 'test-user-1' },
           { participantId: 'test-user-2' }
         ]
       });
     });
+
+    // Every claim succeeds
+    AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+      callback(null, {});
+    });
+
+    AWS.mock('CloudFormation', 'listStacks', (params, callback) => {
+      callback(null, {
+        StackSummaries: [
+          { StackName: 'ctf-unreliable-app-test-user-1-dev' },
+          { StackName: 'ctf-unreliable-app-test-user-2-dev' }
+        ]
+      });
+    });
+    AWS.mock('CloudFormation', 'describeStacks', (params, callback) => {
+      callback(null, { Stacks: [{ StackName: params.StackName, Tags: [] }] });
+    });
+    AWS.mock('ResourceGroupsTaggingAPI', 'getResources', (params, callback) => {
+      callback(null, { ResourceTagMappingList: [] });
+    });
+
+    trigger = require('../../src/reliability-assessment-trigger');
+  });
+
+  beforeEach(() => {
+    queued = [];
   });
-  
-  afterEach(() => {
+
+  afterAll(() => {
     AWS.restore();
   });
-  
+
   test('should process scheduled event and trigger assessments', async () => {
     const event = {
       'detail-type': 'Scheduled Event',
       source: 'aws.events'
     };
-    
+
+    const result = await trigger.handler(event);
+    expect(JSON.parse(result.body).message).toContain('Queued 2 assessments');
+    expect(queued).toEqual(['test-user-1', 'test-user-2']);
+  });
+
+  test('should assess the owner of a changed stack from its EventBridge event', async () => {
+    const event = {
+      'detail-type': 'CloudFormation Stack Status Change',
+      source: 'aws.cloudformation',
+      detail: {
+        stackId: 'arn:aws:cloudformation:us-east-1:123456789012:stack/ctf-unreliable-app-test-user-2-dev/abc'
+      }
+    };
+
     const result = await trigger.handler(event);
-    expect(JSON.parse(result.body).message).toContain('Triggered 2 assessments');
+    expect(JSON.parse(result.body).message).toContain('Queued 1 assessments');
+    expect(queued).toEqual(['test-user-2']);
   });
-  
-  // Add more tests for different event sources
-});
\ No newline at end of file
+});
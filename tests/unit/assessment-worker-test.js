@@ -0,0 +1,112 @@
+const AWS = require('aws-sdk-mock');
+
+describe('Assessment Worker', () => {
+  let worker;
+  let messages;
+  let invocations;
+  let engineResults;
+  let sentJobs;
+
+  beforeAll(() => {
+    process.env.AWS_REGION = 'us-east-1';
+    process.env.ASSESSMENT_QUEUE_URL = 'https://sqs.us-east-1.amazonaws.com/123456789012/assessments';
+    process.env.ASSESSMENT_DEAD_LETTER_TABLE = 'assessment-dead-letters';
+    process.env.ASSESSMENT_ENGINE_FUNCTION = 'reliability-assessment-engine';
+    process.env.SYSTEM_METRICS_TABLE = 'system-metrics';
+    // One job at a time keeps the order of the calls predictable
+    process.env.ASSESSMENT_WORKER_CONCURRENCY = '1';
+
+    AWS.mock('SQS', 'receiveMessage', (params, callback) => {
+      const message = messages.shift();
+      callback(null, { Messages: message ? [message] : [] });
+    });
+    AWS.mock('SQS', 'deleteMessage', (params, callback) => {
+      invocations.push(['ack', params.ReceiptHandle]);
+      callback(null, {});
+    });
+    AWS.mock('SQS', 'changeMessageVisibility', (params, callback) => {
+      invocations.push(['retry', params.ReceiptHandle, params.VisibilityTimeout]);
+      callback(null, {});
+    });
+    AWS.mock('Lambda', 'invoke', (params, callback) => {
+      const { participantId } = JSON.parse(params.Payload);
+      invocations.push(['invoke', participantId, params.InvocationType]);
+      callback(null, engineResults[participantId]);
+    });
+
+    AWS.mock('SQS', 'sendMessageBatch', (params, callback) => {
+      sentJobs.push(...params.Entries.map(entry => JSON.parse(entry.MessageBody)));
+      invocations.push(...params.Entries.map(() => ['send']));
+      callback(null, { Successful: params.Entries.map(entry => ({ Id: entry.Id })), Failed: [] });
+    });
+    AWS.mock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+      callback(null, { Items: [{ participantId: 'p1', source: 'scheduled-event', claimedAt: 42, attempts: 5, error: 'boom', failedAt: 7 }] });
+    });
+    AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+      invocations.push(['claim', params.Key.participantId]);
+      callback(null, {});
+    });
+    AWS.mock('DynamoDB.DocumentClient', 'delete', (params, callback) => {
+      invocations.push(['remove', params.Key.participantId, params.Key.failedAt]);
+      callback(null, {});
+    });
+
+    worker = require('../../src/reliability-assessment-worker');
+  });
+
+  beforeEach(() => {
+    invocations = [];
+    sentJobs = [];
+  });
+
+  afterAll(() => {
+    AWS.restore();
+  });
+
+  const message = (participantId, attempts = 1) => ({
+    MessageId: participantId,
+    ReceiptHandle: `receipt-${participantId}`,
+    Body: JSON.stringify({ participantId, claimedAt: 42, source: 'scheduled-event' }),
+    Attributes: { ApproximateReceiveCount: String(attempts) }
+  });
+
+  test('should wait for each engine run and retry jobs the engine failed', async () => {
+    messages = [message('p1'), message('p2')];
+    engineResults = {
+      p1: { StatusCode: 200, Payload: '{"score":90}' },
+      p2: {
+        StatusCode: 200,
+        FunctionError: 'Unhandled',
+        Payload: JSON.stringify({ errorType: 'Error', errorMessage: 'Stack not found' })
+      }
+    };
+
+    const summary = await worker.handler({}, { getRemainingTimeInMillis: () => 900000 });
+
+    expect(summary).toEqual({ completed: 1, retried: 1, deadLettered: 0 });
+    expect(invocations).toEqual([
+      ['invoke', 'p1', 'RequestResponse'],
+      ['ack', 'receipt-p1'],
+      ['invoke', 'p2', 'RequestResponse'],
+      ['retry', 'receipt-p2', 5]
+    ]);
+  });
+
+  test('should not start a job without time left for a full engine run', async () => {
+    messages = [message('p1')];
+
+    const summary = await worker.handler({}, { getRemainingTimeInMillis: () => 60000 });
+
+    expect(summary).toEqual({ completed: 0, retried: 0, deadLettered: 0 });
+    expect(invocations).toEqual([]);
+  });
+
+  test('should claim a new run before replaying a dead-lettered job', async () => {
+    const result = await worker.handler({ action: 'replay' });
+
+    expect(result).toEqual({ replayed: ['p1'], skipped: [] });
+    expect(invocations).toEqual([['claim', 'p1'], ['send'], ['remove', 'p1', 7]]);
+    expect(sentJobs).toEqual([expect.objectContaining({ participantId: 'p1', replayedFrom: 7, assessmentId: expect.any(String) })]);
+    expect(sentJobs[0].claimedAt).not.toBe(42);
+  });
+});
@@ -0,0 +1,93 @@
+const checkRegistry = require('../../src/utils/check-registry');
+const challengeConfig = require('../../src/utils/challenge-config');
+
+describe('Check Registry', () => {
+  test('should register a custom check and evaluate it with a config weight', () => {
+    checkRegistry.registerCheck({
+      id: 'test-always-passes',
+      category: 'infrastructure',
+      weight: 2,
+      description: 'Always passes',
+      evaluate: () => ({ implemented: true, score: 100, evidence: [{ logicalId: 'Table', detail: 'ok' }] })
+    });
+
+    const config = challengeConfig.normalizeChallengeConfig({
+      checks: [{ id: 'test-always-passes', weight: 5 }, 'dynamodb-backups']
+    });
+    const results = checkRegistry.evaluateChecks(config, {});
+
+    expect(results[0]).toMatchObject({ id: 'test-always-passes', weight: 5, score: 100, implemented: true });
+    expect(results[1]).toMatchObject({ id: 'dynamodb-backups', weight: 1, score: 0, implemented: false });
+  });
+
+  test('should weight checks within categories and categories within the total', () => {
+    const config = challengeConfig.normalizeChallengeConfig({
+      checks: [
+        { id: 'dynamodb-backups', weight: 3 },
+        'multi-region',
+        'error-handling',
+        'retry-logic',
+        'cloudwatch-alarms',
+        'api-throttling'
+      ]
+    });
+    const result = (implemented, score) => ({ implemented, score, evidence: [] });
+
+    const { score, categories, checks } = checkRegistry.calculateScore(config, {
+      stackResources: [{ LogicalResourceId: 'ApiFunction', PhysicalResourceId: 'app-p1-api' }],
+      stackAnalysis: {
+        analysis: {
+          backups: result(true, 100),
+          multiRegion: result(false, 20),
+          apiThrottling: { applicable: false, ...result(false, 0) }
+        }
+      },
+      codeAnalyses: [{
+        functionName: 'app-p1-api',
+        patterns: { errorHandling: result(true, 100), retryLogic: result(false, 50) }
+      }],
+      metricsAnalysis: { analysis: { alarms: result(false, 40) } }
+    });
+
+    // infrastructure (100 * 3 + 20) / 4 = 80, errorHandling (100 + 50) / 2 = 75, monitoring 40;
+    // performance only has a check that does not apply, so it is left out
+    expect(categories).toEqual({
+      infrastructure: { weight: 35, score: 80 },
+      errorHandling: { weight: 25, score: 75 },
+      monitoring: { weight: 20, score: 40 }
+    });
+    // (80 * 35 + 75 * 25 + 40 * 20) / 80 = 68.4
+    expect(score).toBe(68);
+    expect(checks.find(check => check.id === 'api-throttling')).toMatchObject({ applicable: false, weight: 0 });
+  });
+
+  test('should reject duplicate check IDs', () => {
+    expect(() => checkRegistry.registerCheck({
+      id: 'multi-region',
+      category: 'infrastructure',
+      evaluate: () => ({})
+    })).toThrow('already registered');
+  });
+
+  test('should parse YAML challenge configs', () => {
+    const config = challengeConfig.parseChallengeConfig(`
+challengeId: voting-system
+passingScore: 70
+inspectionMode: both
+checks:
+  - multi-region
+  - id: cloudwatch-alarms
+    weight: 3
+`);
+
+    expect(config).toMatchObject({ challengeId: 'voting-system', passingScore: 70, inspectionMode: 'both' });
+    expect(config.checks).toEqual([{ id: 'multi-region' }, { id: 'cloudwatch-alarms', weight: 3 }]);
+  });
+
+  test('should reject unknown checks and invalid thresholds', () => {
+    expect(() => challengeConfig.normalizeChallengeConfig({ checks: ['no-such-check'] }))
+      .toThrow('Unknown check: no-such-check');
+    expect(() => challengeConfig.normalizeChallengeConfig({ passingScore: 120 }))
+      .toThrow('Invalid passingScore');
+  });
+});
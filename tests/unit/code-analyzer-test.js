@@ -0,0 +1,77 @@
+const codeAnalyzer = require('../../src/utils/code-analyzer');
+const javascriptAnalyzer = require('../../src/utils/javascript-analyzer');
+
+const reliableHandler = `
+const AWS = require('aws-sdk');
+const CircuitBreaker = require('opossum');
+
+const dynamoDB = new AWS.DynamoDB.DocumentClient({ maxRetries: 5 });
+const breaker = new CircuitBreaker(callPaymentService, { timeout: 3000 });
+
+async function saveWithRetry(item) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      return await dynamoDB.put({
+        TableName: process.env.TABLE_NAME,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(id)'
+      }).promise();
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100 * 2 ** attempt));
+    }
+  }
+}
+
+module.exports.api = async (event) => {
+  try {
+    await saveWithRetry(JSON.parse(event.body));
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('API error:', error);
+    return { statusCode: 500, body: 'Internal server error' };
+  }
+};
+`;
+
+describe('Code Analyzer', () => {
+  test('should not score keywords that only appear in comments or names', () => {
+    const findings = javascriptAnalyzer.findPatterns(`
+      // circuitBreaker retry backoff try catch idempotency
+      const retry = 'circuit breaker';
+      module.exports.api = async () => ({ statusCode: 200 });
+    `);
+
+    expect(codeAnalyzer.checkErrorHandling(findings).score).toBe(0);
+    expect(codeAnalyzer.checkRetryLogic(findings).implemented).toBe(false);
+    expect(codeAnalyzer.checkCircuitBreaker(findings).implemented).toBe(false);
+    expect(codeAnalyzer.checkIdempotency(findings).implemented).toBe(false);
+  });
+
+  test('should recognize real reliability patterns and report their lines', () => {
+    const findings = javascriptAnalyzer.findPatterns(reliableHandler, 'handler.js');
+    const errorHandling = codeAnalyzer.checkErrorHandling(findings);
+
+    expect(errorHandling.score).toBe(100);
+    expect(errorHandling.evidence).toContainEqual({
+      file: 'handler.js',
+      line: 10,
+      detail: 'try/catch around AWS SDK call'
+    });
+    expect(codeAnalyzer.checkRetryLogic(findings).score).toBe(100);
+    expect(codeAnalyzer.checkCircuitBreaker(findings).score).toBe(100);
+    expect(codeAnalyzer.checkIdempotency(findings).evidence[0]).toMatchObject({ line: 14 });
+  });
+
+  test('should parse TypeScript handlers', () => {
+    const findings = javascriptAnalyzer.findPatterns(`
+      import { SQSClient, SendMessageCommand } from '@aws-sdk/client-sqs';
+      const sqs: SQSClient = new SQSClient({ maxAttempts: 4 });
+      export const handler = async (event: { body: string }): Promise<void> => {
+        await sqs.send(new SendMessageCommand({ QueueUrl: process.env.QUEUE_URL as string, MessageBody: event.body }));
+      };
+    `, 'handler.ts');
+
+    expect(codeAnalyzer.checkAsyncProcessing(findings).implemented).toBe(true);
+    expect(codeAnalyzer.checkRetryLogic(findings).implemented).toBe(true);
+  });
+});
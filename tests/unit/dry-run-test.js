@@ -0,0 +1,98 @@
+const AWS = require('aws-sdk-mock');
+const AdmZip = require('adm-zip');
+
+const template = {
+  Resources: {
+    ItemsTable: {
+      Type: 'AWS::DynamoDB::Table',
+      Properties: {
+        BillingMode: 'PAY_PER_REQUEST',
+        PointInTimeRecoverySpecification: { PointInTimeRecoveryEnabled: true }
+      }
+    },
+    ApiFunction: {
+      Type: 'AWS::Lambda::Function',
+      Properties: {
+        Runtime: 'nodejs20.x',
+        Handler: 'src/handler.api',
+        Environment: { Variables: { TABLE_NAME: { Ref: 'ItemsTable' } } }
+      }
+    }
+  }
+};
+
+const handlerSource = `
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient({ maxRetries: 5 });
+
+module.exports.api = async (event) => {
+  try {
+    await dynamoDB.put({ TableName: process.env.TABLE_NAME, Item: JSON.parse(event.body) }).promise();
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('API error:', error);
+    return { statusCode: 500 };
+  }
+};
+`;
+
+function buildBundle(files) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  return zip.toBuffer().toString('base64');
+}
+
+describe('Dry-Run Assessment', () => {
+  let engine;
+  let writes;
+
+  beforeAll(() => {
+    process.env.AWS_REGION = 'us-east-1';
+    delete process.env.CHALLENGE_CONFIG;
+
+    // Any write would mean the dry run stored something
+    writes = [];
+    const recordWrite = name => (params, callback) => {
+      writes.push(name);
+      callback(null, {});
+    };
+    AWS.mock('DynamoDB.DocumentClient', 'update', recordWrite('update'));
+    AWS.mock('DynamoDB.DocumentClient', 'put', recordWrite('put'));
+    AWS.mock('S3', 'putObject', recordWrite('putObject'));
+
+    engine = require('../../src/reliability-assessment-engine');
+  });
+
+  afterAll(() => {
+    AWS.restore();
+  });
+
+  test('should assess an inline template and code bundle without storing anything', async () => {
+    const report = await engine.handler({
+      dryRun: true,
+      template: JSON.stringify(template),
+      codeBundle: buildBundle({ 'src/handler.js': handlerSource })
+    });
+
+    expect(report.dryRun).toBe(true);
+    expect(report.score).toBeGreaterThan(0);
+    expect(report.checks.find(check => check.id === 'dynamodb-backups')).toMatchObject({ passed: true });
+    expect(report.checks.find(check => check.id === 'error-handling').evidence)
+      .toContainEqual(expect.objectContaining({ logicalId: 'ApiFunction' }));
+    expect(report.checks.find(check => check.id === 'cloudwatch-alarms')).toMatchObject({ applicable: false });
+    expect(report.flagRevealed).toBeUndefined();
+    expect(writes).toEqual([]);
+  });
+
+  test('should leave code checks out of the score without a code bundle', async () => {
+    const report = await engine.handler({ dryRun: true, template });
+
+    expect(report.checks.find(check => check.id === 'retry-logic')).toMatchObject({
+      applicable: false,
+      evidence: [{ logicalId: null, detail: 'No code bundle was provided for this dry run' }]
+    });
+    await expect(engine.handler({ dryRun: true, template: 'Resources: [' })).rejects.toThrow('Invalid template');
+  });
+});
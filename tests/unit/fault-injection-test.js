@@ -0,0 +1,267 @@
+const AWS = require('aws-sdk-mock');
+const faultInjection = require('../../src/utils/fault-injection');
+const chaosRunner = require('../../src/utils/chaos-runner');
+const challengeConfig = require('../../src/utils/challenge-config');
+const checkRegistry = require('../../src/utils/check-registry');
+
+const stackResources = [
+  { LogicalResourceId: 'ApiFunction', PhysicalResourceId: 'app-p1-api', ResourceType: 'AWS::Lambda::Function' },
+  { LogicalResourceId: 'WorkerFunction', PhysicalResourceId: 'app-p1-worker', ResourceType: 'AWS::Lambda::Function' },
+  { LogicalResourceId: 'OrdersTable', PhysicalResourceId: 'app-p1-orders', ResourceType: 'AWS::DynamoDB::Table' }
+];
+
+function buildConfig(experiments) {
+  return challengeConfig.normalizeChallengeConfig({
+    checks: ['fault-tolerance', 'fault-recovery', 'error-handling'],
+    faultInjection: {
+      enabled: true,
+      experiments,
+      traffic: { url: 'https://{participantId}.example.com/health', requests: 10, intervalMs: 250 },
+      recoveryTargetSeconds: 1,
+      recoveryTimeoutSeconds: 5
+    }
+  });
+}
+
+describe('Fault Injection', () => {
+  // The AWS runner caches its Lambda client, so the mocks stay in place and each test sets the handlers they call
+  let lambdaHandlers;
+
+  beforeAll(() => {
+    const methods = ['getFunctionConcurrency', 'putFunctionConcurrency', 'deleteFunctionConcurrency',
+      'getFunctionConfiguration', 'updateFunctionConfiguration'];
+    for (const method of methods) {
+      AWS.mock('Lambda', method, (params, callback) => lambdaHandlers[method](params, callback));
+    }
+    AWS.mock('Lambda', 'waitFor', (state, params, callback) => callback(null, {}));
+  });
+
+  beforeEach(() => {
+    lambdaHandlers = {};
+  });
+
+  afterAll(() => {
+    AWS.restore();
+  });
+
+  // The AWS runner with the simulator's workload, so no requests leave the test
+  const simulatedAwsRunner = () => {
+    const simulator = chaosRunner.createLocalSimulator();
+    return {
+      ...chaosRunner.createAwsRunner(),
+      sendRequest: simulator.sendRequest,
+      wait: simulator.wait,
+      now: simulator.now
+    };
+  };
+
+  test('should measure error rate and recovery time against a simulated workload', async () => {
+    const config = buildConfig([
+      { type: 'lambda-throttle', target: 'ApiFunction' },
+      { type: 'az-outage' }
+    ]);
+    const runner = chaosRunner.createLocalSimulator({
+      faults: { 'lambda-throttle': { errorRate: 0.5, recoveryRequests: 10 } }
+    });
+
+    const result = await faultInjection.runFaultInjection({
+      participantId: 'p1',
+      stackResources,
+      config: config.faultInjection,
+      runner
+    });
+
+    expect(runner.events).toEqual([
+      { action: 'inject', type: 'lambda-throttle', targets: ['ApiFunction'] },
+      { action: 'revert', type: 'lambda-throttle' }
+    ]);
+    expect(result.experiments[0]).toMatchObject({
+      status: 'completed',
+      baseline: { requests: 10, errors: 0 },
+      during: { requests: 10, errors: 5, errorRate: 0.5 },
+      // 10 failing requests of 20 ms, each followed by a 250 ms pause
+      recovery: { recovered: true, recoverySeconds: 2.7 }
+    });
+    expect(result.experiments[1]).toMatchObject({ type: 'az-outage', status: 'skipped' });
+
+    expect(result.analysis.faultTolerance).toMatchObject({ implemented: false, score: 50 });
+    expect(result.analysis.faultTolerance.evidence).toEqual([
+      { logicalId: 'ApiFunction', detail: 'lambda-throttle: 50% of 10 requests failed under the fault (0% before)' }
+    ]);
+    // 1.7 seconds over the 1 second target, out of a 4 second window
+    expect(result.analysis.faultRecovery.implemented).toBe(false);
+    expect(result.analysis.faultRecovery.score).toBeCloseTo(57.5);
+  });
+
+  test('should feed experiment results into the score and skip the checks when disabled', async () => {
+    const config = buildConfig([{ type: 'lambda-throttle' }]);
+    const result = await faultInjection.runFaultInjection({
+      participantId: 'p1',
+      stackResources,
+      config: config.faultInjection,
+      runner: chaosRunner.createLocalSimulator()
+    });
+
+    const checks = checkRegistry.evaluateChecks(config, { faultInjection: result });
+    expect(checks[0]).toMatchObject({ id: 'fault-tolerance', implemented: true, score: 100 });
+    expect(checks[1]).toMatchObject({ id: 'fault-recovery', implemented: true, score: 100 });
+
+    const disabled = checkRegistry.evaluateChecks(config, {});
+    expect(disabled[0]).toMatchObject({ applicable: false, weight: 0 });
+  });
+
+  test('should report experiments that cannot start without sending faulty traffic', async () => {
+    const config = buildConfig([{ type: 'lambda-throttle', target: 'WorkerFunction' }]);
+    const runner = {
+      ...chaosRunner.createLocalSimulator(),
+      inject: jest.fn().mockRejectedValue(new Error('AccessDenied')),
+      revert: jest.fn()
+    };
+
+    const result = await faultInjection.runFaultInjection({
+      participantId: 'p1',
+      stackResources,
+      config: config.faultInjection,
+      runner
+    });
+
+    expect(result.experiments[0]).toMatchObject({ status: 'error', error: 'AccessDenied' });
+    expect(runner.revert).not.toHaveBeenCalled();
+    expect(result.analysis.faultRecovery.evidence[0].detail).toBe('lambda-throttle: could not run (AccessDenied)');
+  });
+
+  test('should revert the targets already faulted when an inject fails partway', async () => {
+    const config = buildConfig([{ type: 'lambda-throttle' }]);
+    const concurrencyCalls = [];
+    lambdaHandlers.getFunctionConcurrency = (params, callback) => {
+      callback(null, params.FunctionName === 'app-p1-api' ? { ReservedConcurrentExecutions: 5 } : {});
+    };
+    lambdaHandlers.putFunctionConcurrency = (params, callback) => {
+      concurrencyCalls.push(['put', params.FunctionName, params.ReservedConcurrentExecutions]);
+      if (params.FunctionName === 'app-p1-worker' && params.ReservedConcurrentExecutions === 0) {
+        callback(new Error('TooManyRequestsException'));
+        return;
+      }
+      callback(null, {});
+    };
+    lambdaHandlers.deleteFunctionConcurrency = (params, callback) => {
+      concurrencyCalls.push(['delete', params.FunctionName]);
+      callback(null, {});
+    };
+
+    const result = await faultInjection.runFaultInjection({
+      participantId: 'p1',
+      stackResources,
+      config: config.faultInjection,
+      runner: simulatedAwsRunner()
+    });
+
+    expect(result.experiments[0]).toMatchObject({ status: 'error', error: 'TooManyRequestsException' });
+    expect(result.experiments[0].revertError).toBeUndefined();
+    expect(concurrencyCalls).toEqual([
+      ['put', 'app-p1-api', 0],
+      ['put', 'app-p1-worker', 0],
+      ['put', 'app-p1-api', 5],
+      ['delete', 'app-p1-worker']
+    ]);
+  });
+
+  test('should revert a leftover fault first and restore only the variable it injected', async () => {
+    const config = buildConfig([{ type: 'dynamodb-errors', target: 'ApiFunction', proxyUrl: 'https://proxy.example.com' }]);
+    // An earlier run died under the fault; the participant has deployed a new variable since
+    let variables = { ORDERS_TABLE: 'app-p1-orders', AWS_ENDPOINT_URL_DYNAMODB: 'https://proxy.example.com', FEATURE: 'on' };
+    const journal = faultInjection.createLocalFaultJournal({
+      experiment: { type: 'dynamodb-errors', proxyUrl: 'https://proxy.example.com' },
+      state: [{ functionName: 'app-p1-api', variable: 'AWS_ENDPOINT_URL_DYNAMODB', previous: null }]
+    });
+    const updates = [];
+    lambdaHandlers.getFunctionConfiguration = (params, callback) => {
+      callback(null, { Environment: { Variables: variables }, State: 'Active', LastUpdateStatus: 'Successful' });
+    };
+    lambdaHandlers.updateFunctionConfiguration = (params, callback) => {
+      journal.load().then(recorded => {
+        updates.push({ variables: params.Environment.Variables, recorded });
+        variables = params.Environment.Variables;
+        callback(null, {});
+      });
+    };
+
+    const result = await faultInjection.runFaultInjection({
+      participantId: 'p1',
+      stackResources,
+      config: config.faultInjection,
+      runner: simulatedAwsRunner(),
+      journal
+    });
+
+    expect(result.experiments[0]).toMatchObject({ status: 'completed' });
+    expect(updates.map(update => update.variables)).toEqual([
+      { ORDERS_TABLE: 'app-p1-orders', FEATURE: 'on' },
+      { ORDERS_TABLE: 'app-p1-orders', FEATURE: 'on', AWS_ENDPOINT_URL_DYNAMODB: 'https://proxy.example.com' },
+      { ORDERS_TABLE: 'app-p1-orders', FEATURE: 'on' }
+    ]);
+    // The fault was recorded before it was injected, and cleared once reverted
+    expect(updates[1].recorded.state).toEqual([
+      { functionName: 'app-p1-api', variable: 'AWS_ENDPOINT_URL_DYNAMODB', previous: null }
+    ]);
+    expect(await journal.load()).toBeNull();
+  });
+
+  test('should refuse to take an already throttled function as the baseline', async () => {
+    const config = buildConfig([{ type: 'lambda-throttle', target: 'ApiFunction' }]);
+    const changes = jest.fn((params, callback) => callback(null, {}));
+    lambdaHandlers.getFunctionConcurrency = (params, callback) => {
+      callback(null, { ReservedConcurrentExecutions: 0 });
+    };
+    lambdaHandlers.putFunctionConcurrency = changes;
+    lambdaHandlers.deleteFunctionConcurrency = changes;
+    const journal = faultInjection.createLocalFaultJournal();
+
+    const result = await faultInjection.runFaultInjection({
+      participantId: 'p1',
+      stackResources,
+      config: config.faultInjection,
+      runner: simulatedAwsRunner(),
+      journal
+    });
+
+    expect(result.experiments[0]).toMatchObject({ status: 'error' });
+    expect(result.experiments[0].error).toContain('app-p1-api is already throttled to zero concurrency');
+    expect(changes).not.toHaveBeenCalled();
+    expect(await journal.load()).toBeNull();
+  });
+
+  test('should not run experiments while a leftover fault cannot be reverted', async () => {
+    const config = buildConfig([{ type: 'lambda-throttle', target: 'ApiFunction' }]);
+    const leftover = { experiment: { type: 'lambda-throttle' }, state: [{ functionName: 'app-p1-api', previous: 5 }] };
+    const journal = faultInjection.createLocalFaultJournal(leftover);
+    const runner = {
+      ...chaosRunner.createLocalSimulator(),
+      inject: jest.fn(),
+      revert: jest.fn().mockRejectedValue(new Error('AccessDenied'))
+    };
+
+    const result = await faultInjection.runFaultInjection({
+      participantId: 'p1',
+      stackResources,
+      config: config.faultInjection,
+      runner,
+      journal
+    });
+
+    expect(runner.revert).toHaveBeenCalledWith(leftover.experiment, leftover.state);
+    expect(runner.inject).not.toHaveBeenCalled();
+    expect(result.experiments[0]).toMatchObject({ status: 'error', error: 'An earlier fault is still in place: AccessDenied' });
+    expect(await journal.load()).toBe(leftover);
+  });
+
+  test('should reject enabled fault injection without traffic or with unknown experiments', () => {
+    expect(() => challengeConfig.normalizeChallengeConfig({
+      faultInjection: { enabled: true, experiments: [{ type: 'lambda-throttle' }] }
+    })).toThrow('faultInjection.traffic.url is required to send synthetic traffic');
+
+    expect(() => challengeConfig.normalizeChallengeConfig({
+      faultInjection: { enabled: true, experiments: [{ type: 'delete-everything' }], traffic: { url: 'https://x' } }
+    })).toThrow('Unknown fault injection experiment: delete-everything');
+  });
+});
@@ -0,0 +1,49 @@
+const feedbackGenerator = require('../../src/utils/feedback-generator');
+const challengeConfig = require('../../src/utils/challenge-config');
+
+describe('Feedback Generator', () => {
+  const config = challengeConfig.normalizeChallengeConfig({
+    checks: ['dynamodb-backups', 'multi-region', 'cloudwatch-alarms']
+  });
+
+  const checks = [
+    {
+      id: 'dynamodb-backups',
+      category: 'infrastructure',
+      weight: 1,
+      implemented: true,
+      score: 100,
+      evidence: [{ logicalId: 'ItemsTable', detail: 'Point-in-time recovery enabled' }]
+    },
+    { id: 'multi-region', category: 'infrastructure', weight: 1, implemented: false, score: 0, evidence: [] },
+    { id: 'cloudwatch-alarms', category: 'monitoring', weight: 1, implemented: false, score: 40, evidence: [] }
+  ];
+
+  const report = feedbackGenerator.generateFeedback({
+    participantId: 'test-user-1',
+    config,
+    score: 50,
+    categories: {},
+    checks
+  });
+
+  test('should distribute 100 points across the selected checks', () => {
+    const possible = report.checks.reduce((sum, check) => sum + check.pointsPossible, 0);
+
+    expect(Math.round(possible)).toBe(100);
+    // Infrastructure is 35 of the 55 category weight in play, split over two checks
+    expect(report.checks[0]).toMatchObject({ passed: true, pointsPossible: 31.8, pointsEarned: 31.8 });
+    expect(report.checks[2]).toMatchObject({ passed: false, pointsPossible: 36.4, pointsEarned: 14.5 });
+  });
+
+  test('should attach remediation with a Well-Architected reference to failed checks', () => {
+    expect(report.checks[0].remediation).toBeNull();
+    expect(report.checks[1].remediation.wellArchitected).toEqual({
+      question: 'REL 10',
+      title: 'How do you use fault isolation to protect your workload?'
+    });
+    expect(report.passed).toBe(false);
+    // Suggestions are ordered by the points left on the table
+    expect(report.suggestions[0]).toContain('(REL 10)');
+  });
+});
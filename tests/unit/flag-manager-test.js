@@ -0,0 +1,83 @@
+const AWS = require('aws-sdk-mock');
+
+describe('Flag Manager', () => {
+  const ids = { participantId: 'test-user-1', challengeId: 'reliability-pillar', eventId: 'event-1' };
+  let flagManager;
+  let flags;
+
+  beforeAll(() => {
+    process.env.AWS_REGION = 'us-east-1';
+    process.env.FLAG_SECRET_ID = 'flag-secret';
+    process.env.FLAGS_TABLE = 'flags';
+    process.env.FLAG_AUDIT_TABLE = 'flag-audit';
+
+    AWS.mock('SecretsManager', 'getSecretValue', (params, callback) => {
+      callback(null, { SecretString: 'secret' });
+    });
+    // Evaluates the reveal condition against the flags stored so far
+    AWS.mock('DynamoDB.DocumentClient', 'put', (params, callback) => {
+      if (params.TableName === 'flags') {
+        const key = `${params.Item.challengeId}#${params.Item.participantId}`;
+        const stored = flags.get(key);
+        const values = params.ExpressionAttributeValues || {};
+        if (stored && !(':eventId' in values && stored.eventId !== values[':eventId'])) {
+          const error = new Error('The conditional request failed');
+          error.code = 'ConditionalCheckFailedException';
+          callback(error);
+          return;
+        }
+        flags.set(key, params.Item);
+      }
+      callback(null, {});
+    });
+    AWS.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+      callback(null, { Item: flags.get(`${params.Key.challengeId}#${params.Key.participantId}`) });
+    });
+
+    flagManager = require('../../src/utils/flag-manager');
+  });
+
+  beforeEach(() => {
+    flags = new Map();
+  });
+
+  afterAll(() => {
+    AWS.restore();
+  });
+
+  test('should derive flags that depend on the secret, participant, challenge and event', () => {
+    const flag = flagManager.generateFlag('secret', ids);
+
+    expect(flag).toMatch(/^CTF\{[0-9a-f]{32}\}$/);
+    expect(flag).not.toContain('test-user-1');
+    expect(flagManager.generateFlag('secret', ids)).toBe(flag);
+    expect(flagManager.generateFlag('other-secret', ids)).not.toBe(flag);
+    expect(flagManager.generateFlag('secret', { ...ids, participantId: 'test-user-2' })).not.toBe(flag);
+    expect(flagManager.generateFlag('secret', { ...ids, eventId: 'event-2' })).not.toBe(flag);
+  });
+
+  test('should only match the exact flag', () => {
+    const flag = flagManager.generateFlag('secret', ids);
+
+    expect(flagManager.flagsMatch(flag, ` ${flag}\n`)).toBe(true);
+    expect(flagManager.flagsMatch(flag, 'CTF{test-user-1_reliability_master}')).toBe(false);
+    expect(flagManager.flagsMatch(flag, undefined)).toBe(false);
+  });
+
+  test('should reveal a flag once per event and verify it for the event it was revealed in', async () => {
+    const submit = flag => flagManager.verifyFlag({ participantId: ids.participantId, challengeId: ids.challengeId, flag });
+    const firstFlag = flagManager.generateFlag('secret', ids);
+    const secondFlag = flagManager.generateFlag('secret', { ...ids, eventId: 'event-2' });
+
+    expect((await submit(firstFlag)).result).toBe('not-revealed');
+
+    expect(await flagManager.revealFlag(ids)).toEqual({ revealed: true, alreadyRevealed: false });
+    expect(await flagManager.revealFlag(ids)).toEqual({ revealed: false, alreadyRevealed: true });
+    expect((await submit(firstFlag)).result).toBe('correct');
+    expect((await submit(secondFlag)).result).toBe('incorrect');
+
+    expect(await flagManager.revealFlag({ ...ids, eventId: 'event-2' })).toEqual({ revealed: true, alreadyRevealed: false });
+    expect((await submit(secondFlag)).result).toBe('correct');
+    expect((await submit(firstFlag)).result).toBe('incorrect');
+  });
+});
@@ -0,0 +1,181 @@
+const codeAnalyzer = require('../../src/utils/code-analyzer');
+const pythonAnalyzer = require('../../src/utils/python-analyzer');
+const javaAnalyzer = require('../../src/utils/java-analyzer');
+const goAnalyzer = require('../../src/utils/go-analyzer');
+
+const pythonHandler = `
+import json
+import logging
+import time
+
+import boto3
+from botocore.config import Config
+import pybreaker
+
+logger = logging.getLogger()
+dynamodb = boto3.client('dynamodb', config=Config(retries={'max_attempts': 10, 'mode': 'standard'}))
+sns = boto3.client('sns')
+breaker = pybreaker.CircuitBreaker(fail_max=5)
+
+# try: retry sleep circuit breaker idempotency_key
+def lambda_handler(event, context, **kwargs):
+    key = event['headers']['Idempotency-Key']
+    for attempt in range(3):
+        try:
+            dynamodb.put_item(
+                TableName='orders',
+                Item={'id': {'S': key}},
+                ConditionExpression='attribute_not_exists(id)'
+            )
+            sns.publish(TopicArn='arn', Message=json.dumps(event))
+            return {'statusCode': 200}
+        except Exception as error:
+            logger.exception('Order failed')
+            time.sleep(0.1 * 2 ** attempt)
+    return {'statusCode': 500, 'body': 'Internal server error'}
+`;
+
+const javaHandler = `
+package com.example;
+
+import io.github.resilience4j.circuitbreaker.CircuitBreaker;
+import software.amazon.awssdk.core.retry.RetryPolicy;
+import software.amazon.awssdk.services.sqs.SqsClient;
+
+public class Handler {
+    private final SqsClient sqsClient = SqsClient.builder()
+        .overrideConfiguration(c -> c.retryPolicy(RetryPolicy.builder().numRetries(5).build()))
+        .build();
+    private final CircuitBreaker breaker = CircuitBreaker.ofDefaults("payments");
+
+    public APIGatewayProxyResponseEvent handleRequest(APIGatewayProxyRequestEvent event, Context context) {
+        // try { } catch for "statusCode"
+        try {
+            sqsClient.sendMessage(r -> r.queueUrl(QUEUE_URL).messageBody(event.getBody()));
+            return new APIGatewayProxyResponseEvent().withStatusCode(202);
+        } catch (SdkException e) {
+            LOGGER.error("Could not enqueue order", e);
+            return new APIGatewayProxyResponseEvent().withStatusCode(500);
+        }
+    }
+}
+`;
+
+const goHandler = `
+package main
+
+import (
+	"context"
+	"log"
+
+	"github.com/aws/aws-sdk-go-v2/aws/retry"
+	"github.com/aws/aws-sdk-go-v2/config"
+	"github.com/aws/aws-sdk-go-v2/service/dynamodb"
+	"github.com/sony/gobreaker"
+)
+
+var breaker = gobreaker.NewCircuitBreaker(gobreaker.Settings{Name: "orders"})
+
+func handler(ctx context.Context, request events.APIGatewayProxyRequest) (events.APIGatewayProxyResponse, error) {
+	cfg, _ := config.LoadDefaultConfig(ctx, config.WithRetryMaxAttempts(5))
+	client := dynamodb.NewFromConfig(cfg)
+
+	_, err := client.PutItem(ctx, &dynamodb.PutItemInput{
+		TableName:           aws.String("orders"),
+		ConditionExpression: aws.String("attribute_not_exists(id)"),
+	})
+	if err != nil {
+		log.Printf("put failed: %v", err)
+		return events.APIGatewayProxyResponse{StatusCode: 500}, nil
+	}
+	return events.APIGatewayProxyResponse{StatusCode: 200}, nil
+}
+`;
+
+const kinds = findings => findings.map(finding => `${finding.pattern}:${finding.kind}`);
+
+describe('Language Analyzers', () => {
+  test('should pick the analyzer from the Lambda runtime', () => {
+    expect(codeAnalyzer.getRuntimeAnalyzer('nodejs20.x').language).toBe('javascript');
+    expect(codeAnalyzer.getRuntimeAnalyzer('python3.12').language).toBe('python');
+    expect(codeAnalyzer.getRuntimeAnalyzer('java21').language).toBe('java');
+    expect(codeAnalyzer.getRuntimeAnalyzer('provided.al2023').language).toBe('go');
+    expect(codeAnalyzer.getRuntimeAnalyzer(undefined).language).toBe('javascript');
+    expect(() => codeAnalyzer.getRuntimeAnalyzer('ruby3.3')).toThrow('Unsupported runtime: ruby3.3');
+  });
+
+  test('should score boto3 retries, pybreaker and conditional writes in Python', () => {
+    const findings = pythonAnalyzer.findPatterns(pythonHandler, 'app.py');
+
+    expect(kinds(findings)).toEqual(expect.arrayContaining([
+      'errorHandling:try-catch-sdk',
+      'errorHandling:error-logging',
+      'errorHandling:error-response',
+      'retryLogic:retry-loop',
+      'retryLogic:backoff',
+      'retryLogic:sdk-retry-config',
+      'circuitBreaker:circuit-breaker-usage',
+      'idempotency:idempotency-key',
+      'idempotency:conditional-write',
+      'asyncProcessing:sns'
+    ]));
+    expect(findings).toContainEqual({
+      pattern: 'retryLogic',
+      kind: 'sdk-retry-config',
+      file: 'app.py',
+      line: 11,
+      detail: 'SDK client configured with retries'
+    });
+    expect(codeAnalyzer.checkErrorHandling(findings).score).toBe(100);
+    expect(codeAnalyzer.checkRetryLogic(findings).score).toBe(100);
+    expect(codeAnalyzer.checkIdempotency(findings).score).toBe(100);
+  });
+
+  test('should ignore Python comments, strings and **kwargs', () => {
+    const findings = pythonAnalyzer.findPatterns(`
+# try: except: time.sleep(2 ** 3) ConditionExpression=
+def handler(event, context, **kwargs):
+    """retries={'max_attempts': 3} OPEN HALF_OPEN"""
+    return {'body': 'try: retry with backoff'}
+`);
+
+    expect(findings).toEqual([]);
+  });
+
+  test('should recognize Java SDK retry policies, resilience4j and catch blocks', () => {
+    const findings = javaAnalyzer.findPatterns(javaHandler, 'Handler.java');
+
+    expect(kinds(findings)).toEqual(expect.arrayContaining([
+      'errorHandling:try-catch-sdk',
+      'errorHandling:error-logging',
+      'errorHandling:error-response',
+      'retryLogic:sdk-retry-config',
+      'circuitBreaker:circuit-breaker-library',
+      'circuitBreaker:circuit-breaker-usage',
+      'asyncProcessing:sqs'
+    ]));
+    expect(kinds(findings)).not.toContain('circuitBreaker:custom-circuit-breaker');
+    expect(codeAnalyzer.checkCircuitBreaker(findings).score).toBe(100);
+  });
+
+  test('should treat err != nil checks as Go error handling', () => {
+    const findings = goAnalyzer.findPatterns(goHandler, 'main.go');
+
+    expect(kinds(findings)).toEqual(expect.arrayContaining([
+      'errorHandling:try-catch-sdk',
+      'errorHandling:error-logging',
+      'errorHandling:error-response',
+      'retryLogic:sdk-retry-config',
+      'circuitBreaker:circuit-breaker-library',
+      'circuitBreaker:circuit-breaker-usage',
+      'idempotency:conditional-write'
+    ]));
+    expect(findings).toContainEqual({
+      pattern: 'errorHandling',
+      kind: 'try-catch-sdk',
+      file: 'main.go',
+      line: 24,
+      detail: 'err != nil check after AWS SDK call'
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const AWS = require('aws-sdk-mock');
+
+const scores = [
+  { participantId: 'late', eventId: 'spring', challengeId: 'reliability-pillar', score: 90, passed: true, scoreReachedAt: 3000 },
+  { participantId: 'early', eventId: 'spring', challengeId: 'reliability-pillar', score: 90, passed: true, scoreReachedAt: 1000 },
+  { participantId: 'tied-b', eventId: 'spring', challengeId: 'reliability-pillar', score: 70, scoreReachedAt: 2000 },
+  { participantId: 'tied-a', eventId: 'spring', challengeId: 'reliability-pillar', score: 70, scoreReachedAt: 2000 },
+  { participantId: 'last', eventId: 'spring', challengeId: 'reliability-pillar', score: 40, scoreReachedAt: 500 },
+  { participantId: 'autumn-top', eventId: 'autumn', challengeId: 'reliability-pillar', score: 100, passed: true, scoreReachedAt: 100 }
+];
+
+describe('Leaderboard', () => {
+  let leaderboard;
+  let handler;
+
+  beforeAll(() => {
+    process.env.AWS_REGION = 'us-east-1';
+    process.env.SYSTEM_METRICS_TABLE = 'system-metrics';
+
+    // Two pages of scores, to cover LastEvaluatedKey
+    AWS.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+      callback(null, params.ExclusiveStartKey
+        ? { Items: scores.slice(3) }
+        : { Items: scores.slice(0, 3), LastEvaluatedKey: { participantId: 'tied-b' } });
+    });
+
+    leaderboard = require('../../src/utils/leaderboard');
+    handler = require('../../src/reliability-leaderboard').handler;
+  });
+
+  afterAll(() => {
+    AWS.restore();
+  });
+
+  test('should break score ties by who reached the score first and share ranks on exact ties', () => {
+    const entries = leaderboard.rankParticipants(scores.filter(item => item.eventId === 'spring'));
+
+    expect(entries.map(entry => [entry.rank, entry.participantId])).toEqual([
+      [1, 'early'],
+      [2, 'late'],
+      [3, 'tied-a'],
+      [3, 'tied-b'],
+      [5, 'last']
+    ]);
+    expect(entries[0]).toMatchObject({ score: 90, passed: true, scoreReachedAt: new Date(1000).toISOString() });
+  });
+
+  test('should rank only the requested event cohort', async () => {
+    const response = await handler({ queryStringParameters: { eventId: 'autumn' } });
+    const board = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(board).toMatchObject({ eventId: 'autumn', participants: 1, passed: 1 });
+    expect(board.entries.map(entry => entry.participantId)).toEqual(['autumn-top']);
+
+    const spring = JSON.parse((await handler({ queryStringParameters: { eventId: 'spring', limit: '2' } })).body);
+    expect(spring).toMatchObject({ participants: 5, passed: 2 });
+    expect(spring.entries.map(entry => entry.participantId)).toEqual(['early', 'late']);
+  });
+
+  test('should quote commas, quotes and line breaks in CSV fields', () => {
+    const csv = leaderboard.toCSV({
+      entries: leaderboard.rankParticipants([
+        { participantId: 'team, "ops"', eventId: 'spring', score: 80, scoreReachedAt: 1000 },
+        { participantId: 'multi\nline', eventId: 'spring', score: 60, scoreReachedAt: 1000, categories: { infrastructure: { score: 75 } } },
+        { participantId: 'carriage\rreturn', eventId: 'spring', score: 50, scoreReachedAt: 1000 }
+      ])
+    });
+
+    expect(csv).toBe([
+      'rank,participantId,eventId,score,passed,scoreReachedAt,lastUpdated,infrastructure',
+      '1,"team, ""ops""",spring,80,false,1970-01-01T00:00:01.000Z,,',
+      '2,"multi\nline",spring,60,false,1970-01-01T00:00:01.000Z,,75',
+      '3,"carriage\rreturn",spring,50,false,1970-01-01T00:00:01.000Z,,',
+      ''
+    ].join('\n'));
+  });
+
+  test('should reject unknown formats and limits', async () => {
+    expect((await handler({ queryStringParameters: { format: 'xml' } })).statusCode).toBe(400);
+    expect((await handler({ queryStringParameters: { limit: '0' } })).statusCode).toBe(400);
+
+    const csv = await handler({ queryStringParameters: { format: 'csv', eventId: 'autumn' } });
+    expect(csv.headers['Content-Disposition']).toBe('attachment; filename="leaderboard-autumn.csv"');
+  });
+});
@@ -0,0 +1,109 @@
+const AWS = require('aws-sdk-mock');
+
+const stackResources = [
+  {
+    LogicalResourceId: 'ApiFunction',
+    PhysicalResourceId: 'ctf-app-api',
+    ResourceType: 'AWS::Lambda::Function'
+  },
+  {
+    LogicalResourceId: 'ItemsTable',
+    PhysicalResourceId: 'ctf-app-items',
+    ResourceType: 'AWS::DynamoDB::Table'
+  },
+  {
+    LogicalResourceId: 'ApiErrorsAlarm',
+    PhysicalResourceId: 'ctf-app-api-errors',
+    ResourceType: 'AWS::CloudWatch::Alarm'
+  }
+];
+
+describe('Metrics Analyzer', () => {
+  let metricsAnalyzer;
+
+  beforeAll(() => {
+    AWS.mock('CloudWatch', 'describeAlarms', (params, callback) => {
+      callback(null, {
+        MetricAlarms: [
+          {
+            AlarmName: 'ctf-app-api-errors',
+            Namespace: 'AWS/Lambda',
+            MetricName: 'Errors',
+            Dimensions: [{ Name: 'FunctionName', Value: 'ctf-app-api' }],
+            AlarmActions: ['arn:aws:sns:us-east-1:123456789012:alerts']
+          },
+          {
+            AlarmName: 'someone-elses-alarm',
+            Namespace: 'AWS/Lambda',
+            MetricName: 'Errors',
+            Dimensions: [{ Name: 'FunctionName', Value: 'other-function' }]
+          }
+        ]
+      });
+    });
+
+    AWS.mock('CloudWatch', 'listDashboards', (params, callback) => {
+      callback(null, {
+        DashboardEntries: [{ DashboardName: 'alice-overview' }, { DashboardName: 'malice' }, { DashboardName: 'ctf-app-al-overview' }]
+      });
+    });
+
+    AWS.mock('CloudWatchLogs', 'describeLogGroups', (params, callback) => {
+      callback(null, {
+        logGroups: [{ logGroupName: '/aws/lambda/ctf-app-api', retentionInDays: 14 }]
+      });
+    });
+
+    AWS.mock('CloudWatch', 'getMetricData', (params, callback) => {
+      callback(null, {
+        MetricDataResults: [
+          { Id: 'invocations0', Values: [200] },
+          { Id: 'errors0', Values: [1] },
+          { Id: 'throttles0', Values: [0] },
+          { Id: 'duration0', Values: [850] }
+        ]
+      });
+    });
+
+    // Clients are created at load time, so the module must be loaded after mocking
+    metricsAnalyzer = require('../../src/utils/metrics-analyzer');
+  });
+
+  afterAll(() => {
+    AWS.restore();
+  });
+
+  test('should only count alarms on the participant resources', async () => {
+    const result = await metricsAnalyzer.analyzeMetrics('test-user-1', stackResources);
+    const alarms = result.analysis.alarms;
+
+    expect(alarms.implemented).toBe(true);
+    expect(alarms.evidence).toHaveLength(1);
+    expect(alarms.evidence[0].logicalId).toBe('ApiErrorsAlarm');
+    // One of the two monitored resources is covered, and the alarm has actions
+    expect(alarms.score).toBe(80);
+  });
+
+  test('should report log retention and healthy Lambda metrics', async () => {
+    const result = await metricsAnalyzer.analyzeMetrics('test-user-1', stackResources);
+
+    expect(result.analysis.logRetention).toMatchObject({ implemented: true, score: 100 });
+    expect(result.analysis.lambdaHealth).toMatchObject({ implemented: true, score: 100 });
+    expect(result.analysis.dashboards).toMatchObject({ implemented: false, score: 0 });
+  });
+
+  test('should only count dashboards defined in the participant stack', async () => {
+    expect((await metricsAnalyzer.analyzeMetrics('al', stackResources)).analysis.dashboards)
+      .toMatchObject({ implemented: false, score: 0, evidence: [] });
+
+    const withDashboard = [
+      ...stackResources,
+      { LogicalResourceId: 'Overview', PhysicalResourceId: 'ctf-app-al-overview', ResourceType: 'AWS::CloudWatch::Dashboard' }
+    ];
+    expect((await metricsAnalyzer.analyzeMetrics('al', withDashboard)).analysis.dashboards).toEqual({
+      implemented: true,
+      score: 100,
+      evidence: [{ logicalId: 'Overview', detail: 'Dashboard ctf-app-al-overview' }]
+    });
+  });
+});
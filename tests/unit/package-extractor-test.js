@@ -0,0 +1,77 @@
+const AdmZip = require('adm-zip');
+const packageExtractor = require('../../src/utils/package-extractor');
+
+function buildPackage(files) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  return zip.toBuffer();
+}
+
+describe('Package Extractor', () => {
+  test('should extract the handler and the local files it imports', () => {
+    const zipBuffer = buildPackage({
+      'src/handler.js': "const db = require('./lib/db');\nconst retry = require('async-retry');",
+      'src/lib/db.js': "import { breaker } from '../breaker';",
+      'src/breaker/index.ts': 'export const breaker = null;',
+      'src/unused.js': "console.log('never imported');",
+      'node_modules/async-retry/index.js': 'module.exports = retry;'
+    });
+
+    const { files, skipped } = packageExtractor.extractSourceFiles(zipBuffer, 'src/handler.api');
+
+    expect(files.map(file => file.path)).toEqual([
+      'src/handler.js',
+      'src/lib/db.js',
+      'src/breaker/index.ts'
+    ]);
+    expect(files[1].content).toContain('breaker');
+    expect(skipped).toEqual([]);
+  });
+
+  test('should fall back to every source file when the handler is missing', () => {
+    const zipBuffer = buildPackage({
+      'index.mjs': 'export const api = async () => ({});',
+      'helpers.js': 'module.exports = {};',
+      'README.md': '# not code',
+      'vendor/layer/lib.js': 'module.exports = {};'
+    });
+
+    const { files } = packageExtractor.extractSourceFiles(zipBuffer, 'app.handler');
+
+    expect(files.map(file => file.path).sort()).toEqual(['helpers.js', 'index.mjs']);
+  });
+
+  test('should skip files over the size limit without inflating them', () => {
+    const zipBuffer = buildPackage({
+      'index.js': "require('./bundle');",
+      'bundle.js': `// ${'x'.repeat(600 * 1024)}`
+    });
+
+    const { files, skipped } = packageExtractor.extractSourceFiles(zipBuffer, 'index.handler');
+
+    expect(files.map(file => file.path)).toEqual(['index.js']);
+    expect(skipped).toEqual([{ path: 'bundle.js', reason: 'larger than 524288 bytes' }]);
+  });
+
+  test('should follow Python imports and skip pip-installed packages', () => {
+    const zipBuffer = buildPackage({
+      'app.py': 'import requests\nfrom orders import repository\nfrom .util import retry',
+      'orders/__init__.py': '',
+      'orders/repository.py': "table = boto3.resource('dynamodb').Table('orders')",
+      'util.py': 'def retry(): pass',
+      'requests/__init__.py': 'from .api import get',
+      'requests-2.31.0.dist-info/top_level.txt': 'requests\n'
+    });
+
+    const { files } = packageExtractor.extractSourceFiles(zipBuffer, 'app.lambda_handler', 'python');
+
+    expect(files.map(file => file.path)).toEqual([
+      'app.py',
+      'orders/__init__.py',
+      'orders/repository.py',
+      'util.py'
+    ]);
+  });
+});
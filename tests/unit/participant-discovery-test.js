@@ -0,0 +1,90 @@
+const AWS = require('aws-sdk-mock');
+
+describe('Participant Discovery', () => {
+  let trigger;
+  let batches;
+  let queryFails;
+
+  beforeAll(() => {
+    process.env.AWS_REGION = 'us-east-1';
+    process.env.CHALLENGES_TABLE = 'challenges';
+    process.env.SYSTEM_METRICS_TABLE = 'system-metrics';
+    process.env.ASSESSMENT_QUEUE_URL = 'https://sqs.us-east-1.amazonaws.com/123456789012/assessments';
+
+    // Two pages of active participants; p2 appears on both
+    AWS.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+      if (queryFails) {
+        callback(new Error('ProvisionedThroughputExceededException'));
+        return;
+      }
+      callback(null, params.ExclusiveStartKey
+        ? { Items: [{ participantId: 'p2' }, { participantId: 'p3' }] }
+        : { Items: [{ participantId: 'p1' }, { participantId: 'p2' }], LastEvaluatedKey: { participantId: 'p2' } });
+    });
+    // Two pages of stacks; p3 has no stack and p4 is not active in the table
+    AWS.mock('CloudFormation', 'listStacks', (params, callback) => {
+      callback(null, params.NextToken
+        ? { StackSummaries: [{ StackName: 'ctf-unreliable-app-p4-dev' }] }
+        : {
+          StackSummaries: [
+            { StackName: 'ctf-unreliable-app-p1-dev' },
+            { StackName: 'ctf-unreliable-app-p2-dev' },
+            { StackName: 'other-stack' }
+          ],
+          NextToken: 'page-2'
+        });
+    });
+    // Only p5's stack is tagged, under a name no pattern matches
+    AWS.mock('ResourceGroupsTaggingAPI', 'getResources', (params, callback) => {
+      callback(null, {
+        ResourceTagMappingList: [{
+          ResourceARN: 'arn:aws:cloudformation:us-east-1:123456789012:stack/team-five-app/abc',
+          Tags: [{ Key: 'ctf:participantId', Value: 'p5' }]
+        }],
+        PaginationToken: ''
+      });
+    });
+    AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+      callback(null, {});
+    });
+    AWS.mock('SQS', 'sendMessageBatch', (params, callback) => {
+      batches.push(params.Entries.map(entry => JSON.parse(entry.MessageBody).participantId));
+      callback(null, { Successful: [], Failed: [] });
+    });
+
+    trigger = require('../../src/reliability-assessment-trigger');
+  });
+
+  beforeEach(() => {
+    batches = [];
+    queryFails = false;
+  });
+
+  afterAll(() => {
+    AWS.restore();
+  });
+
+  test('should queue every page of active participants and report disagreeing sources', async () => {
+    const result = JSON.parse((await trigger.handler({ 'detail-type': 'Scheduled Event' })).body);
+
+    // One batch per page, with p2 queued only once
+    expect(batches).toEqual([['p1', 'p2'], ['p3']]);
+    expect(result.message).toBe('Queued 3 assessments (0 failed, 0 skipped)');
+    expect(result.discovery).toEqual({
+      mismatch: true,
+      table: 3,
+      stacks: 4,
+      onlyInTable: ['p3'],
+      onlyInStacks: ['p5', 'p4']
+    });
+  });
+
+  test('should page through the stack list when the table cannot be queried', async () => {
+    queryFails = true;
+
+    const result = JSON.parse((await trigger.handler({ 'detail-type': 'Scheduled Event' })).body);
+
+    expect(batches).toEqual([['p5'], ['p1', 'p2'], ['p4']]);
+    expect(result.discovery).toBeUndefined();
+  });
+});
@@ -0,0 +1,99 @@
+const AWS = require('aws-sdk-mock');
+
+const ROLE_ARN = 'arn:aws:iam::210987654321:role/reliability-assessment';
+
+describe('Participant Session', () => {
+  let participantSession;
+  let builtinChecks;
+  let assumeRoleParams;
+
+  beforeAll(() => {
+    process.env.AWS_REGION = 'us-east-1';
+    process.env.CHALLENGES_TABLE = 'challenges';
+    process.env.ASSESSMENT_EXTERNAL_ID = 'event-wide-id';
+
+    AWS.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+      const records = {
+        'remote-user': [{ participantId: 'remote-user', accountId: '210987654321', roleArn: ROLE_ARN, externalId: 'team-secret' }],
+        'local-user': [{ participantId: 'local-user', status: 'ACTIVE' }],
+        'wrong-account': [{ participantId: 'wrong-account', accountId: '111111111111', roleArn: ROLE_ARN }]
+      };
+      callback(null, { Items: records[params.ExpressionAttributeValues[':participantId']] || [] });
+    });
+    AWS.mock('STS', 'assumeRole', (params, callback) => {
+      assumeRoleParams = params;
+      if (params.ExternalId !== 'team-secret') {
+        const error = new Error(`User is not authorized to perform: sts:AssumeRole on resource: ${params.RoleArn}`);
+        error.code = 'AccessDenied';
+        callback(error);
+        return;
+      }
+      callback(null, {
+        Credentials: { AccessKeyId: 'ASIAEXAMPLE', SecretAccessKey: 'secret', SessionToken: 'token' }
+      });
+    });
+
+    participantSession = require('../../src/utils/participant-session');
+    builtinChecks = require('../../src/utils/builtin-checks');
+  });
+
+  afterAll(() => {
+    AWS.restore();
+  });
+
+  test('should read participants without a role with the function credentials', async () => {
+    expect(await participantSession.openSession('local-user')).toBeNull();
+
+    const client = await participantSession.runWithSession(null, async () => participantSession.getClient('CloudFormation'));
+    expect(client).toBe(participantSession.getClient('CloudFormation'));
+    expect(participantSession.getClient('CloudFormation', { region: 'eu-west-1' }).config.region).toBe('eu-west-1');
+  });
+
+  test('should assume the participant role with their external ID and session tags', async () => {
+    const session = await participantSession.openSession('remote-user', { challengeId: 'reliability-pillar' });
+
+    expect(assumeRoleParams).toMatchObject({
+      RoleArn: ROLE_ARN,
+      RoleSessionName: 'assessment-remote-user',
+      ExternalId: 'team-secret',
+      Tags: [
+        { Key: 'ctf:participantId', Value: 'remote-user' },
+        { Key: 'ctf:challengeId', Value: 'reliability-pillar' }
+      ]
+    });
+
+    // Clients stay bound to the session across awaits
+    const client = await participantSession.runWithSession(session, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      return participantSession.getClient('Lambda');
+    });
+    expect(client.config.credentials.accessKeyId).toBe('ASIAEXAMPLE');
+    expect(participantSession.getClient('Lambda')).not.toBe(client);
+  });
+
+  test('should report a misconfigured role as access denied', async () => {
+    const target = { participantId: 'remote-user', roleArn: ROLE_ARN, externalId: null };
+    const error = await participantSession.assumeParticipantRole(target).catch(e => e);
+
+    expect(assumeRoleParams.ExternalId).toBe('event-wide-id');
+    expect(participantSession.isAccessDenied(error)).toBe(true);
+    await expect(participantSession.openSession('wrong-account'))
+      .rejects.toThrow(`Role ${ROLE_ARN} is not in the participant's account 111111111111`);
+  });
+
+  test('should fail checks with the refused call as evidence', () => {
+    const check = builtinChecks.find(entry => entry.id === 'dynamodb-backups');
+    const result = check.evaluate({
+      stackAnalysis: {
+        error: 'User is not authorized to perform: cloudformation:GetTemplate',
+        accessDenied: true
+      }
+    });
+
+    expect(result).toEqual({
+      implemented: false,
+      score: 0,
+      evidence: [{ logicalId: null, detail: 'Access denied: User is not authorized to perform: cloudformation:GetTemplate' }]
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rae = require('../../bin/rae');
+const reportFormatter = require('../../src/utils/report-formatter');
+
+const template = `
+Resources:
+  ItemsTable:
+    Type: AWS::DynamoDB::Table
+    Properties:
+      BillingMode: PAY_PER_REQUEST
+  ApiFunction:
+    Type: AWS::Lambda::Function
+    Properties:
+      Runtime: nodejs20.x
+      Handler: handler.api
+`;
+
+const handlerSource = `
+module.exports.api = async (event) => {
+  try {
+    return { statusCode: 200, body: event.body };
+  } catch (error) {
+    console.error('API error:', error);
+    return { statusCode: 500 };
+  }
+};
+`;
+
+describe('rae CLI', () => {
+  let directory;
+
+  const run = async (...argv) => {
+    const output = { stdout: '', stderr: '' };
+    const io = {
+      stdout: { write: text => { output.stdout += text; } },
+      stderr: { write: text => { output.stderr += text; } }
+    };
+    const code = await rae.main(argv, io);
+    return { code, ...output };
+  };
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rae-'));
+    fs.writeFileSync(path.join(directory, 'template.yaml'), template);
+    fs.mkdirSync(path.join(directory, 'app', 'node_modules', 'dependency'), { recursive: true });
+    fs.writeFileSync(path.join(directory, 'app', 'handler.js'), handlerSource);
+    fs.writeFileSync(path.join(directory, 'app', 'node_modules', 'dependency', 'index.js'), 'module.exports = {};');
+    fs.writeFileSync(path.join(directory, 'challenge.json'), JSON.stringify({
+      challengeId: 'cli-test',
+      passingScore: 50,
+      checks: ['dynamodb-backups', 'error-handling', 'cloudwatch-alarms']
+    }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should print a JSON report and exit 1 below the passing score', async () => {
+    const { code, stdout } = await run('assess',
+      '--template', path.join(directory, 'template.yaml'),
+      '--code', path.join(directory, 'app'),
+      `--config=${path.join(directory, 'challenge.json')}`,
+      '--format', 'json');
+
+    const report = JSON.parse(stdout);
+    expect(code).toBe(1);
+    expect(report.challengeId).toBe('cli-test');
+    expect(report.checks.map(check => [check.id, check.passed, check.applicable])).toEqual([
+      ['dynamodb-backups', false, true],
+      ['error-handling', true, true],
+      ['cloudwatch-alarms', false, false]
+    ]);
+  });
+
+  test('should write JUnit XML with a failure per failed check and pass at a lower threshold', async () => {
+    const output = path.join(directory, 'report.xml');
+    const { code } = await run('assess',
+      '--template', path.join(directory, 'template.yaml'),
+      '--code', path.join(directory, 'app'),
+      '--config', path.join(directory, 'challenge.json'),
+      '--format', 'junit',
+      '--output', output,
+      '--threshold', '0');
+
+    const xml = fs.readFileSync(output, 'utf8');
+    expect(code).toBe(0);
+    expect(xml).toContain('<testsuite name="cli-test" tests="4" failures="1" skipped="1">');
+    expect(xml).toContain('<testcase classname="infrastructure" name="dynamodb-backups">');
+    expect(xml).toContain('<testcase classname="errorHandling" name="error-handling"/>');
+  });
+
+  test('should name a resource once when its evidence already starts with it', () => {
+    const report = {
+      challengeId: 'cli-test',
+      score: 0,
+      passingScore: 50,
+      passed: false,
+      categories: {},
+      suspicions: [],
+      checks: [{
+        id: 'retry-logic',
+        category: 'errorHandling',
+        description: 'Retries with backoff',
+        applicable: true,
+        passed: false,
+        pointsEarned: 0,
+        pointsPossible: 1,
+        remediation: { suggestion: 'Retry throttled calls' },
+        evidence: [
+          { logicalId: 'ApiFunction', detail: 'ApiFunction: missing' },
+          { logicalId: 'ApiFunction', detail: 'SDK call without retries', file: 'handler.js', line: 3 }
+        ]
+      }]
+    };
+
+    const text = reportFormatter.formatText(report);
+    expect(text).toContain('         ApiFunction: missing\n');
+    expect(text).toContain('         ApiFunction: SDK call without retries (handler.js:3)\n');
+    expect(reportFormatter.formatJUnit(report)).toContain('>ApiFunction: missing\nApiFunction: SDK call without retries (handler.js:3)\n');
+  });
+
+  test('should print a text report and reject bad arguments', async () => {
+    const { stdout } = await run('assess', '--template', path.join(directory, 'template.yaml'));
+    expect(stdout).toContain('[FAIL] dynamodb-backups');
+    expect(stdout).toContain('[n/a]  error-handling: No code bundle was provided for this dry run');
+
+    const missing = await run('assess', '--format', 'yaml');
+    expect(missing.code).toBe(2);
+    expect(missing.stderr).toContain('--template is required');
+    expect((await run('assess', '--template', path.join(directory, 'missing.yaml'))).code).toBe(2);
+  });
+});
@@ -0,0 +1,68 @@
+const AWS = require('aws-sdk-mock');
+
+const secondaryTemplate = JSON.stringify({
+  Resources: {
+    ApiFunction: { Type: 'AWS::Lambda::Function', Properties: { Timeout: 10 } }
+  }
+});
+
+describe('Region Discovery', () => {
+  let regionDiscovery;
+
+  beforeAll(() => {
+    process.env.AWS_REGION = 'us-east-1';
+
+    AWS.mock('CloudFormation', 'listStackInstances', (params, callback) => {
+      callback(null, params.NextToken ? {
+        Summaries: [{
+          Region: 'ap-southeast-2',
+          Status: 'CURRENT',
+          StackId: 'arn:aws:cloudformation:ap-southeast-2:123456789012:stack/StackSet-app-p1-abc/1111'
+        }]
+      } : {
+        Summaries: [{
+          Region: 'us-east-1',
+          Status: 'CURRENT',
+          StackId: 'arn:aws:cloudformation:us-east-1:123456789012:stack/StackSet-app-p1-def/2222'
+        }],
+        NextToken: 'page-2'
+      });
+    });
+    AWS.mock('CloudFormation', 'getTemplate', (params, callback) => {
+      if (params.StackName === 'ctf-app-p1') {
+        const error = new Error(`Stack with id ${params.StackName} does not exist`);
+        error.code = 'ValidationError';
+        callback(error);
+        return;
+      }
+      callback(null, { TemplateBody: secondaryTemplate });
+    });
+
+    regionDiscovery = require('../../src/utils/region-discovery');
+  });
+
+  afterAll(() => {
+    AWS.restore();
+    delete process.env.AWS_REGION;
+  });
+
+  test('should follow StackSet pages and skip the primary region', async () => {
+    const instances = await regionDiscovery.listStackSetInstances('app-p1');
+
+    expect(instances).toEqual([
+      { region: 'us-east-1', stackName: 'StackSet-app-p1-def' },
+      { region: 'ap-southeast-2', stackName: 'StackSet-app-p1-abc' }
+    ]);
+
+    const stacks = await regionDiscovery.discoverRegionalStacks('ctf-app-p1', { stackSetName: 'app-p1' });
+    expect(stacks).toHaveLength(1);
+    expect(stacks[0]).toMatchObject({ region: 'ap-southeast-2', stackName: 'StackSet-app-p1-abc', status: 'found' });
+    expect(stacks[0].model.resources[0].logicalId).toBe('ApiFunction');
+  });
+
+  test('should report configured regions without the stack as missing', async () => {
+    const stacks = await regionDiscovery.discoverRegionalStacks('ctf-app-p1', { regions: ['us-east-1', 'eu-west-1'] });
+
+    expect(stacks).toEqual([{ region: 'eu-west-1', stackName: 'ctf-app-p1', status: 'missing' }]);
+  });
+});
@@ -0,0 +1,108 @@
+const AWS = require('aws-sdk-mock');
+const templateLoader = require('../../src/utils/template-loader');
+const stackAnalyzer = require('../../src/utils/stack-analyzer');
+
+const template = templateLoader.loadTemplate(`
+Resources:
+  OrdersTable:
+    Type: AWS::DynamoDB::Table
+    Properties:
+      BillingMode: PAY_PER_REQUEST
+  AuditTable:
+    Type: AWS::DynamoDB::Table
+    Properties:
+      BillingMode: PAY_PER_REQUEST
+      PointInTimeRecoverySpecification:
+        PointInTimeRecoveryEnabled: true
+  ApiFunction:
+    Type: AWS::Lambda::Function
+    Properties:
+      Timeout: 10
+      ReservedConcurrentExecutions: 5
+      Environment:
+        Variables:
+          ORDERS_TABLE: !Ref OrdersTable
+          AUDIT_TABLE: !Ref AuditTable
+  RemovedQueue:
+    Type: AWS::SQS::Queue
+`);
+
+const stackResources = [
+  { LogicalResourceId: 'OrdersTable', PhysicalResourceId: 'app-p1-orders', ResourceType: 'AWS::DynamoDB::Table' },
+  { LogicalResourceId: 'AuditTable', PhysicalResourceId: 'app-p1-audit', ResourceType: 'AWS::DynamoDB::Table' },
+  { LogicalResourceId: 'ApiFunction', PhysicalResourceId: 'app-p1-api', ResourceType: 'AWS::Lambda::Function' },
+  { LogicalResourceId: 'RemovedQueue', PhysicalResourceId: 'https://sqs.us-east-1.amazonaws.com/1/removed', ResourceType: 'AWS::SQS::Queue' }
+];
+
+describe('Resource Inspector', () => {
+  let resourceInspector;
+  let inspections;
+
+  beforeAll(async () => {
+    process.env.AWS_REGION = 'us-east-1';
+
+    AWS.mock('DynamoDB', 'describeTable', (params, callback) => {
+      callback(null, { Table: { TableName: params.TableName, BillingModeSummary: { BillingMode: 'PAY_PER_REQUEST' } } });
+    });
+    AWS.mock('DynamoDB', 'describeContinuousBackups', (params, callback) => {
+      if (params.TableName === 'app-p1-audit') {
+        const error = new Error('Rate exceeded');
+        error.code = 'ThrottlingException';
+        callback(error);
+        return;
+      }
+      // Enabled by hand in the console
+      callback(null, {
+        ContinuousBackupsDescription: { PointInTimeRecoveryDescription: { PointInTimeRecoveryStatus: 'ENABLED' } }
+      });
+    });
+    AWS.mock('Lambda', 'getFunctionConfiguration', (params, callback) => {
+      callback(null, { Timeout: 10, MemorySize: 128, TracingConfig: { Mode: 'PassThrough' } });
+    });
+    AWS.mock('Lambda', 'getFunctionConcurrency', (params, callback) => {
+      callback(null, {});
+    });
+    AWS.mock('SQS', 'getQueueAttributes', (params, callback) => {
+      const error = new Error('The specified queue does not exist');
+      error.code = 'AWS.SimpleQueueService.NonExistentQueue';
+      callback(error);
+    });
+
+    resourceInspector = require('../../src/utils/resource-inspector');
+    inspections = await resourceInspector.inspectResources(stackResources);
+  });
+
+  afterAll(() => {
+    AWS.restore();
+  });
+
+  test('should score the live configuration and not credit template values that could not be read', () => {
+    const liveModel = resourceInspector.buildLiveModel(template, inspections);
+
+    expect(liveModel.resources.map(resource => resource.logicalId)).toEqual(['OrdersTable', 'AuditTable', 'ApiFunction']);
+    expect(liveModel.resources[0].properties.PointInTimeRecoverySpecification).toEqual({ PointInTimeRecoveryEnabled: true });
+    expect(liveModel.resources[1]).toMatchObject({ inspectionError: 'Rate exceeded', properties: {} });
+    expect(liveModel.resources[2].properties.ReservedConcurrentExecutions).toBeUndefined();
+
+    const analysis = stackAnalyzer.runChecks(liveModel);
+    expect(analysis.backups).toMatchObject({ implemented: false, score: 50 });
+    expect(analysis.backups.evidence).toEqual([
+      { logicalId: 'OrdersTable', detail: 'Point-in-time recovery enabled' },
+      { logicalId: 'AuditTable', detail: 'Live configuration could not be read: Rate exceeded' }
+    ]);
+  });
+
+  test('should list drifted, missing and unreadable resources', () => {
+    expect(resourceInspector.detectDrift(template, inspections)).toEqual([
+      {
+        logicalId: 'OrdersTable',
+        property: 'PointInTimeRecoverySpecification.PointInTimeRecoveryEnabled',
+        template: false,
+        live: true
+      },
+      { logicalId: 'AuditTable', property: null, template: 'declared', live: 'error', error: 'Rate exceeded' },
+      { logicalId: 'ApiFunction', property: 'ReservedConcurrentExecutions', template: 5, live: null },
+      { logicalId: 'RemovedQueue', property: null, template: 'declared', live: 'missing' }
+    ]);
+  });
+});
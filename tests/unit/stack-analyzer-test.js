@@ -0,0 +1,276 @@
+const templateLoader = require('../../src/utils/template-loader');
+const stackAnalyzer = require('../../src/utils/stack-analyzer');
+const checkRegistry = require('../../src/utils/check-registry');
+const challengeConfig = require('../../src/utils/challenge-config');
+
+const resilientTemplate = `
+Resources:
+  OrdersTable:
+    Type: AWS::DynamoDB::Table
+    DeletionPolicy: Retain
+    UpdateReplacePolicy: Retain
+    Properties:
+      BillingMode: PAY_PER_REQUEST
+  OrdersQueue:
+    Type: AWS::SQS::Queue
+    Properties:
+      VisibilityTimeout: 60
+      RedrivePolicy:
+        deadLetterTargetArn: !GetAtt OrdersDeadLetterQueue.Arn
+        maxReceiveCount: 5
+  OrdersDeadLetterQueue:
+    Type: AWS::SQS::Queue
+  ProcessorFunction:
+    Type: AWS::Lambda::Function
+    Properties:
+      Timeout: 30
+      ReservedConcurrentExecutions: 10
+  ProcessorEventSource:
+    Type: AWS::Lambda::EventSourceMapping
+    Properties:
+      FunctionName: !Ref ProcessorFunction
+      EventSourceArn: !GetAtt OrdersQueue.Arn
+  Api:
+    Type: AWS::ApiGateway::RestApi
+  ApiStage:
+    Type: AWS::ApiGateway::Stage
+    Properties:
+      RestApiId: !Ref Api
+      MethodSettings:
+        - HttpMethod: '*'
+          ResourcePath: /*
+          ThrottlingRateLimit: 100
+          ThrottlingBurstLimit: 200
+  BackupPlan:
+    Type: AWS::Backup::BackupPlan
+    Properties:
+      BackupPlan:
+        BackupPlanName: daily
+        BackupPlanRule:
+          - RuleName: daily
+            TargetBackupVault: Default
+  BackupSelection:
+    Type: AWS::Backup::BackupSelection
+    Properties:
+      BackupPlanId: !Ref BackupPlan
+      BackupSelection:
+        SelectionName: data
+        IamRoleArn: arn:aws:iam::123456789012:role/backup
+        Resources:
+          - !GetAtt OrdersTable.Arn
+`;
+
+const fragileTemplate = `
+Resources:
+  OrdersTable:
+    Type: AWS::DynamoDB::Table
+    Properties:
+      ProvisionedThroughput:
+        ReadCapacityUnits: 5
+        WriteCapacityUnits: 5
+  OrdersQueue:
+    Type: AWS::SQS::Queue
+    Properties:
+      VisibilityTimeout: 10
+  ProcessorFunction:
+    Type: AWS::Lambda::Function
+    Properties:
+      Timeout: 30
+      ReservedConcurrentExecutions: 0
+      Environment:
+        Variables:
+          TABLE_NAME: !Ref OrdersTable
+          DATABASE_HOST: !GetAtt Database.Endpoint.Address
+  ProcessorEventSource:
+    Type: AWS::Lambda::EventSourceMapping
+    Properties:
+      FunctionName: !Ref ProcessorFunction
+      EventSourceArn: !GetAtt OrdersQueue.Arn
+  Database:
+    Type: AWS::RDS::DBInstance
+    Properties:
+      BackupRetentionPeriod: 0
+  ServerlessDeploymentBucket:
+    Type: AWS::S3::Bucket
+`;
+
+describe('Stack Analyzer', () => {
+  test('should pass every infrastructure check a resilient template covers', () => {
+    const analysis = stackAnalyzer.runChecks(templateLoader.loadTemplate(resilientTemplate));
+
+    for (const check of ['dynamoDBCapacity', 'deadLetterQueues', 'lambdaConcurrency', 'lambdaFailureDestinations',
+      'lambdaTimeouts', 'apiThrottling', 'retentionPolicies', 'backupPlans']) {
+      expect({ check, ...analysis[check] }).toMatchObject({ check, implemented: true, score: 100 });
+    }
+    expect(analysis.deadLetterQueues.evidence).toEqual([
+      { logicalId: 'OrdersQueue', detail: 'Moves messages to a dead-letter queue after 5 receives' }
+    ]);
+    expect(analysis.lambdaFailureDestinations.evidence[0].detail)
+      .toBe('Failed messages go to the dead-letter queue of OrdersQueue');
+  });
+
+  test('should score and explain what a fragile template is missing', () => {
+    const analysis = stackAnalyzer.runChecks(templateLoader.loadTemplate(fragileTemplate));
+
+    expect(analysis.dynamoDBCapacity).toMatchObject({ implemented: false, score: 0 });
+    expect(analysis.lambdaConcurrency.evidence[0].detail).toBe('Reserved concurrency of 0 throttles every invocation');
+    expect(analysis.lambdaTimeouts).toMatchObject({ score: 50 });
+    expect(analysis.lambdaTimeouts.evidence[0].detail)
+      .toBe('Timeout of 30 seconds exceeds the 10 second visibility timeout of OrdersQueue');
+    expect(analysis.rdsMultiAZ.evidence[0].detail).toBe('Single-AZ instance; set MultiAZ to true');
+    expect(analysis.rdsBackups.evidence[0].detail).toBe('Automated backups disabled (BackupRetentionPeriod: 0)');
+    expect(analysis.retentionPolicies.evidence).toEqual([
+      { logicalId: 'OrdersTable', detail: 'DeletionPolicy Delete, UpdateReplacePolicy Delete' },
+      { logicalId: 'Database', detail: 'DeletionPolicy Delete, UpdateReplacePolicy Delete' }
+    ]);
+  });
+
+  test('should leave checks without matching resources out of the weighting', () => {
+    const analysis = stackAnalyzer.runChecks(templateLoader.loadTemplate(fragileTemplate));
+    expect(analysis.s3DataProtection).toMatchObject({ applicable: false });
+    expect(analysis.apiThrottling).toMatchObject({ applicable: false });
+    expect(stackAnalyzer.runChecks(templateLoader.loadTemplate('Resources: {}')).backups).toMatchObject({
+      applicable: false,
+      evidence: [{ logicalId: null, detail: 'No DynamoDB tables in the stack' }]
+    });
+
+    const config = challengeConfig.normalizeChallengeConfig({ checks: ['api-throttling', 'lambda-concurrency'] });
+    const results = checkRegistry.evaluateChecks(config, { stackAnalysis: { analysis } });
+
+    expect(results[0]).toMatchObject({ id: 'api-throttling', applicable: false, weight: 0 });
+    expect(results[1]).toMatchObject({ id: 'lambda-concurrency', applicable: true, weight: 1 });
+  });
+
+  test('should check a queue named like a dead-letter queue unless another queue redrives to it', () => {
+    const model = templateLoader.loadTemplate(`
+Resources:
+  OrdersDLQ:
+    Type: AWS::SQS::Queue
+    Properties:
+      QueueName: orders-dead-letter
+  PaymentsQueue:
+    Type: AWS::SQS::Queue
+    Properties:
+      RedrivePolicy:
+        deadLetterTargetArn: !GetAtt PaymentsFailures.Arn
+        maxReceiveCount: 3
+  PaymentsFailures:
+    Type: AWS::SQS::Queue
+`);
+
+    const result = stackAnalyzer.runChecks(model).deadLetterQueues;
+
+    expect(result.evidence.map(evidence => evidence.logicalId)).toEqual(['OrdersDLQ', 'PaymentsQueue']);
+    expect(result.evidence[0].detail).toBe('No RedrivePolicy; failing messages are retried until they expire');
+    expect(result.implemented).toBe(false);
+  });
+
+  test('should not award multi-region points for a Region property alone', () => {
+    const model = templateLoader.loadTemplate(`
+Resources:
+  Topic:
+    Type: AWS::SNS::Topic
+    Properties:
+      Region: us-west-2
+`);
+
+    expect(stackAnalyzer.checkMultiRegionSetup(model)).toMatchObject({ implemented: false, score: 0 });
+  });
+
+  const multiRegionTemplate = `
+Resources:
+  OrdersTable:
+    Type: AWS::DynamoDB::GlobalTable
+    Properties:
+      Replicas:
+        - Region: us-east-1
+        - Region: us-west-2
+  AssetsBucket:
+    Type: AWS::S3::Bucket
+  ApiHealthCheck:
+    Type: AWS::Route53::HealthCheck
+  ApiRecords:
+    Type: AWS::Route53::RecordSetGroup
+    Properties:
+      RecordSets:
+        - Name: api.example.com
+          Failover: PRIMARY
+          HealthCheckId: !Ref ApiHealthCheck
+          ResourceRecords:
+            - !Sub '\${Api}.execute-api.us-east-1.amazonaws.com'
+        - Name: api.example.com
+          Failover: SECONDARY
+          HealthCheckId: !Ref ApiHealthCheck
+          ResourceRecords:
+            - !Sub '\${Api}.execute-api.us-west-2.amazonaws.com'
+  Api:
+    Type: AWS::ApiGateway::RestApi
+  ApiFunction:
+    Type: AWS::Lambda::Function
+    Properties:
+      Environment:
+        Variables:
+          ORDERS_TABLE: !Ref OrdersTable
+`;
+
+  test('should score partial multi-region coverage across regional stacks', () => {
+    const model = templateLoader.loadTemplate(multiRegionTemplate);
+    const regionalStacks = [
+      { region: 'us-west-2', stackName: 'ctf-app-p1', status: 'found', model: templateLoader.loadTemplate('Resources: {}') }
+    ];
+
+    const result = stackAnalyzer.checkMultiRegionSetup(model, regionalStacks);
+
+    // Footprint 30 + half the data stores replicated (20 of 40) + health-checked failover 30
+    expect(result).toMatchObject({ implemented: false, score: 80 });
+    expect(result.evidence).toContainEqual({ logicalId: 'OrdersTable', detail: 'Global table replicas in us-east-1, us-west-2' });
+    expect(result.evidence).toContainEqual({ logicalId: 'AssetsBucket', detail: 'S3 bucket is not replicated' });
+    expect(result.evidence).toContainEqual({ logicalId: null, detail: 'Stack ctf-app-p1 deployed in us-west-2' });
+  });
+
+  test('should discount replicas nothing uses and records that route to nothing in the stack', () => {
+    const model = templateLoader.loadTemplate(`
+Resources:
+  OrdersTable:
+    Type: AWS::DynamoDB::GlobalTable
+    Properties:
+      Replicas:
+        - Region: us-east-1
+        - Region: us-west-2
+  AssetsBucket:
+    Type: AWS::S3::Bucket
+  ApiHealthCheck:
+    Type: AWS::Route53::HealthCheck
+  ApiRecords:
+    Type: AWS::Route53::RecordSetGroup
+    Properties:
+      RecordSets:
+        - Name: api.example.com
+          Failover: PRIMARY
+          HealthCheckId: !Ref ApiHealthCheck
+          ResourceRecords:
+            - 192.0.2.1
+        - Name: api.example.com
+          Failover: SECONDARY
+          HealthCheckId: !Ref ApiHealthCheck
+          ResourceRecords:
+            - 192.0.2.2
+`);
+    const regionalStacks = [
+      { region: 'us-west-2', stackName: 'ctf-app-p1', status: 'found', model: templateLoader.loadTemplate('Resources: {}') }
+    ];
+
+    const result = stackAnalyzer.runChecks(model, regionalStacks).multiRegion;
+
+    // Footprint 30 + a quarter of the replicated table (5 of 40) + a quarter of the failover records (7.5 of 30)
+    expect(result).toMatchObject({ implemented: false, score: 42.5 });
+    expect(result.evidence).toContainEqual(expect.objectContaining({
+      logicalId: 'OrdersTable',
+      suspicion: expect.objectContaining({ type: 'unreferenced-resource' })
+    }));
+    expect(result.evidence).toContainEqual(expect.objectContaining({
+      logicalId: 'ApiRecords',
+      suspicion: { type: 'unreferenced-target', detail: 'The record routes to nothing the stack deploys' }
+    }));
+  });
+});
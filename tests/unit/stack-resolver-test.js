@@ -0,0 +1,74 @@
+const AWS = require('aws-sdk-mock');
+const challengeConfig = require('../../src/utils/challenge-config');
+
+const stacksConfig = challengeConfig.normalizeChallengeConfig({
+  stacks: { stages: ['dev', 'prod'] }
+}).stacks;
+
+describe('Stack Resolver', () => {
+  let stackResolver;
+
+  beforeAll(() => {
+    process.env.AWS_REGION = 'us-east-1';
+
+    AWS.mock('CloudFormation', 'describeStacks', (params, callback) => {
+      if (params.StackName === 'ctf-unreliable-app-test-user-123-prod') {
+        callback(null, { Stacks: [{ StackName: params.StackName, StackStatus: 'UPDATE_COMPLETE', Tags: [] }] });
+        return;
+      }
+      if (params.StackName.includes('team-blue-data')) {
+        callback(null, {
+          Stacks: [{ StackName: 'team-blue-data', Tags: [{ Key: 'ctf:participantId', Value: 'test-user-123' }] }]
+        });
+        return;
+      }
+      const error = new Error(`Stack with id ${params.StackName} does not exist`);
+      error.code = 'ValidationError';
+      callback(error);
+    });
+    AWS.mock('ResourceGroupsTaggingAPI', 'getResources', (params, callback) => {
+      callback(null, {
+        ResourceTagMappingList: [{
+          ResourceARN: 'arn:aws:cloudformation:us-east-1:123456789012:stack/team-blue-data/abc',
+          Tags: [{ Key: 'ctf:participantId', Value: 'test-user-123' }]
+        }]
+      });
+    });
+
+    stackResolver = require('../../src/utils/stack-resolver');
+  });
+
+  afterAll(() => {
+    AWS.restore();
+  });
+
+  test('should keep hyphens in participant IDs and match every configured stage', () => {
+    expect(stackResolver.parseStackName('ctf-unreliable-app-test-user-123-dev', stacksConfig)).toBe('test-user-123');
+    expect(stackResolver.parseStackName('ctf-unreliable-app-test-user-123-prod', stacksConfig)).toBe('test-user-123');
+    expect(stackResolver.parseStackName('ctf-unreliable-app-test-user-123-qa', stacksConfig)).toBeNull();
+    expect(stackResolver.candidateStackNames('p1', stacksConfig)).toEqual([
+      'ctf-unreliable-app-p1-dev',
+      'ctf-unreliable-app-p1-prod'
+    ]);
+  });
+
+  test('should prefer the participant tag and fall back to the stack name', async () => {
+    const taggedStackId = 'arn:aws:cloudformation:us-east-1:123456789012:stack/team-blue-data/abc';
+    const deletedStackId = 'arn:aws:cloudformation:us-east-1:123456789012:stack/ctf-unreliable-app-test-user-9-dev/def';
+
+    expect(await stackResolver.resolveParticipantId(taggedStackId, stacksConfig)).toBe('test-user-123');
+    expect(await stackResolver.resolveParticipantId(deletedStackId, stacksConfig)).toBe('test-user-9');
+  });
+
+  test('should find tagged stacks and pattern stacks that exist', async () => {
+    expect(await stackResolver.findParticipantStacks('test-user-123', stacksConfig)).toEqual([
+      'team-blue-data',
+      'ctf-unreliable-app-test-user-123-prod'
+    ]);
+  });
+
+  test('should reject name patterns without a participant placeholder', () => {
+    expect(() => challengeConfig.normalizeChallengeConfig({ stacks: { namePatterns: ['app-{stage}'] } }))
+      .toThrow('Stack name pattern must contain {participantId}: app-{stage}');
+  });
+});
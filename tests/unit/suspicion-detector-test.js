@@ -0,0 +1,189 @@
+const AWS = require('aws-sdk-mock');
+const AdmZip = require('adm-zip');
+const templateLoader = require('../../src/utils/template-loader');
+const stackAnalyzer = require('../../src/utils/stack-analyzer');
+const suspicionDetector = require('../../src/utils/suspicion-detector');
+const javascriptAnalyzer = require('../../src/utils/javascript-analyzer');
+const packageExtractor = require('../../src/utils/package-extractor');
+
+const gamedTemplate = `
+Resources:
+  OrdersQueue:
+    Type: AWS::SQS::Queue
+  ProcessorFunction:
+    Type: AWS::Lambda::Function
+    Properties:
+      Timeout: 30
+      Environment:
+        Variables:
+          QUEUE_URL: !Ref OrdersQueue
+  DummyQueue:
+    Type: AWS::SQS::Queue
+    Properties:
+      RedrivePolicy:
+        deadLetterTargetArn: !GetAtt DummyDeadLetterQueue.Arn
+        maxReceiveCount: 5
+  DummyDeadLetterQueue:
+    Type: AWS::SQS::Queue
+  AlertsTopic:
+    Type: AWS::SNS::Topic
+    Metadata:
+      CircuitBreaker: enabled
+    Properties:
+      Region: us-west-2
+      TopicName: alerts
+  AlertsSubscription:
+    Type: AWS::SNS::Subscription
+    Properties:
+      TopicArn: !Sub arn:aws:sns:\${AWS::Region}:\${AWS::AccountId}:alerts
+      Protocol: email
+      Endpoint: ops@example.com
+`;
+
+const gamedHandler = `
+const AWS = require('aws-sdk');
+const dynamoDB = new AWS.DynamoDB.DocumentClient();
+
+// circuitBreaker retry backoff idempotency
+async function retryForever(item) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      return await dynamoDB.put({ TableName: 'orders', Item: item }).promise();
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100 * 2 ** attempt));
+    }
+  }
+}
+
+exports.handler = async (event) => {
+  const item = JSON.parse(event.body);
+  await dynamoDB.put({ TableName: 'orders', Item: item }).promise();
+  return { statusCode: 200 };
+  const unused = { ConditionExpression: 'attribute_not_exists(id)' };
+};
+
+const states = ['OPEN', 'HALF_OPEN'];
+`;
+
+describe('Suspicion Detector', () => {
+  let codeAnalyzer;
+
+  beforeAll(() => {
+    AWS.mock('Lambda', 'getFunction', (params, callback) => {
+      callback(null, {
+        Code: { Location: 'https://example.com/package.zip' },
+        Configuration: { Runtime: 'nodejs20.x', Handler: 'index.handler' }
+      });
+    });
+
+    const zip = new AdmZip();
+    zip.addFile('index.js', Buffer.from(gamedHandler));
+    jest.spyOn(packageExtractor, 'downloadPackage').mockResolvedValue(zip.toBuffer());
+
+    codeAnalyzer = require('../../src/utils/code-analyzer');
+  });
+
+  afterAll(() => {
+    AWS.restore();
+    jest.restoreAllMocks();
+  });
+
+  test('should flag unreferenced resources and decorative properties', () => {
+    const suspicions = suspicionDetector.findTemplateSuspicions(templateLoader.loadTemplate(gamedTemplate));
+
+    expect(suspicions).toEqual([
+      { type: 'unreferenced-resource', logicalId: 'DummyQueue', detail: 'Nothing in the stack references this AWS::SQS::Queue' },
+      { type: 'decorative-property', logicalId: 'AlertsTopic', detail: 'Region is not a property of AWS::SNS::Topic and has no effect' },
+      { type: 'decorative-property', logicalId: 'AlertsTopic', detail: 'Metadata CircuitBreaker does not change how the resource behaves' }
+    ]);
+  });
+
+  test('should only count literal names that name the whole resource', () => {
+    const suspicions = suspicionDetector.findTemplateSuspicions(templateLoader.loadTemplate(`
+Resources:
+  OrdersQueue:
+    Type: AWS::SQS::Queue
+    Properties:
+      QueueName: orders
+  ArchiveFunction:
+    Type: AWS::Lambda::Function
+    Properties:
+      Environment:
+        Variables:
+          ARCHIVE_QUEUE: orders-archive
+          ARCHIVE_NOTE: reorders
+`));
+
+    expect(suspicions).toEqual([
+      { type: 'unreferenced-resource', logicalId: 'OrdersQueue', detail: 'Nothing in the stack references this AWS::SQS::Queue' }
+    ]);
+  });
+
+  test('should discount unreferenced resources in the stack checks', () => {
+    const analysis = stackAnalyzer.runChecks(templateLoader.loadTemplate(gamedTemplate));
+
+    // OrdersQueue has no dead-letter queue (0); DummyQueue has one but earns a quarter of 100
+    expect(analysis.deadLetterQueues).toMatchObject({ implemented: false, score: 12.5 });
+    expect(analysis.deadLetterQueues.evidence[1]).toMatchObject({
+      logicalId: 'DummyQueue',
+      suspicion: { type: 'unreferenced-resource' }
+    });
+  });
+
+  test('should not let an unreferenced table earn the backups check for the real ones', () => {
+    const analysis = stackAnalyzer.runChecks(templateLoader.loadTemplate(`
+Resources:
+  OrdersTable:
+    Type: AWS::DynamoDB::Table
+  OrdersFunction:
+    Type: AWS::Lambda::Function
+    Properties:
+      Environment:
+        Variables:
+          TABLE_NAME: !Ref OrdersTable
+  DummyTable:
+    Type: AWS::DynamoDB::Table
+    Properties:
+      PointInTimeRecoverySpecification:
+        PointInTimeRecoveryEnabled: true
+`));
+
+    // OrdersTable has no point-in-time recovery (0); DummyTable has it but earns a quarter of 100
+    expect(analysis.backups).toMatchObject({ implemented: false, score: 12.5 });
+    expect(analysis.backups.evidence[1]).toMatchObject({
+      logicalId: 'DummyTable',
+      suspicion: { type: 'unreferenced-resource' }
+    });
+  });
+
+  test('should mark findings in dead code and discarded values', () => {
+    const findings = javascriptAnalyzer.findPatterns(gamedHandler, 'index.js');
+    const suspicionOf = kind => findings.find(finding => finding.kind === kind).suspicion;
+
+    expect(suspicionOf('retry-loop')).toEqual({ type: 'dead-code', detail: 'Function retryForever is never called' });
+    expect(suspicionOf('conditional-write')).toEqual({ type: 'dead-code', detail: 'Unreachable after return' });
+    expect(suspicionOf('custom-circuit-breaker')).toEqual({ type: 'keyword-only', detail: 'Circuit states are named but never compared' });
+    expect(suspicionOf('try-catch-sdk')).toMatchObject({ type: 'dead-code' });
+  });
+
+  test('should lower the score of suspicious code and list it for review', async () => {
+    const result = await codeAnalyzer.analyzeCode('gamed-function');
+
+    // Retry loop with backoff (100) and conditional write (50) only sit in dead code
+    expect(result.patterns.retryLogic).toMatchObject({ implemented: false, score: 25 });
+    expect(result.patterns.idempotency).toMatchObject({ implemented: false, score: 12.5 });
+    expect(result.patterns.asyncProcessing).toMatchObject({ implemented: false, score: 0 });
+    expect(result.suspicions).toContainEqual({
+      type: 'keyword-only',
+      file: 'index.js',
+      line: 5,
+      detail: 'Comment mentions idempotency but the code has none'
+    });
+    expect(result.suspicions).toContainEqual({
+      type: 'dead-code',
+      file: 'index.js',
+      line: 7,
+      detail: 'Loop retries with a delay between attempts: Function retryForever is never called'
+    });
+  });
+});
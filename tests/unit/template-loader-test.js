@@ -0,0 +1,68 @@
+const templateLoader = require('../../src/utils/template-loader');
+const stackAnalyzer = require('../../src/utils/stack-analyzer');
+
+const yamlTemplate = `
+AWSTemplateFormatVersion: '2010-09-09'
+Conditions:
+  IsProd: !Equals [!Ref Stage, prod]
+Resources:
+  ItemsTable:
+    Type: AWS::DynamoDB::Table
+    DeletionPolicy: Retain
+    Properties:
+      TableName: !Sub \${AWS::StackName}-items
+      BillingMode: !If [IsProd, PROVISIONED, PAY_PER_REQUEST]
+      PointInTimeRecoverySpecification:
+        PointInTimeRecoveryEnabled: true
+  ApiFunction:
+    Type: AWS::Lambda::Function
+    Properties:
+      Role: !GetAtt ApiRole.Arn
+      Environment:
+        Variables:
+          TABLE_NAME: !Ref ItemsTable
+`;
+
+describe('Template Loader', () => {
+  test('should expand short-form intrinsic functions in YAML templates', () => {
+    const model = templateLoader.loadTemplate(yamlTemplate);
+    const [table, fn] = model.resources;
+
+    expect(model.format).toBe('yaml');
+    expect(model.conditions.IsProd).toEqual({ 'Fn::Equals': [{ Ref: 'Stage' }, 'prod'] });
+    expect(table.properties.TableName).toEqual({ 'Fn::Sub': '${AWS::StackName}-items' });
+    expect(table.properties.BillingMode).toEqual({ 'Fn::If': ['IsProd', 'PROVISIONED', 'PAY_PER_REQUEST'] });
+    expect(table.deletionPolicy).toBe('Retain');
+    expect(fn.properties.Role).toEqual({ 'Fn::GetAtt': ['ApiRole', 'Arn'] });
+    expect(fn.properties.Environment.Variables.TABLE_NAME).toEqual({ Ref: 'ItemsTable' });
+  });
+
+  test('should keep a !GetAtt without an attribute as the resource name', () => {
+    const model = templateLoader.loadTemplate(`
+Resources:
+  ApiFunction:
+    Type: AWS::Lambda::Function
+    Properties:
+      Role: !GetAtt ApiRole
+`);
+
+    expect(model.resources[0].properties.Role).toEqual({ 'Fn::GetAtt': ['ApiRole'] });
+  });
+
+  test('should load JSON templates into the same model', () => {
+    const model = templateLoader.loadTemplate(JSON.stringify({
+      Resources: {
+        ItemsTable: { Type: 'AWS::DynamoDB::Table', Properties: {} }
+      }
+    }));
+
+    expect(model.format).toBe('json');
+    expect(templateLoader.getResourcesByType(model, 'AWS::DynamoDB::Table')[0].logicalId).toBe('ItemsTable');
+  });
+
+  test('should score backups from a YAML template', () => {
+    const model = templateLoader.loadTemplate(yamlTemplate);
+
+    expect(stackAnalyzer.checkBackupConfigurations(model).implemented).toBe(true);
+  });
+});
@@ -0,0 +1,145 @@
+const AWS = require('aws-sdk-mock');
+const challengeConfig = require('../../src/utils/challenge-config');
+const checkRegistry = require('../../src/utils/check-registry');
+
+const API_URL = 'https://abc123.execute-api.us-east-1.amazonaws.com/dev';
+
+const stacks = [{
+  stackName: 'app-p1',
+  stackResources: [{ LogicalResourceId: 'Api', PhysicalResourceId: 'abc123', ResourceType: 'AWS::ApiGateway::RestApi' }]
+}];
+
+function buildConfig(probe) {
+  return challengeConfig.normalizeChallengeConfig({
+    checks: ['observed-availability', 'observed-latency', 'observed-idempotency', 'health-check-route'],
+    probe: { enabled: true, healthRequests: 2, ...probe }
+  });
+}
+
+describe('Traffic Probe', () => {
+  let trafficProbe;
+
+  beforeAll(() => {
+    process.env.AWS_REGION = 'us-east-1';
+
+    AWS.mock('CloudFormation', 'describeStacks', (params, callback) => {
+      callback(null, {
+        Stacks: [{
+          StackName: params.StackName,
+          Outputs: [
+            { OutputKey: 'OrdersTableName', OutputValue: 'app-p1-orders' },
+            { OutputKey: 'ServiceEndpoint', OutputValue: `${API_URL}/` }
+          ]
+        }]
+      });
+    });
+
+    trafficProbe = require('../../src/utils/traffic-probe');
+  });
+
+  afterAll(() => {
+    AWS.restore();
+  });
+
+  test('should find the API endpoint, health route and idempotent POST behavior', async () => {
+    const config = buildConfig({
+      script: [
+        { name: 'list', path: '/orders', repeat: 4 },
+        { name: 'create', method: 'POST', path: '/orders', body: { item: 'book' }, idempotent: true, repeat: 3 }
+      ]
+    });
+    let created = 0;
+    const send = jest.fn(async ({ method, url, headers }) => {
+      const path = url.replace(API_URL, '');
+      if (path === '/health') return { statusCode: 403, latencyMs: 10 };
+      if (path === '/healthz') return { statusCode: 200, body: { status: 'ok' }, latencyMs: 10 };
+      if (method === 'POST') {
+        // Replays the first order for the same idempotency key
+        expect(headers['Idempotency-Key']).toMatch(/^probe-p1-create-/);
+        created++;
+        return { statusCode: 201, body: { orderId: 'o-1' }, latencyMs: 200 };
+      }
+      return { statusCode: send.mock.calls.length === 4 ? 503 : 200, body: [], latencyMs: 40 };
+    });
+
+    const result = await trafficProbe.runProbe({ participantId: 'p1', stacks, config: config.probe, send });
+
+    expect(result.endpoint).toEqual({ stackName: 'app-p1', outputKey: 'ServiceEndpoint', url: API_URL });
+    expect(result.health).toMatchObject({ path: '/healthz', requests: 2, errors: 0 });
+    expect(created).toBe(3);
+    expect(result).toMatchObject({ requests: 9, errors: 1 });
+    expect(result.latency).toEqual({ p50: 40, p90: 200, p95: 200, p99: 200 });
+
+    const checks = checkRegistry.evaluateChecks(config, { probe: result });
+    expect(checks.map(({ id, implemented }) => ({ id, implemented }))).toEqual([
+      { id: 'observed-availability', implemented: false },
+      { id: 'observed-latency', implemented: true },
+      { id: 'observed-idempotency', implemented: true },
+      { id: 'health-check-route', implemented: true }
+    ]);
+    expect(checks[0].score).toBe(89);
+    expect(checks[0].evidence[1].detail).toBe('GET /orders: 1 of 4 failed');
+  });
+
+  test('should fail idempotency when repeats create new results and score slow responses', async () => {
+    const config = buildConfig({
+      endpoint: 'https://{participantId}.example.com/',
+      latencyTargetMs: 500,
+      script: [{ name: 'create', method: 'POST', path: '/orders', idempotent: true }]
+    });
+    let orderId = 0;
+    const send = async ({ method }) => method === 'POST'
+      ? { statusCode: 201, body: { orderId: ++orderId }, latencyMs: 1000 }
+      : { statusCode: 404, latencyMs: 5 };
+
+    const result = await trafficProbe.runProbe({ participantId: 'p1', stacks, config: config.probe, send });
+
+    expect(result.endpoint.url).toBe('https://p1.example.com');
+    expect(result.analysis.idempotency).toMatchObject({ implemented: false, score: 0 });
+    expect(result.analysis.latency).toMatchObject({ implemented: false, score: 50 });
+    expect(result.analysis.healthCheck).toMatchObject({
+      implemented: false,
+      score: 0,
+      evidence: [{ logicalId: null, detail: 'No health check route at /health, /healthz, /ping' }]
+    });
+  });
+
+  test('should skip the checks when disabled and fail them when no endpoint is found', () => {
+    const config = buildConfig({});
+
+    expect(checkRegistry.evaluateChecks(config, {})[0]).toMatchObject({ applicable: false, weight: 0 });
+    expect(checkRegistry.evaluateChecks(config, { probe: { error: 'No API endpoint found' } })[0])
+      .toMatchObject({ implemented: false, score: 0, evidence: [{ logicalId: null, detail: 'No API endpoint found' }] });
+    expect(trafficProbe.findEndpoint({ BucketName: 'https-not-a-url' }, ['abc123'])).toBeNull();
+    expect(trafficProbe.findEndpoint({
+      ServiceEndpoint: 'http://169.254.169.254/latest/meta-data',
+      ApiUrl: 'https://abc123.execute-api.us-east-1.amazonaws.com.attacker.example/dev'
+    }, ['abc123'])).toBeNull();
+    expect(trafficProbe.findEndpoint({
+      FunctionUrl: 'https://xyz789.lambda-url.us-east-1.on.aws/',
+      OtherApiUrl: 'https://def456.execute-api.us-east-1.amazonaws.com/dev',
+      ServiceEndpoint: 'https://abc123.execute-api.us-east-1.amazonaws.com/dev'
+    }, ['abc123'])).toEqual({ outputKey: 'ServiceEndpoint', url: 'https://abc123.execute-api.us-east-1.amazonaws.com/dev' });
+  });
+
+  test('should not probe an API the participant\'s stacks do not deploy', async () => {
+    const config = buildConfig({ script: [{ name: 'list', path: '/orders' }] });
+    const send = jest.fn();
+    const foreignStacks = [{
+      stackName: 'app-p1',
+      stackResources: [{ LogicalResourceId: 'HttpApi', PhysicalResourceId: 'zzz999', ResourceType: 'AWS::ApiGatewayV2::Api' }]
+    }];
+
+    const result = await trafficProbe.runProbe({ participantId: 'p1', stacks: foreignStacks, config: config.probe, send });
+
+    expect(result).toEqual({ error: 'No API endpoint found in the outputs of app-p1' });
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test('should reject malformed request scripts', () => {
+    expect(() => buildConfig({ script: [{ name: 'bad', path: 'orders' }] }))
+      .toThrow('probe.script[0].path must start with /');
+    expect(() => buildConfig({ script: [{ name: 'bad', path: '/orders', method: 'TRACE' }] }))
+      .toThrow('Invalid method for probe.script[0]: TRACE');
+  });
+});